@@ -0,0 +1,187 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\Doctor;
+use App\Models\DoctorAusencia;
+use App\Models\Turno;
+use App\Services\AppointmentValidationService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Ausencias de doctores (vacaciones, licencias): bloquean la agenda del doctor en esas fechas
+ */
+class AusenciaController extends Controller
+{
+    protected $appointmentValidationService;
+
+    public function __construct(AppointmentValidationService $appointmentValidationService)
+    {
+        $this->appointmentValidationService = $appointmentValidationService;
+    }
+
+    /**
+     * Listar ausencias, por doctor y/o rango de fechas
+     */
+    public function index(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $validator = Validator::make($request->all(), [
+                'doctor_id' => 'nullable|exists:doctores,id',
+                'fecha_desde' => 'nullable|date',
+                'fecha_hasta' => 'nullable|date|after_or_equal:fecha_desde',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $query = DoctorAusencia::with('doctor:id,nombre,apellido');
+
+            if ($request->filled('doctor_id')) {
+                $query->where('doctor_id', $request->doctor_id);
+            }
+
+            if ($request->filled('fecha_desde')) {
+                $query->where('fecha_hasta', '>=', $request->fecha_desde);
+            }
+
+            if ($request->filled('fecha_hasta')) {
+                $query->where('fecha_desde', '<=', $request->fecha_hasta);
+            }
+
+            return $this->successResponse(
+                $query->orderBy('fecha_desde')->get(),
+                'Ausencias obtenidas'
+            );
+        }, 'consulta de ausencias');
+    }
+
+    /**
+     * Registrar una ausencia; devuelve los turnos ya dados que quedan dentro del período
+     */
+    public function store(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden registrar ausencias');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'doctor_id' => 'required|exists:doctores,id',
+                'fecha_desde' => 'required|date',
+                'fecha_hasta' => 'required|date|after_or_equal:fecha_desde',
+                'tipo' => 'required|in:' . implode(',', array_keys(DoctorAusencia::getTipos())),
+                'motivo' => 'nullable|string|max:500',
+            ], [
+                'doctor_id.required' => 'Debe seleccionar el doctor',
+                'fecha_hasta.after_or_equal' => 'La fecha hasta debe ser igual o posterior a la fecha desde',
+                'tipo.in' => 'Tipo de ausencia no válido',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $superpuesta = DoctorAusencia::where('doctor_id', $request->doctor_id)
+                ->entreFechas($request->fecha_desde, $request->fecha_hasta)
+                ->first();
+
+            if ($superpuesta) {
+                return $this->errorResponse(
+                    "Se superpone con la ausencia del {$superpuesta->fecha_desde->format('d/m/Y')} al {$superpuesta->fecha_hasta->format('d/m/Y')}",
+                    422
+                );
+            }
+
+            $ausencia = DoctorAusencia::create([
+                ...$validator->validated(),
+                'created_by' => $user->id,
+            ]);
+
+            // Los horarios disponibles ya cacheados del período dejan de valer
+            $this->appointmentValidationService->clearValidationCacheBetween(
+                $ausencia->doctor_id,
+                $request->fecha_desde,
+                $request->fecha_hasta
+            );
+
+            $afectados = Turno::pendientes()
+                ->where('doctor_id', $ausencia->doctor_id)
+                ->entreFechas($request->fecha_desde, $request->fecha_hasta)
+                ->with('paciente:id,nombre,apellido,dni,telefono,email')
+                ->orderBy('fecha')
+                ->orderBy('hora_inicio')
+                ->get();
+
+            $this->logMedicalActivity('Ausencia de doctor registrada', 'doctor_ausencias', $ausencia->id, $request, [
+                'doctor_id' => $ausencia->doctor_id,
+                'period' => "{$request->fecha_desde} - {$request->fecha_hasta}",
+                'type' => $ausencia->tipo,
+                'affected_turnos' => $afectados->pluck('id')->all(),
+                'created_by' => $user->name,
+            ]);
+
+            return $this->successResponse([
+                'ausencia' => $ausencia->load('doctor:id,nombre,apellido'),
+                'turnos_afectados' => $afectados,
+            ], 'Ausencia registrada', 201);
+        }, 'registro de ausencia de doctor');
+    }
+
+    /**
+     * Eliminar una ausencia (la agenda vuelve a quedar disponible)
+     */
+    public function destroy(DoctorAusencia $ausencia, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($ausencia, $request) {
+            if (!in_array($request->user()->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden eliminar ausencias');
+            }
+
+            $ausencia->delete();
+            $this->appointmentValidationService->clearValidationCacheBetween(
+                $ausencia->doctor_id,
+                $ausencia->fecha_desde->toDateString(),
+                $ausencia->fecha_hasta->toDateString()
+            );
+
+            $this->logMedicalActivity('Ausencia de doctor eliminada', 'doctor_ausencias', $ausencia->id, $request, [
+                'doctor_id' => $ausencia->doctor_id,
+                'period' => "{$ausencia->fecha_desde->toDateString()} - {$ausencia->fecha_hasta->toDateString()}",
+            ]);
+
+            return $this->successResponse(null, 'Ausencia eliminada');
+        }, 'eliminación de ausencia de doctor');
+    }
+
+    /**
+     * Días de vacaciones del contrato vigente y días ya tomados en el año
+     */
+    public function saldoVacaciones(Doctor $doctor, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($doctor, $request) {
+            $anio = (int) $request->get('anio', now()->year);
+            $contrato = $doctor->contratos()->vigentes()->first();
+
+            $usados = $doctor->ausencias()
+                ->where('tipo', DoctorAusencia::TIPO_VACACIONES)
+                ->entreFechas("{$anio}-01-01", "{$anio}-12-31")
+                ->get()
+                ->sum(fn ($ausencia) => $ausencia->diasEnAnio($anio));
+
+            $dias = $contrato?->dias_vacaciones;
+
+            return $this->successResponse([
+                'anio' => $anio,
+                'dias_vacaciones' => $dias,
+                'usados' => $usados,
+                'disponibles' => $dias === null ? null : $dias - $usados,
+            ], 'Saldo de vacaciones obtenido');
+        }, 'consulta de saldo de vacaciones');
+    }
+}
@@ -6,8 +6,12 @@
 use App\Models\Doctor;
 use App\Models\DoctorContract;
 use App\Models\DoctorScheduleSlot;
+use App\Models\Especialidad;
+use App\Models\Feriado;
+use App\Models\Turno;
 use App\Services\DoctorService;
 use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Validator;
 use Carbon\Carbon;
@@ -31,25 +35,12 @@ class DoctorController extends Controller
      */
     public function __construct(DoctorService $doctorService)
     {
+        // La autenticación la aplican las rutas; cada acción de gestión valida el rol del usuario
         $this->doctorService = $doctorService;
-        
-        // Middleware de autenticación médica requerido
-        $this->middleware('auth:sanctum');
-        
-        // Solo personal administrativo puede gestionar doctores
-        $this->middleware(function ($request, $next) {
-            $user = $request->user();
-            
-            if (!in_array($user->rol, ['admin', 'secretaria'])) {
-                return $this->forbiddenResponse('Acceso restringido: Solo personal administrativo autorizado');
-            }
-            
-            return $next($request);
-        });
     }
 
     /**
-     * Listar doctores activos de la clínica dental
+     * Listar doctores de la clínica dental (activos, salvo `estado=inactivos|todos`)
      */
     public function index(Request $request)
     {
@@ -57,8 +48,15 @@ public function index(Request $request)
             $user = $request->user();
             
             // Filtros de búsqueda para clínica dental
-            $query = Doctor::with(['especialidad', 'user', 'contratos'])
-                ->where('activo', true);
+            $query = Doctor::with('especialidad');
+
+            // La agenda y los selectores solo ven doctores activos
+            $estado = $request->get('estado', 'activos');
+            if ($estado === 'inactivos') {
+                $query->where('activo', false);
+            } elseif ($estado !== 'todos') {
+                $query->where('activo', true);
+            }
             
             if ($request->filled('especialidad_id')) {
                 $query->where('especialidad_id', $request->especialidad_id);
@@ -79,14 +77,36 @@ public function index(Request $request)
             
             $this->logMedicalActivity('Consulta de doctores dentales', 'doctores', null, $request, [
                 'total_doctors' => $doctores->total(),
-                'search_filters' => $request->only(['especialidad_id', 'buscar']),
+                'search_filters' => $request->only(['especialidad_id', 'buscar', 'estado']),
                 'consulted_by' => $user->name,
             ]);
             
-            return $this->successResponse($doctores, 'Doctores dentales obtenidos exitosamente');
+            return $this->paginatedResponse($doctores, 'Doctores dentales obtenidos exitosamente');
         }, 'consulta de doctores dentales');
     }
 
+    /**
+     * Doctores activos de una especialidad (columnas de la agenda multi-doctor)
+     */
+    public function porEspecialidad(Especialidad $especialidad, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($especialidad, $request) {
+            $doctores = $especialidad->doctoresActivos()
+                ->with('especialidad')
+                ->orderBy('apellido')
+                ->orderBy('nombre')
+                ->get();
+
+            $this->logMedicalActivity('Consulta de doctores por especialidad', 'doctores', null, $request, [
+                'especialidad_id' => $especialidad->id,
+                'doctors_count' => $doctores->count(),
+                'consulted_by' => $request->user()->name,
+            ]);
+
+            return $this->successResponse($doctores, 'Doctores de la especialidad obtenidos exitosamente');
+        }, 'consulta de doctores por especialidad');
+    }
+
     /**
      * Crear nuevo doctor dental (solo administradores)
      */
@@ -173,8 +193,13 @@ public function show(Doctor $doctor, Request $request)
                 'consulted_by' => $user->name,
             ]);
             
+            // Contratos (salario, comisión) y usuario vinculado: solo administradores, como en contratos()
+            $relaciones = $user->rol === 'admin'
+                ? ['especialidad', 'user', 'contratos', 'horarios']
+                : ['especialidad', 'horarios'];
+
             return $this->successResponse(
-                $doctor->load(['especialidad', 'user', 'contratos', 'horarios']),
+                $doctor->load($relaciones),
                 'Información del doctor dental obtenida exitosamente'
             );
         }, 'consulta de doctor dental');
@@ -241,6 +266,14 @@ public function update(Request $request, Doctor $doctor)
      * Desactivar doctor dental (solo administradores)
      */
     public function destroy(Doctor $doctor, Request $request)
+    {
+        return $this->desactivar($doctor, $request);
+    }
+
+    /**
+     * Desactivar doctor: deja de aparecer en la agenda; conserva horarios, contratos e historial
+     */
+    public function desactivar(Doctor $doctor, Request $request)
     {
         return $this->handleMedicalAction(function () use ($doctor, $request) {
             $user = $request->user();
@@ -250,14 +283,15 @@ public function destroy(Doctor $doctor, Request $request)
                 return $this->forbiddenResponse('Solo administradores pueden desactivar doctores');
             }
             
-            // Verificar si tiene turnos programados o pendientes
+            // Verificar si tiene turnos programados o confirmados a futuro
             $turnosPendientes = $doctor->turnos()
-                ->whereIn('estado', ['programado', 'confirmado'])
+                ->pendientes()
+                ->where('fecha', '>=', today()->toDateString())
                 ->count();
             
             if ($turnosPendientes > 0) {
                 return $this->errorResponse(
-                    "No se puede desactivar el doctor porque tiene {$turnosPendientes} turnos programados o confirmados",
+                    "No se puede desactivar el doctor porque tiene {$turnosPendientes} turnos programados o confirmados. Reprográmelos o cancélelos primero",
                     422
                 );
             }
@@ -271,21 +305,122 @@ public function destroy(Doctor $doctor, Request $request)
                 'security_level' => 'high',
             ]);
             
-            return $this->successResponse(null, 'Doctor dental desactivado exitosamente');
+            return $this->successResponse($doctor->load('especialidad'), 'Doctor dental desactivado exitosamente');
         }, 'desactivación de doctor dental');
     }
 
     /**
-     * Obtener contratos del doctor dental
+     * Reactivar doctor dental (solo administradores)
+     */
+    public function activar(Doctor $doctor, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($doctor, $request) {
+            $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden activar doctores');
+            }
+
+            // Una especialidad inactiva no puede tener doctores activos
+            if ($doctor->especialidad && !$doctor->especialidad->activo) {
+                return $this->errorResponse(
+                    "La especialidad {$doctor->especialidad->nombre} está inactiva: actívela o asigne otra especialidad al doctor",
+                    422
+                );
+            }
+
+            $doctor->activar();
+
+            $this->logMedicalActivity('Doctor dental activado', 'doctores', $doctor->id, $request, [
+                'doctor_name' => "{$doctor->nombre} {$doctor->apellido}",
+                'medical_license' => $doctor->matricula,
+                'activated_by' => $user->name,
+            ]);
+
+            return $this->successResponse($doctor->load('especialidad'), 'Doctor dental activado exitosamente');
+        }, 'activación de doctor dental');
+    }
+
+    /**
+     * Estadísticas del doctor en un período: turnos por estado, ausentismo, ocupación y pacientes atendidos
+     */
+    public function estadisticas(Doctor $doctor, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($doctor, $request) {
+            $user = $request->user();
+
+            // Administración y secretaría ven a cualquier doctor; un doctor, solo sus propias estadísticas
+            $esPropio = $user->rol === 'doctor' && $user->doctor_id == $doctor->id;
+            if (!in_array($user->rol, ['admin', 'secretaria']) && !$esPropio) {
+                return $this->forbiddenResponse('No tiene permisos para ver las estadísticas de este doctor');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'fecha_desde' => 'nullable|date_format:Y-m-d',
+                'fecha_hasta' => 'nullable|date_format:Y-m-d|after_or_equal:fecha_desde',
+            ], [
+                'fecha_hasta.after_or_equal' => 'La fecha hasta debe ser igual o posterior a la fecha desde',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            // Por defecto, el mes en curso
+            $desde = Carbon::parse($request->get('fecha_desde', now()->startOfMonth()->toDateString()));
+            $hasta = Carbon::parse($request->get('fecha_hasta', now()->endOfMonth()->toDateString()));
+
+            if ($hasta->lt($desde) || $desde->diffInDays($hasta) > 366) {
+                return $this->errorResponse('El período debe ser válido y no superar un año', 422);
+            }
+
+            $turnos = $doctor->turnos()->entreFechas($desde->toDateString(), $hasta->toDateString());
+
+            $porEstado = array_merge(
+                array_fill_keys(array_keys(Turno::getEstados()), 0),
+                (clone $turnos)->selectRaw('estado, COUNT(*) as total')->groupBy('estado')->pluck('total', 'estado')->map(fn ($total) => (int) $total)->all()
+            );
+
+            $realizados = $porEstado[Turno::ESTADO_REALIZADO];
+            $noAsistio = $porEstado[Turno::ESTADO_NO_ASISTIO];
+
+            // Ocupación: turnos dados (sin cancelados ni reprogramados) sobre los turnos que permiten los horarios
+            $ocupados = array_sum($porEstado)
+                - $porEstado[Turno::ESTADO_CANCELADO]
+                - $porEstado[Turno::ESTADO_REPROGRAMADO];
+            $capacidad = $this->capacidadEnPeriodo($doctor, $desde, $hasta);
+
+            return $this->successResponse([
+                'doctor' => $doctor->load('especialidad'),
+                'fecha_desde' => $desde->toDateString(),
+                'fecha_hasta' => $hasta->toDateString(),
+                'total' => array_sum($porEstado),
+                'por_estado' => $porEstado,
+                'tasa_ausentismo' => ($realizados + $noAsistio) > 0 ? round($noAsistio / ($realizados + $noAsistio) * 100, 1) : 0,
+                'capacidad' => $capacidad,
+                'ocupados' => $ocupados,
+                'ocupacion' => $capacidad > 0 ? round($ocupados / $capacidad * 100, 1) : 0,
+                'pacientes_atendidos' => (clone $turnos)->realizados()->distinct()->count('paciente_id'),
+            ], 'Estadísticas del doctor obtenidas exitosamente');
+        }, 'estadísticas de doctor dental');
+    }
+
+    /**
+     * Obtener contratos del doctor dental (solo administradores)
      */
     public function contratos(Doctor $doctor, Request $request)
     {
         return $this->handleMedicalAction(function () use ($doctor, $request) {
             $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden consultar contratos');
+            }
             
             $contratos = $doctor->contratos()
                 ->orderBy('fecha_inicio', 'desc')
-                ->get();
+                ->get()
+                ->map(fn ($contrato) => $this->presentarContrato($contrato));
             
             $this->logMedicalActivity('Consulta de contratos de doctor', 'doctor_contracts', null, $request, [
                 'doctor_id' => $doctor->id,
@@ -294,7 +429,10 @@ public function contratos(Doctor $doctor, Request $request)
                 'consulted_by' => $user->name,
             ]);
             
-            return $this->successResponse($contratos, 'Contratos del doctor obtenidos exitosamente');
+            return $this->successResponse([
+                'contratos' => $contratos,
+                'tipos' => DoctorContract::getTiposContrato(),
+            ], 'Contratos del doctor obtenidos exitosamente');
         }, 'consulta de contratos de doctor');
     }
 
@@ -314,17 +452,21 @@ public function storeContrato(Request $request, Doctor $doctor)
             $validator = Validator::make($request->all(), [
                 'fecha_inicio' => 'required|date|after_or_equal:today',
                 'fecha_fin' => 'required|date|after:fecha_inicio',
-                'tipo_contrato' => 'required|in:eventual,permanente,suplente,guardia',
+                'tipo_contrato' => 'required|in:' . implode(',', array_keys(DoctorContract::getTiposContrato())),
                 'salario_base' => 'nullable|numeric|min:0|max:9999999.99',
                 'porcentaje_comision' => 'nullable|numeric|min:0|max:100',
+                'horas_semanales' => 'nullable|integer|min:1|max:60',
+                'dias_vacaciones' => 'nullable|integer|min:0|max:60',
+                'renovacion_automatica' => 'boolean',
+                'periodo_renovacion_meses' => 'nullable|integer|min:1|max:60',
                 'observaciones' => 'nullable|string|max:1000',
-                'activo' => 'boolean',
             ], [
                 'fecha_inicio.after_or_equal' => 'La fecha de inicio debe ser hoy o posterior',
                 'fecha_fin.after' => 'La fecha de fin debe ser posterior a la fecha de inicio',
                 'tipo_contrato.in' => 'Tipo de contrato no válido para clínica dental',
                 'salario_base.max' => 'El salario base no puede exceder $9,999,999.99',
                 'porcentaje_comision.max' => 'El porcentaje de comisión no puede exceder 100%',
+                'horas_semanales.max' => 'Las horas semanales no pueden exceder 60',
             ]);
             
             if ($validator->fails()) {
@@ -333,7 +475,7 @@ public function storeContrato(Request $request, Doctor $doctor)
             
             // Verificar solapamiento de contratos activos
             $solapamiento = $doctor->contratos()
-                ->where('activo', true)
+                ->where('is_active', true)
                 ->where(function ($query) use ($request) {
                     $query->whereBetween('fecha_inicio', [$request->fecha_inicio, $request->fecha_fin])
                           ->orWhereBetween('fecha_fin', [$request->fecha_inicio, $request->fecha_fin])
@@ -348,9 +490,9 @@ public function storeContrato(Request $request, Doctor $doctor)
                 return $this->errorResponse('El período del contrato se superpone con otro contrato activo', 422);
             }
             
-            $contratoData = $request->all();
+            $contratoData = $validator->validated();
             $contratoData['created_by'] = $user->id;
-            $contratoData['activo'] = $request->boolean('activo', true);
+            $contratoData['is_active'] = true;
             
             $contrato = $doctor->contratos()->create($contratoData);
             
@@ -358,15 +500,148 @@ public function storeContrato(Request $request, Doctor $doctor)
                 'doctor_id' => $doctor->id,
                 'doctor_name' => "{$doctor->nombre} {$doctor->apellido}",
                 'contract_type' => $contrato->tipo_contrato,
-                'contract_period' => "{$contrato->fecha_inicio} - {$contrato->fecha_fin}",
+                'contract_period' => "{$contrato->fecha_inicio->toDateString()} - {$contrato->fecha_fin->toDateString()}",
                 'created_by' => $user->name,
                 'security_level' => 'high',
             ]);
             
-            return $this->successResponse($contrato, 'Contrato creado exitosamente', 201);
+            return $this->successResponse($this->presentarContrato($contrato), 'Contrato creado exitosamente', 201);
         }, 'creación de contrato de doctor');
     }
 
+    /**
+     * Renovar contrato: se desactiva y se crea uno nuevo desde el día siguiente a su fin
+     */
+    public function renovarContrato(Request $request, Doctor $doctor, DoctorContract $contrato)
+    {
+        return $this->handleMedicalAction(function () use ($request, $doctor, $contrato) {
+            $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden renovar contratos');
+            }
+
+            if ($contrato->doctor_id != $doctor->id) {
+                return $this->notFoundResponse('Contrato');
+            }
+
+            // Un contrato sin fecha de fin no vence: no hay nada que renovar
+            if (!$contrato->fecha_fin) {
+                return $this->errorResponse('El contrato no tiene fecha de fin y no necesita renovación', 422);
+            }
+
+            $validator = Validator::make($request->all(), [
+                'fecha_fin' => 'nullable|date|after:' . $contrato->fecha_fin->toDateString(),
+                'salario_base' => 'nullable|numeric|min:0|max:9999999.99',
+            ], [
+                'fecha_fin.after' => 'La nueva fecha de fin debe ser posterior al fin del contrato actual',
+                'salario_base.max' => 'El salario base no puede exceder $9,999,999.99',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            if (!$contrato->is_active || !$contrato->puedeSerRenovado()) {
+                return $this->errorResponse('Solo se pueden renovar contratos activos próximos a vencer (o vencidos con renovación automática)', 422);
+            }
+
+            try {
+                $nuevo = DB::transaction(fn () => $contrato->renovar(
+                    $request->fecha_fin ? Carbon::parse($request->fecha_fin) : null,
+                    $request->salario_base
+                ));
+            } catch (\InvalidArgumentException $e) {
+                return $this->errorResponse($e->getMessage(), 422);
+            }
+
+            $this->logMedicalActivity('Contrato de doctor renovado', 'doctor_contracts', $nuevo->id, $request, [
+                'doctor_id' => $doctor->id,
+                'previous_contract_id' => $contrato->id,
+                'contract_period' => "{$nuevo->fecha_inicio->toDateString()} - {$nuevo->fecha_fin->toDateString()}",
+                'renewed_by' => $user->name,
+                'security_level' => 'high',
+            ]);
+
+            return $this->successResponse($this->presentarContrato($nuevo), 'Contrato renovado exitosamente', 201);
+        }, 'renovación de contrato de doctor');
+    }
+
+    /**
+     * Terminar contrato anticipadamente
+     */
+    public function terminarContrato(Request $request, Doctor $doctor, DoctorContract $contrato)
+    {
+        return $this->handleMedicalAction(function () use ($request, $doctor, $contrato) {
+            $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden terminar contratos');
+            }
+
+            if ($contrato->doctor_id != $doctor->id) {
+                return $this->notFoundResponse('Contrato');
+            }
+
+            if (!$contrato->is_active) {
+                return $this->errorResponse('El contrato ya no está activo', 422);
+            }
+
+            // Los contratos sin fecha de fin solo se acotan por su inicio
+            $reglaTerminacion = 'required|date|after:' . $contrato->fecha_inicio->toDateString();
+            if ($contrato->fecha_fin) {
+                $reglaTerminacion .= '|before_or_equal:' . $contrato->fecha_fin->toDateString();
+            }
+
+            $validator = Validator::make($request->all(), [
+                'motivo' => 'required|string|max:500',
+                'fecha_terminacion' => $reglaTerminacion,
+            ], [
+                'motivo.required' => 'Debe especificar el motivo de la terminación',
+                'fecha_terminacion.after' => 'La terminación debe ser posterior al inicio del contrato',
+                'fecha_terminacion.before_or_equal' => 'La terminación no puede ser posterior al fin del contrato',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $contrato->terminar($request->motivo, Carbon::parse($request->fecha_terminacion));
+
+            $this->logMedicalActivity('Contrato de doctor terminado', 'doctor_contracts', $contrato->id, $request, [
+                'doctor_id' => $doctor->id,
+                'termination_date' => $request->fecha_terminacion,
+                'termination_reason' => $request->motivo,
+                'terminated_by' => $user->name,
+                'security_level' => 'high',
+            ]);
+
+            return $this->successResponse($this->presentarContrato($contrato->fresh()), 'Contrato terminado');
+        }, 'terminación de contrato de doctor');
+    }
+
+    /**
+     * Contratos activos que vencen en los próximos días (widget del panel de administración)
+     */
+    public function contratosPorVencer(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            if ($request->user()->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden consultar contratos');
+            }
+
+            $dias = min(max((int) $request->get('dias', 30), 1), 365);
+
+            $contratos = DoctorContract::proximosAVencer($dias)
+                ->with('doctor:id,nombre,apellido,especialidad_id', 'doctor.especialidad:id,nombre')
+                ->orderBy('fecha_fin')
+                ->get()
+                ->map(fn ($contrato) => $this->presentarContrato($contrato));
+
+            return $this->successResponse($contratos, 'Contratos próximos a vencer obtenidos');
+        }, 'consulta de contratos próximos a vencer');
+    }
+
     /**
      * Obtener horarios del doctor dental
      */
@@ -483,6 +758,94 @@ public function storeHorario(Request $request, Doctor $doctor)
         }, 'creación de horario de doctor');
     }
 
+    /**
+     * Reemplazar la plantilla semanal de horarios del doctor (solo administradores)
+     */
+    public function actualizarHorarios(Request $request, Doctor $doctor)
+    {
+        return $this->handleMedicalAction(function () use ($request, $doctor) {
+            $user = $request->user();
+            
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden modificar horarios');
+            }
+            
+            $validator = Validator::make($request->all(), [
+                'horarios' => 'present|array',
+                'horarios.*.day_of_week' => 'required|integer|between:1,6', // 1=Lunes, 6=Sábado (no domingos)
+                'horarios.*.start_time' => 'required|date_format:H:i',
+                'horarios.*.end_time' => 'required|date_format:H:i',
+                'horarios.*.slot_duration' => 'required|integer|min:15|max:120',
+            ], [
+                'horarios.*.day_of_week.between' => 'Día de semana no válido (1=Lunes a 6=Sábado)',
+                'horarios.*.start_time.date_format' => 'Formato de hora de inicio inválido (HH:MM)',
+                'horarios.*.end_time.date_format' => 'Formato de hora de fin inválido (HH:MM)',
+                'horarios.*.slot_duration.min' => 'La duración mínima de consulta es 15 minutos',
+                'horarios.*.slot_duration.max' => 'La duración máxima de consulta es 120 minutos',
+            ]);
+            
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+            
+            $diasSemana = [1 => 'Lunes', 2 => 'Martes', 3 => 'Miércoles', 4 => 'Jueves', 5 => 'Viernes', 6 => 'Sábado'];
+            $bloques = collect($request->horarios)->map(fn ($bloque) => [
+                'day_of_week' => (int) $bloque['day_of_week'],
+                'start_time' => $bloque['start_time'],
+                'end_time' => $bloque['end_time'],
+                'slot_duration' => (int) $bloque['slot_duration'],
+                'is_active' => true,
+            ])->sortBy(['day_of_week', 'start_time'])->values();
+            
+            // Horarios permitidos: L-V 8:00-18:00, S 8:00-13:00, y al menos un turno por bloque
+            foreach ($bloques as $bloque) {
+                $dia = $diasSemana[$bloque['day_of_week']];
+                $cierre = $bloque['day_of_week'] <= 5 ? '18:00' : '13:00';
+                $rango = "{$bloque['start_time']}-{$bloque['end_time']}";
+                
+                if ($bloque['start_time'] < '08:00' || $bloque['end_time'] > $cierre) {
+                    return $this->errorResponse("{$dia} {$rango}: fuera del horario de la clínica (08:00-{$cierre})", 422);
+                }
+                
+                $minutos = Carbon::createFromFormat('H:i', $bloque['start_time'])
+                    ->diffInMinutes(Carbon::createFromFormat('H:i', $bloque['end_time']), false);
+                if ($minutos < $bloque['slot_duration']) {
+                    return $this->errorResponse("{$dia} {$rango}: el bloque es más corto que un turno de {$bloque['slot_duration']} minutos", 422);
+                }
+            }
+            
+            // Bloques ordenados: alcanza con comparar cada uno con el anterior del mismo día
+            foreach ($bloques as $index => $bloque) {
+                $anterior = $bloques->get($index - 1);
+                if ($anterior && $anterior['day_of_week'] === $bloque['day_of_week'] && $anterior['end_time'] > $bloque['start_time']) {
+                    return $this->errorResponse(
+                        "{$diasSemana[$bloque['day_of_week']]}: el bloque {$bloque['start_time']}-{$bloque['end_time']} se superpone con {$anterior['start_time']}-{$anterior['end_time']}",
+                        422
+                    );
+                }
+            }
+            
+            // La plantilla se reemplaza completa; el índice único incluye las filas borradas
+            DB::transaction(function () use ($doctor, $bloques) {
+                $doctor->horarios()->withTrashed()->forceDelete();
+                $doctor->horarios()->createMany($bloques->all());
+            });
+            
+            $this->logMedicalActivity('Horarios de doctor actualizados', 'doctor_schedules', null, $request, [
+                'doctor_id' => $doctor->id,
+                'doctor_name' => "{$doctor->nombre} {$doctor->apellido}",
+                'schedules' => $bloques->map(fn ($bloque) => "{$diasSemana[$bloque['day_of_week']]} {$bloque['start_time']}-{$bloque['end_time']} ({$bloque['slot_duration']} min)")->all(),
+                'updated_by' => $user->name,
+                'security_level' => 'medium',
+            ]);
+            
+            return $this->successResponse(
+                $doctor->horarios()->orderBy('day_of_week')->orderBy('start_time')->get(),
+                'Horarios del doctor actualizados exitosamente'
+            );
+        }, 'actualización de horarios de doctor');
+    }
+
     /**
      * Obtener slots disponibles para doctor dental en fecha específica
      */
@@ -547,4 +910,52 @@ public function slotsDisponibles(Doctor $doctor, Request $request)
             }
         }, 'consulta de slots de doctor');
     }
+
+    /**
+     * Contrato con los datos calculados que muestra la pantalla de contratos
+     */
+    private function presentarContrato(DoctorContract $contrato): DoctorContract
+    {
+        // Sin fecha de fin no hay días restantes ni renovación que calcular
+        if (!$contrato->fecha_fin) {
+            return $contrato->append(['tipo_contrato_texto', 'estado_contrato']);
+        }
+
+        return $contrato->append([
+            'tipo_contrato_texto',
+            'dias_restantes',
+            'porcentaje_transcurrido',
+            'estado_contrato',
+            'puede_renovarse',
+        ]);
+    }
+
+    /**
+     * Turnos que permiten los horarios activos del doctor en el período, sin feriados ni ausencias
+     */
+    private function capacidadEnPeriodo(Doctor $doctor, Carbon $desde, Carbon $hasta): int
+    {
+        $turnosPorDia = $doctor->horariosActivos
+            ->groupBy('day_of_week')
+            ->map(fn ($bloques) => $bloques->sum(fn ($bloque) => count($bloque->getTimeSlots())));
+
+        $feriados = Feriado::entreFechas($desde->toDateString(), $hasta->toDateString())
+            ->pluck('fecha')
+            ->map(fn ($fecha) => $fecha->toDateString())
+            ->all();
+        $ausencias = $doctor->ausencias()->entreFechas($desde->toDateString(), $hasta->toDateString())->get();
+
+        $capacidad = 0;
+        for ($fecha = $desde->copy(); $fecha->lte($hasta); $fecha->addDay()) {
+            $dia = $fecha->toDateString();
+            $bloqueado = in_array($dia, $feriados)
+                || $ausencias->contains(fn ($ausencia) => $ausencia->fecha_desde->toDateString() <= $dia && $ausencia->fecha_hasta->toDateString() >= $dia);
+
+            if (!$bloqueado) {
+                $capacidad += $turnosPorDia->get($fecha->dayOfWeek, 0);
+            }
+        }
+
+        return $capacidad;
+    }
 }
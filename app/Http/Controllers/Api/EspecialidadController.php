@@ -4,7 +4,9 @@
 
 use App\Http\Controllers\Controller;
 use App\Models\Especialidad;
+use App\Models\Turno;
 use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Validator;
 
@@ -21,32 +23,12 @@
 class EspecialidadController extends Controller
 {
     /**
-     * Constructor del controlador de especialidades dentales
+     * Nombres de campo que envían los clientes anteriores => columna actual
      */
-    public function __construct()
-    {
-        // Middleware de autenticación médica requerido
-        $this->middleware('auth:sanctum');
-        
-        // Solo personal administrativo puede gestionar especialidades (excepto consulta)
-        $this->middleware(function ($request, $next) {
-            $user = $request->user();
-            
-            // Para métodos de consulta (GET), permitir más roles
-            if ($request->isMethod('get')) {
-                if (!in_array($user->rol, ['admin', 'secretaria', 'operador', 'doctor'])) {
-                    return $this->forbiddenResponse('Acceso restringido: Solo personal autorizado');
-                }
-            } else {
-                // Para métodos de modificación, solo admin
-                if ($user->rol !== 'admin') {
-                    return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
-                }
-            }
-            
-            return $next($request);
-        });
-    }
+    private const CAMPOS_ANTERIORES = [
+        'duracion_consulta_default' => 'duracion_cita_default',
+        'requiere_historia_clinica' => 'requiere_autorizacion',
+    ];
 
     /**
      * Listar especialidades dentales activas
@@ -55,6 +37,10 @@ public function index(Request $request)
     {
         return $this->handleMedicalAction(function () use ($request) {
             $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria', 'operador', 'doctor'])) {
+                return $this->forbiddenResponse('Acceso restringido: Solo personal autorizado');
+            }
             
             $query = Especialidad::where('activo', true);
             
@@ -94,14 +80,19 @@ public function store(Request $request)
     {
         return $this->handleMedicalAction(function () use ($request) {
             $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
             
-            $validator = Validator::make($request->all(), [
+            $validator = Validator::make($this->especialidadInput($request), [
                 'nombre' => 'required|string|max:100|unique:especialidades,nombre|regex:/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s\-]+$/',
                 'descripcion' => 'nullable|string|max:1000',
                 'codigo' => 'nullable|string|max:10|unique:especialidades,codigo|regex:/^[A-Z0-9]+$/',
-                'duracion_consulta_default' => 'nullable|integer|min:15|max:120', // minutos
+                'duracion_cita_default' => 'nullable|integer|min:15|max:120', // minutos
                 'precio_base' => 'nullable|numeric|min:0|max:999999.99',
-                'requiere_historia_clinica' => 'boolean',
+                'requiere_autorizacion' => 'boolean',
+                'color_identificacion' => 'nullable|regex:/^#[0-9a-fA-F]{6}$/',
                 'activo' => 'boolean',
             ], [
                 'nombre.required' => 'El nombre de la especialidad es obligatorio',
@@ -109,9 +100,10 @@ public function store(Request $request)
                 'nombre.regex' => 'El nombre solo puede contener letras, espacios y guiones',
                 'codigo.unique' => 'Ya existe una especialidad con este código',
                 'codigo.regex' => 'El código debe contener solo letras mayúsculas y números',
-                'duracion_consulta_default.min' => 'La duración mínima de consulta es 15 minutos',
-                'duracion_consulta_default.max' => 'La duración máxima de consulta es 120 minutos',
+                'duracion_cita_default.min' => 'La duración mínima de consulta es 15 minutos',
+                'duracion_cita_default.max' => 'La duración máxima de consulta es 120 minutos',
                 'precio_base.max' => 'El precio base no puede exceder $999,999.99',
+                'color_identificacion.regex' => 'El color debe tener el formato #RRGGBB',
             ]);
             
             if ($validator->fails()) {
@@ -119,19 +111,18 @@ public function store(Request $request)
             }
             
             try {
-                $especialidadData = $request->all();
-                $especialidadData['created_by'] = $user->id;
+                $especialidadData = $validator->validated();
                 $especialidadData['activo'] = $request->boolean('activo', true);
-                $especialidadData['requiere_historia_clinica'] = $request->boolean('requiere_historia_clinica', true);
-                $especialidadData['duracion_consulta_default'] = $request->get('duracion_consulta_default', 30);
+                $especialidadData['requiere_autorizacion'] = (bool) ($especialidadData['requiere_autorizacion'] ?? false);
+                $especialidadData['duracion_cita_default'] = $especialidadData['duracion_cita_default'] ?? 30;
                 
                 $especialidad = Especialidad::create($especialidadData);
                 
                 $this->logMedicalActivity('Nueva especialidad dental creada', 'especialidades', $especialidad->id, $request, [
                     'specialty_name' => $especialidad->nombre,
                     'specialty_code' => $especialidad->codigo,
-                    'default_duration' => $especialidad->duracion_consulta_default,
-                    'requires_medical_history' => $especialidad->requiere_historia_clinica,
+                    'default_duration' => $especialidad->duracion_cita_default,
+                    'requires_authorization' => $especialidad->requiere_autorizacion,
                     'created_by' => $user->name,
                     'security_level' => 'medium',
                 ]);
@@ -158,6 +149,10 @@ public function show(Especialidad $especialidad, Request $request)
     {
         return $this->handleMedicalAction(function () use ($especialidad, $request) {
             $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria', 'operador', 'doctor'])) {
+                return $this->forbiddenResponse('Acceso restringido: Solo personal autorizado');
+            }
             
             // Cargar doctores activos de la especialidad si se solicita
             if ($request->boolean('with_doctors')) {
@@ -184,37 +179,43 @@ public function update(Request $request, Especialidad $especialidad)
     {
         return $this->handleMedicalAction(function () use ($request, $especialidad) {
             $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
             
-            $validator = Validator::make($request->all(), [
+            $validator = Validator::make($this->especialidadInput($request), [
                 'nombre' => 'required|string|max:100|unique:especialidades,nombre,' . $especialidad->id . '|regex:/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s\-]+$/',
                 'descripcion' => 'nullable|string|max:1000',
                 'codigo' => 'nullable|string|max:10|unique:especialidades,codigo,' . $especialidad->id . '|regex:/^[A-Z0-9]+$/',
-                'duracion_consulta_default' => 'nullable|integer|min:15|max:120',
+                'duracion_cita_default' => 'nullable|integer|min:15|max:120',
                 'precio_base' => 'nullable|numeric|min:0|max:999999.99',
-                'requiere_historia_clinica' => 'boolean',
-                'activo' => 'boolean',
+                'requiere_autorizacion' => 'boolean',
+                'color_identificacion' => 'nullable|regex:/^#[0-9a-fA-F]{6}$/',
             ], [
                 'nombre.unique' => 'Ya existe otra especialidad con este nombre',
                 'nombre.regex' => 'El nombre solo puede contener letras, espacios y guiones',
                 'codigo.unique' => 'Ya existe otra especialidad con este código',
                 'codigo.regex' => 'El código debe contener solo letras mayúsculas y números',
-                'duracion_consulta_default.min' => 'La duración mínima de consulta es 15 minutos',
-                'duracion_consulta_default.max' => 'La duración máxima de consulta es 120 minutos',
+                'duracion_cita_default.min' => 'La duración mínima de consulta es 15 minutos',
+                'duracion_cita_default.max' => 'La duración máxima de consulta es 120 minutos',
                 'precio_base.max' => 'El precio base no puede exceder $999,999.99',
+                'color_identificacion.regex' => 'El color debe tener el formato #RRGGBB',
             ]);
             
             if ($validator->fails()) {
                 return $this->validationErrorResponse($validator);
             }
             
+            // El estado se cambia con desactivar/activar, que controlan doctores y turnos
             $originalData = $especialidad->toArray();
-            $especialidad->update($request->all());
+            $especialidad->update($validator->validated());
             
             $this->logMedicalActivity('Especialidad dental actualizada', 'especialidades', $especialidad->id, $request, [
                 'specialty_name' => $especialidad->nombre,
                 'specialty_code' => $especialidad->codigo,
                 'updated_by' => $user->name,
-                'changes' => array_diff_assoc($request->all(), $originalData),
+                'changes' => array_diff_assoc($validator->validated(), $originalData),
                 'security_level' => 'medium',
             ]);
             
@@ -229,6 +230,10 @@ public function destroy(Especialidad $especialidad, Request $request)
     {
         return $this->handleMedicalAction(function () use ($especialidad, $request) {
             $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
             
             // Verificar si tiene doctores activos asociados
             $doctoresActivos = $especialidad->doctores()
@@ -242,9 +247,10 @@ public function destroy(Especialidad $especialidad, Request $request)
                 );
             }
             
-            // Verificar si tiene turnos programados
+            // Verificar si tiene turnos programados a futuro
             $turnosProgramados = $especialidad->turnos()
-                ->whereIn('estado', ['programado', 'confirmado'])
+                ->whereIn('turnos.estado', ['programado', 'confirmado'])
+                ->where('turnos.fecha', '>=', today()->toDateString())
                 ->count();
             
             if ($turnosProgramados > 0) {
@@ -267,6 +273,89 @@ public function destroy(Especialidad $especialidad, Request $request)
         }, 'desactivación de especialidad dental');
     }
 
+    /**
+     * Listado para administración: activas e inactivas en su orden, con doctores activos y turnos próximos
+     */
+    public function gestion(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            if ($request->user()->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
+
+            $especialidades = Especialidad::ordenadas()
+                ->withCount([
+                    'doctores as doctores_activos_count' => fn ($q) => $q->where('activo', true),
+                    'turnos as turnos_proximos_count' => fn ($q) => $q
+                        ->whereIn('turnos.estado', [Turno::ESTADO_PROGRAMADO, Turno::ESTADO_CONFIRMADO])
+                        ->where('turnos.fecha', '>=', today()->toDateString()),
+                ])
+                ->get();
+
+            return $this->successResponse($especialidades, 'Especialidades obtenidas exitosamente');
+        }, 'consulta de gestión de especialidades');
+    }
+
+    /**
+     * Reactivar especialidad dental (solo administradores)
+     */
+    public function activar(Especialidad $especialidad, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($especialidad, $request) {
+            if ($request->user()->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
+
+            $especialidad->activar();
+
+            $this->logMedicalActivity('Especialidad dental activada', 'especialidades', $especialidad->id, $request, [
+                'specialty_name' => $especialidad->nombre,
+                'activated_by' => $request->user()->name,
+            ]);
+
+            return $this->successResponse($especialidad, 'Especialidad dental activada exitosamente');
+        }, 'activación de especialidad dental');
+    }
+
+    /**
+     * Guardar el orden de visualización (ids en el orden deseado)
+     */
+    public function reordenar(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            if ($request->user()->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden gestionar especialidades');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'ids' => 'required|array|min:1',
+                'ids.*' => 'integer|distinct|exists:especialidades,id',
+            ], [
+                'ids.required' => 'Indique el orden de las especialidades',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            DB::transaction(function () use ($request) {
+                foreach (array_values($request->ids) as $indice => $id) {
+                    Especialidad::whereKey($id)->update(['orden_visualizacion' => $indice + 1]);
+                }
+            });
+
+            $this->logMedicalActivity('Orden de especialidades actualizado', 'especialidades', null, $request, [
+                'order' => $request->ids,
+                'updated_by' => $request->user()->name,
+            ]);
+
+            return $this->successResponse(
+                Especialidad::ordenadas()->get(['id', 'nombre', 'orden_visualizacion']),
+                'Orden de especialidades actualizado'
+            );
+        }, 'orden de especialidades');
+    }
+
     /**
      * Obtener doctores de una especialidad dental específica
      */
@@ -274,6 +363,10 @@ public function doctores(Especialidad $especialidad, Request $request)
     {
         return $this->handleMedicalAction(function () use ($especialidad, $request) {
             $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria', 'operador', 'doctor'])) {
+                return $this->forbiddenResponse('Acceso restringido: Solo personal autorizado');
+            }
             
             $query = $especialidad->doctores()->where('activo', true);
             
@@ -304,4 +397,21 @@ public function doctores(Especialidad $especialidad, Request $request)
             return $this->successResponse($doctores, 'Doctores de la especialidad obtenidos exitosamente');
         }, 'consulta de doctores por especialidad');
     }
+
+    /**
+     * Datos de la especialidad con los nombres de campo anteriores pasados a los actuales
+     */
+    private function especialidadInput(Request $request): array
+    {
+        $input = $request->all();
+
+        foreach (self::CAMPOS_ANTERIORES as $anterior => $actual) {
+            if (array_key_exists($anterior, $input) && !array_key_exists($actual, $input)) {
+                $input[$actual] = $input[$anterior];
+            }
+            unset($input[$anterior]);
+        }
+
+        return $input;
+    }
 }
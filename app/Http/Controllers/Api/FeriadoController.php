@@ -0,0 +1,130 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\Feriado;
+use App\Models\Turno;
+use App\Services\AppointmentValidationService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Feriados de la clínica: bloquean la agenda de todos los doctores
+ */
+class FeriadoController extends Controller
+{
+    protected $appointmentValidationService;
+
+    public function __construct(AppointmentValidationService $appointmentValidationService)
+    {
+        $this->appointmentValidationService = $appointmentValidationService;
+    }
+
+    /**
+     * Listar feriados de un año o de un rango de fechas
+     */
+    public function index(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $validator = Validator::make($request->all(), [
+                'anio' => 'nullable|integer|between:2000,2100',
+                'fecha_desde' => 'nullable|date',
+                'fecha_hasta' => 'nullable|date|after_or_equal:fecha_desde',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $query = Feriado::query();
+
+            if ($request->filled('fecha_desde') || $request->filled('fecha_hasta')) {
+                $query->entreFechas(
+                    $request->get('fecha_desde', '2000-01-01'),
+                    $request->get('fecha_hasta', '2100-12-31')
+                );
+            } else {
+                $anio = $request->get('anio', now()->year);
+                $query->entreFechas("{$anio}-01-01", "{$anio}-12-31");
+            }
+
+            return $this->successResponse($query->orderBy('fecha')->get(), 'Feriados obtenidos');
+        }, 'consulta de feriados');
+    }
+
+    /**
+     * Registrar un feriado; devuelve los turnos ya dados para ese día
+     */
+    public function store(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if ($user->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden registrar feriados');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'fecha' => 'required|date|unique:feriados,fecha',
+                'nombre' => 'required|string|max:100',
+            ], [
+                'fecha.unique' => 'Ya hay un feriado registrado en esa fecha',
+                'nombre.required' => 'Indique el nombre del feriado',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $feriado = Feriado::create([
+                ...$validator->validated(),
+                'created_by' => $user->id,
+            ]);
+
+            // Bloquea a todos los doctores: sus horarios disponibles cacheados de ese día dejan de valer
+            $this->appointmentValidationService->clearValidationCacheBetween(null, $request->fecha, $request->fecha);
+
+            $afectados = Turno::pendientes()
+                ->whereDate('fecha', $request->fecha)
+                ->with(['paciente:id,nombre,apellido,dni,telefono,email', 'doctor:id,nombre,apellido'])
+                ->orderBy('hora_inicio')
+                ->get();
+
+            $this->logMedicalActivity('Feriado registrado', 'feriados', $feriado->id, $request, [
+                'date' => $request->fecha,
+                'name' => $feriado->nombre,
+                'affected_turnos' => $afectados->pluck('id')->all(),
+                'created_by' => $user->name,
+            ]);
+
+            return $this->successResponse([
+                'feriado' => $feriado,
+                'turnos_afectados' => $afectados,
+            ], 'Feriado registrado', 201);
+        }, 'registro de feriado');
+    }
+
+    /**
+     * Eliminar un feriado
+     */
+    public function destroy(Feriado $feriado, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($feriado, $request) {
+            if ($request->user()->rol !== 'admin') {
+                return $this->forbiddenResponse('Solo administradores pueden eliminar feriados');
+            }
+
+            $feriado->delete();
+            $fecha = $feriado->fecha->toDateString();
+            $this->appointmentValidationService->clearValidationCacheBetween(null, $fecha, $fecha);
+
+            $this->logMedicalActivity('Feriado eliminado', 'feriados', $feriado->id, $request, [
+                'date' => $feriado->fecha->toDateString(),
+                'name' => $feriado->nombre,
+            ]);
+
+            return $this->successResponse(null, 'Feriado eliminado');
+        }, 'eliminación de feriado');
+    }
+}
@@ -0,0 +1,250 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\Doctor;
+use App\Models\ListaEspera;
+use App\Models\Turno;
+use App\Services\AppointmentValidationService;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Lista de espera de pacientes que quieren un turno antes
+ * Se ofrece al cancelar un turno para ocupar el horario liberado
+ */
+class ListaEsperaController extends Controller
+{
+    protected $appointmentValidationService;
+
+    public function __construct(AppointmentValidationService $appointmentValidationService)
+    {
+        $this->appointmentValidationService = $appointmentValidationService;
+    }
+
+    /**
+     * Listar entradas de la lista de espera
+     */
+    public function index(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $query = ListaEspera::with([
+                'paciente:id,nombre,apellido,dni,telefono,email',
+                'doctor:id,nombre,apellido,especialidad_id',
+                'especialidad:id,nombre',
+            ])->where('estado', $request->get('estado', ListaEspera::ESTADO_ACTIVA));
+
+            if ($request->filled('doctor_id')) {
+                $query->where('doctor_id', $request->doctor_id);
+            }
+
+            if ($request->filled('especialidad_id')) {
+                $query->where('especialidad_id', $request->especialidad_id);
+            }
+
+            return $this->successResponse(
+                $query->orderBy('created_at')->get(),
+                'Lista de espera obtenida'
+            );
+        }, 'consulta de lista de espera');
+    }
+
+    /**
+     * Agregar un paciente a la lista de espera
+     */
+    public function store(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden gestionar la lista de espera');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'paciente_id' => 'required|exists:pacientes,id',
+                'doctor_id' => 'nullable|exists:doctores,id',
+                'especialidad_id' => 'required_without:doctor_id|nullable|exists:especialidades,id',
+                'dias_preferidos' => 'nullable|array',
+                'dias_preferidos.*' => 'integer|between:0,6',
+                'hora_desde' => 'nullable|date_format:H:i',
+                'hora_hasta' => 'nullable|date_format:H:i|after:hora_desde',
+                'observaciones' => 'nullable|string|max:500',
+            ], [
+                'paciente_id.required' => 'Debe seleccionar el paciente',
+                'especialidad_id.required_without' => 'Indique el doctor o la especialidad',
+                'hora_hasta.after' => 'La hora hasta debe ser posterior a la hora desde',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            // Con doctor, la especialidad es la del doctor
+            $especialidadId = $request->doctor_id
+                ? Doctor::findOrFail($request->doctor_id)->especialidad_id
+                : $request->especialidad_id;
+
+            $duplicada = ListaEspera::activas()
+                ->where('paciente_id', $request->paciente_id)
+                ->where('doctor_id', $request->doctor_id)
+                ->where('especialidad_id', $especialidadId)
+                ->exists();
+
+            if ($duplicada) {
+                return $this->errorResponse('El paciente ya está en la lista de espera para ese doctor o especialidad', 422);
+            }
+
+            $entrada = ListaEspera::create([
+                'paciente_id' => $request->paciente_id,
+                'doctor_id' => $request->doctor_id,
+                'especialidad_id' => $especialidadId,
+                'dias_preferidos' => $request->filled('dias_preferidos')
+                    ? array_values(array_unique(array_map('intval', $request->dias_preferidos)))
+                    : null,
+                'hora_desde' => $request->hora_desde,
+                'hora_hasta' => $request->hora_hasta,
+                'observaciones' => $request->observaciones,
+                'estado' => ListaEspera::ESTADO_ACTIVA,
+                'created_by' => $user->id,
+            ]);
+
+            $this->logMedicalActivity('Paciente agregado a lista de espera', 'lista_espera', $entrada->id, $request, [
+                'paciente_id' => $entrada->paciente_id,
+                'doctor_id' => $entrada->doctor_id,
+                'especialidad_id' => $entrada->especialidad_id,
+            ]);
+
+            return $this->successResponse(
+                $entrada->load(['paciente:id,nombre,apellido,dni,telefono,email', 'doctor:id,nombre,apellido', 'especialidad:id,nombre']),
+                'Paciente agregado a la lista de espera',
+                201
+            );
+        }, 'alta en lista de espera');
+    }
+
+    /**
+     * Quitar de la lista de espera (queda registrada como cancelada)
+     */
+    public function destroy(ListaEspera $listaEspera, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($listaEspera, $request) {
+            if (!in_array($request->user()->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden gestionar la lista de espera');
+            }
+
+            $listaEspera->update(['estado' => ListaEspera::ESTADO_CANCELADA]);
+
+            $this->logMedicalActivity('Paciente quitado de lista de espera', 'lista_espera', $listaEspera->id, $request);
+
+            return $this->successResponse(null, 'Paciente quitado de la lista de espera');
+        }, 'baja de lista de espera');
+    }
+
+    /**
+     * Pacientes en espera que aceptan el horario del turno (por orden de llegada)
+     */
+    public function coincidencias(Turno $turno)
+    {
+        return $this->handleMedicalAction(function () use ($turno) {
+            if ($turno->haComenzado()) {
+                return $this->errorResponse('El horario del turno ya pasó', 422);
+            }
+
+            $coincidencias = ListaEspera::coincidentesCon($turno->load('doctor'))
+                ->with(['paciente:id,nombre,apellido,dni,telefono,email', 'doctor:id,nombre,apellido', 'especialidad:id,nombre'])
+                ->get();
+
+            return $this->successResponse($coincidencias, 'Coincidencias de lista de espera obtenidas');
+        }, 'consulta de coincidencias de lista de espera');
+    }
+
+    /**
+     * Dar al paciente en espera el horario que liberó un turno cancelado
+     */
+    public function asignar(ListaEspera $listaEspera, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($listaEspera, $request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden programar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'turno_id' => 'required|exists:turnos,id',
+            ], [
+                'turno_id.required' => 'Indique el turno liberado',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            if ($listaEspera->estado !== ListaEspera::ESTADO_ACTIVA) {
+                return $this->errorResponse('El paciente ya no está en la lista de espera', 422);
+            }
+
+            $liberado = Turno::findOrFail($request->turno_id);
+            if (!in_array($liberado->estado, [Turno::ESTADO_CANCELADO, Turno::ESTADO_REPROGRAMADO])) {
+                return $this->errorResponse('El horario del turno no está libre', 422);
+            }
+
+            if ($liberado->haComenzado()) {
+                return $this->errorResponse('El horario del turno ya pasó', 422);
+            }
+
+            $datos = [
+                'doctor_id' => $liberado->doctor_id,
+                'paciente_id' => $listaEspera->paciente_id,
+                'fecha' => $liberado->fecha->toDateString(),
+                'hora_inicio' => $liberado->hora_inicio->format('H:i'),
+                'hora_fin' => $liberado->hora_fin
+                    ? $liberado->hora_fin->format('H:i')
+                    : $liberado->hora_inicio->copy()->addMinutes($liberado->duracion_minutos ?: 30)->format('H:i'),
+            ];
+
+            // El horario recién se liberó: no usar validaciones cacheadas
+            $this->appointmentValidationService->clearValidationCache($datos['doctor_id'], $datos['fecha']);
+            $errores = $this->appointmentValidationService->validateAppointment($datos, $liberado->id);
+            if (!empty($errores)) {
+                return $this->errorResponse(implode('. ', $errores), 422);
+            }
+
+            $turno = DB::transaction(function () use ($listaEspera, $liberado, $datos, $user) {
+                $turno = new Turno([
+                    ...$datos,
+                    'motivo' => $listaEspera->observaciones,
+                    'observaciones' => "Asignado desde la lista de espera (horario del turno #{$liberado->id})",
+                    'duracion_minutos' => $liberado->duracion_minutos ?: 30,
+                    'estado' => Turno::ESTADO_PROGRAMADO,
+                    'created_by' => $user->id,
+                ]);
+                $turno->motivoCambioEstado = 'Asignado desde la lista de espera';
+                $turno->save();
+
+                $listaEspera->update([
+                    'estado' => ListaEspera::ESTADO_ASIGNADA,
+                    'turno_id' => $turno->id,
+                ]);
+
+                return $turno;
+            });
+
+            $this->logMedicalActivity('Turno asignado desde lista de espera', 'turnos', $turno->id, $request, [
+                'lista_espera_id' => $listaEspera->id,
+                'freed_turno_id' => $liberado->id,
+                'patient_dni' => $turno->paciente->dni,
+                'scheduled_by' => $user->name,
+            ]);
+
+            return $this->successResponse(
+                $turno->load(['paciente', 'doctor.especialidad']),
+                'Turno asignado desde la lista de espera',
+                201
+            );
+        }, 'asignación desde lista de espera');
+    }
+}
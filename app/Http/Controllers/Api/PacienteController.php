@@ -8,6 +8,8 @@
 use App\Models\Evolucion;
 use App\Http\Requests\StorePacienteRequest;
 use App\Http\Requests\UpdatePacienteRequest;
+use App\Services\PacienteService;
+use App\Services\HistoriaClinicaService;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Validator;
 
@@ -19,15 +21,55 @@
 class PacienteController extends Controller
 {
     /**
-     * Listar pacientes de la clínica dental con paginación
+     * Columnas por las que se puede ordenar el listado
+     */
+    private const SORTABLE_COLUMNS = ['apellido', 'nombre', 'dni', 'fecha_nacimiento', 'obra_social', 'created_at'];
+
+    /**
+     * Campos de lista de la historia clínica
+     */
+    private const HISTORIA_CLINICA_LISTAS = [
+        'antecedentes_personales',
+        'antecedentes_familiares',
+        'antecedentes_quirurgicos',
+        'medicamentos_habituales',
+        'alergias',
+        'vacunas',
+    ];
+
+    /**
+     * Listar pacientes de la clínica dental con paginación, filtros y ordenamiento
      */
     public function index(Request $request)
     {
         return $this->handleMedicalAction(function () use ($request) {
-            $query = Paciente::where('activo', true);
+            $validator = Validator::make($request->all(), [
+                'activo' => 'nullable|in:0,1,todos',
+                'edad_min' => 'nullable|integer|min:0|max:120',
+                'edad_max' => 'nullable|integer|min:0|max:120|gte:edad_min',
+                'con_historia' => 'nullable|in:0,1',
+                'sort' => 'nullable|in:' . implode(',', self::SORTABLE_COLUMNS),
+                'direction' => 'nullable|in:asc,desc',
+                'per_page' => 'nullable|integer|min:1|max:100',
+            ], [
+                'edad_max.gte' => 'La edad máxima debe ser mayor o igual a la mínima',
+                'sort.in' => 'No se puede ordenar por esa columna',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $query = Paciente::query();
+
+            // Por defecto solo pacientes activos
+            $activo = $request->get('activo', '1');
+            if ($activo !== 'todos') {
+                $query->where('activo', (bool) $activo);
+            }
 
             // Filtros de búsqueda para clínica dental
-            if ($request->has('search')) {
+            if ($request->filled('search')) {
                 $search = $request->search;
                 $query->where(function ($q) use ($search) {
                     $q->where('nombre', 'like', "%{$search}%")
@@ -37,21 +79,32 @@ public function index(Request $request)
                 });
             }
 
-            if ($request->has('obra_social')) {
+            if ($request->filled('obra_social')) {
                 $query->where('obra_social', 'like', "%{$request->obra_social}%");
             }
 
+            if ($request->filled('edad_min') || $request->filled('edad_max')) {
+                $query->porEdad((int) $request->get('edad_min', 0), $request->filled('edad_max') ? (int) $request->edad_max : null);
+            }
+
+            if ($request->filled('con_historia')) {
+                $request->con_historia === '1'
+                    ? $query->conHistoriaClinica()
+                    : $query->whereDoesntHave('historiaClinicas');
+            }
+
             // Ordenamiento
-            $query->orderBy('apellido')->orderBy('nombre');
+            $direction = $request->get('direction', 'asc');
+            $query->orderBy($request->get('sort', 'apellido'), $direction)->orderBy('nombre', $direction)->orderBy('id');
 
             // Paginación
-            $perPage = min($request->get('per_page', 15), 50); // Máximo 50 por página
+            $perPage = min($request->get('per_page', 15), 100); // Máximo 100 por página
             $pacientes = $query->paginate($perPage);
 
             $this->logMedicalActivity('Consulta de lista de pacientes', 'pacientes', null, $request, [
                 'total_results' => $pacientes->total(),
                 'search_term' => $request->search,
-                'filters' => $request->only(['obra_social']),
+                'filters' => $request->only(['activo', 'obra_social', 'edad_min', 'edad_max', 'con_historia']),
             ]);
 
             return $this->paginatedResponse($pacientes, 'Lista de pacientes de la clínica obtenida');
@@ -184,6 +237,143 @@ public function destroy(Paciente $paciente)
         }, 'desactivación de paciente');
     }
 
+    /**
+     * Búsqueda rápida de pacientes para el selector de turnos
+     * Cada palabra se busca completa o por fragmentos para tolerar errores de tipeo
+     * en cualquier posición; el frontend ordena los candidatos por similitud
+     */
+    public function buscar(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $validator = Validator::make($request->all(), [
+                'search' => 'required_without:ids|string|min:2|max:100',
+                'ids' => 'nullable|array|max:50',
+                'ids.*' => 'integer',
+                'limit' => 'nullable|integer|min:1|max:50',
+            ], [
+                'search.required_without' => 'Ingrese un nombre o DNI para buscar',
+                'search.min' => 'Ingrese al menos 2 caracteres',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $query = Paciente::where('activo', true);
+
+            // Por ids: la lista de recientes guarda en el navegador solo los ids de los pacientes
+            if ($request->filled('ids')) {
+                $query->whereIn('id', $request->ids);
+            }
+
+            foreach (preg_split('/\s+/', trim($request->get('search', '')), -1, PREG_SPLIT_NO_EMPTY) as $term) {
+                $query->where(function ($q) use ($term) {
+                    if (ctype_digit($term)) {
+                        $q->where('dni', 'like', "%{$term}%");
+                        return;
+                    }
+
+                    foreach ($this->fragmentosBusqueda($term) as $fragmento) {
+                        $q->orWhere('nombre', 'like', "%{$fragmento}%")
+                          ->orWhere('apellido', 'like', "%{$fragmento}%");
+                    }
+                });
+            }
+
+            // Las alergias viajan con el resultado para alertar al reservar
+            $pacientes = $query->with('historiaClinicaActiva:id,paciente_id,alergias')
+                ->orderBy('apellido')
+                ->orderBy('nombre')
+                ->limit($request->get('limit', 20))
+                ->get(['id', 'nombre', 'apellido', 'dni', 'telefono', 'email', 'obra_social', 'fecha_nacimiento']);
+
+            return $this->successResponse($pacientes, 'Búsqueda de pacientes realizada');
+        }, 'búsqueda de pacientes');
+    }
+
+    /**
+     * La palabra completa y, si el frontend la acepta con errores (1 desde 4 letras, 2 desde 7),
+     * una parte más que errores admitidos: alguna de ellas queda sin el error de tipeo
+     */
+    private function fragmentosBusqueda(string $term): array
+    {
+        $largo = mb_strlen($term);
+        $errores = $largo >= 7 ? 2 : ($largo >= 4 ? 1 : 0);
+
+        if ($errores === 0) {
+            return [$term];
+        }
+
+        // Partes parejas para que ninguna quede de una sola letra
+        $fragmentos = [$term];
+        $partes = $errores + 1;
+        for ($i = 0, $inicio = 0; $i < $partes; $i++) {
+            $tamanio = intdiv($largo, $partes) + ($i < $largo % $partes ? 1 : 0);
+            $fragmentos[] = mb_substr($term, $inicio, $tamanio);
+            $inicio += $tamanio;
+        }
+
+        return array_unique($fragmentos);
+    }
+
+    /**
+     * Verificar que DNI y email no estén registrados antes de crear un paciente
+     */
+    public function validateAvailability(Request $request, PacienteService $pacienteService)
+    {
+        return $this->handleMedicalAction(function () use ($request, $pacienteService) {
+            $validator = Validator::make($request->all(), [
+                'dni' => 'required|string|max:20',
+                'email' => 'nullable|string|max:255',
+                'exclude_id' => 'nullable|integer',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $errors = $pacienteService->validateAvailability(
+                (string) $request->email,
+                $request->dni,
+                $request->exclude_id
+            );
+
+            return $this->successResponse([
+                'available' => empty($errors),
+                'errors' => $errors,
+            ], empty($errors) ? 'DNI y email disponibles' : 'DNI o email ya registrados');
+        }, 'validación de paciente');
+    }
+
+    /**
+     * Historial completo de turnos del paciente
+     */
+    public function historialTurnos(Paciente $paciente)
+    {
+        return $this->handleMedicalAction(function () use ($paciente) {
+            $user = request()->user();
+
+            // Mismo criterio que la historia clínica: el historial de turnos también es dato médico
+            if (!in_array($user->rol, ['admin', 'doctor', 'secretaria'])) {
+                return $this->forbiddenResponse('Sin permisos para acceder al historial de turnos del paciente');
+            }
+
+            $turnos = $paciente->turnos()
+                ->with(['doctor.especialidad'])
+                ->orderBy('fecha', 'desc')
+                ->orderBy('hora_inicio', 'desc')
+                ->get();
+
+            $this->logMedicalActivity('Consulta de historial de turnos', 'pacientes', $paciente->id, request(), [
+                'patient_dni' => $paciente->dni,
+                'accessed_by' => $user->name,
+                'total_turnos' => $turnos->count(),
+            ]);
+
+            return $this->successResponse($turnos, 'Historial de turnos obtenido');
+        }, 'consulta de historial de turnos');
+    }
+
     /**
      * Obtener historia clínica dental del paciente
      */
@@ -197,9 +387,11 @@ public function historiaClinica(Paciente $paciente)
                 return $this->forbiddenResponse('Sin permisos para acceder a historia clínica médica');
             }
 
-            $historiaClinica = HistoriaClinica::where('paciente_id', $paciente->id)
+            $historiaClinica = $paciente->historiaClinicaActiva()
                 ->with(['evoluciones' => function ($query) {
-                    $query->with('doctor')->orderBy('fecha', 'desc');
+                    $query->with('doctor')
+                          ->orderBy('fecha_evolucion', 'desc')
+                          ->orderBy('hora_evolucion', 'desc');
                 }, 'doctor'])
                 ->first();
 
@@ -221,9 +413,9 @@ public function historiaClinica(Paciente $paciente)
     /**
      * Crear historia clínica dental para nuevo paciente
      */
-    public function storeHistoriaClinica(Request $request, Paciente $paciente)
+    public function storeHistoriaClinica(Request $request, Paciente $paciente, HistoriaClinicaService $historiaClinicaService)
     {
-        return $this->handleMedicalAction(function () use ($request, $paciente) {
+        return $this->handleMedicalAction(function () use ($request, $paciente, $historiaClinicaService) {
             $user = $request->user();
             
             // Solo doctores pueden crear historias clínicas
@@ -231,34 +423,24 @@ public function storeHistoriaClinica(Request $request, Paciente $paciente)
                 return $this->forbiddenResponse('Solo doctores pueden crear historias clínicas');
             }
 
-            $validator = Validator::make($request->all(), [
-                'fecha_apertura' => 'required|date|before_or_equal:today',
-                'observaciones_generales' => 'nullable|string|max:2000',
-                'antecedentes_personales' => 'nullable|string|max:1500',
-                'antecedentes_familiares' => 'nullable|string|max:1500',
-                'medicamentos_actuales' => 'nullable|string|max:1000',
-                'alergias' => 'nullable|string|max:1000',
-                'patologias_previas' => 'nullable|string|max:1500',
-                'habitos' => 'nullable|string|max:1000',
-            ], [
-                'fecha_apertura.required' => 'La fecha de apertura es obligatoria',
-                'fecha_apertura.before_or_equal' => 'La fecha no puede ser futura',
-            ]);
+            $validator = Validator::make($this->historiaClinicaInput($request), $this->historiaClinicaRules(), $this->historiaClinicaMessages());
 
             if ($validator->fails()) {
                 return $this->validationErrorResponse($validator);
             }
 
-            // Verificar que no exista ya una historia clínica
-            if (HistoriaClinica::where('paciente_id', $paciente->id)->exists()) {
+            // Verificar que no exista ya una historia clínica activa
+            if ($paciente->historiaClinicaActiva()->exists()) {
                 return $this->errorResponse('El paciente ya tiene una historia clínica registrada', 422);
             }
 
-            $historiaClinica = HistoriaClinica::create([
-                'paciente_id' => $paciente->id,
+            $historiaClinica = $historiaClinicaService->create($paciente->id, [
+                ...$validator->validated(),
                 'doctor_id' => $user->doctor_id,
-                ...$request->all()
+                'estado' => HistoriaClinica::ESTADO_ACTIVA,
+                'activa' => true,
             ]);
+            $historiaClinica->calcularIMC();
 
             $this->logMedicalActivity('Historia clínica dental creada', 'historias_clinicas', $historiaClinica->id, $request, [
                 'patient_dni' => $paciente->dni,
@@ -274,6 +456,118 @@ public function storeHistoriaClinica(Request $request, Paciente $paciente)
         }, 'creación de historia clínica');
     }
 
+    /**
+     * Actualizar antecedentes, alergias y signos vitales de la historia clínica activa
+     */
+    public function updateHistoriaClinica(Request $request, Paciente $paciente)
+    {
+        return $this->handleMedicalAction(function () use ($request, $paciente) {
+            $user = $request->user();
+
+            if ($user->rol !== 'doctor') {
+                return $this->forbiddenResponse('Solo doctores pueden modificar historias clínicas');
+            }
+
+            $historiaClinica = $paciente->historiaClinicaActiva;
+            if (!$historiaClinica) {
+                return $this->errorResponse('El paciente no tiene una historia clínica activa', 404);
+            }
+
+            $validator = Validator::make($this->historiaClinicaInput($request), $this->historiaClinicaRules(), $this->historiaClinicaMessages());
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $oldValues = $historiaClinica->only(['alergias', 'peso', 'altura', 'presion_arterial']);
+
+            // El IMC sale del modelo, igual que en la vista de la historia clínica
+            $historiaClinica->fill($validator->validated());
+            $historiaClinica->imc = $historiaClinica->imc_calculado;
+            $historiaClinica->save();
+
+            $this->logMedicalActivity('Historia clínica dental actualizada', 'historias_clinicas', $historiaClinica->id, $request, [
+                'patient_dni' => $paciente->dni,
+                'updated_by' => $user->name,
+                'old_values' => $oldValues,
+            ]);
+
+            return $this->successResponse(
+                $historiaClinica->fresh(['doctor']),
+                'Historia clínica dental actualizada exitosamente'
+            );
+        }, 'actualización de historia clínica');
+    }
+
+    /**
+     * Datos de la historia clínica con los campos de lista como arrays: los clientes anteriores
+     * envían texto (y `medicamentos_actuales`), que se toma como un único elemento
+     */
+    private function historiaClinicaInput(Request $request): array
+    {
+        $input = $request->all();
+
+        if (!array_key_exists('medicamentos_habituales', $input) && array_key_exists('medicamentos_actuales', $input)) {
+            $input['medicamentos_habituales'] = $input['medicamentos_actuales'];
+        }
+
+        foreach (self::HISTORIA_CLINICA_LISTAS as $campo) {
+            if (isset($input[$campo]) && is_string($input[$campo])) {
+                $texto = trim($input[$campo]);
+                $input[$campo] = $texto === '' ? null : [$texto];
+            }
+        }
+
+        return $input;
+    }
+
+    /**
+     * Reglas comunes para crear y actualizar la historia clínica
+     */
+    private function historiaClinicaRules(): array
+    {
+        // Antecedentes, medicamentos y alergias conservan el largo que admitían como texto
+        return [
+            'antecedentes_personales' => 'nullable|array',
+            'antecedentes_personales.*' => 'string|max:1500',
+            'antecedentes_familiares' => 'nullable|array',
+            'antecedentes_familiares.*' => 'string|max:1500',
+            'antecedentes_quirurgicos' => 'nullable|array',
+            'antecedentes_quirurgicos.*' => 'string|max:255',
+            'medicamentos_habituales' => 'nullable|array',
+            'medicamentos_habituales.*' => 'string|max:1000',
+            'alergias' => 'nullable|array',
+            'alergias.*' => 'string|max:1000',
+            'vacunas' => 'nullable|array',
+            'vacunas.*' => 'string|max:255',
+            'grupo_sanguineo' => 'nullable|in:A,B,AB,O',
+            'factor_rh' => 'nullable|in:+,-',
+            'peso' => 'nullable|numeric|between:1,400',
+            'altura' => 'nullable|numeric|between:30,250',
+            'presion_arterial' => 'nullable|array',
+            'presion_arterial.sistolica' => 'required_with:presion_arterial|integer|between:60,260',
+            'presion_arterial.diastolica' => 'required_with:presion_arterial|integer|between:30,160|lt:presion_arterial.sistolica',
+            'frecuencia_cardiaca' => 'nullable|integer|between:30,220',
+            'temperatura' => 'nullable|numeric|between:34,43',
+            'observaciones_generales' => 'nullable|string|max:2000',
+        ];
+    }
+
+    private function historiaClinicaMessages(): array
+    {
+        return [
+            'grupo_sanguineo.in' => 'El grupo sanguíneo no es válido',
+            'factor_rh.in' => 'El factor RH debe ser + o -',
+            'peso.between' => 'El peso debe estar entre 1 y 400 kg',
+            'altura.between' => 'La altura debe estar entre 30 y 250 cm',
+            'presion_arterial.sistolica.between' => 'La presión sistólica debe estar entre 60 y 260 mmHg',
+            'presion_arterial.diastolica.between' => 'La presión diastólica debe estar entre 30 y 160 mmHg',
+            'presion_arterial.diastolica.lt' => 'La presión diastólica debe ser menor que la sistólica',
+            'frecuencia_cardiaca.between' => 'La frecuencia cardíaca debe estar entre 30 y 220 lpm',
+            'temperatura.between' => 'La temperatura debe estar entre 34 y 43 °C',
+        ];
+    }
+
     /**
      * Agregar evolución dental al paciente
      */
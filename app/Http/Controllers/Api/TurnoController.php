@@ -4,11 +4,15 @@
 
 use App\Http\Controllers\Controller;
 use App\Models\Turno;
+use App\Models\Evolucion;
 use App\Http\Requests\StoreTurnoRequest;
 use App\Http\Requests\UpdateTurnoRequest;
 use App\Services\TurnoService;
 use App\Services\AppointmentValidationService;
+use App\Services\HistoriaClinicaService;
 use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\Rule;
 use Illuminate\Support\Facades\Validator;
 use Carbon\Carbon;
 
@@ -35,7 +39,7 @@ public function index(Request $request)
     {
         return $this->handleMedicalAction(function () use ($request) {
             $user = $request->user();
-            $query = Turno::with(['paciente', 'doctor.especialidad']);
+            $query = Turno::with(['paciente.historiaClinicaActiva:id,paciente_id,alergias', 'doctor.especialidad']);
 
             // Filtros por rol de usuario
             if ($user->rol === 'doctor' && $user->doctor_id) {
@@ -43,38 +47,61 @@ public function index(Request $request)
                 $query->where('doctor_id', $user->doctor_id);
             }
 
+            $validator = Validator::make($request->all(), [
+                'fecha' => 'nullable|date',
+                'fecha_desde' => 'nullable|date',
+                'fecha_hasta' => 'nullable|date|after_or_equal:fecha_desde',
+                'doctor_id' => 'nullable|integer',
+                'especialidad_id' => 'nullable|integer',
+                'paciente_id' => 'nullable|integer',
+                'estado' => 'nullable|string',
+                'search_paciente' => 'nullable|string|max:100',
+                'per_page' => 'nullable|integer|min:1|max:100',
+            ], [
+                'fecha_hasta.after_or_equal' => 'La fecha hasta debe ser posterior o igual a la fecha desde',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
             // Filtros de búsqueda
-            if ($request->has('doctor_id') && in_array($user->rol, ['admin', 'secretaria'])) {
+            if ($request->filled('doctor_id') && in_array($user->rol, ['admin', 'secretaria'])) {
                 $query->where('doctor_id', $request->doctor_id);
             }
 
-            if ($request->has('paciente_id')) {
+            if ($request->filled('paciente_id')) {
                 $query->where('paciente_id', $request->paciente_id);
             }
 
-            if ($request->has('fecha')) {
+            if ($request->filled('fecha')) {
                 $query->where('fecha', $request->fecha);
+            } elseif ($request->filled('fecha_desde') || $request->filled('fecha_hasta')) {
+                if ($request->filled('fecha_desde')) {
+                    $query->where('fecha', '>=', $request->fecha_desde);
+                }
+                if ($request->filled('fecha_hasta')) {
+                    $query->where('fecha', '<=', $request->fecha_hasta);
+                }
             } else {
                 // Por defecto mostrar turnos desde hoy
                 $query->where('fecha', '>=', now()->toDateString());
             }
 
-            if ($request->has('estado')) {
-                $query->where('estado', $request->estado);
+            // Uno o varios estados separados por coma
+            if ($request->filled('estado')) {
+                $estados = array_intersect(explode(',', $request->estado), array_keys(Turno::getEstados()));
+                $query->whereIn('estado', $estados);
             }
 
-            if ($request->has('especialidad_id')) {
+            if ($request->filled('especialidad_id')) {
                 $query->whereHas('doctor', function ($q) use ($request) {
                     $q->where('especialidad_id', $request->especialidad_id);
                 });
             }
 
-            if ($request->has('fecha_desde') && $request->has('fecha_hasta')) {
-                $query->whereBetween('fecha', [$request->fecha_desde, $request->fecha_hasta]);
-            }
-
             // Búsqueda por paciente
-            if ($request->has('search_paciente')) {
+            if ($request->filled('search_paciente')) {
                 $search = $request->search_paciente;
                 $query->whereHas('paciente', function ($q) use ($search) {
                     $q->where('nombre', 'like', "%{$search}%")
@@ -87,11 +114,10 @@ public function index(Request $request)
             $query->orderBy('fecha', 'asc')
                   ->orderBy('hora_inicio', 'asc');
 
-            $perPage = min($request->get('per_page', 20), 50);
-            $turnos = $query->paginate($perPage);
+            $turnos = $query->paginate($request->get('per_page', 20));
 
             $this->logMedicalActivity('Consulta de agenda de turnos', 'turnos', null, $request, [
-                'filters_applied' => $request->only(['doctor_id', 'fecha', 'estado', 'especialidad_id']),
+                'filters_applied' => $request->only(['doctor_id', 'fecha', 'fecha_desde', 'fecha_hasta', 'estado', 'especialidad_id', 'search_paciente']),
                 'total_results' => $turnos->total(),
                 'user_role' => $user->rol,
             ]);
@@ -118,16 +144,13 @@ public function store(StoreTurnoRequest $request)
                 return $this->outsideBusinessHoursResponse();
             }
 
-            // Validar disponibilidad del doctor
-            $validation = $this->appointmentValidationService->validateAppointment(
-                $request->doctor_id,
-                $request->fecha,
-                $request->hora_inicio,
-                $request->hora_fin
+            // Validar disponibilidad del doctor (incluye feriados y ausencias)
+            $errores = $this->appointmentValidationService->validateAppointment(
+                $request->only(['doctor_id', 'paciente_id', 'fecha', 'hora_inicio', 'hora_fin'])
             );
 
-            if (!$validation['valid']) {
-                return $this->errorResponse($validation['message'], 422);
+            if (!empty($errores)) {
+                return $this->errorResponse(implode('. ', $errores), 422);
             }
 
             // Validar que la fecha no sea domingo
@@ -209,16 +232,18 @@ public function update(UpdateTurnoRequest $request, Turno $turno)
 
             // Si se cambian datos críticos, validar disponibilidad
             if ($request->hasAny(['doctor_id', 'fecha', 'hora_inicio', 'hora_fin'])) {
-                $validation = $this->appointmentValidationService->validateAppointment(
-                    $request->doctor_id ?? $turno->doctor_id,
-                    $request->fecha ?? $turno->fecha,
-                    $request->hora_inicio ?? $turno->hora_inicio,
-                    $request->hora_fin ?? $turno->hora_fin,
-                    $turno->id
-                );
-
-                if (!$validation['valid']) {
-                    return $this->errorResponse($validation['message'], 422);
+                $horaInicio = $request->hora_inicio ?? $turno->hora_inicio->format('H:i');
+                $errores = $this->appointmentValidationService->validateAppointment([
+                    'doctor_id' => $request->doctor_id ?? $turno->doctor_id,
+                    'fecha' => $request->fecha ?? $turno->fecha->toDateString(),
+                    'hora_inicio' => $horaInicio,
+                    'hora_fin' => $request->hora_fin
+                        ?? $turno->hora_fin?->format('H:i')
+                        ?? Carbon::createFromFormat('H:i', $horaInicio)->addMinutes($turno->duracion_minutos ?: 30)->format('H:i'),
+                ], $turno->id);
+
+                if (!empty($errores)) {
+                    return $this->errorResponse(implode('. ', $errores), 422);
                 }
             }
 
@@ -298,20 +323,11 @@ public function cancelar(Turno $turno, Request $request)
                 return $this->validationErrorResponse($validator);
             }
 
-            if ($turno->estado === 'cancelado') {
-                return $this->errorResponse('El turno dental ya está cancelado', 422);
+            if ($error = $this->motivoNoCancelable($turno)) {
+                return $this->errorResponse($error, 422);
             }
 
-            if ($turno->estado === 'realizado') {
-                return $this->errorResponse('No se puede cancelar un turno dental que ya fue realizado', 422);
-            }
-
-            $turno->update([
-                'estado' => 'cancelado',
-                'motivo_cancelacion' => $request->motivo_cancelacion,
-                'fecha_cancelacion' => now(),
-                'cancelado_por' => $user->id,
-            ]);
+            $turno->cancelar($request->motivo_cancelacion);
 
             $this->logMedicalActivity('Turno dental cancelado', 'turnos', $turno->id, $request, [
                 'patient_dni' => $turno->paciente->dni,
@@ -329,11 +345,11 @@ public function cancelar(Turno $turno, Request $request)
     }
 
     /**
-     * Marcar turno como realizado (solo doctores)
+     * Marcar turno como realizado (solo doctores), registrando opcionalmente la evolución de la consulta
      */
-    public function realizar(Turno $turno, Request $request)
+    public function realizar(Turno $turno, Request $request, HistoriaClinicaService $historiaClinicaService)
     {
-        return $this->handleMedicalAction(function () use ($turno, $request) {
+        return $this->handleMedicalAction(function () use ($turno, $request, $historiaClinicaService) {
             $user = $request->user();
             
             // Solo el doctor asignado puede marcar como realizado
@@ -346,11 +362,29 @@ public function realizar(Turno $turno, Request $request)
                 'tratamiento_realizado' => 'nullable|string|max:1500',
                 'proxima_cita' => 'nullable|date|after:today',
                 'precio_consulta' => 'nullable|numeric|min:0|max:999999.99',
+                'evolucion' => 'nullable|array',
+                'evolucion.motivo_consulta' => 'required_with:evolucion|string|max:1000',
+                'evolucion.examen_fisico' => 'nullable|string|max:3000',
+                'evolucion.signos_vitales' => 'nullable|array',
+                'evolucion.diagnostico_principal' => 'required_with:evolucion|string|max:1000',
+                'evolucion.diagnosticos_secundarios' => 'nullable|array',
+                'evolucion.plan_tratamiento' => 'nullable|string|max:2000',
+                'evolucion.medicamentos_recetados' => 'nullable|array',
+                'evolucion.estudios_solicitados' => 'nullable|array',
+                'evolucion.proxima_cita' => 'nullable|date|after:today',
+                'evolucion.tipo_consulta' => ['required_with:evolucion', Rule::in(array_keys(Evolucion::getTiposConsulta()))],
+                'evolucion.estado_paciente' => ['required_with:evolucion', Rule::in(array_keys(Evolucion::getEstadosPaciente()))],
+                'evolucion.observaciones' => 'nullable|string|max:1500',
             ], [
                 'observaciones_consulta.max' => 'Las observaciones no pueden exceder 2000 caracteres',
                 'tratamiento_realizado.max' => 'El tratamiento no puede exceder 1500 caracteres',
                 'proxima_cita.after' => 'La próxima cita debe ser en el futuro',
                 'precio_consulta.numeric' => 'El precio debe ser un número válido',
+                'evolucion.motivo_consulta.required_with' => 'Debe ingresar el motivo de consulta',
+                'evolucion.diagnostico_principal.required_with' => 'Debe ingresar el diagnóstico principal',
+                'evolucion.tipo_consulta.in' => 'El tipo de consulta no es válido',
+                'evolucion.estado_paciente.in' => 'El estado del paciente no es válido',
+                'evolucion.proxima_cita.after' => 'La próxima cita debe ser en el futuro',
             ]);
 
             if ($validator->fails()) {
@@ -365,14 +399,37 @@ public function realizar(Turno $turno, Request $request)
                 return $this->errorResponse('No se puede realizar un turno dental cancelado', 422);
             }
 
-            $turno->update([
-                'estado' => 'realizado',
-                'observaciones_consulta' => $request->observaciones_consulta,
-                'tratamiento_realizado' => $request->tratamiento_realizado,
-                'fecha_realizacion' => now(),
-                'proxima_cita' => $request->proxima_cita,
-                'precio_consulta' => $request->precio_consulta,
-            ]);
+            if (!$turno->puedeSerRealizado()) {
+                return $this->errorResponse('El turno dental ya no está pendiente', 422);
+            }
+
+            // Turno y evolución se guardan juntos o no se guarda ninguno
+            $evolucion = DB::transaction(function () use ($turno, $request, $user, $historiaClinicaService) {
+                $turno->update([
+                    'estado' => 'realizado',
+                    'observaciones_consulta' => $request->observaciones_consulta,
+                    'tratamiento_realizado' => $request->tratamiento_realizado,
+                    'fecha_realizacion' => now(),
+                    'proxima_cita' => $request->proxima_cita,
+                    'precio_consulta' => $request->precio_consulta,
+                ]);
+
+                if (!$request->filled('evolucion')) {
+                    return null;
+                }
+
+                $historia = $turno->paciente->historiaClinicaActiva
+                    ?? $historiaClinicaService->create($turno->paciente_id, ['doctor_id' => $user->doctor_id]);
+
+                return $historiaClinicaService->addEvolucion($historia->id, [
+                    ...$request->input('evolucion'),
+                    'turno_id' => $turno->id,
+                    'doctor_id' => $user->doctor_id,
+                    'fecha_evolucion' => $turno->fecha,
+                    'hora_evolucion' => now()->format('H:i'),
+                    'created_by' => $user->id,
+                ]);
+            });
 
             $this->logMedicalActivity('Consulta dental realizada', 'turnos', $turno->id, $request, [
                 'patient_dni' => $turno->paciente->dni,
@@ -381,10 +438,11 @@ public function realizar(Turno $turno, Request $request)
                 'treatment_provided' => !empty($request->tratamiento_realizado),
                 'next_appointment' => $request->proxima_cita,
                 'consultation_fee' => $request->precio_consulta,
+                'evolucion_id' => $evolucion?->id,
             ]);
 
             return $this->successResponse(
-                $turno->load(['paciente', 'doctor.especialidad']),
+                $turno->load(['paciente', 'doctor.especialidad', 'evolucion']),
                 'Consulta dental completada exitosamente'
             );
         }, 'finalización de consulta dental');
@@ -415,6 +473,10 @@ public function confirmar(Turno $turno, Request $request)
                 return $this->errorResponse('El turno dental ya fue realizado', 422);
             }
 
+            if (in_array($turno->estado, [Turno::ESTADO_NO_ASISTIO, Turno::ESTADO_REPROGRAMADO])) {
+                return $this->errorResponse('El turno dental ya no está pendiente', 422);
+            }
+
             $turno->update([
                 'estado' => 'confirmado',
                 'fecha_confirmacion' => now(),
@@ -435,6 +497,222 @@ public function confirmar(Turno $turno, Request $request)
         }, 'confirmación de turno dental');
     }
 
+    /**
+     * Registrar que el paciente no asistió al turno
+     */
+    public function noAsistio(Turno $turno, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($turno, $request) {
+            $user = $request->user();
+
+            $esDoctorAsignado = $user->rol === 'doctor' && $user->doctor_id === $turno->doctor_id;
+            if (!in_array($user->rol, ['admin', 'secretaria']) && !$esDoctorAsignado) {
+                return $this->forbiddenResponse('Sin permisos para registrar la inasistencia');
+            }
+
+            if (!$turno->puedeMarcarseNoAsistio()) {
+                return $this->errorResponse('Solo se puede registrar la inasistencia de turnos pendientes a partir del día del turno', 422);
+            }
+
+            $turno->motivoCambioEstado = $request->input('observaciones');
+            $turno->update(['estado' => Turno::ESTADO_NO_ASISTIO]);
+
+            $this->logMedicalActivity('Inasistencia a turno dental registrada', 'turnos', $turno->id, $request, [
+                'patient_dni' => $turno->paciente->dni,
+                'appointment_date' => $turno->fecha,
+                'registered_by' => $user->name,
+            ]);
+
+            return $this->successResponse(
+                $turno->load(['paciente', 'doctor.especialidad']),
+                'Inasistencia registrada'
+            );
+        }, 'registro de inasistencia');
+    }
+
+    /**
+     * Reprogramar turno: el original queda como reprogramado y se crea uno nuevo en el horario elegido
+     */
+    public function reprogramar(Turno $turno, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($turno, $request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden reprogramar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'fecha' => 'required|date|after_or_equal:today',
+                'hora_inicio' => 'required|date_format:H:i',
+                'hora_fin' => 'nullable|date_format:H:i|after:hora_inicio',
+                'doctor_id' => 'nullable|exists:doctores,id',
+                'motivo' => 'nullable|string|max:500',
+            ], [
+                'fecha.required' => 'Debe indicar la nueva fecha',
+                'fecha.after_or_equal' => 'La nueva fecha no puede ser pasada',
+                'hora_inicio.required' => 'Debe indicar el nuevo horario',
+                'hora_fin.after' => 'La hora de fin debe ser posterior a la de inicio',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            if (!$turno->puedeSerReprogramado()) {
+                return $this->errorResponse('Este turno dental no se puede reprogramar', 422);
+            }
+
+            // Se conserva la duración del turno original
+            $duracion = $turno->duracion_minutos ?: 30;
+            $datos = [
+                'doctor_id' => $request->get('doctor_id', $turno->doctor_id),
+                'paciente_id' => $turno->paciente_id,
+                'fecha' => $request->fecha,
+                'hora_inicio' => $request->hora_inicio,
+                'hora_fin' => $request->hora_fin
+                    ?? Carbon::createFromFormat('H:i', $request->hora_inicio)->addMinutes($duracion)->format('H:i'),
+            ];
+
+            $errores = $this->appointmentValidationService->validateAppointment($datos, $turno->id);
+            if (!empty($errores)) {
+                return $this->errorResponse(implode('. ', $errores), 422);
+            }
+
+            $nuevoTurno = $this->reprogramarTurno($turno, $datos, $request->motivo, $user);
+
+            $this->logMedicalActivity('Turno dental reprogramado', 'turnos', $turno->id, $request, [
+                'patient_dni' => $turno->paciente->dni,
+                'previous_date' => $turno->fecha,
+                'new_turno_id' => $nuevoTurno->id,
+                'new_date' => $nuevoTurno->fecha,
+                'rescheduled_by' => $user->name,
+            ]);
+
+            return $this->successResponse(
+                $nuevoTurno->load(['paciente', 'doctor.especialidad']),
+                'Turno dental reprogramado exitosamente',
+                201
+            );
+        }, 'reprogramación de turno dental');
+    }
+
+    /**
+     * Cancelar varios turnos con un mismo motivo (por ids o todos los de un doctor en una fecha)
+     */
+    public function cancelarMasivo(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden cancelar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                ...$this->seleccionMasivaRules(),
+                'motivo' => 'required|string|max:500',
+            ], [
+                'motivo.required' => 'Debe especificar el motivo de cancelación',
+                ...$this->seleccionMasivaMessages(),
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $resultados = $this->seleccionMasiva($request)->map(function (Turno $turno) use ($request) {
+                if ($error = $this->motivoNoCancelable($turno)) {
+                    return $this->resultadoMasivo($turno, false, $error);
+                }
+
+                $turno->cancelar($request->motivo);
+                return $this->resultadoMasivo($turno, true, 'Turno cancelado');
+            });
+
+            return $this->respuestaMasiva($resultados, 'Cancelación masiva', $request);
+        }, 'cancelación masiva de turnos');
+    }
+
+    /**
+     * Mover varios turnos a otro doctor y/o fecha conservando el horario de cada uno
+     */
+    public function moverMasivo(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden reprogramar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                ...$this->seleccionMasivaRules(),
+                'motivo' => 'required|string|max:500',
+                'destino.doctor_id' => 'nullable|exists:doctores,id|required_without:destino.fecha',
+                'destino.fecha' => 'nullable|date|after_or_equal:today|required_without:destino.doctor_id',
+            ], [
+                'motivo.required' => 'Debe especificar el motivo del cambio',
+                'destino.doctor_id.required_without' => 'Indique el doctor o la fecha de destino',
+                'destino.fecha.required_without' => 'Indique el doctor o la fecha de destino',
+                'destino.fecha.after_or_equal' => 'La fecha de destino no puede ser pasada',
+                ...$this->seleccionMasivaMessages(),
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $resultados = $this->seleccionMasiva($request)->map(function (Turno $turno) use ($request, $user) {
+                if (!$turno->puedeSerReprogramado() || $turno->estado === Turno::ESTADO_CANCELADO) {
+                    return $this->resultadoMasivo($turno, false, 'El turno dental ya no está pendiente');
+                }
+
+                $duracion = $turno->duracion_minutos ?: 30;
+                $horaInicio = $turno->hora_inicio->format('H:i');
+                $datos = [
+                    'doctor_id' => $request->input('destino.doctor_id') ?: $turno->doctor_id,
+                    'paciente_id' => $turno->paciente_id,
+                    'fecha' => $request->input('destino.fecha') ?: $turno->fecha->toDateString(),
+                    'hora_inicio' => $horaInicio,
+                    'hora_fin' => $turno->hora_fin
+                        ? $turno->hora_fin->format('H:i')
+                        : Carbon::createFromFormat('H:i', $horaInicio)->addMinutes($duracion)->format('H:i'),
+                ];
+
+                $errores = $this->appointmentValidationService->validateAppointment($datos, $turno->id);
+                if (!empty($errores)) {
+                    return $this->resultadoMasivo($turno, false, implode('. ', $errores));
+                }
+
+                $nuevoTurno = $this->reprogramarTurno($turno, $datos, $request->motivo, $user);
+                return $this->resultadoMasivo($turno, true, 'Turno movido', $nuevoTurno->load('doctor'));
+            });
+
+            return $this->respuestaMasiva($resultados, 'Reprogramación masiva', $request);
+        }, 'reprogramación masiva de turnos');
+    }
+
+    /**
+     * Historial de cambios de estado del turno
+     */
+    public function historialEstados(Turno $turno)
+    {
+        return $this->handleMedicalAction(function () use ($turno) {
+            $user = request()->user();
+
+            // Los doctores solo pueden ver sus propios turnos
+            if ($user->rol === 'doctor' && $user->doctor_id !== $turno->doctor_id) {
+                return $this->forbiddenResponse('Solo puede ver sus propios turnos');
+            }
+
+            return $this->successResponse(
+                $turno->historialEstados()->with('usuario:id,name')->get(),
+                'Historial de estados obtenido'
+            );
+        }, 'consulta de historial de estados');
+    }
+
     /**
      * Obtener slots disponibles para turnos dentales
      */
@@ -526,4 +804,121 @@ private function isBusinessDay(Carbon $date): bool
         // Lunes a Viernes
         return $hour >= 8 && $hour < 18;
     }
+
+    /**
+     * Motivo por el que el turno no se puede cancelar, o null si se puede
+     */
+    private function motivoNoCancelable(Turno $turno): ?string
+    {
+        return match ($turno->estado) {
+            Turno::ESTADO_CANCELADO => 'El turno dental ya está cancelado',
+            Turno::ESTADO_REALIZADO => 'No se puede cancelar un turno dental que ya fue realizado',
+            Turno::ESTADO_NO_ASISTIO, Turno::ESTADO_REPROGRAMADO => 'El turno dental ya no está pendiente',
+            default => null,
+        };
+    }
+
+    /**
+     * El turno original queda como reprogramado y se crea uno nuevo con los datos indicados
+     */
+    private function reprogramarTurno(Turno $turno, array $datos, ?string $motivo, $user): Turno
+    {
+        return DB::transaction(function () use ($turno, $datos, $motivo, $user) {
+            $turno->motivoCambioEstado = $motivo;
+            $turno->update(['estado' => Turno::ESTADO_REPROGRAMADO]);
+
+            $nuevoTurno = new Turno([
+                ...$datos,
+                'motivo' => $turno->motivo,
+                'observaciones' => trim("Reprogramado del turno #{$turno->id}. " . ($motivo ?? '')),
+                'duracion_minutos' => $turno->duracion_minutos ?: 30,
+                'estado' => Turno::ESTADO_PROGRAMADO,
+                'created_by' => $user->id,
+            ]);
+            $nuevoTurno->motivoCambioEstado = "Reprogramado del turno #{$turno->id}";
+            $nuevoTurno->save();
+
+            return $nuevoTurno;
+        });
+    }
+
+    // ========== OPERACIONES MASIVAS ==========
+
+    private function seleccionMasivaRules(): array
+    {
+        return [
+            'turno_ids' => 'required_without_all:doctor_id,fecha|array|max:200',
+            'turno_ids.*' => 'integer|exists:turnos,id',
+            'doctor_id' => 'required_without:turno_ids|exists:doctores,id',
+            'fecha' => 'required_without:turno_ids|date',
+        ];
+    }
+
+    private function seleccionMasivaMessages(): array
+    {
+        return [
+            'turno_ids.required_without_all' => 'Seleccione turnos o indique doctor y fecha',
+            'doctor_id.required_without' => 'Indique el doctor',
+            'fecha.required_without' => 'Indique la fecha',
+        ];
+    }
+
+    /**
+     * Turnos elegidos por id, o todos los pendientes del doctor en la fecha
+     */
+    private function seleccionMasiva(Request $request)
+    {
+        $query = Turno::with(['paciente', 'doctor']);
+
+        if ($request->filled('turno_ids')) {
+            $query->whereIn('id', $request->turno_ids);
+        } else {
+            $query->where('doctor_id', $request->doctor_id)
+                  ->where('fecha', $request->fecha)
+                  ->whereIn('estado', [Turno::ESTADO_PROGRAMADO, Turno::ESTADO_CONFIRMADO]);
+        }
+
+        return $query->orderBy('fecha')->orderBy('hora_inicio')->get();
+    }
+
+    private function resultadoMasivo(Turno $turno, bool $exito, string $mensaje, ?Turno $nuevoTurno = null): array
+    {
+        return [
+            'turno_id' => $turno->id,
+            'exito' => $exito,
+            'mensaje' => $mensaje,
+            'fecha' => $turno->fecha->toDateString(),
+            'hora_inicio' => $turno->hora_inicio->format('H:i'),
+            'doctor' => $turno->doctor?->only(['id', 'nombre', 'apellido']),
+            'paciente' => $turno->paciente?->only(['id', 'nombre', 'apellido', 'dni', 'telefono', 'email']),
+            'turno_nuevo' => $nuevoTurno ? [
+                'id' => $nuevoTurno->id,
+                'fecha' => $nuevoTurno->fecha->toDateString(),
+                'hora_inicio' => $nuevoTurno->hora_inicio->format('H:i'),
+                'doctor' => $nuevoTurno->doctor?->only(['id', 'nombre', 'apellido']),
+            ] : null,
+        ];
+    }
+
+    /**
+     * Informe por turno y pacientes a contactar (los de turnos modificados)
+     */
+    private function respuestaMasiva($resultados, string $accion, Request $request)
+    {
+        $exitosos = $resultados->where('exito', true);
+
+        $this->logMedicalActivity($accion . ' de turnos dentales', 'turnos', null, $request, [
+            'processed' => $resultados->count(),
+            'succeeded' => $exitosos->count(),
+            'turno_ids' => $exitosos->pluck('turno_id')->all(),
+            'reason' => $request->motivo,
+        ]);
+
+        return $this->successResponse([
+            'resultados' => $resultados->values(),
+            'exitosos' => $exitosos->count(),
+            'fallidos' => $resultados->count() - $exitosos->count(),
+            'pacientes_a_contactar' => $exitosos->pluck('paciente')->filter()->unique('id')->values(),
+        ], "{$accion}: {$exitosos->count()} de {$resultados->count()} turnos procesados");
+    }
 }
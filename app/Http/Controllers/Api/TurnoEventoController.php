@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\TurnoEvento;
+use Illuminate\Http\Request;
+
+/**
+ * Canal de cambios de turnos en formato Server-Sent Events, con consulta corta:
+ * cada pedido devuelve los eventos pendientes y termina, sin retener un worker.
+ * El cliente vuelve a pedir después de `retry` ms enviando Last-Event-ID para no perder eventos.
+ */
+class TurnoEventoController extends Controller
+{
+    private const REINTENTO_MS = 5000;
+    private const MAX_EVENTOS = 100;
+
+    /**
+     * Eventos turno.created | turno.updated | turno.cancelled | turno.completed posteriores a Last-Event-ID
+     */
+    public function stream(Request $request)
+    {
+        $user = $request->user();
+
+        // Sin Last-Event-ID solo interesan los cambios desde ahora
+        $ultimoId = $request->hasHeader('Last-Event-ID')
+            ? (int) $request->header('Last-Event-ID')
+            : (int) TurnoEvento::max('id');
+
+        $eventos = TurnoEvento::visiblesPara($user)->posterioresA($ultimoId)->limit(self::MAX_EVENTOS)->get();
+
+        // Con la página llena quedan más eventos: se pide de nuevo enseguida
+        $cuerpo = 'retry: ' . ($eventos->count() === self::MAX_EVENTOS ? 0 : self::REINTENTO_MS) . "\n\n";
+
+        foreach ($eventos as $evento) {
+            $cuerpo .= "id: {$evento->id}\n";
+            $cuerpo .= "event: {$evento->tipo}\n";
+            $cuerpo .= 'data: ' . json_encode($evento->datos) . "\n\n";
+        }
+
+        // Sin eventos se informa igual el último id, para que el próximo pedido siga desde ahí
+        if ($eventos->isEmpty()) {
+            $cuerpo .= "id: {$ultimoId}\n\n";
+        }
+
+        return response($cuerpo, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+        ]);
+    }
+}
@@ -0,0 +1,257 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\Turno;
+use App\Models\TurnoSerie;
+use App\Services\AppointmentValidationService;
+use Carbon\Carbon;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Series de turnos recurrentes (kinesiología, controles periódicos)
+ * Mismo horario cada N días o semanas; cada fecha pasa las validaciones de un turno individual
+ */
+class TurnoSerieController extends Controller
+{
+    protected $appointmentValidationService;
+
+    public function __construct(AppointmentValidationService $appointmentValidationService)
+    {
+        $this->appointmentValidationService = $appointmentValidationService;
+    }
+
+    /**
+     * Fechas que generaría la serie, con la disponibilidad de cada una
+     */
+    public function preview(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            if (!in_array($request->user()->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden programar turnos');
+            }
+
+            $validator = Validator::make($request->all(), $this->serieRules(), $this->serieMessages());
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $fechas = collect((new TurnoSerie($validator->validated()))->generarFechas())
+                ->map(fn ($fecha) => $this->disponibilidad($request, $fecha));
+
+            return $this->successResponse([
+                'fechas' => $fechas->values(),
+                'total' => $fechas->count(),
+                'disponibles' => $fechas->where('disponible', true)->count(),
+            ], 'Vista previa de la serie');
+        }, 'vista previa de serie de turnos');
+    }
+
+    /**
+     * Crear la serie y programar las fechas libres (o solo las elegidas en `fechas`)
+     */
+    public function store(Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden programar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                ...$this->serieRules(),
+                'fechas' => 'nullable|array',
+                'fechas.*' => 'date_format:Y-m-d',
+            ], $this->serieMessages());
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $serie = new TurnoSerie([
+                ...collect($validator->validated())->except('fechas')->all(),
+                'estado' => TurnoSerie::ESTADO_ACTIVA,
+                'created_by' => $user->id,
+            ]);
+
+            $fechas = collect($serie->generarFechas());
+            if ($request->filled('fechas')) {
+                $fechas = $fechas->intersect($request->fechas);
+            }
+
+            $duracion = Carbon::createFromFormat('H:i', $request->hora_inicio)
+                ->diffInMinutes(Carbon::createFromFormat('H:i', $request->hora_fin));
+
+            // Cada fecha se valida justo antes de guardarla: los turnos ya creados de la serie
+            // cuentan para los límites del paciente (3 por día, 10 por mes)
+            $disponibilidad = DB::transaction(function () use ($serie, $fechas, $request, $user, $duracion) {
+                return $fechas->map(function ($fecha) use ($serie, $request, $user, $duracion) {
+                    $item = $this->disponibilidad($request, $fecha);
+                    if (!$item['disponible']) {
+                        return $item;
+                    }
+
+                    if (!$serie->exists) {
+                        $serie->save();
+                    }
+
+                    $turno = new Turno([
+                        'doctor_id' => $serie->doctor_id,
+                        'paciente_id' => $serie->paciente_id,
+                        'serie_id' => $serie->id,
+                        'fecha' => $fecha,
+                        'hora_inicio' => $request->hora_inicio,
+                        'hora_fin' => $request->hora_fin,
+                        'duracion_minutos' => (int) $duracion,
+                        'motivo' => $serie->motivo,
+                        'estado' => Turno::ESTADO_PROGRAMADO,
+                        'created_by' => $user->id,
+                    ]);
+                    $turno->motivoCambioEstado = "Serie #{$serie->id}";
+                    $turno->save();
+
+                    return $item;
+                });
+            });
+
+            if (!$serie->exists) {
+                return $this->errorResponse('Ninguna de las fechas de la serie está disponible', 422);
+            }
+
+            $libres = $disponibilidad->where('disponible', true);
+
+            $this->logMedicalActivity('Serie de turnos dentales programada', 'turno_series', $serie->id, $request, [
+                'doctor_id' => $serie->doctor_id,
+                'paciente_id' => $serie->paciente_id,
+                'booked_dates' => $libres->pluck('fecha')->values()->all(),
+                'skipped_dates' => $disponibilidad->where('disponible', false)->pluck('fecha')->values()->all(),
+                'scheduled_by' => $user->name,
+            ]);
+
+            return $this->successResponse([
+                'serie' => $serie->load(['turnos', 'doctor', 'paciente']),
+                'omitidas' => $disponibilidad->where('disponible', false)->values(),
+            ], "Serie creada: {$libres->count()} de {$fechas->count()} turnos programados", 201);
+        }, 'programación de serie de turnos');
+    }
+
+    /**
+     * Serie con todos sus turnos
+     */
+    public function show(TurnoSerie $serie, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($serie, $request) {
+            $user = $request->user();
+
+            // Un doctor solo ve sus propias series
+            $esPropia = $user->rol === 'doctor' && $user->doctor_id == $serie->doctor_id;
+            if (!in_array($user->rol, ['admin', 'secretaria']) && !$esPropia) {
+                return $this->forbiddenResponse('No tiene permisos para ver esta serie de turnos');
+            }
+
+            return $this->successResponse(
+                $serie->load(['turnos', 'doctor:id,nombre,apellido', 'paciente:id,nombre,apellido,dni,telefono']),
+                'Serie de turnos obtenida'
+            );
+        }, 'consulta de serie de turnos');
+    }
+
+    /**
+     * Cancelar la serie: se cancelan sus turnos pendientes desde hoy
+     */
+    public function cancelar(TurnoSerie $serie, Request $request)
+    {
+        return $this->handleMedicalAction(function () use ($serie, $request) {
+            $user = $request->user();
+
+            if (!in_array($user->rol, ['admin', 'secretaria'])) {
+                return $this->forbiddenResponse('Solo administradores y secretarias pueden cancelar turnos');
+            }
+
+            $validator = Validator::make($request->all(), [
+                'motivo' => 'required|string|max:500',
+            ], [
+                'motivo.required' => 'Debe especificar el motivo de cancelación',
+            ]);
+
+            if ($validator->fails()) {
+                return $this->validationErrorResponse($validator);
+            }
+
+            $pendientes = $serie->turnos()
+                ->whereIn('estado', [Turno::ESTADO_PROGRAMADO, Turno::ESTADO_CONFIRMADO])
+                ->where('fecha', '>=', now()->toDateString())
+                ->get();
+
+            DB::transaction(function () use ($serie, $pendientes, $request) {
+                foreach ($pendientes as $turno) {
+                    $turno->cancelar($request->motivo);
+                }
+
+                $serie->update(['estado' => TurnoSerie::ESTADO_CANCELADA]);
+            });
+
+            $this->logMedicalActivity('Serie de turnos dentales cancelada', 'turno_series', $serie->id, $request, [
+                'cancelled_turnos' => $pendientes->pluck('id')->all(),
+                'cancellation_reason' => $request->motivo,
+                'cancelled_by' => $user->name,
+            ]);
+
+            return $this->successResponse(
+                $serie->load('turnos'),
+                "Serie cancelada: {$pendientes->count()} turnos pendientes cancelados"
+            );
+        }, 'cancelación de serie de turnos');
+    }
+
+    private function serieRules(): array
+    {
+        return [
+            'doctor_id' => 'required|exists:doctores,id',
+            'paciente_id' => 'required|exists:pacientes,id',
+            'fecha_inicio' => 'required|date|after_or_equal:today',
+            'hora_inicio' => 'required|date_format:H:i',
+            'hora_fin' => 'required|date_format:H:i|after:hora_inicio',
+            'frecuencia' => 'required|in:dias,semanas',
+            'intervalo' => 'required|integer|min:1|max:30',
+            'cantidad' => 'required_without:fecha_fin|nullable|integer|min:2|max:' . TurnoSerie::MAX_SESIONES,
+            'fecha_fin' => 'required_without:cantidad|nullable|date|after:fecha_inicio|before_or_equal:' . now()->addYear()->toDateString(),
+            'motivo' => 'nullable|string|max:500',
+        ];
+    }
+
+    private function serieMessages(): array
+    {
+        return [
+            'fecha_inicio.after_or_equal' => 'La serie no puede empezar en una fecha pasada',
+            'hora_fin.after' => 'La hora de fin debe ser posterior a la de inicio',
+            'cantidad.required_without' => 'Indique la cantidad de sesiones o la fecha de fin',
+            'cantidad.min' => 'La serie debe tener al menos 2 sesiones',
+            'cantidad.max' => 'La serie no puede tener más de ' . TurnoSerie::MAX_SESIONES . ' sesiones',
+            'fecha_fin.required_without' => 'Indique la cantidad de sesiones o la fecha de fin',
+            'fecha_fin.before_or_equal' => 'La serie no puede extenderse más de un año',
+        ];
+    }
+
+    private function disponibilidad(Request $request, string $fecha): array
+    {
+        $errores = $this->appointmentValidationService->validateAppointment([
+            'doctor_id' => $request->doctor_id,
+            'paciente_id' => $request->paciente_id,
+            'fecha' => $fecha,
+            'hora_inicio' => $request->hora_inicio,
+            'hora_fin' => $request->hora_fin,
+        ]);
+
+        return [
+            'fecha' => $fecha,
+            'disponible' => empty($errores),
+            'errores' => $errores,
+        ];
+    }
+}
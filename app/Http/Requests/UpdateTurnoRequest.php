@@ -64,10 +64,8 @@ function ($attribute, $value, $fail) {
                     if ($hora->hour < 8 || $hora->hour >= 20) {
                         $fail('Los turnos deben ser entre 08:00 y 20:00 horas.');
                     }
-                    // Verificar intervalos de 30 minutos
-                    if ($hora->minute != 0 && $hora->minute != 30) {
-                        $fail('Los turnos deben programarse cada 30 minutos (ej: 08:00, 08:30).');
-                    }
+                    // Sin grilla fija: los horarios del doctor usan turnos de 15 a 120 minutos
+                    // y validateAppointment controla que el turno caiga dentro de su horario
                 }
             ],
             'hora_fin' => [
@@ -79,11 +77,11 @@ function ($attribute, $value, $fail) {
                     if ($this->hora_inicio) {
                         $inicio = \Carbon\Carbon::createFromFormat('H:i', $this->hora_inicio);
                         $fin = \Carbon\Carbon::createFromFormat('H:i', $value);
-                        $duracion = $fin->diffInMinutes($inicio);
+                        $duracion = $inicio->diffInMinutes($fin);
                         
-                        // Duración mínima 30 min, máxima 120 min para procedimientos dentales
-                        if ($duracion < 30) {
-                            $fail('La duración mínima del turno es 30 minutos.');
+                        // Mismo rango que la duración de consulta de los horarios del doctor
+                        if ($duracion < 15) {
+                            $fail('La duración mínima del turno es 15 minutos.');
                         }
                         if ($duracion > 120) {
                             $fail('La duración máxima del turno es 120 minutos.');
@@ -50,6 +50,12 @@ public function especialidad()
         return $this->belongsTo(Especialidad::class);
     }
 
+    // Usuario del sistema vinculado al doctor (users.doctor_id)
+    public function user()
+    {
+        return $this->hasOne(User::class);
+    }
+
     public function contratos()
     {
         return $this->hasMany(DoctorContract::class);
@@ -73,6 +79,11 @@ public function horariosActivos()
         return $this->hasMany(DoctorScheduleSlot::class)->where('is_active', true);
     }
 
+    public function ausencias()
+    {
+        return $this->hasMany(DoctorAusencia::class)->orderBy('fecha_desde');
+    }
+
     public function turnos()
     {
         return $this->hasMany(Turno::class);
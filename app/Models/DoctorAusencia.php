@@ -0,0 +1,81 @@
+<?php
+
+namespace App\Models;
+
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Período en que el doctor no atiende (vacaciones, licencias, capacitaciones)
+ */
+class DoctorAusencia extends Model
+{
+    protected $table = 'doctor_ausencias';
+
+    protected $fillable = [
+        'doctor_id',
+        'fecha_desde',
+        'fecha_hasta',
+        'tipo',
+        'motivo',
+        'created_by',
+    ];
+
+    protected $casts = [
+        'fecha_desde' => 'date:Y-m-d',
+        'fecha_hasta' => 'date:Y-m-d',
+    ];
+
+    // Tipos de ausencia
+    const TIPO_VACACIONES = 'vacaciones';
+    const TIPO_LICENCIA = 'licencia';
+    const TIPO_CAPACITACION = 'capacitacion';
+    const TIPO_OTRO = 'otro';
+
+    public static function getTipos(): array
+    {
+        return [
+            self::TIPO_VACACIONES => 'Vacaciones',
+            self::TIPO_LICENCIA => 'Licencia',
+            self::TIPO_CAPACITACION => 'Capacitación',
+            self::TIPO_OTRO => 'Otro',
+        ];
+    }
+
+    // Relaciones
+    public function doctor()
+    {
+        return $this->belongsTo(Doctor::class);
+    }
+
+    // Scopes
+    public function scopeEnFecha($query, $fecha)
+    {
+        return $query->where('fecha_desde', '<=', $fecha)
+            ->where('fecha_hasta', '>=', $fecha);
+    }
+
+    // Ausencias que se superponen con el rango
+    public function scopeEntreFechas($query, $fechaDesde, $fechaHasta)
+    {
+        return $query->where('fecha_desde', '<=', $fechaHasta)
+            ->where('fecha_hasta', '>=', $fechaDesde);
+    }
+
+    // Métodos auxiliares
+    public function getTipoTextoAttribute(): string
+    {
+        return self::getTipos()[$this->tipo] ?? $this->tipo;
+    }
+
+    /**
+     * Días corridos de la ausencia que caen en el año
+     */
+    public function diasEnAnio(int $anio): int
+    {
+        $desde = $this->fecha_desde->copy()->max(Carbon::create($anio, 1, 1));
+        $hasta = $this->fecha_hasta->copy()->min(Carbon::create($anio, 12, 31));
+
+        return $desde->gt($hasta) ? 0 : (int) $desde->diffInDays($hasta) + 1;
+    }
+}
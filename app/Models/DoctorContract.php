@@ -141,20 +141,36 @@ public function getDuracionEnDiasAttribute()
 
     public function getDiasRestantesAttribute()
     {
-        if ($this->fecha_fin < now()) {
+        if ($this->fecha_fin < today()) {
             return 0;
         }
-        return now()->diffInDays($this->fecha_fin);
+        return (int) today()->diffInDays($this->fecha_fin);
     }
 
     public function getPorcentajeTranscurridoAttribute()
     {
         $duracionTotal = $this->fecha_inicio->diffInDays($this->fecha_fin);
-        $diasTranscurridos = $this->fecha_inicio->diffInDays(now());
+        $diasTranscurridos = $this->fecha_inicio->diffInDays(today());
         
         if ($duracionTotal == 0) return 100;
         
-        return min(100, round(($diasTranscurridos / $duracionTotal) * 100, 2));
+        // Un contrato que todavía no empezó lleva 0%
+        return max(0, min(100, round(($diasTranscurridos / $duracionTotal) * 100, 2)));
+    }
+
+    public function getEstadoContratoAttribute(): string
+    {
+        if (!$this->is_active) return 'inactivo';
+        if ($this->fecha_inicio > today()) return 'futuro';
+        if ($this->estaVencido()) return 'vencido';
+        if ($this->estaProximoAVencer()) return 'por_vencer';
+
+        return 'vigente';
+    }
+
+    public function getPuedeRenovarseAttribute(): bool
+    {
+        return $this->is_active && $this->puedeSerRenovado();
     }
 
     public function getSalarioFormateadoAttribute()
@@ -167,9 +183,10 @@ public function isActiveAt($fecha): bool
     {
         $fecha = Carbon::parse($fecha);
         
+        // Sin fecha de fin el contrato sigue vigente indefinidamente
         return $this->is_active && 
                $this->fecha_inicio <= $fecha && 
-               $this->fecha_fin >= $fecha;
+               (!$this->fecha_fin || $this->fecha_fin >= $fecha);
     }
 
     public function estaVigente(): bool
@@ -186,7 +203,7 @@ public function estaProximoAVencer($dias = 30): bool
 
     public function estaVencido(): bool
     {
-        return $this->fecha_fin < now();
+        return $this->fecha_fin !== null && $this->fecha_fin < now();
     }
 
     public function puedeSerRenovado(): bool
@@ -241,14 +258,14 @@ public function calcularComisionMes($ventasMes = 0): float
 
     public function renovar($nuevaFechaFin = null, $nuevoSalario = null): self
     {
-        // Crear nuevo contrato basado en el actual
-        $nuevosAtributos = $this->toArray();
+        // Crear nuevo contrato con las condiciones del actual
+        $nuevosAtributos = $this->only($this->getFillable());
         
         // Remover campos que no deben copiarse
-        unset($nuevosAtributos['id'], $nuevosAtributos['created_at'], $nuevosAtributos['updated_at'], $nuevosAtributos['deleted_at']);
+        unset($nuevosAtributos['created_by'], $nuevosAtributos['updated_by']);
         
-        // Establecer nuevas fechas
-        $nuevosAtributos['fecha_inicio'] = $this->fecha_fin->addDay();
+        // Establecer nuevas fechas (copy: no modificar la fecha de fin del contrato actual)
+        $nuevosAtributos['fecha_inicio'] = $this->fecha_fin->copy()->addDay();
         $nuevosAtributos['fecha_fin'] = $nuevaFechaFin ?? $nuevosAtributos['fecha_inicio']->copy()->addMonths($this->periodo_renovacion_meses ?? 12);
         
         // Actualizar salario si se proporciona
@@ -258,7 +275,8 @@ public function renovar($nuevaFechaFin = null, $nuevoSalario = null): self
         
         // Agregar información de renovación
         $nuevosAtributos['observaciones'] = ($nuevosAtributos['observaciones'] ?? '') . 
-            "\nRenovado automáticamente desde contrato ID: {$this->id} - " . now()->format('d/m/Y');
+            "\nRenovado desde contrato ID: {$this->id} - " . now()->format('d/m/Y');
+        $nuevosAtributos['is_active'] = true;
         
         // Desactivar contrato actual
         $this->update(['is_active' => false]);
@@ -287,7 +305,7 @@ public function validarDatos(): array
         $errores = [];
         
         // Validar fechas
-        if ($this->fecha_inicio >= $this->fecha_fin) {
+        if ($this->fecha_fin && $this->fecha_inicio >= $this->fecha_fin) {
             $errores[] = 'La fecha de inicio debe ser anterior a la fecha de fin';
         }
         
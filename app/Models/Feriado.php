@@ -0,0 +1,27 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Feriado de la clínica: ningún doctor atiende
+ */
+class Feriado extends Model
+{
+    protected $fillable = [
+        'fecha',
+        'nombre',
+        'created_by',
+    ];
+
+    protected $casts = [
+        'fecha' => 'date:Y-m-d',
+    ];
+
+    // Scopes
+    public function scopeEntreFechas($query, $fechaDesde, $fechaHasta)
+    {
+        return $query->whereBetween('fecha', [$fechaDesde, $fechaHasta]);
+    }
+}
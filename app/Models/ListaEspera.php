@@ -0,0 +1,94 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class ListaEspera extends Model
+{
+    protected $table = 'lista_espera';
+
+    protected $fillable = [
+        'paciente_id',
+        'doctor_id',
+        'especialidad_id',
+        'dias_preferidos',
+        'hora_desde',
+        'hora_hasta',
+        'observaciones',
+        'estado',
+        'turno_id',
+        'created_by',
+    ];
+
+    protected $casts = [
+        'dias_preferidos' => 'array',
+    ];
+
+    // Estados
+    const ESTADO_ACTIVA = 'activa';
+    const ESTADO_ASIGNADA = 'asignada';
+    const ESTADO_CANCELADA = 'cancelada';
+
+    // Relaciones
+    public function paciente()
+    {
+        return $this->belongsTo(Paciente::class);
+    }
+
+    public function doctor()
+    {
+        return $this->belongsTo(Doctor::class);
+    }
+
+    public function especialidad()
+    {
+        return $this->belongsTo(Especialidad::class);
+    }
+
+    public function turno()
+    {
+        return $this->belongsTo(Turno::class);
+    }
+
+    // Scopes
+    public function scopeActivas($query)
+    {
+        return $query->where('estado', self::ESTADO_ACTIVA);
+    }
+
+    /**
+     * Entradas activas que aceptan el horario del turno: mismo doctor, o sin doctor y misma especialidad;
+     * día y franja horaria dentro de las preferencias (vacías = cualquiera). Un horario que ya empezó no coincide con nadie
+     */
+    public function scopeCoincidentesCon($query, Turno $turno)
+    {
+        if ($turno->haComenzado()) {
+            return $query->whereRaw('1 = 0');
+        }
+
+        $horaInicio = $turno->hora_inicio->format('H:i');
+        $horaFin = $turno->hora_fin ? $turno->hora_fin->format('H:i') : $horaInicio;
+
+        return $query->activas()
+            ->where('paciente_id', '!=', $turno->paciente_id)
+            ->where(function ($q) use ($turno) {
+                $q->where('doctor_id', $turno->doctor_id)
+                  ->orWhere(function ($q) use ($turno) {
+                      $q->whereNull('doctor_id')
+                        ->where('especialidad_id', $turno->doctor->especialidad_id);
+                  });
+            })
+            ->where(function ($q) use ($turno) {
+                $q->whereNull('dias_preferidos')
+                  ->orWhereJsonContains('dias_preferidos', $turno->fecha->dayOfWeek);
+            })
+            ->where(function ($q) use ($horaInicio) {
+                $q->whereNull('hora_desde')->orWhere('hora_desde', '<=', $horaInicio);
+            })
+            ->where(function ($q) use ($horaFin) {
+                $q->whereNull('hora_hasta')->orWhere('hora_hasta', '>=', $horaFin);
+            })
+            ->orderBy('created_at');
+    }
+}
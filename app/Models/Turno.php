@@ -16,6 +16,7 @@ class Turno extends Model
     protected $fillable = [
         'paciente_id',
         'doctor_id',
+        'serie_id',
         'fecha',
         'hora_inicio',
         'hora_fin',
@@ -41,8 +42,12 @@ class Turno extends Model
         'deleted_at'
     ];
 
+    // Motivo del próximo cambio de estado, se guarda en el historial (no es columna)
+    public ?string $motivoCambioEstado = null;
+
     // Estados válidos para turnos
     const ESTADO_PROGRAMADO = 'programado';
+    const ESTADO_CONFIRMADO = 'confirmado';
     const ESTADO_REALIZADO = 'realizado';
     const ESTADO_CANCELADO = 'cancelado';
     const ESTADO_NO_ASISTIO = 'no_asistio';
@@ -52,6 +57,7 @@ public static function getEstados(): array
     {
         return [
             self::ESTADO_PROGRAMADO => 'Programado',
+            self::ESTADO_CONFIRMADO => 'Confirmado',
             self::ESTADO_REALIZADO => 'Realizado',
             self::ESTADO_CANCELADO => 'Cancelado',
             self::ESTADO_NO_ASISTIO => 'No Asistió',
@@ -80,6 +86,21 @@ public function updatedBy()
         return $this->belongsTo(User::class, 'updated_by');
     }
 
+    public function evolucion()
+    {
+        return $this->hasOne(Evolucion::class);
+    }
+
+    public function serie()
+    {
+        return $this->belongsTo(TurnoSerie::class, 'serie_id');
+    }
+
+    public function historialEstados()
+    {
+        return $this->hasMany(TurnoEstadoHistorial::class)->orderBy('created_at')->orderBy('id');
+    }
+
     // Scopes
     public function scopePorFecha($query, $fecha)
     {
@@ -101,6 +122,12 @@ public function scopeProgramados($query)
         return $query->where('estado', self::ESTADO_PROGRAMADO);
     }
 
+    // Programados o confirmados: todavía ocupan el horario
+    public function scopePendientes($query)
+    {
+        return $query->whereIn('estado', [self::ESTADO_PROGRAMADO, self::ESTADO_CONFIRMADO]);
+    }
+
     public function scopeRealizados($query)
     {
         return $query->where('estado', self::ESTADO_REALIZADO);
@@ -137,6 +164,12 @@ public function getFechaCompleta(): string
         return $this->fecha->format('d/m/Y') . ' ' . $this->hora_inicio->format('H:i');
     }
 
+    // La fecha y hora de inicio ya pasaron: el horario no se puede volver a dar
+    public function haComenzado(): bool
+    {
+        return $this->fecha->copy()->setTimeFromTimeString($this->hora_inicio->format('H:i:s'))->isPast();
+    }
+
     public function getDuracionFormateada(): string
     {
         $horas = floor($this->duracion_minutos / 60);
@@ -157,17 +190,24 @@ public function puedeSerCancelado(): bool
 
     public function puedeSerRealizado(): bool
     {
-        return $this->estado === self::ESTADO_PROGRAMADO;
+        return in_array($this->estado, [self::ESTADO_PROGRAMADO, self::ESTADO_CONFIRMADO]);
     }
 
     public function puedeSerReprogramado(): bool
     {
         return in_array($this->estado, [
             self::ESTADO_PROGRAMADO, 
+            self::ESTADO_CONFIRMADO,
             self::ESTADO_CANCELADO
         ]);
     }
 
+    public function puedeMarcarseNoAsistio(): bool
+    {
+        return in_array($this->estado, [self::ESTADO_PROGRAMADO, self::ESTADO_CONFIRMADO]) &&
+               !$this->fecha->isFuture();
+    }
+
     // Mutators
     public function setEstadoAttribute($value)
     {
@@ -188,14 +228,12 @@ public function marcarComoRealizado($observaciones = null): bool
         return $this->save();
     }
 
+    // Única vía de cancelación: motivo, usuario y fecha quedan en el historial de estados
     public function cancelar($motivo = null): bool
     {
-        $this->estado = self::ESTADO_CANCELADO;
-        if ($motivo) {
-            $this->observaciones = ($this->observaciones ? $this->observaciones . "\n" : '') . 
-                                 "Cancelado: " . $motivo;
-        }
-        return $this->save();
+        $this->motivoCambioEstado = $motivo;
+
+        return $this->update(['estado' => self::ESTADO_CANCELADO]);
     }
 
     public function reprogramar($nuevaFecha, $nuevaHora): bool
@@ -206,6 +244,57 @@ public function reprogramar($nuevaFecha, $nuevaHora): bool
         return $this->save();
     }
 
+    public function registrarCambioEstado(?string $estadoAnterior): void
+    {
+        $this->historialEstados()->create([
+            'estado_anterior' => $estadoAnterior,
+            'estado_nuevo' => $this->estado,
+            'motivo' => $this->motivoCambioEstado,
+            'usuario_id' => auth()->id(),
+        ]);
+
+        $this->motivoCambioEstado = null;
+    }
+
+    /**
+     * La disponibilidad cacheada del doctor en la fecha (y en la anterior, si se movió) deja de valer
+     */
+    public function limpiarCacheAgenda(): void
+    {
+        $validationService = app(\App\Services\AppointmentValidationService::class);
+        $validationService->clearValidationCache($this->doctor_id, $this->fecha->toDateString());
+
+        if ($this->wasChanged(['doctor_id', 'fecha'])) {
+            $validationService->clearValidationCache(
+                $this->getOriginal('doctor_id'),
+                Carbon::parse($this->getOriginal('fecha'))->toDateString()
+            );
+        }
+    }
+
+    /**
+     * Avisar el cambio al canal en vivo; si cambió el horario se envía también el anterior
+     */
+    public function publicarCambio(): void
+    {
+        $tipo = match (true) {
+            $this->wasChanged('estado') && $this->estado === self::ESTADO_CANCELADO => TurnoEvento::TIPO_CANCELADO,
+            $this->wasChanged('estado') && $this->estado === self::ESTADO_REALIZADO => TurnoEvento::TIPO_REALIZADO,
+            default => TurnoEvento::TIPO_ACTUALIZADO,
+        };
+
+        $original = null;
+        if ($this->wasChanged(['doctor_id', 'fecha', 'hora_inicio'])) {
+            $original = [
+                'doctor_id' => $this->getOriginal('doctor_id'),
+                'fecha' => Carbon::parse($this->getOriginal('fecha'))->toDateString(),
+                'hora_inicio' => Carbon::parse($this->getOriginal('hora_inicio'))->format('H:i'),
+            ];
+        }
+
+        TurnoEvento::registrar($this, $tipo, $original);
+    }
+
     /**
      * Boot method to add model events
      */
@@ -215,6 +304,10 @@ protected static function boot()
 
         // Evento cuando se crea un turno
         static::created(function ($turno) {
+            $turno->registrarCambioEstado(null);
+            TurnoEvento::registrar($turno, TurnoEvento::TIPO_CREADO);
+            $turno->limpiarCacheAgenda();
+
             // Programar recordatorio para 24 horas antes
             $reminderTime = Carbon::parse($turno->fecha . ' ' . $turno->hora_inicio)->subDay();
             
@@ -228,10 +321,21 @@ protected static function boot()
 
         // Evento cuando se actualiza un turno
         static::updated(function ($turno) {
+            if ($turno->wasChanged('estado')) {
+                $turno->registrarCambioEstado($turno->getOriginal('estado'));
+            }
+
+            $turno->publicarCambio();
+            $turno->limpiarCacheAgenda();
+
             // Si se canceló, notificar
             if ($turno->isDirty('estado') && $turno->estado === self::ESTADO_CANCELADO) {
                 app(\App\Services\NotificationService::class)->notifyAppointmentCancelled($turno);
             }
         });
+
+        static::deleted(function ($turno) {
+            $turno->limpiarCacheAgenda();
+        });
     }
 }
@@ -0,0 +1,29 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class TurnoEstadoHistorial extends Model
+{
+    protected $table = 'turno_estado_historial';
+
+    protected $fillable = [
+        'turno_id',
+        'estado_anterior',
+        'estado_nuevo',
+        'motivo',
+        'usuario_id',
+    ];
+
+    // Relaciones
+    public function turno()
+    {
+        return $this->belongsTo(Turno::class);
+    }
+
+    public function usuario()
+    {
+        return $this->belongsTo(User::class, 'usuario_id');
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\MassPrunable;
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Cambio de un turno publicado en el canal en vivo (GET /turnos/stream)
+ */
+class TurnoEvento extends Model
+{
+    use MassPrunable;
+
+    protected $table = 'turno_eventos';
+
+    protected $fillable = [
+        'turno_id',
+        'doctor_id',
+        'tipo',
+        'datos',
+    ];
+
+    protected $casts = [
+        'datos' => 'array',
+    ];
+
+    // Mismos nombres de evento que escucha frontend/js/live.js
+    const TIPO_CREADO = 'turno.created';
+    const TIPO_ACTUALIZADO = 'turno.updated';
+    const TIPO_CANCELADO = 'turno.cancelled';
+    const TIPO_REALIZADO = 'turno.completed';
+
+    // Relaciones
+    public function turno()
+    {
+        return $this->belongsTo(Turno::class);
+    }
+
+    // Scopes
+    public function scopePosterioresA($query, int $id)
+    {
+        return $query->where('id', '>', $id)->orderBy('id');
+    }
+
+    public function scopeVisiblesPara($query, User $user)
+    {
+        // Los doctores solo reciben los cambios de sus propios turnos
+        if ($user->rol === 'doctor' && $user->doctor_id) {
+            $query->where('doctor_id', $user->doctor_id);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Publicar el cambio de un turno; las reprogramaciones incluyen doctor, fecha y hora anteriores
+     */
+    public static function registrar(Turno $turno, string $tipo, ?array $original = null): self
+    {
+        $datos = [
+            'id' => $turno->id,
+            'doctor_id' => $turno->doctor_id,
+            'fecha' => $turno->fecha->toDateString(),
+            'hora_inicio' => $turno->hora_inicio->format('H:i'),
+            'estado' => $turno->estado,
+        ];
+
+        if ($original) {
+            $datos['original'] = $original;
+        }
+
+        return static::create([
+            'turno_id' => $turno->id,
+            'doctor_id' => $turno->doctor_id,
+            'tipo' => $tipo,
+            'datos' => $datos,
+        ]);
+    }
+
+    /**
+     * Los eventos solo sirven para reconexiones recientes
+     */
+    public function prunable()
+    {
+        return static::where('created_at', '<', now()->subDay());
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class TurnoSerie extends Model
+{
+    protected $table = 'turno_series';
+
+    protected $fillable = [
+        'doctor_id',
+        'paciente_id',
+        'fecha_inicio',
+        'hora_inicio',
+        'hora_fin',
+        'frecuencia',
+        'intervalo',
+        'cantidad',
+        'fecha_fin',
+        'motivo',
+        'estado',
+        'created_by',
+    ];
+
+    protected $casts = [
+        'fecha_inicio' => 'date',
+        'fecha_fin' => 'date',
+        'hora_inicio' => 'datetime:H:i',
+        'hora_fin' => 'datetime:H:i',
+        'intervalo' => 'integer',
+        'cantidad' => 'integer',
+    ];
+
+    // Estados
+    const ESTADO_ACTIVA = 'activa';
+    const ESTADO_CANCELADA = 'cancelada';
+
+    // Límite de sesiones por serie
+    const MAX_SESIONES = 52;
+
+    // Relaciones
+    public function turnos()
+    {
+        return $this->hasMany(Turno::class, 'serie_id')->orderBy('fecha');
+    }
+
+    public function doctor()
+    {
+        return $this->belongsTo(Doctor::class);
+    }
+
+    public function paciente()
+    {
+        return $this->belongsTo(Paciente::class);
+    }
+
+    /**
+     * Fechas de la serie: cada N días o semanas desde fecha_inicio, hasta completar la cantidad o llegar a fecha_fin
+     */
+    public function generarFechas(): array
+    {
+        $paso = $this->frecuencia === 'semanas' ? $this->intervalo * 7 : $this->intervalo;
+        $limite = min($this->cantidad ?: self::MAX_SESIONES, self::MAX_SESIONES);
+        $fechas = [];
+
+        for ($fecha = $this->fecha_inicio->copy(); count($fechas) < $limite; $fecha->addDays($paso)) {
+            if ($this->fecha_fin && $fecha->gt($this->fecha_fin)) {
+                break;
+            }
+            $fechas[] = $fecha->toDateString();
+        }
+
+        return $fechas;
+    }
+}
@@ -4,9 +4,12 @@
 
 use App\Models\Turno;
 use App\Models\Doctor;
+use App\Models\DoctorAusencia;
 use App\Models\DoctorScheduleSlot;
+use App\Models\Feriado;
 use App\Models\Paciente;
 use Carbon\Carbon;
+use Carbon\CarbonPeriod;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Validation\ValidationException;
 
@@ -19,40 +22,28 @@ class AppointmentValidationService
     private const CACHE_TTL = 900; // 15 minutos
     private const MIN_APPOINTMENT_DURATION = 15; // minutos
     private const MAX_APPOINTMENT_DURATION = 180; // 3 horas
-    private const BUFFER_TIME = 5; // tiempo de buffer entre citas
 
     /**
      * Validar que no haya overlap de turnos para un doctor
+     * Sin cache: se consulta justo antes de guardar y tiene que ver los turnos recién creados
      */
     public function validateNoOverlap(int $doctorId, string $fecha, string $horaInicio, string $horaFin, ?int $excludeAppointmentId = null): bool
     {
-        $cacheKey = "doctor_overlaps_{$doctorId}_{$fecha}_{$horaInicio}_{$horaFin}";
-        
-        return Cache::remember($cacheKey, self::CACHE_TTL, function () use ($doctorId, $fecha, $horaInicio, $horaFin, $excludeAppointmentId) {
-            $horaInicioCarbon = Carbon::parse($horaInicio);
-            $horaFinCarbon = Carbon::parse($horaFin);
-            
-            // Agregar tiempo de buffer
-            $horaInicioBuffer = $horaInicioCarbon->copy()->subMinutes(self::BUFFER_TIME);
-            $horaFinBuffer = $horaFinCarbon->copy()->addMinutes(self::BUFFER_TIME);
-
-            $query = Turno::where('doctor_id', $doctorId)
-                ->where('fecha', $fecha)
-                ->whereIn('estado', ['programado', 'confirmado', 'en_curso'])
-                ->where(function ($q) use ($horaInicioBuffer, $horaFinBuffer) {
-                    // Verificar solapamiento con buffer
-                    $q->where(function ($subQ) use ($horaInicioBuffer, $horaFinBuffer) {
-                        $subQ->where('hora_inicio', '<', $horaFinBuffer->format('H:i:s'))
-                             ->where('hora_fin', '>', $horaInicioBuffer->format('H:i:s'));
-                    });
-                });
-
-            if ($excludeAppointmentId) {
-                $query->where('id', '!=', $excludeAppointmentId);
-            }
+        $horaInicioCarbon = Carbon::parse($horaInicio);
+        $horaFinCarbon = Carbon::parse($horaFin);
 
-            return $query->count() === 0;
-        });
+        // Sin margen entre turnos: uno puede empezar cuando termina el anterior, como en la grilla
+        $query = Turno::where('doctor_id', $doctorId)
+            ->where('fecha', $fecha)
+            ->whereIn('estado', ['programado', 'confirmado', 'en_curso'])
+            ->where('hora_inicio', '<', $horaFinCarbon->format('H:i:s'))
+            ->where('hora_fin', '>', $horaInicioCarbon->format('H:i:s'));
+
+        if ($excludeAppointmentId) {
+            $query->where('id', '!=', $excludeAppointmentId);
+        }
+
+        return $query->count() === 0;
     }
 
     /**
@@ -60,7 +51,7 @@ public function validateNoOverlap(int $doctorId, string $fecha, string $horaInic
      */
     public function validateWithinContract(int $doctorId, string $fecha): bool
     {
-        $cacheKey = "doctor_contract_validation_{$doctorId}_{$fecha}";
+        $cacheKey = $this->cacheKey("doctor_contract_validation_{$doctorId}_{$fecha}", $doctorId, $fecha);
         
         return Cache::remember($cacheKey, self::CACHE_TTL, function () use ($doctorId, $fecha) {
             $doctor = Doctor::with(['contratos' => function ($query) {
@@ -89,7 +80,7 @@ public function validateWithinContract(int $doctorId, string $fecha): bool
      */
     public function validateWithinSchedule(int $doctorId, string $fecha, string $horaInicio, string $horaFin): bool
     {
-        $cacheKey = "doctor_schedule_validation_{$doctorId}_{$fecha}_{$horaInicio}_{$horaFin}";
+        $cacheKey = $this->cacheKey("doctor_schedule_validation_{$doctorId}_{$fecha}_{$horaInicio}_{$horaFin}", $doctorId, $fecha);
         
         return Cache::remember($cacheKey, self::CACHE_TTL, function () use ($doctorId, $fecha, $horaInicio, $horaFin) {
             $doctor = Doctor::with(['horarios' => function ($query) {
@@ -114,12 +105,8 @@ public function validateWithinSchedule(int $doctorId, string $fecha, string $hor
                 ->where('end_time', '>=', $horaFinCarbon->format('H:i:s'))
                 ->first();
 
-            if (!$schedule) {
-                return false;
-            }
-
-            // Verificar excepciones de horario (días no laborables, vacaciones, etc.)
-            return !$this->hasScheduleException($doctorId, $fechaCarbon);
+            // Feriados y ausencias se controlan aparte, sin cache (getScheduleException)
+            return $schedule !== null;
         });
     }
 
@@ -130,7 +117,8 @@ public function validateAppointmentDuration(string $horaInicio, string $horaFin)
     {
         $inicio = Carbon::parse($horaInicio);
         $fin = Carbon::parse($horaFin);
-        $duration = $fin->diffInMinutes($inicio);
+        // Carbon 3 devuelve la diferencia con signo: se mide de inicio a fin
+        $duration = $inicio->diffInMinutes($fin);
 
         return $duration >= self::MIN_APPOINTMENT_DURATION && 
                $duration <= self::MAX_APPOINTMENT_DURATION;
@@ -196,17 +184,23 @@ public function validatePatientAppointmentLimits(int $pacienteId, string $fecha)
     }
 
     /**
-     * Verificar si el doctor tiene excepciones de horario
+     * Feriado o ausencia del doctor en la fecha; null si atiende normalmente
+     * Sin cache: se consulta justo después de cargar una ausencia. Los slots cacheados que la
+     * usan se invalidan al registrar o quitar ausencias y feriados (clearValidationCacheBetween)
      */
-    private function hasScheduleException(int $doctorId, Carbon $fecha): bool
+    public function getScheduleException(int $doctorId, string $fecha): ?string
     {
-        // Aquí se pueden agregar validaciones para:
-        // - Días de vacaciones del doctor
-        // - Días feriados
-        // - Ausencias programadas
-        // - Reuniones o eventos especiales
-        
-        return false; // Por defecto, no hay excepciones
+        $feriado = Feriado::whereDate('fecha', $fecha)->first();
+        if ($feriado) {
+            return "El {$feriado->fecha->format('d/m/Y')} es feriado ({$feriado->nombre})";
+        }
+
+        $ausencia = DoctorAusencia::where('doctor_id', $doctorId)->enFecha($fecha)->first();
+        if ($ausencia) {
+            return "El doctor no atiende del {$ausencia->fecha_desde->format('d/m/Y')} al {$ausencia->fecha_hasta->format('d/m/Y')} ({$ausencia->tipo_texto})";
+        }
+
+        return null;
     }
 
     /**
@@ -233,7 +227,7 @@ public function validateAppointment(array $data, ?int $excludeAppointmentId = nu
             $data['hora_fin'],
             $excludeAppointmentId
         )) {
-            $errors[] = 'El doctor ya tiene un turno en ese horario (incluyendo tiempo de buffer)';
+            $errors[] = 'El doctor ya tiene un turno en ese horario';
         }
 
         // Validar contrato activo
@@ -241,6 +235,12 @@ public function validateAppointment(array $data, ?int $excludeAppointmentId = nu
             $errors[] = 'El doctor no tiene un contrato activo para esa fecha';
         }
 
+        // Validar feriados y ausencias del doctor
+        $exception = $this->getScheduleException($data['doctor_id'], $data['fecha']);
+        if ($exception) {
+            $errors[] = $exception;
+        }
+
         // Validar horario disponible
         if (!$this->validateWithinSchedule(
             $data['doctor_id'],
@@ -273,7 +273,7 @@ public function calculateEndTime(string $horaInicio, int $durationMinutes): stri
      */
     public function getAvailableSlots(int $doctorId, string $fecha, int $durationMinutes = 30): array
     {
-        $cacheKey = "available_slots_{$doctorId}_{$fecha}_{$durationMinutes}";
+        $cacheKey = $this->cacheKey("available_slots_{$doctorId}_{$fecha}_{$durationMinutes}", $doctorId, $fecha);
         
         return Cache::remember($cacheKey, self::CACHE_TTL, function () use ($doctorId, $fecha, $durationMinutes) {
             $doctor = Doctor::with(['horarios', 'turnos' => function ($query) use ($fecha) {
@@ -281,7 +281,7 @@ public function getAvailableSlots(int $doctorId, string $fecha, int $durationMin
                       ->whereIn('estado', ['programado', 'confirmado', 'en_curso']);
             }])->find($doctorId);
 
-            if (!$doctor) {
+            if (!$doctor || $this->getScheduleException($doctorId, $fecha)) {
                 return [];
             }
 
@@ -314,9 +314,7 @@ public function getAvailableSlots(int $doctorId, string $fecha, int $durationMin
                 
                 $isAvailable = true;
                 foreach ($bookedSlots as $bookedSlot) {
-                    // Verificar overlap con buffer time
-                    if ($currentSlot->lt($bookedSlot['end']->addMinutes(self::BUFFER_TIME)) && 
-                        $slotEnd->gt($bookedSlot['start']->subMinutes(self::BUFFER_TIME))) {
+                    if ($currentSlot->lt($bookedSlot['end']) && $slotEnd->gt($bookedSlot['start'])) {
                         $isAvailable = false;
                         break;
                     }
@@ -353,19 +351,37 @@ public function suggestAlternativeSlots(int $doctorId, string $fecha, string $ho
     }
 
     /**
-     * Limpiar cache de validaciones
+     * Limpiar cache de validaciones del doctor en la fecha
+     * Cache::forget no acepta comodines: se cambia la versión que llevan todas las claves
      */
     public function clearValidationCache(int $doctorId, string $fecha): void
     {
-        $patterns = [
-            "doctor_overlaps_{$doctorId}_{$fecha}_*",
-            "doctor_contract_validation_{$doctorId}_{$fecha}",
-            "doctor_schedule_validation_{$doctorId}_{$fecha}_*",
-            "available_slots_{$doctorId}_{$fecha}_*"
-        ];
-
-        foreach ($patterns as $pattern) {
-            Cache::forget($pattern);
+        $versionKey = $this->versionKey($doctorId, $fecha);
+
+        Cache::forever($versionKey, Cache::get($versionKey, 0) + 1);
+    }
+
+    /**
+     * Limpiar cache de validaciones de un período: del doctor (ausencias) o de todos (feriados)
+     */
+    public function clearValidationCacheBetween(?int $doctorId, string $desde, string $hasta): void
+    {
+        $doctorIds = $doctorId ? [$doctorId] : Doctor::pluck('id')->all();
+
+        foreach (CarbonPeriod::create($desde, $hasta) as $fecha) {
+            foreach ($doctorIds as $id) {
+                $this->clearValidationCache($id, $fecha->toDateString());
+            }
         }
     }
+
+    private function versionKey(int $doctorId, string $fecha): string
+    {
+        return "agenda_version_{$doctorId}_{$fecha}";
+    }
+
+    private function cacheKey(string $key, int $doctorId, string $fecha): string
+    {
+        return $key . '_v' . Cache::get($this->versionKey($doctorId, $fecha), 0);
+    }
 }
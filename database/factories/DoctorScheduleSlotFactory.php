@@ -28,7 +28,7 @@ public function definition(): array
             'day_of_week' => $this->faker->numberBetween(1, 5), // Lunes a Viernes
             'start_time' => sprintf('%02d:00:00', $startHour),
             'end_time' => sprintf('%02d:00:00', $endHour),
-            'slot_duration_minutes' => $this->faker->randomElement([30, 45, 60]),
+            'slot_duration' => $this->faker->randomElement([30, 45, 60]),
             'is_active' => $this->faker->boolean(95), // 95% chance de estar activo
         ];
     }
@@ -111,7 +111,7 @@ public function weekdays(): static
     public function withDuration(int $minutes): static
     {
         return $this->state(fn (array $attributes) => [
-            'slot_duration_minutes' => $minutes,
+            'slot_duration' => $minutes,
         ]);
     }
 }
@@ -37,9 +37,9 @@ public function definition(): array
             'fecha' => $fecha->format('Y-m-d'),
             'hora_inicio' => $horaInicio,
             'hora_fin' => $horaFin,
-            'duration_minutes' => $duracion,
-            'estado' => $this->faker->randomElement(['programado', 'confirmado', 'completado', 'cancelado']),
-            'motivo_consulta' => $this->faker->optional()->sentence(),
+            'duracion_minutos' => $duracion,
+            'estado' => $this->faker->randomElement(['programado', 'confirmado', 'realizado', 'cancelado']),
+            'motivo' => $this->faker->optional()->sentence(),
             'observaciones' => $this->faker->optional()->paragraph(),
         ];
     }
@@ -70,7 +70,7 @@ public function confirmed(): static
     public function completed(): static
     {
         return $this->state(fn (array $attributes) => [
-            'estado' => 'completado',
+            'estado' => 'realizado',
         ]);
     }
 
@@ -116,7 +116,7 @@ public function withDuration(int $minutes): static
                 ->format('H:i:s');
 
             return [
-                'duration_minutes' => $minutes,
+                'duracion_minutos' => $minutes,
                 'hora_fin' => $horaFin,
             ];
         });
@@ -128,7 +128,7 @@ public function withDuration(int $minutes): static
     public function atTime(string $hora): static
     {
         return $this->state(function (array $attributes) use ($hora) {
-            $duracion = $attributes['duration_minutes'] ?? 30;
+            $duracion = $attributes['duracion_minutos'] ?? 30;
             $horaFin = Carbon::createFromFormat('H:i:s', $hora)
                 ->addMinutes($duracion)
                 ->format('H:i:s');
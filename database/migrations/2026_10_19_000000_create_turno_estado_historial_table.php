@@ -0,0 +1,35 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('turno_estado_historial', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('turno_id')->constrained('turnos')->onDelete('cascade');
+            $table->string('estado_anterior')->nullable();
+            $table->string('estado_nuevo');
+            $table->text('motivo')->nullable();
+            $table->foreignId('usuario_id')->nullable()->constrained('users')->onDelete('set null');
+            $table->timestamps();
+
+            // Índices
+            $table->index(['turno_id', 'created_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('turno_estado_historial');
+    }
+};
@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('lista_espera', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('paciente_id')->constrained('pacientes')->onDelete('cascade');
+            $table->foreignId('doctor_id')->nullable()->constrained('doctores')->onDelete('cascade');
+            $table->foreignId('especialidad_id')->nullable()->constrained('especialidades')->onDelete('cascade');
+            $table->json('dias_preferidos')->nullable(); // 0=Domingo ... 6=Sábado, null = cualquiera
+            $table->time('hora_desde')->nullable();
+            $table->time('hora_hasta')->nullable();
+            $table->text('observaciones')->nullable();
+            $table->enum('estado', ['activa', 'asignada', 'cancelada'])->default('activa');
+            $table->foreignId('turno_id')->nullable()->constrained('turnos')->onDelete('set null');
+            $table->foreignId('created_by')->nullable()->constrained('users')->onDelete('set null');
+            $table->timestamps();
+
+            // Índices
+            $table->index(['estado', 'doctor_id']);
+            $table->index(['estado', 'especialidad_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('lista_espera');
+    }
+};
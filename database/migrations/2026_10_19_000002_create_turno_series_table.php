@@ -0,0 +1,50 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('turno_series', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('doctor_id')->constrained('doctores')->onDelete('restrict');
+            $table->foreignId('paciente_id')->constrained('pacientes')->onDelete('restrict');
+            $table->date('fecha_inicio');
+            $table->time('hora_inicio');
+            $table->time('hora_fin');
+            $table->enum('frecuencia', ['dias', 'semanas']);
+            $table->unsignedTinyInteger('intervalo')->default(1);
+            $table->unsignedTinyInteger('cantidad')->nullable();
+            $table->date('fecha_fin')->nullable();
+            $table->text('motivo')->nullable();
+            $table->enum('estado', ['activa', 'cancelada'])->default('activa');
+            $table->foreignId('created_by')->nullable()->constrained('users')->onDelete('set null');
+            $table->timestamps();
+
+            // Índices
+            $table->index(['paciente_id', 'estado']);
+        });
+
+        Schema::table('turnos', function (Blueprint $table) {
+            $table->foreignId('serie_id')->nullable()->after('paciente_id')->constrained('turno_series')->onDelete('set null');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('turnos', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('serie_id');
+        });
+
+        Schema::dropIfExists('turno_series');
+    }
+};
@@ -0,0 +1,29 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // El modelo y la agenda usan slot_duration
+        Schema::table('doctor_schedule_slots', function (Blueprint $table) {
+            $table->renameColumn('slot_duration_minutes', 'slot_duration');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('doctor_schedule_slots', function (Blueprint $table) {
+            $table->renameColumn('slot_duration', 'slot_duration_minutes');
+        });
+    }
+};
@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('doctor_ausencias', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('doctor_id')->constrained('doctores')->onDelete('cascade');
+            $table->date('fecha_desde');
+            $table->date('fecha_hasta');
+            $table->enum('tipo', ['vacaciones', 'licencia', 'capacitacion', 'otro'])->default('vacaciones');
+            $table->string('motivo', 500)->nullable();
+            $table->foreignId('created_by')->nullable()->constrained('users')->onDelete('set null');
+            $table->timestamps();
+
+            // Índices
+            $table->index(['doctor_id', 'fecha_desde', 'fecha_hasta']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('doctor_ausencias');
+    }
+};
@@ -0,0 +1,57 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Condiciones laborales que usa el modelo DoctorContract
+        Schema::table('doctor_contracts', function (Blueprint $table) {
+            $table->string('tipo_contrato', 30)->default('contratado')->after('fecha_fin');
+            $table->decimal('salario_base', 10, 2)->nullable()->after('tipo_contrato');
+            $table->decimal('porcentaje_comision', 5, 2)->nullable()->after('salario_base');
+            $table->unsignedSmallInteger('horas_semanales')->nullable()->after('porcentaje_comision');
+            $table->unsignedSmallInteger('dias_vacaciones')->nullable()->after('horas_semanales');
+            $table->text('observaciones')->nullable()->after('dias_vacaciones');
+            $table->json('clausulas_especiales')->nullable()->after('observaciones');
+            $table->boolean('renovacion_automatica')->default(false)->after('clausulas_especiales');
+            $table->unsignedSmallInteger('periodo_renovacion_meses')->default(12)->after('renovacion_automatica');
+            $table->foreignId('created_by')->nullable()->after('is_active')->constrained('users')->onDelete('set null');
+            $table->foreignId('updated_by')->nullable()->after('created_by')->constrained('users')->onDelete('set null');
+
+            // Los contratos por sueldo no tienen tarifa por consulta
+            $table->decimal('tarifa_consulta', 10, 2)->nullable()->change();
+
+            $table->index(['is_active', 'fecha_fin']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('doctor_contracts', function (Blueprint $table) {
+            $table->dropIndex(['is_active', 'fecha_fin']);
+            $table->dropConstrainedForeignId('created_by');
+            $table->dropConstrainedForeignId('updated_by');
+            $table->dropColumn([
+                'tipo_contrato',
+                'salario_base',
+                'porcentaje_comision',
+                'horas_semanales',
+                'dias_vacaciones',
+                'observaciones',
+                'clausulas_especiales',
+                'renovacion_automatica',
+                'periodo_renovacion_meses',
+            ]);
+        });
+    }
+};
@@ -0,0 +1,54 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Campos que usa el modelo Especialidad (el alta genera código, color y orden)
+        Schema::table('especialidades', function (Blueprint $table) {
+            $table->string('codigo', 10)->nullable()->unique()->after('nombre');
+            $table->unsignedSmallInteger('duracion_cita_default')->default(30)->after('descripcion');
+            $table->decimal('precio_base', 10, 2)->nullable()->after('duracion_cita_default');
+            $table->boolean('requiere_autorizacion')->default(false)->after('precio_base');
+            $table->string('color_identificacion', 7)->nullable()->after('requiere_autorizacion');
+            $table->string('icono', 50)->nullable()->after('color_identificacion');
+            $table->unsignedInteger('orden_visualizacion')->default(0)->after('activo');
+
+            $table->index('orden_visualizacion');
+        });
+
+        // Orden inicial: el alfabético que mostraban los listados
+        DB::table('especialidades')->orderBy('nombre')->pluck('id')
+            ->each(fn ($id, $indice) => DB::table('especialidades')
+                ->where('id', $id)
+                ->update(['orden_visualizacion' => $indice + 1]));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('especialidades', function (Blueprint $table) {
+            $table->dropIndex(['orden_visualizacion']);
+            $table->dropUnique(['codigo']);
+            $table->dropColumn([
+                'codigo',
+                'duracion_cita_default',
+                'precio_base',
+                'requiere_autorizacion',
+                'color_identificacion',
+                'icono',
+                'orden_visualizacion',
+            ]);
+        });
+    }
+};
@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Cambios de turnos que el canal en vivo envía a las agendas abiertas
+        Schema::create('turno_eventos', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('turno_id')->constrained('turnos')->onDelete('cascade');
+            $table->foreignId('doctor_id')->constrained('doctores')->onDelete('cascade');
+            $table->string('tipo', 30);
+            $table->json('datos');
+            $table->timestamps();
+
+            // Índices
+            $table->index(['doctor_id', 'id']);
+            $table->index('created_at');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('turno_eventos');
+    }
+};
@@ -0,0 +1,54 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    // Estados de Turno::getEstados()
+    private const ESTADOS = ['programado', 'confirmado', 'realizado', 'cancelado', 'no_asistio', 'reprogramado'];
+
+    private const ESTADOS_ANTERIORES = ['programado', 'confirmado', 'completado', 'cancelado', 'no_show'];
+
+    // Nombres viejos => nombres del modelo
+    private const EQUIVALENCIAS = ['completado' => 'realizado', 'no_show' => 'no_asistio'];
+
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        $this->cambiarEstados(array_unique([...self::ESTADOS_ANTERIORES, ...self::ESTADOS]));
+
+        foreach (self::EQUIVALENCIAS as $anterior => $nuevo) {
+            DB::table('turnos')->where('estado', $anterior)->update(['estado' => $nuevo]);
+        }
+
+        $this->cambiarEstados(self::ESTADOS);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        $this->cambiarEstados(array_unique([...self::ESTADOS_ANTERIORES, ...self::ESTADOS]));
+
+        foreach (self::EQUIVALENCIAS as $anterior => $nuevo) {
+            DB::table('turnos')->where('estado', $nuevo)->update(['estado' => $anterior]);
+        }
+        // Un turno reprogramado ya fue reemplazado por otro
+        DB::table('turnos')->where('estado', 'reprogramado')->update(['estado' => 'cancelado']);
+
+        $this->cambiarEstados(self::ESTADOS_ANTERIORES);
+    }
+
+    private function cambiarEstados(array $estados): void
+    {
+        Schema::table('turnos', function (Blueprint $table) use ($estados) {
+            $table->enum('estado', $estados)->default('programado')->change();
+        });
+    }
+};
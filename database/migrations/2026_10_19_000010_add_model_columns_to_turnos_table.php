@@ -0,0 +1,42 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Columnas que usa el modelo Turno (reprogramar, series y auditoría)
+        Schema::table('turnos', function (Blueprint $table) {
+            $table->text('motivo')->nullable()->after('estado');
+            $table->unsignedSmallInteger('duracion_minutos')->default(30)->after('hora_fin');
+            $table->decimal('precio', 10, 2)->nullable()->after('observaciones');
+            $table->foreignId('created_by')->nullable()->after('pagado')->constrained('users')->onDelete('set null');
+            $table->foreignId('updated_by')->nullable()->after('created_by')->constrained('users')->onDelete('set null');
+        });
+
+        DB::table('turnos')->update([
+            'motivo' => DB::raw('motivo_consulta'),
+            'duracion_minutos' => DB::raw('duration_minutes'),
+            'precio' => DB::raw('monto'),
+        ]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('turnos', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('created_by');
+            $table->dropConstrainedForeignId('updated_by');
+            $table->dropColumn(['motivo', 'duracion_minutos', 'precio']);
+        });
+    }
+};
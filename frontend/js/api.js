@@ -1,75 +1,293 @@
+const API_BASE = window.API_BASE || 'http://localhost:8000/api/v1';
+
+// ========== ERRORES TIPADOS ==========
+
+class ApiError extends Error {
+    constructor(message, { status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+class ValidationError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ValidationError';
+        this.errors = options.data?.errors || {};
+    }
+
+    // Primer mensaje de cada campo, para mostrar en un alert
+    get fieldMessages() {
+        return Object.values(this.errors).map(messages => Array.isArray(messages) ? messages[0] : messages);
+    }
+}
+
+class AuthError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+class RateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RateLimitError';
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+class NetworkError extends ApiError {
+    constructor(message = 'No se pudo conectar con el servidor') {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+// ========== TOKEN ==========
+
+const tokenStore = {
+    key: 'authToken',
+    legacyKeys: ['auth_token'],
+
+    get() {
+        let token = localStorage.getItem(this.key);
+
+        // Migrar tokens guardados por el cliente anterior
+        if (!token) {
+            for (const legacyKey of this.legacyKeys) {
+                token = localStorage.getItem(legacyKey);
+                if (token) {
+                    this.set(token);
+                    localStorage.removeItem(legacyKey);
+                    break;
+                }
+            }
+        }
+
+        return token;
+    },
+
+    set(token) {
+        localStorage.setItem(this.key, token);
+    },
+
+    clear() {
+        localStorage.removeItem(this.key);
+        this.legacyKeys.forEach(key => localStorage.removeItem(key));
+    }
+};
+
+// ========== CLIENTE HTTP ==========
+
 const api = {
+    baseURL: API_BASE,
+
+    // request: (config) => config
+    // response: (payload, response, config) => payload
+    // error: (error, config) => void
+    // fallback: (error, config) => payload | undefined, respuesta alternativa sin conexión
+    interceptors: {
+        request: [],
+        response: [],
+        error: [],
+        fallback: []
+    },
+
     async request(endpoint, options = {}) {
-        // Usar SecurityManager para todas las peticiones si está disponible
-        if (typeof securityManager !== 'undefined') {
-            return await securityManager.secureRequest(endpoint, options);
-        }
-        
-        // Fallback al método anterior si SecurityManager no está disponible
-        const token = Alpine.store('auth').token;
-        
-        const config = {
+        const token = tokenStore.get();
+        const { raw = false, ...fetchOptions } = options;
+
+        let config = {
+            method: 'GET',
+            ...fetchOptions,
+            endpoint,
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
                 ...(token && { 'Authorization': `Bearer ${token}` }),
-                ...options.headers
-            },
-            ...options
+                ...fetchOptions.headers
+            }
         };
 
+        for (const interceptor of this.interceptors.request) {
+            config = (await interceptor(config)) || config;
+        }
+
+        let response;
         try {
-            const response = await fetch(`${API_BASE}${endpoint}`, config);
-            
-            if (response.status === 401) {
-                Alpine.store('auth').clearAuth();
-                location.reload();
-                return;
+            response = await fetch(`${this.baseURL}${endpoint}`, config);
+        } catch (error) {
+            // Las peticiones abortadas no son errores de red
+            if (error.name === 'AbortError') {
+                throw error;
             }
-            
-            let data = {};
-            const text = await response.text();
-            if (text) {
-                try {
-                    data = JSON.parse(text);
-                } catch (e) {
-                    throw new Error('Respuesta inválida del servidor');
+
+            const networkError = await this.handleError(new NetworkError(), config);
+            for (const fallback of this.interceptors.fallback) {
+                const payload = await fallback(networkError, config);
+                if (payload !== undefined) {
+                    return raw ? payload : this.unwrap(payload);
                 }
             }
-            
-            if (!response.ok) {
-                throw new Error(data.message || `Error ${response.status}`);
+            throw networkError;
+        }
+
+        let payload = {};
+        const text = await response.text();
+        if (text) {
+            try {
+                payload = JSON.parse(text);
+            } catch (e) {
+                payload = text;
+            }
+        }
+
+        if (!response.ok || payload?.success === false) {
+            throw await this.handleError(this.buildError(response, payload), config);
+        }
+
+        for (const interceptor of this.interceptors.response) {
+            payload = (await interceptor(payload, response, config)) ?? payload;
+        }
+
+        return raw ? payload : this.unwrap(payload);
+    },
+
+    buildError(response, payload) {
+        const data = typeof payload === 'object' ? payload : null;
+        const message = data?.message || `Error ${response.status}`;
+        const options = { status: response.status, data };
+
+        switch (response.status) {
+            case 422:
+                return new ValidationError(message, options);
+            case 401:
+                return new AuthError(data?.message || 'Sesión expirada. Inicie sesión nuevamente.', options);
+            case 403:
+            case 419:
+                return new AuthError(message, options);
+            case 429: {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+                return new RateLimitError(
+                    data?.message || `Demasiadas solicitudes. Intente nuevamente en ${retryAfter ?? 'unos'} segundos.`,
+                    { ...options, retryAfter }
+                );
             }
-            
-            return data;
-        } catch (error) {
-            console.error('API Error:', error);
-            throw error;
+            default:
+                return new ApiError(message, options);
+        }
+    },
+
+    async handleError(error, config) {
+        for (const interceptor of this.interceptors.error) {
+            await interceptor(error, config);
+        }
+        return error;
+    },
+
+    // Desenvolver el formato {success, data, message} del backend.
+    // Las respuestas paginadas se devuelven como {items, pagination} para no perder las páginas siguientes
+    unwrap(payload) {
+        if (payload && typeof payload === 'object' && 'success' in payload && 'data' in payload) {
+            return this.toPage(payload) || payload.data;
+        }
+        return payload;
+    },
+
+    isPaginator(value) {
+        return Boolean(value) && Array.isArray(value.data) && 'current_page' in value && 'last_page' in value;
+    },
+
+    // paginatedResponse trae la paginación aparte; un paginador dentro de successResponse la trae junto a los items
+    toPage(payload) {
+        if (this.isPaginator(payload?.data)) {
+            const { data, ...pagination } = payload.data;
+            return {
+                items: data,
+                pagination: { ...pagination, has_more_pages: pagination.current_page < pagination.last_page }
+            };
         }
+        if (payload?.pagination && Array.isArray(payload.data)) {
+            return { items: payload.data, pagination: payload.pagination };
+        }
+        return null;
+    },
+
+    buildQuery(params = {}) {
+        const search = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            const value = params[key];
+            if (value === undefined || value === null || value === '') return;
+            if (Array.isArray(value)) {
+                value.forEach(item => search.append(`${key}[]`, item));
+            } else {
+                search.append(key, value);
+            }
+        });
+        const query = search.toString();
+        return query ? `?${query}` : '';
+    },
+
+    get(endpoint, params = {}, options = {}) {
+        return this.request(endpoint + this.buildQuery(params), options);
     },
 
-    get(endpoint, params = {}) {
-        const url = new URL(`${API_BASE}${endpoint}`);
-        Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
-        return this.request(url.pathname + url.search);
+    // Devuelve los items y la paginación de las respuestas paginadas
+    async getPage(endpoint, params = {}, options = {}) {
+        const payload = await this.get(endpoint, params, { ...options, raw: true });
+        return this.toPage(payload) || {
+            items: payload.data || [],
+            pagination: null
+        };
+    },
+
+    // Recorre todas las páginas de un listado paginado
+    async getAll(endpoint, params = {}, options = {}) {
+        const items = [];
+        let page = 1;
+        let pagination;
+
+        do {
+            const result = await this.getPage(endpoint, { per_page: 50, ...params, page }, options);
+            items.push(...result.items);
+            pagination = result.pagination;
+            page++;
+        } while (pagination?.has_more_pages);
+
+        return items;
     },
 
-    post(endpoint, data = {}) {
+    post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
     },
 
-    put(endpoint, data = {}) {
+    put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
     },
 
-    delete(endpoint) {
+    patch(endpoint, data = {}, options = {}) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    },
+
+    delete(endpoint, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'DELETE'
         });
     }
@@ -1,37 +1,36 @@
-const API_BASE = 'http://localhost:8000/api';
-
-// Inicializar SecurityManager
-let securityManager;
-
 document.addEventListener('alpine:init', () => {
-    // Inicializar seguridad
-    securityManager = new SecurityManager();
-    
     Alpine.store('auth', {
-        token: localStorage.getItem('authToken'),
+        token: tokenStore.get(),
         user: JSON.parse(localStorage.getItem('currentUser') || '{}'),
         
         setAuth(token, user) {
             this.token = token;
             this.user = user;
-            localStorage.setItem('authToken', token);
+            tokenStore.set(token);
             localStorage.setItem('currentUser', JSON.stringify(user));
-            // Configurar token en SecurityManager
-            securityManager.setToken(token);
+            liveUpdates.connect();
         },
         
         clearAuth() {
             this.token = null;
             this.user = {};
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('currentUser');
-            // Limpiar token en SecurityManager
-            securityManager.clearToken();
+            securityManager.clearSession();
+            offlineManager.clearCache();
+            liveUpdates.disconnect();
+        }
+    });
+
+    // Sesión expirada: volver al login desde cualquier componente
+    api.interceptors.error.push(error => {
+        if (error instanceof AuthError && error.status === 401) {
+            Alpine.store('auth').clearAuth();
         }
     });
 
     Alpine.store('modals', {
         currentView: 'agenda',
+        pacienteId: null,
+        doctorId: null,
         showPatientModal: false,
         showDoctorModal: false,
         showAppointmentModal: false,
@@ -41,7 +40,8 @@ document.addEventListener('alpine:init', () => {
     Alpine.store('calendar', {
         selectedDate: new Date().toISOString().split('T')[0],
         selectedDoctor: '',
-        selectedSlot: null
+        selectedSlot: null,
+        dayTurnos: []
     });
 });
 
@@ -53,13 +53,10 @@ function app() {
         },
         
         init() {
-            // Configurar SecurityManager si hay token
-            if (this.$store.auth.token) {
-                securityManager.setToken(this.$store.auth.token);
-            }
-            
             if (this.$store.auth.token && this.$store.auth.user.id) {
-                this.$store.modals.currentView = 'agenda';
+                // Un enlace con ?view=pacientes abre directamente el listado filtrado
+                const view = new URLSearchParams(location.search).get('view');
+                this.$store.modals.currentView = view === 'pacientes' ? view : 'agenda';
             }
         },
         
@@ -71,28 +68,20 @@ function app() {
                     password: this.loginForm.password // Las contraseñas no se sanitizan
                 };
                 
-                const response = await securityManager.secureRequest('/login', {
-                    method: 'POST',
-                    body: JSON.stringify(sanitizedForm)
-                });
+                const response = await api.post('/auth/login', sanitizedForm);
                 
-                if (response.success) {
-                    this.$store.auth.setAuth(response.token, response.user);
-                    this.$store.modals.currentView = 'agenda';
-                    showAlert('Login exitoso', 'success');
-                } else {
-                    showAlert(response.message || 'Error en el login', 'error');
-                }
+                this.$store.auth.setAuth(response.token, response.user);
+                this.$store.modals.currentView = 'agenda';
+                showAlert('Login exitoso', 'success');
             } catch (error) {
-                showAlert(error.message || 'Error de conexión', 'error');
+                // Aquí un 401 son credenciales incorrectas, no una sesión vencida
+                showAlert(error.message || 'Error en el login', 'error');
             }
         },
         
         async logout() {
             try {
-                await securityManager.secureRequest('/logout', {
-                    method: 'POST'
-                });
+                await api.post('/auth/logout');
             } catch (error) {
                 console.error('Logout error:', error);
             } finally {
@@ -112,3 +101,27 @@ function showAlert(message, type = 'success') {
         showConfirmButton: false
     });
 }
+
+// Mensaje uniforme para los errores tipados del cliente API
+function showApiError(error, context = 'Error') {
+    if (error instanceof AuthError && error.status === 401) {
+        // El interceptor de sesión ya devolvió al login
+        return;
+    }
+
+    if (error instanceof ValidationError && error.fieldMessages.length > 0) {
+        Swal.fire({
+            icon: 'error',
+            title: context,
+            html: error.fieldMessages.map(message => `<div>${securityManager.sanitizeInput(message)}</div>`).join('')
+        });
+        return;
+    }
+
+    if (error instanceof RateLimitError || error instanceof NetworkError) {
+        showAlert(error.message, 'warning');
+        return;
+    }
+
+    showAlert(`${context}: ${error.message}`, 'error');
+}
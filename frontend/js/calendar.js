@@ -1,91 +1,470 @@
+// Reserva temporal del horario mientras se completa el turno. Vive en localStorage: solo la
+// comparten las pestañas de este navegador; entre puestos el conflicto lo detecta el re-chequeo al guardar
+const slotHolds = {
+    key: 'slotHolds',
+    ttl: 5 * 60 * 1000,
+    owner: Math.random().toString(36).slice(2),
+
+    read() {
+        const holds = JSON.parse(localStorage.getItem(this.key) || '{}');
+        const now = Date.now();
+
+        Object.keys(holds).forEach(slot => {
+            if (holds[slot].expiresAt <= now) delete holds[slot];
+        });
+        return holds;
+    },
+
+    slotKey(doctorId, fecha, hora) {
+        return `${doctorId}|${fecha}|${hora}`;
+    },
+
+    heldByOther(doctorId, fecha, hora) {
+        const hold = this.read()[this.slotKey(doctorId, fecha, hora)];
+        return Boolean(hold) && hold.owner !== this.owner;
+    },
+
+    // Devuelve el vencimiento, o null si otra pestaña ya lo reservó
+    hold(doctorId, fecha, hora) {
+        if (this.heldByOther(doctorId, fecha, hora)) return null;
+
+        const holds = this.read();
+        const expiresAt = Date.now() + this.ttl;
+        holds[this.slotKey(doctorId, fecha, hora)] = { owner: this.owner, expiresAt };
+        localStorage.setItem(this.key, JSON.stringify(holds));
+        return expiresAt;
+    },
+
+    release(doctorId, fecha, hora) {
+        const holds = this.read();
+        const slot = this.slotKey(doctorId, fecha, hora);
+
+        if (holds[slot]?.owner === this.owner) {
+            delete holds[slot];
+            localStorage.setItem(this.key, JSON.stringify(holds));
+        }
+    }
+};
+
 function calendar() {
     return {
         selectedDate: new Date().toISOString().split('T')[0],
         selectedDoctor: '',
+        viewMode: 'day',
         doctores: [],
-        morningSlots: [],
-        afternoonSlots: [],
+        schedules: {},
+        blocks: [],
+        noAttention: false,
+        dayBlocked: null,
+        bloqueos: { feriados: [], ausencias: [] },
+        weekDays: [],
+        monthDays: [],
+        especialidades: [],
+        columnEspecialidad: '',
+        columnDoctorIds: [],
+        columns: [],
+        dragging: null,
         turnos: [],
+        highlights: [],
+        reloadTimer: null,
 
         init() {
             this.loadDoctores();
+            this.loadEspecialidades();
         },
 
         async loadDoctores() {
             try {
-                const response = await api.get('/doctores');
-                this.doctores = response.data || response;
+                this.doctores = await api.getAll('/doctores');
+
+                // Un doctor desactivado sale del selector y de las columnas elegidas
+                const ids = this.doctores.map(doctor => String(doctor.id));
+                if (this.selectedDoctor && !ids.includes(String(this.selectedDoctor))) this.selectedDoctor = '';
+                this.columnDoctorIds = this.columnDoctorIds.filter(id => ids.includes(id));
+            } catch (error) {
+                showApiError(error, 'Error cargando doctores');
+            }
+        },
+
+        async loadEspecialidades() {
+            try {
+                const response = await api.get('/especialidades');
+                this.especialidades = response.especialidades || [];
             } catch (error) {
-                showAlert('Error cargando doctores: ' + error.message, 'error');
+                showApiError(error, 'Error cargando especialidades');
+            }
+        },
+
+        // Horarios (DoctorScheduleSlot) del doctor, cacheados por id
+        async loadSchedule(doctorId) {
+            if (!this.schedules[doctorId]) {
+                const doctor = await api.get(`/doctores/${doctorId}`);
+                this.schedules[doctorId] = doctor.horarios || [];
             }
+            return this.schedules[doctorId];
+        },
+
+        // Feriados y ausencias del rango (sin doctor: las de todos los doctores)
+        async fetchBloqueos(fechaDesde, fechaHasta, doctorId = '') {
+            const rango = { fecha_desde: fechaDesde, fecha_hasta: fechaHasta };
+            const [feriados, ausencias] = await Promise.all([
+                api.get('/feriados', rango),
+                api.get('/ausencias', { ...rango, doctor_id: doctorId })
+            ]);
+            return { feriados, ausencias };
+        },
+
+        blockingFor(fecha, doctorId = this.selectedDoctor) {
+            return scheduleUtils.blockingFor(this.bloqueos, fecha, doctorId);
+        },
+
+        get canNavigate() {
+            return this.viewMode === 'doctors'
+                ? Boolean(this.columnEspecialidad || this.columnDoctorIds.length)
+                : Boolean(this.selectedDoctor);
         },
 
         async loadAgenda() {
-            if (!this.selectedDoctor || !this.selectedDate) {
-                showAlert('Seleccione doctor y fecha', 'warning');
+            if (!this.canNavigate || !this.selectedDate) {
+                showAlert(this.viewMode === 'doctors' ? 'Seleccione doctores o una especialidad' : 'Seleccione doctor y fecha', 'warning');
                 return;
             }
 
             try {
-                const response = await api.get('/turnos', {
+                switch (this.viewMode) {
+                    case 'doctors': await this.loadColumns(); break;
+                    case 'week': await this.loadWeek(); break;
+                    case 'month': await this.loadMonth(); break;
+                    default: await this.loadDay();
+                }
+            } catch (error) {
+                showApiError(error, 'Error cargando agenda');
+            }
+        },
+
+        async loadDay() {
+            const [horarios, turnos, bloqueos] = await Promise.all([
+                this.loadSchedule(this.selectedDoctor),
+                api.getAll('/turnos', {
                     doctor_id: this.selectedDoctor,
                     fecha: this.selectedDate
-                });
-                
-                this.turnos = response.data || response;
-                this.generateTimeSlots();
-            } catch (error) {
-                showAlert('Error cargando agenda: ' + error.message, 'error');
+                }),
+                this.fetchBloqueos(this.selectedDate, this.selectedDate, this.selectedDoctor)
+            ]);
+
+            this.turnos = turnos;
+            this.bloqueos = bloqueos;
+            this.generateTimeSlots(horarios);
+        },
+
+        async loadRange(dates) {
+            const [horarios, turnos, bloqueos] = await Promise.all([
+                this.loadSchedule(this.selectedDoctor),
+                api.getAll('/turnos', {
+                    doctor_id: this.selectedDoctor,
+                    fecha_desde: dates[0],
+                    fecha_hasta: dates[dates.length - 1]
+                }),
+                this.fetchBloqueos(dates[0], dates[dates.length - 1], this.selectedDoctor)
+            ]);
+
+            this.turnos = turnos;
+            this.bloqueos = bloqueos;
+            return dates.map(fecha => {
+                const blocked = this.blockingFor(fecha);
+                return {
+                    fecha,
+                    blocked,
+                    blocks: scheduleUtils.buildDay(horarios, fecha, turnos, blocked)
+                };
+            });
+        },
+
+        async loadWeek() {
+            const days = await this.loadRange(scheduleUtils.weekDates(this.selectedDate));
+
+            this.weekDays = days.map(day => ({
+                ...day,
+                label: scheduleUtils.formatLabel(day.fecha),
+                cells: day.blocks.flatMap(block => block.cells)
+            }));
+        },
+
+        async loadMonth() {
+            const month = scheduleUtils.parseDate(this.selectedDate).getMonth();
+            const days = await this.loadRange(scheduleUtils.monthDates(this.selectedDate));
+
+            this.monthDays = days.map(day => {
+                const slots = day.blocks.flatMap(block => block.slots);
+                return {
+                    fecha: day.fecha,
+                    day: scheduleUtils.parseDate(day.fecha).getDate(),
+                    inMonth: scheduleUtils.parseDate(day.fecha).getMonth() === month,
+                    hasSchedule: day.blocks.length > 0,
+                    blocked: day.blocked,
+                    booked: slots.filter(slot => !slot.available).length,
+                    free: slots.filter(slot => slot.available).length
+                };
+            });
+        },
+
+        // Doctores elegidos, o todos los de la especialidad si no se eligió ninguno
+        async resolveColumnDoctors() {
+            if (this.columnDoctorIds.length) {
+                return this.doctores.filter(doctor => this.columnDoctorIds.includes(String(doctor.id)));
             }
+
+            const doctores = await api.get(`/doctores/especialidad/${this.columnEspecialidad}`);
+            return doctores.filter(doctor => doctor.activo !== false);
         },
 
-        generateTimeSlots() {
-            this.morningSlots = [];
-            this.afternoonSlots = [];
+        async loadColumns() {
+            const doctores = await this.resolveColumnDoctors();
+            const [horarios, turnos, bloqueos] = await Promise.all([
+                Promise.all(doctores.map(doctor => this.loadSchedule(doctor.id))),
+                api.getAll('/turnos', {
+                    fecha: this.selectedDate,
+                    especialidad_id: this.columnDoctorIds.length ? '' : this.columnEspecialidad
+                }),
+                this.fetchBloqueos(this.selectedDate, this.selectedDate)
+            ]);
 
-            // Morning slots: 08:00 - 12:00
-            for (let hour = 8; hour < 12; hour++) {
-                for (let minutes = 0; minutes < 60; minutes += 30) {
-                    const time = `${hour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-                    const isOccupied = this.turnos.some(turno => 
-                        turno.hora_inicio === time && turno.estado === 'programado'
-                    );
-                    
-                    this.morningSlots.push({
-                        time,
-                        available: !isOccupied
-                    });
-                }
+            this.turnos = turnos;
+            this.bloqueos = bloqueos;
+            this.columns = doctores.map((doctor, index) => {
+                const blocked = this.blockingFor(this.selectedDate, doctor.id);
+                const blocks = scheduleUtils.buildDay(
+                    horarios[index],
+                    this.selectedDate,
+                    turnos.filter(turno => String(turno.doctor_id) === String(doctor.id)),
+                    blocked
+                );
+                return {
+                    doctor,
+                    blocked,
+                    cells: blocks.flatMap(block => block.cells),
+                    noAttention: blocks.length === 0
+                };
+            });
+        },
+
+        toggleColumnDoctor(doctorId) {
+            const id = String(doctorId);
+            this.columnDoctorIds = this.columnDoctorIds.includes(id)
+                ? this.columnDoctorIds.filter(selected => selected !== id)
+                : [...this.columnDoctorIds, id];
+        },
+
+        generateTimeSlots(horarios) {
+            this.dayBlocked = this.blockingFor(this.selectedDate);
+            this.blocks = scheduleUtils.buildDay(horarios, this.selectedDate, this.turnos, this.dayBlocked);
+            this.noAttention = this.blocks.length === 0;
+        },
+
+        get periodLabel() {
+            if (this.viewMode === 'week') {
+                const dates = scheduleUtils.weekDates(this.selectedDate);
+                return `${scheduleUtils.formatLabel(dates[0])} - ${scheduleUtils.formatLabel(dates[6])}`;
+            }
+            if (this.viewMode === 'month') {
+                return scheduleUtils.formatLabel(this.selectedDate, { month: 'long', year: 'numeric' });
             }
+            return scheduleUtils.formatLabel(this.selectedDate, { weekday: 'long', day: 'numeric', month: 'long' });
+        },
 
-            // Afternoon slots: 14:00 - 18:00
-            for (let hour = 14; hour < 18; hour++) {
-                for (let minutes = 0; minutes < 60; minutes += 30) {
-                    const time = `${hour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-                    const isOccupied = this.turnos.some(turno => 
-                        turno.hora_inicio === time && turno.estado === 'programado'
-                    );
-                    
-                    this.afternoonSlots.push({
-                        time,
-                        available: !isOccupied
-                    });
-                }
+        setViewMode(mode) {
+            this.viewMode = mode;
+            if (this.canNavigate) {
+                this.loadAgenda();
+            }
+        },
+
+        shiftPeriod(direction) {
+            if (this.viewMode === 'month') {
+                this.selectedDate = scheduleUtils.addMonths(this.selectedDate, direction);
+            } else {
+                this.selectedDate = scheduleUtils.addDays(this.selectedDate, this.viewMode === 'week' ? 7 * direction : direction);
             }
+            this.loadAgenda();
+        },
+
+        openDay(fecha) {
+            this.selectedDate = fecha;
+            this.setViewMode('day');
+        },
+
+        // Turnos cargados de un doctor en una fecha
+        turnosFor(fecha, doctorId) {
+            return this.turnos.filter(turno =>
+                scheduleUtils.normalizeDate(turno.fecha) === fecha && String(turno.doctor_id) === String(doctorId)
+            );
         },
 
-        selectSlot(slot) {
+        selectSlot(slot, fecha = this.selectedDate, doctorId = this.selectedDoctor) {
             if (!slot.available) return;
+
+            if (slotHolds.heldByOther(doctorId, fecha, slot.time)) {
+                showAlert('Este horario se está dando en otra pestaña de este navegador', 'warning');
+                return;
+            }
             
-            this.selectedSlot = slot;
+            const calendarStore = Alpine.store('calendar');
+            calendarStore.selectedDate = fecha;
+            calendarStore.selectedDoctor = doctorId;
+            calendarStore.selectedSlot = slot;
+            calendarStore.dayTurnos = this.turnosFor(fecha, doctorId);
             this.openAppointmentModal();
         },
 
+        // ========== REPROGRAMACIÓN (drag & drop) ==========
+
+        // Sin conexión la agenda es de solo lectura
+        canDrag(slot) {
+            return Boolean(slot.turno) && !slot.turno.offline && Alpine.store('offline').online;
+        },
+
+        startDrag(slot, fecha = this.selectedDate, doctorId = this.selectedDoctor) {
+            if (!this.canDrag(slot)) return;
+            this.dragging = { slot, fecha, doctorId };
+        },
+
+        endDrag() {
+            this.dragging = null;
+        },
+
+        async dropOn(target, fecha = this.selectedDate, doctorId = this.selectedDoctor) {
+            const source = this.dragging;
+            this.dragging = null;
+
+            if (!source || !target.available || source.slot === target) return;
+
+            const turno = source.slot.turno;
+            const from = { fecha: source.fecha, hora: source.slot.time, doctorId: source.doctorId };
+            const to = { fecha, hora: target.time, doctorId };
+            const { start, end } = scheduleUtils.turnoRange(turno, target.duration);
+            const range = { start: scheduleUtils.toMinutes(to.hora), end: scheduleUtils.toMinutes(to.hora) + end - start };
+
+            // El turno conserva su duración: no puede pisar otro turno ni salir del bloque
+            if (range.end > scheduleUtils.toMinutes(target.blockEnd) ||
+                scheduleUtils.findConflict(this.turnosFor(fecha, doctorId), range, turno.id)) {
+                showAlert(`El turno dura ${range.end - range.start} min y no entra en ese horario`, 'warning');
+                return;
+            }
+
+            const result = await Swal.fire({
+                title: '¿Reprogramar turno?',
+                text: `${turno.paciente?.nombre || ''} ${turno.paciente?.apellido || ''}: ${this.describeSlot(from)} → ${this.describeSlot(to)}`,
+                icon: 'question',
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, reprogramar',
+                cancelButtonText: 'Cancelar'
+            });
+
+            if (!result.isConfirmed) return;
+
+            // Mover en la grilla antes de confirmar con el servidor
+            this.moveSlotTurno(source.slot, target);
+
+            try {
+                // Mismo circuito que Reprogramar en Turnos: el original queda reprogramado y con historial
+                await api.post(`/turnos/${turno.id}/reschedule`, {
+                    doctor_id: to.doctorId,
+                    fecha: to.fecha,
+                    hora_inicio: to.hora,
+                    hora_fin: scheduleUtils.toTime(range.end),
+                    motivo: `Movido en la agenda: ${this.describeSlot(from)} → ${this.describeSlot(to)}`
+                });
+
+                showAlert('Turno reprogramado exitosamente', 'success');
+                this.loadAgenda();
+            } catch (error) {
+                this.moveSlotTurno(target, source.slot);
+                showApiError(error, 'No se pudo reprogramar el turno');
+            }
+        },
+
+        moveSlotTurno(from, to) {
+            to.turno = from.turno;
+            to.available = false;
+            from.turno = null;
+            from.available = true;
+        },
+
+        describeSlot({ fecha, hora, doctorId }) {
+            const doctor = this.doctores.find(doctor => String(doctor.id) === String(doctorId));
+            const doctorName = doctor ? ` (${doctor.nombre} ${doctor.apellido})` : '';
+            return `${scheduleUtils.formatLabel(fecha, { day: '2-digit', month: '2-digit', year: 'numeric' })} ${hora}${doctorName}`;
+        },
+
+        // ========== ACTUALIZACIONES EN VIVO ==========
+
+        // Turno modificado desde otro puesto: resaltar y recargar si está en la vista
+        onTurnoChanged({ turno }) {
+            const places = [turno, turno.original].filter(Boolean).filter(place => this.showsPlace(place));
+            if (!places.length) return;
+
+            const highlights = places.map(place => ({
+                fecha: scheduleUtils.normalizeDate(place.fecha),
+                doctorId: String(place.doctor_id),
+                minutes: scheduleUtils.toMinutes(place.hora_inicio)
+            }));
+            this.highlights = [...this.highlights, ...highlights];
+            setTimeout(() => {
+                this.highlights = this.highlights.filter(highlight => !highlights.includes(highlight));
+            }, 5000);
+
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.refreshAgenda(), 300);
+        },
+
+        showsPlace(place) {
+            const fecha = scheduleUtils.normalizeDate(place.fecha);
+
+            if (this.viewMode === 'doctors') {
+                return fecha === this.selectedDate &&
+                    this.columns.some(column => String(column.doctor.id) === String(place.doctor_id));
+            }
+            if (!this.selectedDoctor || String(place.doctor_id) !== String(this.selectedDoctor)) return false;
+
+            switch (this.viewMode) {
+                case 'week': return scheduleUtils.weekDates(this.selectedDate).includes(fecha);
+                case 'month': return scheduleUtils.monthDates(this.selectedDate).includes(fecha);
+                default: return fecha === this.selectedDate;
+            }
+        },
+
+        // Recarga sin avisos; el modal abierto ve los turnos nuevos al validar superposiciones
+        async refreshAgenda() {
+            await this.loadAgenda();
+
+            const calendarStore = Alpine.store('calendar');
+            if (calendarStore.selectedSlot) {
+                calendarStore.dayTurnos = this.turnosFor(calendarStore.selectedDate, calendarStore.selectedDoctor);
+            }
+        },
+
+        isHighlighted(slot, fecha = this.selectedDate, doctorId = this.selectedDoctor) {
+            const start = scheduleUtils.toMinutes(slot.time);
+            const end = scheduleUtils.toMinutes(slot.end);
+
+            return this.highlights.some(highlight =>
+                highlight.fecha === fecha && highlight.doctorId === String(doctorId) &&
+                highlight.minutes >= start && highlight.minutes < end
+            );
+        },
+
+        isHighlightedDay(fecha) {
+            return this.highlights.some(highlight => highlight.fecha === fecha);
+        },
+
         openAppointmentModal() {
             const modal = document.createElement('div');
             modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
             modal.innerHTML = `
-                <div class="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" x-data="appointmentModal">
+                <div class="relative top-20 mx-auto p-5 border shadow-lg rounded-md bg-white" x-data="appointmentModal"
+                     :class="recurrence.enabled ? 'w-full max-w-xl' : 'w-96'">
                     <div class="mt-3">
                         <h3 class="text-lg font-medium text-gray-900 mb-4">Nuevo Turno</h3>
                         <form @submit.prevent="save">
@@ -96,41 +475,179 @@ function calendar() {
                             </div>
                             <div class="mb-4">
                                 <label class="block text-sm font-medium text-gray-700">Hora</label>
-                                <input type="text" x-model="form.hora_inicio" required readonly
+                                <input type="text" :value="form.hora_inicio + ' - ' + form.hora_fin" required readonly
                                        class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 bg-gray-100">
+                                <p x-show="holdRemaining" class="mt-1 text-xs text-gray-500" 
+                                   x-text="'Horario apartado en este navegador por ' + holdRemaining"></p>
+                                <p x-show="holdExpired" class="mt-1 text-xs text-amber-600">
+                                    La reserva venció: se verificará la disponibilidad al guardar
+                                </p>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Duración</label>
+                                <select x-model.number="form.duracion_minutos" @change="updateHoraFin"
+                                        class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <template x-for="option in durationOptions" :key="option">
+                                        <option :value="option" x-text="option + ' min'" :selected="option === form.duracion_minutos"></option>
+                                    </template>
+                                </select>
+                                <p x-show="conflict" class="mt-1 text-xs text-red-600" x-text="conflict"></p>
                             </div>
                             <div class="mb-4">
                                 <label class="block text-sm font-medium text-gray-700">Buscar Paciente (DNI o Nombre)</label>
                                 <input type="text" x-model="searchTerm" @input="searchPacientes" 
-                                       placeholder="Ingrese DNI o nombre del paciente"
+                                       @focus="searchFocused = true" @blur="searchFocused = false"
+                                       @keydown.arrow-down.prevent="moveActive(1)" @keydown.arrow-up.prevent="moveActive(-1)"
+                                       @keydown.enter.prevent="selectActive()" @keydown.escape.prevent="searchTerm = ''; pacientes = []"
+                                       placeholder="Ingrese DNI o nombre del paciente" autocomplete="off"
                                        class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
-                                <div x-show="pacientes.length > 0" class="mt-2 max-h-40 overflow-y-auto border border-gray-300 rounded">
-                                    <template x-for="paciente in pacientes" :key="paciente.id">
-                                        <div @click="selectPaciente(paciente)" 
-                                             class="p-2 hover:bg-gray-100 cursor-pointer border-b border-gray-200">
-                                            <span x-text="paciente.nombre + ' ' + paciente.apellido"></span>
-                                            <span class="text-gray-500 text-sm" x-text="' (DNI: ' + paciente.dni + ')'"></span>
+                                <p x-show="searching" class="mt-1 text-xs text-gray-500">Buscando...</p>
+                                <div x-show="suggestions.length > 0" class="mt-2 max-h-40 overflow-y-auto border border-gray-300 rounded">
+                                    <div x-show="showingRecent" class="px-2 py-1 text-xs text-gray-500 bg-gray-50">Pacientes recientes</div>
+                                    <template x-for="(paciente, index) in suggestions" :key="paciente.id">
+                                        <div @mousedown.prevent="selectPaciente(paciente)" @mouseenter="activeIndex = index"
+                                             :class="index === activeIndex ? 'bg-emerald-50' : ''"
+                                             class="p-2 cursor-pointer border-b border-gray-200">
+                                            <span x-html="highlight(paciente.nombre + ' ' + paciente.apellido)"></span>
+                                            <span class="text-gray-500 text-sm">(DNI: <span x-html="highlight(paciente.dni)"></span>)</span>
+                                            <span x-show="allergies(paciente).length" class="text-rose-600 text-xs font-medium">⚠ Alergias</span>
                                         </div>
                                     </template>
                                 </div>
+                                <p x-show="searchTerm.length >= 2 && !searching && pacientes.length === 0" class="mt-1 text-xs text-gray-500">
+                                    Sin resultados
+                                </p>
                             </div>
                             <div x-show="form.paciente_id" class="mb-4 p-3 bg-gray-50 rounded">
                                 <p class="text-sm"><strong>Paciente seleccionado:</strong></p>
                                 <p x-text="selectedPacienteName"></p>
                             </div>
+                            <div x-show="form.paciente_id && selectedAlergias.length" 
+                                 class="mb-4 px-3 py-2 rounded-md bg-rose-600 text-white text-sm font-medium">
+                                ⚠ Alergias: <span x-text="selectedAlergias.join(', ')"></span>
+                            </div>
+                            <div class="mb-4">
+                                <button type="button" x-show="!newPaciente.open && !form.paciente_id" @click="openNewPaciente()" 
+                                        class="text-sm text-emerald-700 hover:underline">
+                                    + Paciente nuevo
+                                </button>
+                                <div x-show="newPaciente.open" @keydown.enter.prevent="createPaciente()" 
+                                     class="p-3 border border-emerald-200 rounded bg-emerald-50">
+                                    <h4 class="text-sm font-medium text-gray-700 mb-2">Nuevo paciente</h4>
+                                    <div class="grid grid-cols-2 gap-2">
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Nombre *</label>
+                                            <input type="text" x-model="newPaciente.form.nombre"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.nombre" class="text-xs text-red-600" x-text="newPaciente.errors.nombre"></p>
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Apellido *</label>
+                                            <input type="text" x-model="newPaciente.form.apellido"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.apellido" class="text-xs text-red-600" x-text="newPaciente.errors.apellido"></p>
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">DNI *</label>
+                                            <input type="text" x-model="newPaciente.form.dni" @blur="checkPacienteAvailability()"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.dni" class="text-xs text-red-600" x-text="newPaciente.errors.dni"></p>
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Fecha de nacimiento *</label>
+                                            <input type="date" x-model="newPaciente.form.fecha_nacimiento"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.fecha_nacimiento" class="text-xs text-red-600" x-text="newPaciente.errors.fecha_nacimiento"></p>
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Teléfono</label>
+                                            <input type="tel" x-model="newPaciente.form.telefono"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.telefono" class="text-xs text-red-600" x-text="newPaciente.errors.telefono"></p>
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Email</label>
+                                            <input type="email" x-model="newPaciente.form.email" @blur="checkPacienteAvailability()"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                            <p x-show="newPaciente.errors.email" class="text-xs text-red-600" x-text="newPaciente.errors.email"></p>
+                                        </div>
+                                    </div>
+                                    <div class="flex justify-end space-x-2 mt-3">
+                                        <button type="button" @click="newPaciente.open = false" 
+                                                class="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                            Cancelar
+                                        </button>
+                                        <button type="button" @click="createPaciente()" :disabled="newPaciente.saving" 
+                                                class="px-3 py-1 text-xs font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700">
+                                            Crear y continuar
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
                             <div class="mb-4">
                                 <label class="block text-sm font-medium text-gray-700">Motivo</label>
                                 <textarea x-model="form.motivo" rows="3"
                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
                             </div>
+                            <div class="mb-4 p-3 border border-gray-200 rounded">
+                                <label class="inline-flex items-center text-sm font-medium text-gray-700">
+                                    <input type="checkbox" x-model="recurrence.enabled" class="mr-2">
+                                    Repetir este horario (serie)
+                                </label>
+                                <div x-show="recurrence.enabled" class="mt-3 space-y-3 text-sm">
+                                    <div class="flex items-center space-x-2">
+                                        <span>Cada</span>
+                                        <input type="number" min="1" max="30" x-model.number="recurrence.intervalo"
+                                               class="w-16 border border-gray-300 rounded-md px-2 py-1">
+                                        <select x-model="recurrence.frecuencia" class="border border-gray-300 rounded-md px-2 py-1">
+                                            <option value="dias">días</option>
+                                            <option value="semanas">semanas</option>
+                                        </select>
+                                    </div>
+                                    <div class="flex items-center space-x-2">
+                                        <label class="inline-flex items-center">
+                                            <input type="radio" value="cantidad" x-model="recurrence.fin" class="mr-1"> Después de
+                                        </label>
+                                        <input type="number" min="2" max="52" x-model.number="recurrence.cantidad" :disabled="recurrence.fin !== 'cantidad'"
+                                               class="w-16 border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100">
+                                        <span>sesiones</span>
+                                    </div>
+                                    <div class="flex items-center space-x-2">
+                                        <label class="inline-flex items-center">
+                                            <input type="radio" value="fecha" x-model="recurrence.fin" class="mr-1"> Hasta el
+                                        </label>
+                                        <input type="date" x-model="recurrence.fecha_fin" :min="form.fecha" :disabled="recurrence.fin !== 'fecha'"
+                                               class="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100">
+                                    </div>
+                                    <button type="button" @click="loadPreview()" :disabled="previewing"
+                                            class="text-emerald-700 hover:underline disabled:opacity-50"
+                                            x-text="previewing ? 'Verificando fechas...' : 'Ver fechas y disponibilidad'"></button>
+                                    <div x-show="seriePreview">
+                                        <p class="text-xs text-gray-500 mb-1"
+                                           x-text="(seriePreview?.disponibles || 0) + ' de ' + (seriePreview?.total || 0) + ' fechas disponibles; ' + selectedFechas.length + ' elegidas'"></p>
+                                        <ul class="max-h-48 overflow-y-auto border border-gray-200 rounded divide-y divide-gray-100">
+                                            <template x-for="item in seriePreview?.fechas || []" :key="item.fecha">
+                                                <li class="px-2 py-1 flex items-start" :class="item.disponible ? '' : 'bg-rose-50'">
+                                                    <input type="checkbox" class="mt-1 mr-2" :disabled="!item.disponible"
+                                                           :checked="selectedFechas.includes(item.fecha)" @change="toggleFecha(item.fecha)">
+                                                    <div>
+                                                        <span x-text="scheduleUtils.formatLabel(item.fecha)"></span>
+                                                        <p x-show="!item.disponible" class="text-xs text-rose-700" x-text="item.errores.join('. ')"></p>
+                                                    </div>
+                                                </li>
+                                            </template>
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>
                             <div class="flex justify-end space-x-3">
                                 <button type="button" @click="closeModal" 
                                         class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
                                     Cancelar
                                 </button>
                                 <button type="submit" 
-                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700">
-                                    Guardar
+                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700"
+                                        x-text="!recurrence.enabled ? 'Guardar' : seriePreview ? 'Programar ' + selectedFechas.length + ' turnos' : 'Ver fechas'">
                                 </button>
                             </div>
                         </form>
@@ -147,7 +664,7 @@ function calendar() {
                 const url = `${API_BASE}/agenda/pdf?doctor_id=${this.selectedDoctor}&fecha=${this.selectedDate}`;
                 window.open(url, '_blank');
             } catch (error) {
-                showAlert('Error generando PDF: ' + error.message, 'error');
+                showApiError(error, 'Error generando PDF');
             }
         }
     };
@@ -158,59 +675,489 @@ function appointmentModal() {
         form: {
             fecha: Alpine.store('calendar').selectedDate,
             hora_inicio: '',
+            hora_fin: '',
+            duracion_minutos: null,
             doctor_id: '',
             paciente_id: '',
             motivo: ''
         },
         searchTerm: '',
         pacientes: [],
+        searchFocused: false,
+        searching: false,
+        searchTimer: null,
+        searchController: null,
+        activeIndex: 0,
+        recentPacientes: [],
         selectedPacienteName: '',
+        selectedAlergias: [],
+        newPaciente: {
+            open: false,
+            saving: false,
+            form: {},
+            errors: {}
+        },
+        durationOptions: [],
+        holdExpiresAt: null,
+        holdTimer: null,
+        now: Date.now(),
+        knownTurnos: [],
+        recurrence: {
+            enabled: false,
+            frecuencia: 'semanas',
+            intervalo: 1,
+            fin: 'cantidad',
+            cantidad: 8,
+            fecha_fin: ''
+        },
+        seriePreview: null,
+        selectedFechas: [],
+        previewing: false,
 
         init() {
             const calendarStore = Alpine.store('calendar');
+            const slot = calendarStore.selectedSlot;
             this.form.fecha = calendarStore.selectedDate;
-            this.form.hora_inicio = calendarStore.selectedSlot?.time || '';
+            this.form.hora_inicio = slot?.time || '';
+            this.form.hora_fin = slot?.end || '';
+            this.form.duracion_minutos = slot?.duration || null;
             this.form.doctor_id = calendarStore.selectedDoctor;
+            this.durationOptions = slot ? this.buildDurationOptions(slot) : [];
+
+            this.holdExpiresAt = slotHolds.hold(this.form.doctor_id, this.form.fecha, this.form.hora_inicio);
+            this.holdTimer = setInterval(() => { this.now = Date.now(); }, 1000);
+
+            patientSearch.loadRecent()
+                .then(pacientes => { this.recentPacientes = pacientes; })
+                .catch(error => console.error('Error loading recent pacientes:', error));
+
+            // La vista previa deja de valer si cambia la serie, el horario o el paciente
+            this.$watch('recurrence', () => { this.seriePreview = null; });
+            this.$watch('form.duracion_minutos', () => { this.seriePreview = null; });
+            this.$watch('form.paciente_id', () => { this.seriePreview = null; });
+        },
+
+        get holdRemaining() {
+            const seconds = Math.ceil((this.holdExpiresAt - this.now) / 1000);
+            if (!this.holdExpiresAt || seconds <= 0) return '';
+
+            return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        },
+
+        get holdExpired() {
+            return Boolean(this.holdExpiresAt) && this.now >= this.holdExpiresAt;
+        },
+
+        // Múltiplos del slot hasta el fin del bloque, dentro del rango de UpdateTurnoRequest (máx. 120 min)
+        buildDurationOptions(slot) {
+            const available = scheduleUtils.toMinutes(slot.blockEnd || slot.end) - scheduleUtils.toMinutes(slot.time);
+            const options = [];
+
+            for (let minutes = slot.duration; minutes <= Math.min(available, 120); minutes += slot.duration) {
+                options.push(minutes);
+            }
+
+            return options.length ? options : [slot.duration];
         },
 
-        async searchPacientes() {
-            if (this.searchTerm.length < 2) {
+        updateHoraFin() {
+            this.form.hora_fin = scheduleUtils.toTime(scheduleUtils.toMinutes(this.form.hora_inicio) + this.form.duracion_minutos);
+        },
+
+        // Turno del mismo doctor que se superpone con el horario elegido
+        get conflict() {
+            const range = {
+                start: scheduleUtils.toMinutes(this.form.hora_inicio),
+                end: scheduleUtils.toMinutes(this.form.hora_fin)
+            };
+            const turno = scheduleUtils.findConflict(Alpine.store('calendar').dayTurnos || [], range);
+            if (!turno) return '';
+
+            const occupied = scheduleUtils.turnoRange(turno);
+            return `Se superpone con el turno de las ${scheduleUtils.toTime(occupied.start)} - ${scheduleUtils.toTime(occupied.end)}`;
+        },
+
+        // ========== BÚSQUEDA DE PACIENTES ==========
+
+        get showingRecent() {
+            return this.searchTerm.trim().length < 2 && this.searchFocused;
+        },
+
+        get suggestions() {
+            return this.showingRecent ? this.recentPacientes : this.pacientes;
+        },
+
+        searchPacientes() {
+            clearTimeout(this.searchTimer);
+            this.searchController?.abort();
+            this.activeIndex = 0;
+
+            if (this.searchTerm.trim().length < 2) {
                 this.pacientes = [];
+                this.searching = false;
                 return;
             }
 
+            this.searching = true;
+            this.searchTimer = setTimeout(() => this.runSearch(this.searchTerm.trim()), 250);
+        },
+
+        // Sólo la última búsqueda llega a la lista: las anteriores se abortan
+        async runSearch(term) {
+            this.searchController = new AbortController();
+
             try {
-                const response = await api.get('/pacientes', { search: this.searchTerm });
-                this.pacientes = response.data || response;
+                const pacientes = await api.post('/pacientes/buscar', { search: term, limit: 20 }, {
+                    signal: this.searchController.signal
+                });
+                this.pacientes = patientSearch.rank(pacientes, term);
+                this.searching = false;
             } catch (error) {
+                if (error.name === 'AbortError') return;
+                this.searching = false;
                 console.error('Error searching pacientes:', error);
             }
         },
 
+        highlight(text) {
+            return patientSearch.highlight(text, this.showingRecent ? '' : this.searchTerm);
+        },
+
+        allergies(paciente) {
+            return clinicalUtils.allergies(paciente);
+        },
+
+        moveActive(step) {
+            if (!this.suggestions.length) return;
+            this.activeIndex = (this.activeIndex + step + this.suggestions.length) % this.suggestions.length;
+        },
+
+        selectActive() {
+            const paciente = this.suggestions[this.activeIndex];
+            if (paciente) this.selectPaciente(paciente);
+        },
+
         selectPaciente(paciente) {
             this.form.paciente_id = paciente.id;
             this.selectedPacienteName = `${paciente.nombre} ${paciente.apellido} (DNI: ${paciente.dni})`;
+            this.selectedAlergias = clinicalUtils.allergies(paciente);
             this.pacientes = [];
             this.searchTerm = '';
+            this.searchFocused = false;
+            patientSearch.remember(paciente);
+            this.recentPacientes = [paciente, ...this.recentPacientes.filter(item => item.id !== paciente.id)]
+                .slice(0, patientSearch.recentLimit);
         },
 
         async save() {
+            if (this.conflict) {
+                showAlert(this.conflict, 'warning');
+                return;
+            }
+
+            if (this.recurrence.enabled) {
+                await this.saveSerie();
+                return;
+            }
+
             try {
-                await api.post('/turnos', this.form);
-                showAlert('Turno creado exitosamente', 'success');
+                if (!(await this.checkAvailability())) return;
+
+                const turno = await api.post('/turnos', this.form, {
+                    offlineLabel: `Turno ${this.form.fecha} ${this.form.hora_inicio} - ${this.selectedPacienteName}`
+                });
+                if (turno?.offline) {
+                    showAlert('Sin conexión: el turno se enviará al reconectar', 'warning');
+                } else {
+                    showAlert('Turno creado exitosamente', 'success');
+                }
                 this.closeModal();
                 
-                // Reload calendar
-                const calendarEl = document.querySelector('[x-data*="calendar"]');
-                if (calendarEl) {
-                    Alpine.$data(calendarEl).loadAgenda();
+                this.calendarComponent()?.loadAgenda();
+            } catch (error) {
+                // El servidor rechazó el horario: ofrecer alternativas si efectivamente está ocupado
+                if (error instanceof ValidationError && !(await this.checkAvailability().catch(() => true))) return;
+                showApiError(error, 'Error creando turno');
+            }
+        },
+
+        // ========== SERIE RECURRENTE ==========
+
+        seriePayload() {
+            const { frecuencia, intervalo, fin, cantidad, fecha_fin } = this.recurrence;
+            return {
+                doctor_id: this.form.doctor_id,
+                paciente_id: this.form.paciente_id,
+                fecha_inicio: this.form.fecha,
+                hora_inicio: this.form.hora_inicio,
+                hora_fin: this.form.hora_fin,
+                motivo: this.form.motivo,
+                frecuencia,
+                intervalo: Number(intervalo),
+                cantidad: fin === 'cantidad' ? Number(cantidad) : null,
+                fecha_fin: fin === 'fecha' ? fecha_fin : null
+            };
+        },
+
+        serieError() {
+            const { intervalo, fin, cantidad, fecha_fin } = this.recurrence;
+            if (!this.form.paciente_id) return 'Seleccione el paciente antes de armar la serie';
+            if (!(Number(intervalo) >= 1)) return 'El intervalo debe ser de al menos 1';
+            if (fin === 'cantidad' && !(Number(cantidad) >= 2)) return 'La serie debe tener al menos 2 sesiones';
+            if (fin === 'fecha' && !(fecha_fin > this.form.fecha)) return 'La fecha de fin debe ser posterior al primer turno';
+            return '';
+        },
+
+        // Fechas generadas por el servidor con la disponibilidad de cada una; se eligen las libres
+        async loadPreview() {
+            const error = this.serieError();
+            if (error) {
+                showAlert(error, 'warning');
+                return;
+            }
+
+            this.previewing = true;
+            try {
+                const preview = await api.post('/turnos/series/preview', this.seriePayload());
+                this.seriePreview = preview;
+                this.selectedFechas = preview.fechas.filter(item => item.disponible).map(item => item.fecha);
+            } catch (error) {
+                showApiError(error, 'Error generando la serie');
+            } finally {
+                this.previewing = false;
+            }
+        },
+
+        toggleFecha(fecha) {
+            this.selectedFechas = this.selectedFechas.includes(fecha)
+                ? this.selectedFechas.filter(selected => selected !== fecha)
+                : [...this.selectedFechas, fecha];
+        },
+
+        async saveSerie() {
+            if (!this.seriePreview) {
+                await this.loadPreview();
+                return;
+            }
+            if (!this.selectedFechas.length) {
+                showAlert('No hay fechas elegidas para programar', 'warning');
+                return;
+            }
+
+            try {
+                const { serie, omitidas } = await api.post('/turnos/series', {
+                    ...this.seriePayload(),
+                    fechas: this.selectedFechas
+                });
+
+                if (omitidas.length) {
+                    await Swal.fire({
+                        icon: 'warning',
+                        title: `Serie creada con ${serie.turnos.length} turnos`,
+                        html: `<p class="mb-2">Estas fechas se ocuparon mientras tanto y quedaron sin turno:</p><ul class="text-left text-sm">${
+                            omitidas.map(item => `<li>${scheduleUtils.formatLabel(item.fecha)}: ${securityManager.sanitizeInput(item.errores.join('. '))}</li>`).join('')
+                        }</ul>`,
+                        confirmButtonColor: '#059669'
+                    });
+                } else {
+                    showAlert(`Serie creada: ${serie.turnos.length} turnos programados`, 'success');
                 }
+                this.closeModal();
+                this.calendarComponent()?.loadAgenda();
+            } catch (error) {
+                showApiError(error, 'Error creando la serie');
+            }
+        },
+
+        calendarComponent() {
+            const calendarEl = document.querySelector('[x-data*="calendar"]');
+            return calendarEl ? Alpine.$data(calendarEl) : null;
+        },
+
+        // ========== PACIENTE NUEVO ==========
+
+        // Lo buscado se usa como punto de partida: DNI o nombre y apellido
+        openNewPaciente() {
+            const term = this.searchTerm.trim();
+            const [nombre = '', ...apellido] = /^\d+$/.test(term) ? [] : term.split(/\s+/);
+
+            this.newPaciente.form = {
+                nombre,
+                apellido: apellido.join(' '),
+                dni: /^\d+$/.test(term) ? term : '',
+                fecha_nacimiento: '',
+                telefono: '',
+                email: ''
+            };
+            this.newPaciente.errors = {};
+            this.newPaciente.open = true;
+            this.searchTerm = '';
+            this.pacientes = [];
+        },
+
+        validateNewPaciente() {
+            const { nombre, apellido, dni, fecha_nacimiento, email } = this.newPaciente.form;
+            const errors = {};
+
+            if (nombre.trim().length < 2) errors.nombre = 'El nombre es obligatorio';
+            if (apellido.trim().length < 2) errors.apellido = 'El apellido es obligatorio';
+            if (!validateDNI(dni)) errors.dni = 'El DNI debe tener entre 7 y 8 números';
+            if (!fecha_nacimiento) errors.fecha_nacimiento = 'La fecha de nacimiento es obligatoria';
+            if (email && !validateEmail(email)) errors.email = 'Ingrese un email válido';
+
+            return errors;
+        },
+
+        // DNI y email no deben estar registrados en otro paciente
+        async checkPacienteAvailability() {
+            const { dni, email } = this.newPaciente.form;
+            if (!validateDNI(dni)) return false;
+
+            try {
+                const result = await window.medicalAPI.validatePacienteAvailability(email, dni);
+                this.newPaciente.errors = {
+                    ...this.newPaciente.errors,
+                    dni: result.errors?.dni || '',
+                    email: result.errors?.email || ''
+                };
+                return result.available;
+            } catch (error) {
+                // Si no se puede verificar, decide el servidor al crear
+                return true;
+            }
+        },
+
+        async createPaciente() {
+            this.newPaciente.errors = this.validateNewPaciente();
+            if (Object.keys(this.newPaciente.errors).length) return;
+
+            this.newPaciente.saving = true;
+            try {
+                if (!(await this.checkPacienteAvailability())) return;
+
+                const form = Object.fromEntries(
+                    Object.entries(this.newPaciente.form).map(([key, value]) => [key, sanitizeInput(value)])
+                );
+                const paciente = await window.medicalAPI.createPaciente({ ...form, activo: true });
+
+                this.selectPaciente(paciente);
+                this.newPaciente.open = false;
+                showAlert('Paciente creado: continúe con el turno', 'success');
             } catch (error) {
-                showAlert('Error creando turno: ' + error.message, 'error');
+                if (error instanceof ValidationError) {
+                    this.newPaciente.errors = Object.fromEntries(
+                        Object.entries(error.errors).map(([field, messages]) => [field, Array.isArray(messages) ? messages[0] : messages])
+                    );
+                    if (Object.keys(this.newPaciente.errors).some(field => field in this.newPaciente.form)) return;
+                }
+                showApiError(error, 'Error creando paciente');
+            } finally {
+                this.newPaciente.saving = false;
             }
         },
 
+        // Vuelve a consultar los turnos del doctor justo antes de guardar
+        async checkAvailability() {
+            const turnos = await api.getAll('/turnos', { doctor_id: this.form.doctor_id, fecha: this.form.fecha });
+            const range = {
+                start: scheduleUtils.toMinutes(this.form.hora_inicio),
+                end: scheduleUtils.toMinutes(this.form.hora_fin)
+            };
+
+            Alpine.store('calendar').dayTurnos = turnos;
+            if (!scheduleUtils.findConflict(turnos, range)) return true;
+
+            await this.offerAlternatives();
+            return false;
+        },
+
+        async offerAlternatives() {
+            const alternatives = await this.findAlternatives();
+
+            if (!alternatives.length) {
+                Swal.fire({
+                    icon: 'warning',
+                    title: 'Horario no disponible',
+                    text: 'El horario fue tomado por otro usuario y el doctor no tiene horarios libres en los próximos 7 días.'
+                });
+                return;
+            }
+
+            const result = await Swal.fire({
+                icon: 'warning',
+                title: 'Horario no disponible',
+                text: 'El horario fue tomado por otro usuario. Estos son los horarios libres más cercanos:',
+                input: 'radio',
+                inputOptions: Object.fromEntries(alternatives.map(({ fecha, hora }) => [
+                    `${fecha} ${hora}`,
+                    `${scheduleUtils.formatLabel(fecha)} ${hora}`
+                ])),
+                inputValue: `${alternatives[0].fecha} ${alternatives[0].hora}`,
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Usar este horario',
+                cancelButtonText: 'Volver'
+            });
+
+            if (!result.isConfirmed || !result.value) return;
+
+            const [fecha, hora] = result.value.split(' ');
+            this.moveTo(fecha, hora);
+            await this.save();
+        },
+
+        // Horarios libres del doctor para la misma duración: primero el día elegido, luego los siguientes
+        async findAlternatives(limit = 3, days = 7) {
+            const horarios = await this.calendarComponent().loadSchedule(this.form.doctor_id);
+            const hasta = scheduleUtils.addDays(this.form.fecha, days);
+            const requested = scheduleUtils.toMinutes(this.form.hora_inicio);
+            const now = `${scheduleUtils.today()} ${scheduleUtils.toTime(new Date().getHours() * 60 + new Date().getMinutes())}`;
+
+            const [turnos, bloqueos] = await Promise.all([
+                api.getAll('/turnos', {
+                    doctor_id: this.form.doctor_id,
+                    fecha_desde: this.form.fecha,
+                    fecha_hasta: hasta
+                }),
+                this.calendarComponent().fetchBloqueos(this.form.fecha, hasta, this.form.doctor_id)
+            ]);
+            this.knownTurnos = turnos;
+
+            const alternatives = [];
+            for (let fecha = this.form.fecha; fecha <= hasta && alternatives.length < limit; fecha = scheduleUtils.addDays(fecha, 1)) {
+                const blocked = scheduleUtils.blockingFor(bloqueos, fecha, this.form.doctor_id);
+                const starts = scheduleUtils.freeStarts(horarios, fecha, this.knownTurnos, this.form.duracion_minutos, blocked)
+                    .filter(hora => `${fecha} ${hora}` > now && !slotHolds.heldByOther(this.form.doctor_id, fecha, hora));
+
+                if (fecha === this.form.fecha) {
+                    starts.sort((a, b) => Math.abs(scheduleUtils.toMinutes(a) - requested) - Math.abs(scheduleUtils.toMinutes(b) - requested));
+                }
+
+                alternatives.push(...starts.slice(0, limit - alternatives.length).map(hora => ({ fecha, hora })));
+            }
+
+            return alternatives;
+        },
+
+        moveTo(fecha, hora) {
+            slotHolds.release(this.form.doctor_id, this.form.fecha, this.form.hora_inicio);
+
+            this.form.fecha = fecha;
+            this.form.hora_inicio = hora;
+            this.updateHoraFin();
+            this.holdExpiresAt = slotHolds.hold(this.form.doctor_id, fecha, hora);
+
+            const calendarStore = Alpine.store('calendar');
+            calendarStore.selectedDate = fecha;
+            calendarStore.dayTurnos = this.knownTurnos.filter(turno => scheduleUtils.normalizeDate(turno.fecha) === fecha);
+        },
+
         closeModal() {
+            clearInterval(this.holdTimer);
+            clearTimeout(this.searchTimer);
+            this.searchController?.abort();
+            slotHolds.release(this.form.doctor_id, this.form.fecha, this.form.hora_inicio);
             document.getElementById('modals-container').innerHTML = '';
         }
     };
@@ -0,0 +1,83 @@
+// Cálculos y alertas de la historia clínica compartidos por las vistas
+const clinicalUtils = {
+    // Mismos rangos que valida PacienteController::historiaClinicaRules
+    vitalRanges: {
+        peso: { min: 1, max: 400, label: 'El peso debe estar entre 1 y 400 kg' },
+        altura: { min: 30, max: 250, label: 'La altura debe estar entre 30 y 250 cm' },
+        sistolica: { min: 60, max: 260, label: 'La presión sistólica debe estar entre 60 y 260 mmHg' },
+        diastolica: { min: 30, max: 160, label: 'La presión diastólica debe estar entre 30 y 160 mmHg' },
+        frecuencia_cardiaca: { min: 30, max: 220, label: 'La frecuencia cardíaca debe estar entre 30 y 220 lpm' },
+        temperatura: { min: 34, max: 43, label: 'La temperatura debe estar entre 34 y 43 °C' }
+    },
+
+    // Altura en cm, como HistoriaClinica::getImcCalculadoAttribute
+    imc(peso, altura) {
+        peso = Number(peso);
+        altura = Number(altura);
+        if (!peso || !altura) return null;
+
+        const metros = altura / 100;
+        return Math.round(peso / (metros * metros) * 100) / 100;
+    },
+
+    // Misma clasificación que HistoriaClinica::getEstadoImcAttribute
+    estadoImc(imc) {
+        if (!imc) return null;
+        if (imc < 18.5) return 'Bajo peso';
+        if (imc < 25) return 'Normal';
+        if (imc < 30) return 'Sobrepeso';
+        return 'Obesidad';
+    },
+
+    estadoImcColor(estado) {
+        switch (estado) {
+            case 'Normal': return 'text-emerald-700';
+            case 'Bajo peso':
+            case 'Sobrepeso': return 'text-amber-700';
+            case 'Obesidad': return 'text-rose-700';
+            default: return 'text-gray-500';
+        }
+    },
+
+    // Errores por campo; los vacíos no se validan
+    validateVitals(values) {
+        const errors = {};
+
+        Object.entries(this.vitalRanges).forEach(([field, range]) => {
+            const value = values[field];
+            if (value === '' || value === null || value === undefined) return;
+            if (Number.isNaN(Number(value)) || Number(value) < range.min || Number(value) > range.max) {
+                errors[field] = range.label;
+            }
+        });
+
+        const hasSistolica = values.sistolica !== '' && values.sistolica != null;
+        const hasDiastolica = values.diastolica !== '' && values.diastolica != null;
+        if (hasSistolica !== hasDiastolica) {
+            errors[hasSistolica ? 'diastolica' : 'sistolica'] = 'Ingrese sistólica y diastólica';
+        } else if (hasSistolica && !errors.sistolica && !errors.diastolica && Number(values.diastolica) >= Number(values.sistolica)) {
+            errors.diastolica = 'La presión diastólica debe ser menor que la sistólica';
+        }
+
+        return errors;
+    },
+
+    // ========== LISTAS ==========
+
+    // Los campos de lista se editan como texto, uno por línea
+    toLines(list) {
+        return Array.isArray(list) ? list.join('\n') : (list || '');
+    },
+
+    fromLines(text) {
+        return String(text || '').split('\n').map(line => sanitizeInput(line.trim())).filter(Boolean);
+    },
+
+    // ========== ALERTAS ==========
+
+    // Acepta el paciente con sus alergias o con la historia activa cargada
+    allergies(paciente) {
+        const alergias = paciente?.alergias ?? paciente?.historia_clinica_activa?.alergias ?? [];
+        return Array.isArray(alergias) ? alergias.filter(Boolean) : String(alergias).split(',').map(item => item.trim()).filter(Boolean);
+    }
+};
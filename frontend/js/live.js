@@ -0,0 +1,139 @@
+// ========== ACTUALIZACIONES EN VIVO (Server-Sent Events) ==========
+//
+// El canal emite eventos con nombre y el turno afectado como JSON:
+//   event: turno.created | turno.updated | turno.cancelled | turno.completed
+//   data: {"id": 12, "doctor_id": 3, "fecha": "2026-10-19", "hora_inicio": "09:30", "estado": "programado"}
+// Las reprogramaciones agregan "original" con doctor_id, fecha y hora_inicio anteriores.
+//
+// Consulta corta: cada pedido trae los eventos pendientes y termina. Se vuelve a pedir a los `retry` ms
+// que indica el servidor, con Last-Event-ID para no perder eventos; ante un error, con espera creciente.
+// Cada evento se reenvía como 'turno-changed' en document para que las vistas abiertas se actualicen.
+
+const LIVE_EVENTS_URL = window.LIVE_EVENTS_URL || `${API_BASE}/turnos/stream`;
+
+class LiveUpdates {
+    constructor(url = LIVE_EVENTS_URL) {
+        this.url = url;
+        this.controller = null;
+        this.lastEventId = null;
+        this.pollInterval = 5000;
+        this.retryDelay = 1000;
+        this.retryTimer = null;
+        this.state = { connected: false };
+        this.eventTypes = ['turno.created', 'turno.updated', 'turno.cancelled', 'turno.completed'];
+    }
+
+    // EventSource no permite cabeceras: se lee el stream con fetch para enviar el token como en el resto de la API
+    async connect() {
+        const token = tokenStore.get();
+        if (!window.ReadableStream || !window.TextDecoder || !token || this.controller) return;
+
+        const controller = new AbortController();
+        this.controller = controller;
+
+        try {
+            const response = await fetch(this.url, {
+                headers: {
+                    'Accept': 'text/event-stream',
+                    'Authorization': `Bearer ${token}`,
+                    ...(this.lastEventId && { 'Last-Event-ID': this.lastEventId })
+                },
+                signal: controller.signal
+            });
+
+            // Sesión vencida: el próximo login vuelve a conectar
+            if (response.status === 401) {
+                this.controller = null;
+                return;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`Error ${response.status}`);
+            }
+
+            await this.read(response.body);
+            if (this.controller !== controller) return;
+            this.controller = null;
+            this.state.connected = true;
+            this.retryDelay = 1000;
+            this.schedule(this.pollInterval);
+        } catch (error) {
+            if (error.name === 'AbortError' || this.controller !== controller) return;
+            this.controller = null;
+            this.state.connected = false;
+            this.scheduleReconnect();
+        }
+    }
+
+    async read(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            messages.forEach(message => this.handleMessage(message));
+        }
+    }
+
+    // Campos SSE: id, event, data y retry; las líneas que empiezan con ':' son comentarios
+    handleMessage(message) {
+        let type = 'message';
+        const data = [];
+
+        message.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return;
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'id') this.lastEventId = value;
+            if (field === 'event') type = value;
+            if (field === 'data') data.push(value);
+            if (field === 'retry' && /^\d+$/.test(value)) this.pollInterval = parseInt(value, 10);
+        });
+
+        if (data.length && this.eventTypes.includes(type)) {
+            this.dispatch(type, data.join('\n'));
+        }
+    }
+
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        this.controller?.abort();
+        this.controller = null;
+        this.lastEventId = null;
+        this.state.connected = false;
+    }
+
+    schedule(delay) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    scheduleReconnect() {
+        this.schedule(this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    }
+
+    dispatch(type, data) {
+        try {
+            const turno = JSON.parse(data);
+            document.dispatchEvent(new CustomEvent('turno-changed', { detail: { type, turno } }));
+        } catch (error) {
+            console.warn('Evento en vivo inválido:', type, data);
+        }
+    }
+}
+
+const liveUpdates = new LiveUpdates();
+
+document.addEventListener('alpine:init', () => {
+    Alpine.store('live', liveUpdates.state);
+    liveUpdates.state = Alpine.store('live');
+    liveUpdates.connect();
+});
@@ -1,351 +1,178 @@
 /**
  * Medical Appointment System - Frontend API Client
- * Optimized for Enterprise Use with Alpine.js
+ * Métodos de dominio sobre el cliente HTTP unificado (api.js)
  */
 
 class MedicalAppointmentAPI {
-    constructor(baseURL = '/api/v1') {
-        this.baseURL = baseURL;
-        this.token = localStorage.getItem('auth_token');
-        this.refreshToken = localStorage.getItem('refresh_token');
-    }
-
-    // Configurar headers para requests autenticados
-    getHeaders() {
-        return {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': this.token ? `Bearer ${this.token}` : '',
-            'X-Requested-With': 'XMLHttpRequest'
-        };
-    }
-
-    // Manejar responses y errores
-    async handleResponse(response) {
-        const data = await response.json();
-        
-        if (!response.ok) {
-            if (response.status === 401) {
-                this.logout();
-                throw new Error('Sesión expirada');
-            }
-            throw new Error(data.message || 'Error en la solicitud');
-        }
-        
-        return data;
+    constructor(client = api) {
+        this.client = client;
     }
 
     // ========== AUTENTICACIÓN ==========
     async login(email, password) {
-        const response = await fetch(`${this.baseURL}/auth/login`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify({ email, password })
-        });
+        const data = await this.client.post('/auth/login', { email, password });
         
-        const data = await this.handleResponse(response);
-        
-        if (data.success) {
-            this.token = data.data.token;
-            localStorage.setItem('auth_token', this.token);
-            localStorage.setItem('user', JSON.stringify(data.data.user));
-        }
+        tokenStore.set(data.token);
+        localStorage.setItem('currentUser', JSON.stringify(data.user));
         
         return data;
     }
 
     async logout() {
         try {
-            await fetch(`${this.baseURL}/auth/logout`, {
-                method: 'POST',
-                headers: this.getHeaders()
-            });
+            await this.client.post('/auth/logout');
         } catch (error) {
             console.warn('Error en logout:', error);
         } finally {
-            this.token = null;
-            localStorage.removeItem('auth_token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+            tokenStore.clear();
+            localStorage.removeItem('currentUser');
         }
     }
 
-    async getUser() {
-        const response = await fetch(`${this.baseURL}/auth/user`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getUser() {
+        return this.client.get('/auth/user');
     }
 
     // ========== TURNOS ==========
-    async getTurnos(filters = {}) {
-        const params = new URLSearchParams(filters);
-        const response = await fetch(`${this.baseURL}/turnos?${params}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getTurnos(filters = {}) {
+        return this.client.getAll('/turnos', filters);
     }
 
-    async getTurno(id) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getTurno(id) {
+        return this.client.get(`/turnos/${id}`);
     }
 
-    async createTurno(turnoData) {
-        const response = await fetch(`${this.baseURL}/turnos`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify(turnoData)
-        });
-        return await this.handleResponse(response);
+    createTurno(turnoData) {
+        return this.client.post('/turnos', turnoData);
     }
 
-    async updateTurno(id, turnoData) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}`, {
-            method: 'PUT',
-            headers: this.getHeaders(),
-            body: JSON.stringify(turnoData)
-        });
-        return await this.handleResponse(response);
+    updateTurno(id, turnoData) {
+        return this.client.put(`/turnos/${id}`, turnoData);
     }
 
-    async deleteTurno(id) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}`, {
-            method: 'DELETE',
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    deleteTurno(id) {
+        return this.client.delete(`/turnos/${id}`);
     }
 
-    async confirmTurno(id) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}/confirm`, {
-            method: 'PATCH',
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    confirmTurno(id) {
+        return this.client.patch(`/turnos/${id}/confirm`);
     }
 
-    async cancelTurno(id, motivo = null) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}/cancel`, {
-            method: 'PATCH',
-            headers: this.getHeaders(),
-            body: JSON.stringify({ motivo })
-        });
-        return await this.handleResponse(response);
+    cancelTurno(id, motivo = null) {
+        return this.client.patch(`/turnos/${id}/cancel`, { motivo });
     }
 
-    async completeTurno(id, observaciones = null) {
-        const response = await fetch(`${this.baseURL}/turnos/${id}/complete`, {
-            method: 'PATCH',
-            headers: this.getHeaders(),
-            body: JSON.stringify({ observaciones })
-        });
-        return await this.handleResponse(response);
+    completeTurno(id, observaciones = null) {
+        return this.client.patch(`/turnos/${id}/complete`, { observaciones });
     }
 
-    async getAvailableSlots(doctorId, fecha) {
-        const response = await fetch(`${this.baseURL}/doctores/${doctorId}/horarios-disponibles/${fecha}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getAvailableSlots(doctorId, fecha) {
+        return this.client.get(`/doctores/${doctorId}/horarios-disponibles/${fecha}`);
     }
 
     // ========== NUEVAS FUNCIONALIDADES ==========
     
     // Cambiar contraseña
-    async changePassword(currentPassword, newPassword, confirmPassword) {
-        const response = await fetch(`${this.baseURL}/auth/change-password`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify({
-                current_password: currentPassword,
-                new_password: newPassword,
-                new_password_confirmation: confirmPassword
-            })
+    changePassword(currentPassword, newPassword, confirmPassword) {
+        return this.client.post('/auth/change-password', {
+            current_password: currentPassword,
+            new_password: newPassword,
+            new_password_confirmation: confirmPassword
         });
-        return await this.handleResponse(response);
     }
 
     // Obtener estadísticas del dashboard
-    async getDashboardStats() {
-        const response = await fetch(`${this.baseURL}/admin/system-stats`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
-    }
-
-    // Obtener logs de auditoría
-    async getAuditLogs(filters = {}) {
-        const params = new URLSearchParams();
-        Object.keys(filters).forEach(key => {
-            if (filters[key]) params.append(key, filters[key]);
-        });
-        
-        const response = await fetch(`${this.baseURL}/admin/audit-logs?${params}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getDashboardStats() {
+        return this.client.get('/admin/system-stats');
     }
 
     // Cache management
-    async clearCache() {
-        const response = await fetch(`${this.baseURL}/cache/clear`, {
-            method: 'POST',
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    clearCache() {
+        return this.client.post('/cache/clear');
     }
 
-    async getCacheStats() {
-        const response = await fetch(`${this.baseURL}/cache/stats`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getCacheStats() {
+        return this.client.get('/cache/stats');
     }
 
     // ========== DOCTORES ==========
-    async getDoctores(filters = {}) {
-        const params = new URLSearchParams(filters);
-        const response = await fetch(`${this.baseURL}/doctores?${params}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getDoctores(filters = {}) {
+        return this.client.getAll('/doctores', filters);
     }
 
-    async getActiveDoctores() {
-        const response = await fetch(`${this.baseURL}/doctores/active`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getActiveDoctores() {
+        return this.client.get('/doctores/active');
     }
 
-    async getDoctor(id) {
-        const response = await fetch(`${this.baseURL}/doctores/${id}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getDoctor(id) {
+        return this.client.get(`/doctores/${id}`);
     }
 
-    async createDoctor(doctorData) {
-        const response = await fetch(`${this.baseURL}/doctores`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify(doctorData)
-        });
-        return await this.handleResponse(response);
+    createDoctor(doctorData) {
+        return this.client.post('/doctores', doctorData);
     }
 
-    async updateDoctor(id, doctorData) {
-        const response = await fetch(`${this.baseURL}/doctores/${id}`, {
-            method: 'PUT',
-            headers: this.getHeaders(),
-            body: JSON.stringify(doctorData)
-        });
-        return await this.handleResponse(response);
+    updateDoctor(id, doctorData) {
+        return this.client.put(`/doctores/${id}`, doctorData);
     }
 
-    async getDoctoresByEspecialidad(especialidadId) {
-        const response = await fetch(`${this.baseURL}/doctores/especialidad/${especialidadId}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getDoctoresByEspecialidad(especialidadId) {
+        return this.client.get(`/doctores/especialidad/${especialidadId}`);
+    }
+
+    getContratosPorVencer(dias = 30) {
+        return this.client.get('/doctores/contratos/por-vencer', { dias });
     }
 
     // ========== PACIENTES ==========
-    async getPacientes(filters = {}) {
-        const params = new URLSearchParams(filters);
-        const response = await fetch(`${this.baseURL}/pacientes?${params}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getPacientes(filters = {}) {
+        return this.client.getPage('/pacientes', filters);
     }
 
-    async getActivePacientes() {
-        const response = await fetch(`${this.baseURL}/pacientes/active`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getActivePacientes() {
+        return this.client.get('/pacientes/active');
     }
 
-    async getPaciente(id) {
-        const response = await fetch(`${this.baseURL}/pacientes/${id}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getPaciente(id) {
+        return this.client.get(`/pacientes/${id}`);
     }
 
-    async getPacienteWithTurnos(id) {
-        const response = await fetch(`${this.baseURL}/pacientes/${id}/turnos`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getPacienteWithTurnos(id) {
+        return this.client.get(`/pacientes/${id}/turnos`);
     }
 
-    async getPacienteWithHistoriaClinica(id) {
-        const response = await fetch(`${this.baseURL}/pacientes/${id}/historia-clinica`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getPacienteWithHistoriaClinica(id) {
+        return this.client.get(`/pacientes/${id}/historia-clinica`);
     }
 
-    async createPaciente(pacienteData) {
-        const response = await fetch(`${this.baseURL}/pacientes`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify(pacienteData)
-        });
-        return await this.handleResponse(response);
+    createPaciente(pacienteData) {
+        return this.client.post('/pacientes', pacienteData);
     }
 
-    async updatePaciente(id, pacienteData) {
-        const response = await fetch(`${this.baseURL}/pacientes/${id}`, {
-            method: 'PUT',
-            headers: this.getHeaders(),
-            body: JSON.stringify(pacienteData)
-        });
-        return await this.handleResponse(response);
+    updatePaciente(id, pacienteData) {
+        return this.client.put(`/pacientes/${id}`, pacienteData);
     }
 
-    async validatePacienteAvailability(email, dni, excludeId = null) {
-        const response = await fetch(`${this.baseURL}/pacientes/validate-availability`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify({ email, dni, exclude_id: excludeId })
-        });
-        return await this.handleResponse(response);
+    validatePacienteAvailability(email, dni, excludeId = null) {
+        return this.client.post('/pacientes/validate-availability', { email, dni, exclude_id: excludeId });
     }
 
     // ========== ESTADÍSTICAS ==========
-    async getSystemStats() {
-        const response = await fetch(`${this.baseURL}/system-stats`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getSystemStats() {
+        return this.client.get('/system-stats');
     }
 
-    async getPacienteStats() {
-        const response = await fetch(`${this.baseURL}/pacientes/stats`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getPacienteStats() {
+        return this.client.get('/pacientes/stats');
     }
 
-    async getDoctorStats(id) {
-        const response = await fetch(`${this.baseURL}/doctores/${id}/stats`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getDoctorStats(id) {
+        return this.client.get(`/doctores/${id}/stats`);
     }
 
     // ========== AUDITORÍA ==========
-    async getAuditLogs(filters = {}) {
-        const params = new URLSearchParams(filters);
-        const response = await fetch(`${this.baseURL}/audit-logs?${params}`, {
-            headers: this.getHeaders()
-        });
-        return await this.handleResponse(response);
+    getAuditLogs(filters = {}) {
+        return this.client.getPage('/audit-logs', filters);
     }
 }
 
@@ -356,8 +183,8 @@ window.medicalAPI = new MedicalAppointmentAPI();
 document.addEventListener('alpine:init', () => {
     Alpine.store('app', {
         // Estado de autenticación
-        user: JSON.parse(localStorage.getItem('user') || 'null'),
-        isAuthenticated: !!localStorage.getItem('auth_token'),
+        user: JSON.parse(localStorage.getItem('currentUser') || 'null'),
+        isAuthenticated: !!tokenStore.get(),
         
         // Estado de la aplicación
         loading: false,
@@ -375,10 +202,8 @@ document.addEventListener('alpine:init', () => {
             
             try {
                 const result = await window.medicalAPI.login(email, password);
-                if (result.success) {
-                    this.user = result.data.user;
-                    this.isAuthenticated = true;
-                }
+                this.user = result.user;
+                this.isAuthenticated = true;
                 return result;
             } catch (error) {
                 this.error = error.message;
@@ -396,8 +221,7 @@ document.addEventListener('alpine:init', () => {
         
         async loadDoctores() {
             try {
-                const result = await window.medicalAPI.getActiveDoctores();
-                this.doctores = result.data;
+                this.doctores = await window.medicalAPI.getActiveDoctores();
             } catch (error) {
                 this.error = error.message;
             }
@@ -405,8 +229,7 @@ document.addEventListener('alpine:init', () => {
         
         async loadPacientes() {
             try {
-                const result = await window.medicalAPI.getActivePacientes();
-                this.pacientes = result.data;
+                this.pacientes = await window.medicalAPI.getActivePacientes();
             } catch (error) {
                 this.error = error.message;
             }
@@ -414,8 +237,7 @@ document.addEventListener('alpine:init', () => {
         
         async loadTurnos(filters = {}) {
             try {
-                const result = await window.medicalAPI.getTurnos(filters);
-                this.turnos = result.data;
+                this.turnos = await window.medicalAPI.getTurnos(filters);
             } catch (error) {
                 this.error = error.message;
             }
@@ -532,12 +354,14 @@ document.addEventListener('alpine:init', () => {
         stats: {},
         auditLogs: [],
         cacheStats: {},
+        contratosPorVencer: [],
         loading: false,
         error: null,
 
         async init() {
             await this.loadStats();
             await this.loadCacheStats();
+            await this.loadContratosPorVencer();
         },
 
         async loadStats() {
@@ -556,7 +380,7 @@ document.addEventListener('alpine:init', () => {
             this.loading = true;
             try {
                 const result = await window.medicalAPI.getAuditLogs(filters);
-                this.auditLogs = result.data || [];
+                this.auditLogs = result.items;
             } catch (error) {
                 this.error = error.message;
             } finally {
@@ -573,6 +397,20 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        async loadContratosPorVencer() {
+            try {
+                this.contratosPorVencer = await window.medicalAPI.getContratosPorVencer(30);
+            } catch (error) {
+                console.error('Error loading expiring contracts:', error);
+            }
+        },
+
+        // La gestión de contratos vive en la vista de Doctores
+        openContratos(contrato) {
+            this.$store.modals.currentView = 'doctores';
+            Alpine.$data(document.querySelector('[x-data="doctores"]')).openContratos(contrato.doctor);
+        },
+
         async clearCache() {
             this.loading = true;
             try {
@@ -2,20 +2,119 @@ function pacientes() {
     return {
         list: [],
         editingItem: null,
+        pagination: null,
+        loading: false,
+        searchTimer: null,
+        pageSizes: [10, 25, 50, 100],
+        filters: {
+            search: '',
+            activo: '1',
+            obra_social: '',
+            edad_min: '',
+            edad_max: '',
+            con_historia: ''
+        },
+        sort: 'apellido',
+        direction: 'asc',
+        page: 1,
+        perPage: 25,
 
         init() {
+            this.readUrl();
             this.loadPacientes();
+
+            // El estado queda en la URL solo mientras se ve el listado
+            this.$watch('$store.modals.currentView', view => {
+                if (view === 'pacientes') this.writeUrl();
+                else history.replaceState(null, '', location.pathname);
+            });
+        },
+
+        params() {
+            return {
+                ...this.filters,
+                sort: this.sort,
+                direction: this.direction,
+                page: this.page,
+                per_page: this.perPage
+            };
         },
 
         async loadPacientes() {
+            this.loading = true;
             try {
-                const response = await api.get('/pacientes');
-                this.list = response.data || response;
+                const { items, pagination } = await api.getPage('/pacientes', this.params());
+
+                // Al eliminar el último de la página o achicar el filtro, volver a la última página con datos
+                if (!items.length && pagination && this.page > pagination.last_page) {
+                    this.page = pagination.last_page;
+                    return this.loadPacientes();
+                }
+
+                this.list = items;
+                this.pagination = pagination;
+                this.writeUrl();
             } catch (error) {
-                showAlert('Error cargando pacientes: ' + error.message, 'error');
+                showApiError(error, 'Error cargando pacientes');
+            } finally {
+                this.loading = false;
             }
         },
 
+        // ========== FILTROS Y ORDEN ==========
+
+        applyFilters() {
+            this.page = 1;
+            this.loadPacientes();
+        },
+
+        searchChanged() {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters(), 300);
+        },
+
+        clearFilters() {
+            this.filters = { search: '', activo: '1', obra_social: '', edad_min: '', edad_max: '', con_historia: '' };
+            this.applyFilters();
+        },
+
+        sortBy(field) {
+            this.direction = this.sort === field && this.direction === 'asc' ? 'desc' : 'asc';
+            this.sort = field;
+            this.applyFilters();
+        },
+
+        sortIndicator(field) {
+            if (this.sort !== field) return '';
+            return this.direction === 'asc' ? '▲' : '▼';
+        },
+
+        goToPage(page) {
+            if (page < 1 || (this.pagination && page > this.pagination.last_page)) return;
+            this.page = page;
+            this.loadPacientes();
+        },
+
+        // ========== ESTADO EN LA URL ==========
+
+        readUrl() {
+            const params = new URLSearchParams(location.search);
+            if (params.get('view') !== 'pacientes') return;
+
+            Object.keys(this.filters).forEach(key => {
+                if (params.has(key)) this.filters[key] = params.get(key);
+            });
+            this.sort = params.get('sort') || this.sort;
+            this.direction = params.get('direction') === 'desc' ? 'desc' : 'asc';
+            this.page = Number(params.get('page')) || 1;
+            this.perPage = this.pageSizes.includes(Number(params.get('per_page'))) ? Number(params.get('per_page')) : this.perPage;
+        },
+
+        writeUrl() {
+            if (this.$store.modals.currentView !== 'pacientes') return;
+            history.replaceState(null, '', location.pathname + api.buildQuery({ view: 'pacientes', ...this.params() }));
+        },
+
         openModal(paciente = null) {
             this.editingItem = paciente;
             const modal = document.createElement('div');
@@ -100,6 +199,11 @@ function pacientes() {
             Alpine.initTree(modal);
         },
 
+        openDetail(paciente) {
+            this.$store.modals.pacienteId = paciente.id;
+            this.$store.modals.currentView = 'paciente';
+        },
+
         async deletePaciente(id) {
             const result = await Swal.fire({
                 title: '¿Estás seguro?',
@@ -118,7 +222,7 @@ function pacientes() {
                     showAlert('Paciente eliminado exitosamente', 'success');
                     this.loadPacientes();
                 } catch (error) {
-                    showAlert('Error eliminando paciente: ' + error.message, 'error');
+                    showApiError(error, 'Error eliminando paciente');
                 }
             }
         }
@@ -169,7 +273,7 @@ function pacienteModal() {
                     Alpine.$data(pacientesEl).loadPacientes();
                 }
             } catch (error) {
-                showAlert('Error guardando paciente: ' + error.message, 'error');
+                showApiError(error, 'Error guardando paciente');
             }
         },
 
@@ -179,90 +283,179 @@ function pacienteModal() {
     };
 }
 
-function doctores() {
+// Ficha del paciente: datos, turnos, historia clínica y evoluciones
+function pacienteDetalle() {
     return {
-        list: [],
-        especialidades: [],
-        editingItem: null,
+        loading: false,
+        paciente: null,
+        historia: null,
+        turnos: [],
+        filters: {
+            doctor_id: '',
+            tipo_consulta: ''
+        },
+        tiposConsulta: {
+            primera_vez: 'Primera vez',
+            control: 'Control',
+            urgencia: 'Urgencia',
+            procedimiento: 'Procedimiento',
+            interconsulta: 'Interconsulta'
+        },
 
         init() {
-            this.loadDoctores();
-            this.loadEspecialidades();
+            this.$watch('$store.modals.pacienteId', id => id && this.load(id));
+            if (this.$store.modals.pacienteId) {
+                this.load(this.$store.modals.pacienteId);
+            }
         },
 
-        async loadDoctores() {
+        async load(id) {
+            this.loading = true;
+            this.filters = { doctor_id: '', tipo_consulta: '' };
+
             try {
-                const response = await api.get('/doctores');
-                this.list = response.data || response;
+                const [turnos, historia] = await Promise.all([
+                    api.get(`/pacientes/${id}/turnos`),
+                    api.get(`/pacientes/${id}/historia-clinica`)
+                ]);
+                this.turnos = turnos || [];
+                this.paciente = historia.paciente;
+                this.historia = historia.historia_clinica;
             } catch (error) {
-                showAlert('Error cargando doctores: ' + error.message, 'error');
+                showApiError(error, 'Error cargando ficha del paciente');
+            } finally {
+                this.loading = false;
             }
         },
 
-        async loadEspecialidades() {
-            try {
-                const response = await api.get('/especialidades');
-                this.especialidades = response.data || response;
-            } catch (error) {
-                showAlert('Error cargando especialidades: ' + error.message, 'error');
-            }
+        back() {
+            this.$store.modals.currentView = 'pacientes';
         },
 
-        openModal(doctor = null) {
-            this.editingItem = doctor;
+        get alergias() {
+            return clinicalUtils.allergies(this.historia);
+        },
+
+        get imc() {
+            return this.historia?.imc || clinicalUtils.imc(this.historia?.peso, this.historia?.altura);
+        },
+
+        get estadoImc() {
+            return clinicalUtils.estadoImc(this.imc);
+        },
+
+        get presion() {
+            const presion = this.historia?.presion_arterial;
+            return presion?.sistolica && presion?.diastolica ? `${presion.sistolica}/${presion.diastolica}` : '-';
+        },
+
+        get canEditHistoria() {
+            return this.$store.auth.user?.rol === 'doctor';
+        },
+
+        openHistoriaEditor() {
             const modal = document.createElement('div');
             modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
             modal.innerHTML = `
-                <div class="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" x-data="doctorModal">
+                <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white" x-data="historiaClinicaModal">
                     <div class="mt-3">
-                        <h3 class="text-lg font-medium text-gray-900 mb-4" x-text="isEditing ? 'Editar Doctor' : 'Nuevo Doctor'"></h3>
+                        <h3 class="text-lg font-medium text-gray-900 mb-4" x-text="isEditing ? 'Editar historia clínica' : 'Nueva historia clínica'"></h3>
                         <form @submit.prevent="save">
-                            <div class="grid grid-cols-2 gap-4 mb-4">
+                            <div class="grid grid-cols-3 gap-4 mb-4">
                                 <div>
-                                    <label class="block text-sm font-medium text-gray-700">Nombre</label>
-                                    <input type="text" x-model="form.nombre" required
+                                    <label class="block text-sm font-medium text-gray-700">Peso (kg)</label>
+                                    <input type="number" step="0.1" x-model="form.peso"
                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.peso" class="text-xs text-rose-600 mt-1" x-text="errors.peso"></p>
                                 </div>
                                 <div>
-                                    <label class="block text-sm font-medium text-gray-700">Apellido</label>
-                                    <input type="text" x-model="form.apellido" required
+                                    <label class="block text-sm font-medium text-gray-700">Altura (cm)</label>
+                                    <input type="number" step="0.1" x-model="form.altura"
                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.altura" class="text-xs text-rose-600 mt-1" x-text="errors.altura"></p>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">IMC</label>
+                                    <p class="mt-3 text-sm">
+                                        <span class="font-medium" x-text="imc ?? '-'"></span>
+                                        <span :class="estadoImcColor" x-text="estadoImc ? '(' + estadoImc + ')' : ''"></span>
+                                    </p>
                                 </div>
                             </div>
-                            <div class="mb-4">
-                                <label class="block text-sm font-medium text-gray-700">Especialidad</label>
-                                <select x-model="form.especialidad_id" required
-                                        class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
-                                    <option value="">Seleccionar Especialidad</option>
-                                    <template x-for="especialidad in especialidades" :key="especialidad.id">
-                                        <option :value="especialidad.id" x-text="especialidad.nombre"></option>
-                                    </template>
-                                </select>
-                            </div>
-                            <div class="grid grid-cols-2 gap-4 mb-4">
+                            <div class="grid grid-cols-4 gap-4 mb-4">
                                 <div>
-                                    <label class="block text-sm font-medium text-gray-700">Email</label>
-                                    <input type="email" x-model="form.email" required
+                                    <label class="block text-sm font-medium text-gray-700">Sistólica</label>
+                                    <input type="number" x-model="form.sistolica" placeholder="mmHg"
                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.sistolica" class="text-xs text-rose-600 mt-1" x-text="errors.sistolica"></p>
                                 </div>
                                 <div>
-                                    <label class="block text-sm font-medium text-gray-700">Teléfono</label>
-                                    <input type="text" x-model="form.telefono"
+                                    <label class="block text-sm font-medium text-gray-700">Diastólica</label>
+                                    <input type="number" x-model="form.diastolica" placeholder="mmHg"
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.diastolica" class="text-xs text-rose-600 mt-1" x-text="errors.diastolica"></p>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Frec. cardíaca</label>
+                                    <input type="number" x-model="form.frecuencia_cardiaca" placeholder="lpm"
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.frecuencia_cardiaca" class="text-xs text-rose-600 mt-1" x-text="errors.frecuencia_cardiaca"></p>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Temperatura</label>
+                                    <input type="number" step="0.1" x-model="form.temperatura" placeholder="°C"
                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.temperatura" class="text-xs text-rose-600 mt-1" x-text="errors.temperatura"></p>
+                                </div>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Grupo sanguíneo</label>
+                                    <select x-model="form.grupo_sanguineo"
+                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <option value="">Sin dato</option>
+                                        <option value="A">A</option>
+                                        <option value="B">B</option>
+                                        <option value="AB">AB</option>
+                                        <option value="O">O</option>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Factor RH</label>
+                                    <select x-model="form.factor_rh"
+                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <option value="">Sin dato</option>
+                                        <option value="+">Positivo (+)</option>
+                                        <option value="-">Negativo (-)</option>
+                                    </select>
                                 </div>
                             </div>
                             <div class="mb-4">
-                                <label class="block text-sm font-medium text-gray-700">Matrícula</label>
-                                <input type="text" x-model="form.matricula" required
-                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                <label class="block text-sm font-medium text-rose-700">Alergias (una por línea)</label>
+                                <textarea x-model="form.alergias" rows="2"
+                                          class="mt-1 block w-full border border-rose-300 rounded-md px-3 py-2"></textarea>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <template x-for="field in listFields" :key="field.key">
+                                    <div>
+                                        <label class="block text-sm font-medium text-gray-700" x-text="field.label + ' (uno por línea)'"></label>
+                                        <textarea x-model="form[field.key]" rows="2"
+                                                  class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                                    </div>
+                                </template>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Observaciones generales</label>
+                                <textarea x-model="form.observaciones_generales" rows="2"
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
                             </div>
                             <div class="flex justify-end space-x-3">
                                 <button type="button" @click="closeModal" 
                                         class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
                                     Cancelar
                                 </button>
-                                <button type="submit" 
-                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700">
+                                <button type="submit" :disabled="saving"
+                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">
                                     Guardar
                                 </button>
                             </div>
@@ -275,75 +468,210 @@ function doctores() {
             Alpine.initTree(modal);
         },
 
-        async deleteDoctor(id) {
-            const result = await Swal.fire({
-                title: '¿Estás seguro?',
-                text: 'Esta acción no se puede deshacer',
-                icon: 'warning',
-                showCancelButton: true,
-                confirmButtonColor: '#ef4444',
-                cancelButtonColor: '#6b7280',
-                confirmButtonText: 'Sí, eliminar',
-                cancelButtonText: 'Cancelar'
+        // ========== TURNOS ==========
+
+        get filteredTurnos() {
+            return this.turnos.filter(turno => !this.filters.doctor_id || String(turno.doctor_id) === this.filters.doctor_id);
+        },
+
+        get proximosTurnos() {
+            const today = scheduleUtils.today();
+            return this.filteredTurnos
+                .filter(turno => scheduleUtils.normalizeDate(turno.fecha) >= today && scheduleUtils.isActiveTurno(turno))
+                .sort((a, b) => this.turnoKey(a).localeCompare(this.turnoKey(b)));
+        },
+
+        get turnosAnteriores() {
+            return this.filteredTurnos.filter(turno => !this.proximosTurnos.includes(turno));
+        },
+
+        turnoKey(turno) {
+            return `${scheduleUtils.normalizeDate(turno.fecha)} ${turno.hora_inicio}`;
+        },
+
+        // ========== EVOLUCIONES ==========
+
+        get evoluciones() {
+            return (this.historia?.evoluciones || [])
+                .filter(evolucion => !this.filters.doctor_id || String(evolucion.doctor_id) === this.filters.doctor_id)
+                .filter(evolucion => !this.filters.tipo_consulta || evolucion.tipo_consulta === this.filters.tipo_consulta)
+                .sort((a, b) => this.evolucionKey(b).localeCompare(this.evolucionKey(a)));
+        },
+
+        evolucionKey(evolucion) {
+            return `${scheduleUtils.normalizeDate(evolucion.fecha_evolucion)} ${evolucion.hora_evolucion || ''}`;
+        },
+
+        // Doctores que atendieron al paciente, para el filtro
+        get doctores() {
+            const doctores = new Map();
+            [...this.turnos, ...(this.historia?.evoluciones || [])].forEach(item => {
+                if (item.doctor) doctores.set(String(item.doctor.id), item.doctor);
             });
+            return [...doctores.entries()]
+                .map(([id, doctor]) => ({ id, nombre: `${doctor.nombre} ${doctor.apellido}` }))
+                .sort((a, b) => a.nombre.localeCompare(b.nombre));
+        },
 
-            if (result.isConfirmed) {
-                try {
-                    await api.delete(`/doctores/${id}`);
-                    showAlert('Doctor eliminado exitosamente', 'success');
-                    this.loadDoctores();
-                } catch (error) {
-                    showAlert('Error eliminando doctor: ' + error.message, 'error');
-                }
-            }
+        // ========== FORMATO ==========
+
+        get edad() {
+            if (!this.paciente?.fecha_nacimiento) return null;
+
+            const nacimiento = scheduleUtils.parseDate(scheduleUtils.normalizeDate(this.paciente.fecha_nacimiento));
+            const hoy = new Date();
+            let edad = hoy.getFullYear() - nacimiento.getFullYear();
+            if (hoy < new Date(hoy.getFullYear(), nacimiento.getMonth(), nacimiento.getDate())) edad--;
+            return edad;
+        },
+
+        formatDate(dateString) {
+            return dateString ? scheduleUtils.parseDate(scheduleUtils.normalizeDate(dateString)).toLocaleDateString('es-ES') : '';
+        },
+
+        // Los campos de la historia pueden venir como lista o como texto libre
+        listText(value) {
+            if (Array.isArray(value)) return value.join(', ');
+            return value || '';
+        },
+
+        tipoLabel(tipo) {
+            return this.tiposConsulta[tipo] || tipo || '';
+        },
+
+        getStatusColor(estado) {
+            return scheduleUtils.estadoColor(estado);
+        },
+
+        statusLabel(estado) {
+            return scheduleUtils.estadoLabel(estado);
         }
     };
 }
 
-function doctorModal() {
+function historiaClinicaModal() {
     return {
         isEditing: false,
-        especialidades: [],
+        pacienteId: null,
+        saving: false,
+        serverErrors: {},
+        listFields: [
+            { key: 'antecedentes_personales', label: 'Antecedentes personales' },
+            { key: 'antecedentes_familiares', label: 'Antecedentes familiares' },
+            { key: 'antecedentes_quirurgicos', label: 'Antecedentes quirúrgicos' },
+            { key: 'medicamentos_habituales', label: 'Medicación habitual' },
+            { key: 'vacunas', label: 'Vacunas' }
+        ],
         form: {
-            nombre: '',
-            apellido: '',
-            especialidad_id: '',
-            email: '',
-            telefono: '',
-            matricula: '',
-            activo: true
+            peso: '',
+            altura: '',
+            sistolica: '',
+            diastolica: '',
+            frecuencia_cardiaca: '',
+            temperatura: '',
+            grupo_sanguineo: '',
+            factor_rh: '',
+            alergias: '',
+            antecedentes_personales: '',
+            antecedentes_familiares: '',
+            antecedentes_quirurgicos: '',
+            medicamentos_habituales: '',
+            vacunas: '',
+            observaciones_generales: ''
         },
 
         init() {
-            const doctoresEl = document.querySelector('[x-data*="doctores"]');
-            const editingItem = Alpine.$data(doctoresEl).editingItem;
-            this.especialidades = Alpine.$data(doctoresEl).especialidades;
-            
-            if (editingItem) {
+            const detalle = Alpine.$data(document.querySelector('[x-data="pacienteDetalle"]'));
+            const historia = detalle.historia;
+            this.pacienteId = detalle.paciente.id;
+
+            if (historia) {
                 this.isEditing = true;
-                Object.assign(this.form, editingItem);
+                Object.assign(this.form, {
+                    peso: historia.peso ?? '',
+                    altura: historia.altura ?? '',
+                    sistolica: historia.presion_arterial?.sistolica ?? '',
+                    diastolica: historia.presion_arterial?.diastolica ?? '',
+                    frecuencia_cardiaca: historia.frecuencia_cardiaca ?? '',
+                    temperatura: historia.temperatura ?? '',
+                    grupo_sanguineo: historia.grupo_sanguineo || '',
+                    factor_rh: historia.factor_rh || '',
+                    observaciones_generales: historia.observaciones_generales || ''
+                });
+                ['alergias', ...this.listFields.map(field => field.key)].forEach(key => {
+                    this.form[key] = clinicalUtils.toLines(historia[key]);
+                });
             }
         },
 
+        get imc() {
+            return clinicalUtils.imc(this.form.peso, this.form.altura);
+        },
+
+        get estadoImc() {
+            return clinicalUtils.estadoImc(this.imc);
+        },
+
+        get estadoImcColor() {
+            return clinicalUtils.estadoImcColor(this.estadoImc);
+        },
+
+        // Rangos validados en vivo; los del servidor se muestran hasta el próximo intento
+        get errors() {
+            return { ...this.serverErrors, ...clinicalUtils.validateVitals(this.form) };
+        },
+
+        number(value) {
+            return value === '' || value === null ? null : Number(value);
+        },
+
+        payload() {
+            const payload = {
+                peso: this.number(this.form.peso),
+                altura: this.number(this.form.altura),
+                presion_arterial: this.form.sistolica !== '' && this.form.diastolica !== ''
+                    ? { sistolica: Number(this.form.sistolica), diastolica: Number(this.form.diastolica) }
+                    : null,
+                frecuencia_cardiaca: this.number(this.form.frecuencia_cardiaca),
+                temperatura: this.number(this.form.temperatura),
+                grupo_sanguineo: this.form.grupo_sanguineo || null,
+                factor_rh: this.form.factor_rh || null,
+                alergias: clinicalUtils.fromLines(this.form.alergias),
+                observaciones_generales: sanitizeInput(this.form.observaciones_generales)
+            };
+            this.listFields.forEach(field => {
+                payload[field.key] = clinicalUtils.fromLines(this.form[field.key]);
+            });
+            return payload;
+        },
+
         async save() {
+            this.serverErrors = {};
+            if (Object.keys(this.errors).length) return;
+
+            this.saving = true;
             try {
+                const endpoint = `/pacientes/${this.pacienteId}/historia-clinica`;
                 if (this.isEditing) {
-                    await api.put(`/doctores/${this.form.id}`, this.form);
-                    showAlert('Doctor actualizado exitosamente', 'success');
+                    await api.put(endpoint, this.payload());
                 } else {
-                    await api.post('/doctores', this.form);
-                    showAlert('Doctor creado exitosamente', 'success');
+                    await api.post(endpoint, this.payload());
                 }
-                
+                showAlert('Historia clínica guardada', 'success');
                 this.closeModal();
-                
-                // Reload doctores list
-                const doctoresEl = document.querySelector('[x-data*="doctores"]');
-                if (doctoresEl) {
-                    Alpine.$data(doctoresEl).loadDoctores();
-                }
+                Alpine.$data(document.querySelector('[x-data="pacienteDetalle"]')).load(this.pacienteId);
             } catch (error) {
-                showAlert('Error guardando doctor: ' + error.message, 'error');
+                if (error instanceof ValidationError) {
+                    this.serverErrors = Object.fromEntries(
+                        Object.entries(error.errors).map(([field, messages]) => [
+                            field.replace('presion_arterial.', ''),
+                            Array.isArray(messages) ? messages[0] : messages
+                        ])
+                    );
+                }
+                showApiError(error, 'Error guardando historia clínica');
+            } finally {
+                this.saving = false;
             }
         },
 
@@ -353,69 +681,2780 @@ function doctorModal() {
     };
 }
 
-function turnos() {
+function doctores() {
     return {
         list: [],
-        filterDate: new Date().toISOString().split('T')[0],
+        especialidades: [],
+        editingItem: null,
+        scheduleDoctor: null,
+        ausenciasDoctor: null,
+        contratosDoctor: null,
+        estado: 'activos',
 
         init() {
-            this.loadTurnos();
+            this.loadDoctores();
+            this.loadEspecialidades();
         },
 
-        async loadTurnos() {
+        async loadDoctores() {
             try {
-                const params = this.filterDate ? { fecha: this.filterDate } : {};
-                const response = await api.get('/turnos', params);
-                this.list = response.data || response;
+                this.list = await api.getAll('/doctores', { estado: this.estado });
             } catch (error) {
-                showAlert('Error cargando turnos: ' + error.message, 'error');
-            }
-        },
-
-        formatDate(dateString) {
-            return new Date(dateString).toLocaleDateString('es-ES');
-        },
-
-        getStatusColor(estado) {
-            switch (estado) {
-                case 'programado': return 'bg-sky-100 text-sky-800';
-                case 'realizado': return 'bg-emerald-100 text-emerald-800';
-                case 'cancelado': return 'bg-rose-100 text-rose-800';
-                default: return 'bg-gray-100 text-gray-800';
-            }
-        },
-
-        async cancelTurno(id) {
-            const result = await Swal.fire({
-                title: '¿Cancelar turno?',
-                text: 'Esta acción marcará el turno como cancelado',
-                icon: 'warning',
-                showCancelButton: true,
-                confirmButtonColor: '#ef4444',
-                cancelButtonColor: '#6b7280',
-                confirmButtonText: 'Sí, cancelar',
-                cancelButtonText: 'No cancelar'
-            });
-
-            if (result.isConfirmed) {
-                try {
-                    await api.patch(`/turnos/${id}/cancelar`);
-                    showAlert('Turno cancelado exitosamente', 'success');
-                    this.loadTurnos();
-                } catch (error) {
-                    showAlert('Error cancelando turno: ' + error.message, 'error');
-                }
+                showApiError(error, 'Error cargando doctores');
             }
         },
 
-        async realizarTurno(id) {
+        async loadEspecialidades() {
             try {
-                await api.patch(`/turnos/${id}/realizar`);
-                showAlert('Turno marcado como realizado', 'success');
-                this.loadTurnos();
+                const response = await api.get('/especialidades');
+                this.especialidades = response.especialidades || [];
             } catch (error) {
-                showAlert('Error marcando turno: ' + error.message, 'error');
+                showApiError(error, 'Error cargando especialidades');
             }
+        },
+
+        openModal(doctor = null) {
+            this.editingItem = doctor;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" x-data="doctorModal">
+                    <div class="mt-3">
+                        <h3 class="text-lg font-medium text-gray-900 mb-4" x-text="isEditing ? 'Editar Doctor' : 'Nuevo Doctor'"></h3>
+                        <form @submit.prevent="save">
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Nombre</label>
+                                    <input type="text" x-model="form.nombre" required
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Apellido</label>
+                                    <input type="text" x-model="form.apellido" required
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Especialidad</label>
+                                <select x-model="form.especialidad_id" required
+                                        class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <option value="">Seleccionar Especialidad</option>
+                                    <template x-for="especialidad in especialidades" :key="especialidad.id">
+                                        <option :value="especialidad.id" x-text="especialidad.nombre"></option>
+                                    </template>
+                                </select>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Email</label>
+                                    <input type="email" x-model="form.email" required
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Teléfono</label>
+                                    <input type="text" x-model="form.telefono"
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Matrícula</label>
+                                <input type="text" x-model="form.matricula" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                            </div>
+                            <div class="flex justify-end space-x-3">
+                                <button type="button" @click="closeModal" 
+                                        class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                    Cancelar
+                                </button>
+                                <button type="submit" 
+                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700">
+                                    Guardar
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        openHorarios(doctor) {
+            this.scheduleDoctor = doctor;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-10 mx-auto p-5 border w-full max-w-5xl shadow-lg rounded-md bg-white" x-data="horarioEditorModal">
+                    <div class="flex justify-between items-start mb-4">
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900">Horarios de atención</h3>
+                            <p class="text-sm text-gray-500" x-text="'Dr. ' + doctor.nombre + ' ' + doctor.apellido"></p>
+                        </div>
+                        <p class="text-xs text-gray-500 text-right">Clínica: Lun-Vie 08:00-18:00 · Sáb 08:00-13:00<br>
+                            <span x-text="weeklySlots + ' turnos por semana'"></span></p>
+                    </div>
+
+                    <p x-show="loading" class="text-sm text-gray-500 py-6 text-center">Cargando horarios...</p>
+
+                    <form x-show="!loading" @submit.prevent="save">
+                        <!-- Plantilla semanal -->
+                        <div class="grid grid-cols-6 gap-3 mb-4">
+                            <template x-for="day in days" :key="day">
+                                <div class="border rounded-md p-2 text-sm" :class="previewDay === day ? 'border-emerald-500' : 'border-gray-200'">
+                                    <button type="button" @click="previewDay = day" class="w-full text-left font-medium text-gray-700 mb-2"
+                                            x-text="dayName(day)"></button>
+                                    <template x-for="block in dayBlocks(day)" :key="block.key">
+                                        <div class="rounded-md p-2 mb-2" :class="blockError(block) ? 'bg-rose-50 border border-rose-300' : 'bg-emerald-50 border border-emerald-200'">
+                                            <div class="flex items-center justify-between mb-1">
+                                                <input type="time" step="900" x-model="block.start_time" @focus="previewDay = day"
+                                                       class="w-[4.5rem] border border-gray-300 rounded px-1 text-xs">
+                                                <button type="button" @click="removeBlock(block)" title="Quitar bloque"
+                                                        class="text-rose-600 hover:text-rose-900 text-xs">✕</button>
+                                            </div>
+                                            <input type="time" step="900" x-model="block.end_time" @focus="previewDay = day"
+                                                   class="w-[4.5rem] border border-gray-300 rounded px-1 text-xs mb-1">
+                                            <select x-model.number="block.slot_duration" @focus="previewDay = day"
+                                                    class="w-full border border-gray-300 rounded px-1 text-xs">
+                                                <template x-for="minutes in durations" :key="minutes">
+                                                    <option :value="minutes" :selected="minutes === block.slot_duration" x-text="minutes + ' min'"></option>
+                                                </template>
+                                            </select>
+                                            <p class="text-xs mt-1" :class="blockError(block) ? 'text-rose-700' : 'text-gray-500'"
+                                               x-text="blockError(block) || slotsFor(block).length + ' turnos'"></p>
+                                        </div>
+                                    </template>
+                                    <button type="button" @click="addBlock(day)"
+                                            class="w-full text-xs text-emerald-700 border border-dashed border-emerald-300 rounded-md py-1 hover:bg-emerald-50">
+                                        + Bloque
+                                    </button>
+                                </div>
+                            </template>
+                        </div>
+
+                        <!-- Vista previa del día -->
+                        <div class="border-t pt-3 mb-4">
+                            <h4 class="text-sm font-medium text-gray-700 mb-2" x-text="'Vista previa: ' + dayName(previewDay)"></h4>
+                            <p x-show="!dayBlocks(previewDay).length" class="text-sm text-gray-500">Sin atención este día.</p>
+                            <template x-for="block in dayBlocks(previewDay)" :key="block.key">
+                                <div class="mb-2">
+                                    <p class="text-xs text-gray-500 mb-1">
+                                        <span x-text="block.start_time + ' - ' + block.end_time + ' · ' + block.slot_duration + ' min'"></span>
+                                        <span x-show="!blockError(block) && leftover(block)" class="text-amber-700"
+                                              x-text="'· quedan ' + leftover(block) + ' min sin usar al final'"></span>
+                                    </p>
+                                    <div class="flex flex-wrap gap-1">
+                                        <template x-for="slot in slotsFor(block)" :key="slot.time">
+                                            <span class="px-2 py-0.5 rounded text-xs bg-emerald-100 text-emerald-800" x-text="slot.time"></span>
+                                        </template>
+                                        <span x-show="blockError(block)" class="text-xs text-rose-700" x-text="blockError(block)"></span>
+                                    </div>
+                                </div>
+                            </template>
+                        </div>
+
+                        <div class="flex justify-end space-x-3">
+                            <button type="button" @click="closeModal"
+                                    class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                Cancelar
+                            </button>
+                            <button type="submit" :disabled="saving || hasErrors"
+                                    class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50"
+                                    x-text="saving ? 'Guardando...' : 'Guardar horarios'"></button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        // ========== CONTRATOS ==========
+
+        openContratos(doctor) {
+            this.contratosDoctor = doctor;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white" x-data="contratosModal">
+                    <h3 class="text-lg font-medium text-gray-900">Contratos</h3>
+                    <p class="text-sm text-gray-500 mb-4" x-text="'Dr. ' + doctor.nombre + ' ' + doctor.apellido"></p>
+
+                    <div class="border-b border-gray-200 mb-4 flex space-x-6 text-sm">
+                        <button type="button" @click="tab = 'contratos'" class="pb-2 -mb-px border-b-2"
+                                :class="tab === 'contratos' ? 'border-emerald-600 text-emerald-700 font-medium' : 'border-transparent text-gray-500 hover:text-gray-700'"
+                                x-text="'Contratos (' + list.length + ')'"></button>
+                        <button type="button" @click="openNuevo()" class="pb-2 -mb-px border-b-2"
+                                :class="tab === 'nuevo' ? 'border-emerald-600 text-emerald-700 font-medium' : 'border-transparent text-gray-500 hover:text-gray-700'">
+                            Nuevo contrato
+                        </button>
+                    </div>
+
+                    <!-- Listado con el plazo transcurrido -->
+                    <div x-show="tab === 'contratos'">
+                        <p x-show="loading" class="text-sm text-gray-500 py-6 text-center">Cargando contratos...</p>
+                        <p x-show="!loading && !list.length" class="text-sm text-gray-500 py-6 text-center">El doctor no tiene contratos cargados.</p>
+                        <ul class="space-y-3 max-h-[28rem] overflow-y-auto">
+                            <template x-for="contrato in list" :key="contrato.id">
+                                <li class="border rounded-md p-3 text-sm" :class="contrato.is_active ? 'border-gray-200' : 'border-gray-100 bg-gray-50'">
+                                    <div class="flex justify-between items-start">
+                                        <div>
+                                            <span class="font-medium text-gray-900" x-text="contrato.tipo_contrato_texto"></span>
+                                            <span class="text-gray-600" x-text="rangeLabel(contrato)"></span>
+                                            <p class="text-xs text-gray-500" x-text="condiciones(contrato)"></p>
+                                        </div>
+                                        <span class="px-2 py-0.5 rounded-full text-xs font-medium" :class="estadoColors[contrato.estado_contrato]"
+                                              x-text="estadoLabels[contrato.estado_contrato]"></span>
+                                    </div>
+
+                                    <p x-show="contrato.is_active && !contrato.fecha_fin" class="text-xs text-gray-500 mt-2">Sin fecha de fin</p>
+                                    <div x-show="contrato.is_active && contrato.fecha_fin" class="mt-2">
+                                        <div class="w-full bg-gray-200 rounded-full h-2">
+                                            <div class="h-2 rounded-full" :class="progressColor(contrato)"
+                                                 :style="'width: ' + contrato.porcentaje_transcurrido + '%'"></div>
+                                        </div>
+                                        <p class="text-xs text-gray-500 mt-1"
+                                           x-text="Math.round(contrato.porcentaje_transcurrido) + '% transcurrido · ' + contrato.dias_restantes + ' días restantes'
+                                               + (contrato.renovacion_automatica ? ' · renovación automática cada ' + contrato.periodo_renovacion_meses + ' meses' : '')"></p>
+                                    </div>
+
+                                    <p x-show="contrato.observaciones" class="text-xs text-gray-500 mt-2 whitespace-pre-line" x-text="contrato.observaciones"></p>
+
+                                    <!-- Renovación -->
+                                    <form x-show="renewing === contrato.id" @submit.prevent="renew(contrato)" class="mt-3 pt-3 border-t grid grid-cols-3 gap-3 items-end">
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Nuevo fin</label>
+                                            <input type="date" x-model="renewForm.fecha_fin" :min="scheduleUtils.addDays(scheduleUtils.normalizeDate(contrato.fecha_fin), 2)" required
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                        </div>
+                                        <div>
+                                            <label class="block text-xs font-medium text-gray-700">Salario base</label>
+                                            <input type="number" min="0" step="0.01" x-model="renewForm.salario_base"
+                                                   class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                                        </div>
+                                        <div class="flex justify-end space-x-2">
+                                            <button type="button" @click="renewing = null"
+                                                    class="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">Volver</button>
+                                            <button type="submit" :disabled="saving"
+                                                    class="px-3 py-1 text-sm text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">Renovar</button>
+                                        </div>
+                                    </form>
+
+                                    <div x-show="contrato.is_active && renewing !== contrato.id" class="mt-2 flex justify-end space-x-3 text-xs">
+                                        <button type="button" x-show="contrato.fecha_fin && contrato.puede_renovarse" @click="startRenew(contrato)"
+                                                class="text-emerald-600 hover:text-emerald-900">Renovar</button>
+                                        <button type="button" @click="terminate(contrato)"
+                                                class="text-rose-600 hover:text-rose-900">Terminar</button>
+                                    </div>
+                                </li>
+                            </template>
+                        </ul>
+                    </div>
+
+                    <!-- Alta de contrato -->
+                    <form x-show="tab === 'nuevo'" @submit.prevent="save">
+                        <div class="grid grid-cols-3 gap-3 mb-3">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Tipo</label>
+                                <select x-model="form.tipo_contrato" class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <template x-for="(label, tipo) in tipos" :key="tipo">
+                                        <option :value="tipo" x-text="label" :selected="tipo === form.tipo_contrato"></option>
+                                    </template>
+                                </select>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Inicio</label>
+                                <input type="date" x-model="form.fecha_inicio" :min="scheduleUtils.today()" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Fin</label>
+                                <input type="date" x-model="form.fecha_fin" :min="form.fecha_inicio" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                        </div>
+                        <div class="grid grid-cols-4 gap-3 mb-3">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Salario base</label>
+                                <input type="number" min="0" step="0.01" x-model="form.salario_base"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Comisión %</label>
+                                <input type="number" min="0" max="100" step="0.01" x-model="form.porcentaje_comision"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Horas/semana</label>
+                                <input type="number" min="1" max="60" x-model="form.horas_semanales"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Días vacaciones</label>
+                                <input type="number" min="0" max="60" x-model="form.dias_vacaciones"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                        </div>
+                        <div class="flex items-center space-x-3 mb-3 text-sm">
+                            <label class="flex items-center text-gray-700">
+                                <input type="checkbox" x-model="form.renovacion_automatica" class="mr-2">
+                                Renovación automática cada
+                            </label>
+                            <input type="number" min="1" max="60" x-model="form.periodo_renovacion_meses" :disabled="!form.renovacion_automatica"
+                                   class="w-16 border border-gray-300 rounded-md px-2 py-1 text-sm disabled:bg-gray-100">
+                            <span class="text-gray-700">meses</span>
+                        </div>
+                        <div class="mb-3">
+                            <label class="block text-sm font-medium text-gray-700">Observaciones</label>
+                            <textarea x-model="form.observaciones" rows="2" maxlength="1000"
+                                      class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm"></textarea>
+                        </div>
+                        <p x-show="solapaVigente" class="text-sm text-amber-700 mb-3"
+                           x-text="'Se superpone con el contrato activo hasta el ' + scheduleUtils.formatLabel(scheduleUtils.normalizeDate(activo?.fecha_fin)) + ': renuévelo o termínelo primero'"></p>
+                        <div class="flex justify-end space-x-3">
+                            <button type="button" @click="tab = 'contratos'"
+                                    class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                Volver
+                            </button>
+                            <button type="submit" :disabled="saving || solapaVigente"
+                                    class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">
+                                Crear contrato
+                            </button>
+                        </div>
+                    </form>
+
+                    <div x-show="tab === 'contratos'" class="flex justify-end mt-4">
+                        <button type="button" @click="closeModal"
+                                class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                            Cerrar
+                        </button>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        // ========== AUSENCIAS Y FERIADOS ==========
+
+        openAusencias(doctor) {
+            this.ausenciasDoctor = doctor;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white" x-data="ausenciasModal">
+                    <h3 class="text-lg font-medium text-gray-900">Ausencias</h3>
+                    <p class="text-sm text-gray-500 mb-4" x-text="'Dr. ' + doctor.nombre + ' ' + doctor.apellido"></p>
+
+                    <p x-show="saldo" class="text-sm text-gray-600 mb-3"
+                       x-text="saldo?.dias_vacaciones === null
+                           ? 'Sin contrato vigente: no hay días de vacaciones asignados'
+                           : 'Vacaciones ' + saldo?.anio + ': ' + saldo?.usados + ' de ' + saldo?.dias_vacaciones + ' días tomados'"></p>
+
+                    <ul class="divide-y divide-gray-200 mb-4 max-h-48 overflow-y-auto text-sm">
+                        <template x-for="ausencia in list" :key="ausencia.id">
+                            <li class="py-2 flex justify-between items-center">
+                                <div>
+                                    <span class="font-medium" x-text="tipos[ausencia.tipo] || ausencia.tipo"></span>
+                                    <span class="text-gray-600" x-text="rangeLabel(ausencia)"></span>
+                                    <p x-show="ausencia.motivo" class="text-xs text-gray-500" x-text="ausencia.motivo"></p>
+                                </div>
+                                <button type="button" @click="remove(ausencia)" class="text-rose-600 hover:text-rose-900 text-xs">Eliminar</button>
+                            </li>
+                        </template>
+                        <li x-show="!list.length" class="py-2 text-gray-500">Sin ausencias próximas.</li>
+                    </ul>
+
+                    <form @submit.prevent="save" class="border-t pt-4">
+                        <div class="grid grid-cols-3 gap-3 mb-3">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Desde</label>
+                                <input type="date" x-model="form.fecha_desde" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Hasta</label>
+                                <input type="date" x-model="form.fecha_hasta" :min="form.fecha_desde" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Tipo</label>
+                                <select x-model="form.tipo" class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <template x-for="(label, tipo) in tipos" :key="tipo">
+                                        <option :value="tipo" x-text="label" :selected="tipo === form.tipo"></option>
+                                    </template>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label class="block text-sm font-medium text-gray-700">Motivo</label>
+                            <input type="text" x-model="form.motivo" maxlength="500"
+                                   class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                        </div>
+                        <p x-show="excedeVacaciones" class="text-sm text-amber-700 mb-3"
+                           x-text="'Son ' + dias + ' días y quedan ' + saldo?.disponibles + ' de vacaciones en el contrato'"></p>
+                        <div class="flex justify-end space-x-3">
+                            <button type="button" @click="closeModal"
+                                    class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                Cerrar
+                            </button>
+                            <button type="submit" :disabled="saving"
+                                    class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50"
+                                    x-text="'Registrar ' + dias + (dias === 1 ? ' día' : ' días')"></button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        openFeriados() {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white" x-data="feriadosModal">
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 class="text-lg font-medium text-gray-900">Feriados</h3>
+                        <div class="flex items-center space-x-2 text-sm">
+                            <button type="button" @click="changeYear(-1)" class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50">&larr;</button>
+                            <span class="font-medium" x-text="anio"></span>
+                            <button type="button" @click="changeYear(1)" class="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50">&rarr;</button>
+                        </div>
+                    </div>
+
+                    <ul class="divide-y divide-gray-200 mb-4 max-h-64 overflow-y-auto text-sm">
+                        <template x-for="feriado in list" :key="feriado.id">
+                            <li class="py-2 flex justify-between items-center">
+                                <div>
+                                    <span class="text-gray-600 capitalize" x-text="scheduleUtils.formatLabel(scheduleUtils.normalizeDate(feriado.fecha), { weekday: 'short', day: 'numeric', month: 'long' })"></span>
+                                    <span class="font-medium" x-text="feriado.nombre"></span>
+                                </div>
+                                <button type="button" @click="remove(feriado)" class="text-rose-600 hover:text-rose-900 text-xs">Eliminar</button>
+                            </li>
+                        </template>
+                        <li x-show="!list.length" class="py-2 text-gray-500">Sin feriados cargados para este año.</li>
+                    </ul>
+
+                    <form @submit.prevent="save" class="border-t pt-4">
+                        <div class="grid grid-cols-3 gap-3 mb-3">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Fecha</label>
+                                <input type="date" x-model="form.fecha" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-2 py-2 text-sm">
+                            </div>
+                            <div class="col-span-2">
+                                <label class="block text-sm font-medium text-gray-700">Nombre</label>
+                                <input type="text" x-model="form.nombre" maxlength="100" required placeholder="Ej: Día de la Independencia"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                            </div>
+                        </div>
+                        <div class="flex justify-end space-x-3">
+                            <button type="button" @click="closeModal"
+                                    class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                Cerrar
+                            </button>
+                            <button type="submit" :disabled="saving"
+                                    class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">
+                                Agregar feriado
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        // La agenda vuelve a pedir feriados y ausencias al recargarse
+        reloadAgenda() {
+            const calendarEl = document.querySelector('[x-data="calendar"]');
+            const calendar = calendarEl && Alpine.$data(calendarEl);
+            if (calendar?.canNavigate && calendar.selectedDate) calendar.loadAgenda();
+        },
+
+        // Turnos ya dados dentro de un bloqueo nuevo: listarlos y ofrecer verlos en Turnos para moverlos o cancelarlos
+        async avisarTurnosAfectados(turnos, { titulo, fechaDesde, fechaHasta, doctorId = '' }) {
+            if (!turnos.length) return;
+
+            const items = turnos.map(turno => `
+                <li class="py-1 text-sm">
+                    <span class="font-medium">${scheduleUtils.formatLabel(scheduleUtils.normalizeDate(turno.fecha))} ${scheduleUtils.normalizeTime(turno.hora_inicio)}</span>
+                    ${securityManager.sanitizeInput(`${turno.paciente?.apellido || ''}, ${turno.paciente?.nombre || ''}`)}
+                    <span class="text-gray-500">${securityManager.sanitizeInput(turno.paciente?.telefono || '')}</span>
+                    ${turno.doctor ? `<span class="text-gray-500">· Dr. ${securityManager.sanitizeInput(turno.doctor.apellido)}</span>` : ''}
+                </li>`).join('');
+
+            const result = await Swal.fire({
+                title: titulo,
+                html: `<p class="text-sm text-gray-600 mb-2">Hay ${turnos.length} turnos ya dados en esas fechas. Reprográmelos o cancélelos y avise a los pacientes.</p>
+                       <ul class="text-left divide-y divide-gray-200 max-h-64 overflow-y-auto">${items}</ul>`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Ver en Turnos',
+                cancelButtonText: 'Cerrar'
+            });
+            if (!result.isConfirmed) return;
+
+            document.getElementById('modals-container').innerHTML = '';
+            const turnosData = Alpine.$data(document.querySelector('[x-data="turnos"]'));
+            turnosData.filters = {
+                ...turnosData.filters,
+                fecha_desde: fechaDesde,
+                fecha_hasta: fechaHasta,
+                doctor_id: String(doctorId),
+                especialidad_id: '',
+                estado: '',
+                search_paciente: ''
+            };
+            turnosData.applyFilters();
+            this.$store.modals.currentView = 'turnos';
+        },
+
+        openEstadisticas(doctor) {
+            this.$store.modals.doctorId = doctor.id;
+            this.$store.modals.currentView = 'doctor';
+        },
+
+        async toggleActivo(doctor) {
+            const nombre = `Dr. ${doctor.nombre} ${doctor.apellido}`;
+
+            if (doctor.activo) {
+                const result = await Swal.fire({
+                    title: `¿Desactivar a ${nombre}?`,
+                    text: 'Deja de aparecer en la agenda y no se le pueden dar turnos. Su historial se conserva y puede reactivarse.',
+                    icon: 'warning',
+                    showCancelButton: true,
+                    confirmButtonColor: '#ef4444',
+                    cancelButtonColor: '#6b7280',
+                    confirmButtonText: 'Sí, desactivar',
+                    cancelButtonText: 'Cancelar'
+                });
+                if (!result.isConfirmed) return;
+            }
+
+            try {
+                if (doctor.activo) {
+                    await api.patch(`/doctores/${doctor.id}/desactivar`);
+                    showAlert('Doctor desactivado', 'success');
+                } else {
+                    await api.patch(`/doctores/${doctor.id}/activar`);
+                    showAlert('Doctor activado', 'success');
+                }
+                this.loadDoctores();
+
+                // El selector de la agenda solo muestra doctores activos
+                const calendarEl = document.querySelector('[x-data="calendar"]');
+                if (calendarEl) Alpine.$data(calendarEl).loadDoctores();
+            } catch (error) {
+                showApiError(error, 'Error cambiando el estado del doctor');
+            }
+        }
+    };
+}
+
+function doctorEstadisticas() {
+    return {
+        loading: false,
+        doctor: null,
+        stats: null,
+        filters: {
+            fecha_desde: '',
+            fecha_hasta: ''
+        },
+        presets: {
+            mes: {
+                label: 'Este mes',
+                filters: () => {
+                    const start = scheduleUtils.addMonths(scheduleUtils.today(), 0);
+                    return { fecha_desde: start, fecha_hasta: scheduleUtils.addDays(scheduleUtils.addMonths(start, 1), -1) };
+                }
+            },
+            mesAnterior: {
+                label: 'Mes anterior',
+                filters: () => {
+                    const start = scheduleUtils.addMonths(scheduleUtils.today(), -1);
+                    return { fecha_desde: start, fecha_hasta: scheduleUtils.addDays(scheduleUtils.addMonths(start, 1), -1) };
+                }
+            },
+            trimestre: {
+                label: 'Últimos 3 meses',
+                filters: () => ({ fecha_desde: scheduleUtils.addMonths(scheduleUtils.today(), -2), fecha_hasta: scheduleUtils.today() })
+            },
+            anio: {
+                label: 'Este año',
+                filters: () => ({ fecha_desde: scheduleUtils.today().slice(0, 4) + '-01-01', fecha_hasta: scheduleUtils.today() })
+            }
+        },
+
+        init() {
+            this.filters = this.presets.mes.filters();
+            this.$watch('$store.modals.doctorId', id => id && this.load());
+            if (this.$store.modals.doctorId) {
+                this.load();
+            }
+        },
+
+        async load() {
+            const id = this.$store.modals.doctorId;
+            if (!id || !this.filters.fecha_desde || !this.filters.fecha_hasta) return;
+
+            this.loading = true;
+            try {
+                const stats = await api.get(`/doctores/${id}/estadisticas`, this.filters);
+                this.doctor = stats.doctor;
+                this.stats = stats;
+            } catch (error) {
+                showApiError(error, 'Error cargando estadísticas del doctor');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        applyPreset(key) {
+            this.filters = this.presets[key].filters();
+            this.load();
+        },
+
+        get activePreset() {
+            return Object.keys(this.presets).find(key =>
+                Object.entries(this.presets[key].filters()).every(([field, value]) => this.filters[field] === value)
+            ) || null;
+        },
+
+        back() {
+            this.$store.modals.currentView = 'doctores';
+        },
+
+        // Barras relativas al total de turnos del período
+        get porEstado() {
+            const total = this.stats?.total || 0;
+            return Object.entries(this.stats?.por_estado || {}).map(([estado, cantidad]) => ({
+                estado,
+                cantidad,
+                label: scheduleUtils.estadoLabel(estado),
+                color: scheduleUtils.estadoColor(estado),
+                porcentaje: total ? Math.round(cantidad / total * 100) : 0
+            }));
+        },
+
+        porcentaje(valor) {
+            return `${Number(valor || 0).toLocaleString('es-ES', { maximumFractionDigits: 1 })}%`;
+        }
+    };
+}
+
+function doctorModal() {
+    return {
+        isEditing: false,
+        especialidades: [],
+        form: {
+            nombre: '',
+            apellido: '',
+            especialidad_id: '',
+            email: '',
+            telefono: '',
+            matricula: '',
+            activo: true
+        },
+
+        init() {
+            const doctoresEl = document.querySelector('[x-data*="doctores"]');
+            const editingItem = Alpine.$data(doctoresEl).editingItem;
+            this.especialidades = Alpine.$data(doctoresEl).especialidades;
+            
+            if (editingItem) {
+                this.isEditing = true;
+                Object.assign(this.form, editingItem);
+            }
+        },
+
+        async save() {
+            try {
+                if (this.isEditing) {
+                    await api.put(`/doctores/${this.form.id}`, this.form);
+                    showAlert('Doctor actualizado exitosamente', 'success');
+                } else {
+                    await api.post('/doctores', this.form);
+                    showAlert('Doctor creado exitosamente', 'success');
+                }
+                
+                this.closeModal();
+                
+                // Reload doctores list
+                const doctoresEl = document.querySelector('[x-data*="doctores"]');
+                if (doctoresEl) {
+                    Alpine.$data(doctoresEl).loadDoctores();
+                }
+            } catch (error) {
+                showApiError(error, 'Error guardando doctor');
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function contratosModal() {
+    return {
+        doctor: {},
+        list: [],
+        tipos: {},
+        tab: 'contratos',
+        loading: true,
+        saving: false,
+        renewing: null,
+        renewForm: { fecha_fin: '', salario_base: '' },
+        form: {},
+        estadoLabels: {
+            vigente: 'Vigente',
+            por_vencer: 'Por vencer',
+            vencido: 'Vencido',
+            futuro: 'Próximo',
+            inactivo: 'Finalizado'
+        },
+        estadoColors: {
+            vigente: 'bg-emerald-100 text-emerald-800',
+            por_vencer: 'bg-amber-100 text-amber-800',
+            vencido: 'bg-rose-100 text-rose-800',
+            futuro: 'bg-sky-100 text-sky-800',
+            inactivo: 'bg-gray-100 text-gray-600'
+        },
+
+        init() {
+            this.doctor = this.doctores().contratosDoctor;
+            this.form = this.emptyForm();
+            this.load();
+        },
+
+        doctores() {
+            return Alpine.$data(document.querySelector('[x-data="doctores"]'));
+        },
+
+        async load() {
+            this.loading = true;
+            try {
+                const { contratos, tipos } = await api.get(`/doctores/${this.doctor.id}/contratos`);
+                this.list = contratos;
+                this.tipos = tipos;
+            } catch (error) {
+                showApiError(error, 'Error cargando contratos');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // Contrato activo más reciente: el nuevo arranca al día siguiente de su fin
+        get activo() {
+            return this.list.find(contrato => contrato.is_active) || null;
+        },
+
+        get solapaVigente() {
+            return !!this.activo && !!this.form.fecha_inicio &&
+                this.form.fecha_inicio <= scheduleUtils.normalizeDate(this.activo.fecha_fin) &&
+                (!this.form.fecha_fin || this.form.fecha_fin >= scheduleUtils.normalizeDate(this.activo.fecha_inicio));
+        },
+
+        emptyForm() {
+            const inicio = scheduleUtils.today();
+            return {
+                tipo_contrato: 'contratado',
+                fecha_inicio: inicio,
+                fecha_fin: this.sumarMeses(inicio, 12),
+                salario_base: '',
+                porcentaje_comision: '',
+                horas_semanales: '',
+                dias_vacaciones: '',
+                renovacion_automatica: false,
+                periodo_renovacion_meses: 12,
+                observaciones: ''
+            };
+        },
+
+        openNuevo() {
+            this.form = this.emptyForm();
+            if (this.activo) {
+                const siguiente = scheduleUtils.addDays(scheduleUtils.normalizeDate(this.activo.fecha_fin), 1);
+                if (siguiente > this.form.fecha_inicio) {
+                    this.form.fecha_inicio = siguiente;
+                    this.form.fecha_fin = this.sumarMeses(siguiente, 12);
+                }
+                this.form.tipo_contrato = this.activo.tipo_contrato;
+            }
+            this.tab = 'nuevo';
+        },
+
+        // Mismo plazo que DoctorContract::renovar: N meses desde la fecha de inicio
+        sumarMeses(fecha, meses) {
+            const date = scheduleUtils.parseDate(fecha);
+            date.setMonth(date.getMonth() + Number(meses));
+            return scheduleUtils.formatDate(date);
+        },
+
+        rangeLabel(contrato) {
+            const opciones = { day: 'numeric', month: 'short', year: 'numeric' };
+            const desde = scheduleUtils.formatLabel(scheduleUtils.normalizeDate(contrato.fecha_inicio), opciones);
+            if (!contrato.fecha_fin) return `desde ${desde}`;
+            return `${desde} - ${scheduleUtils.formatLabel(scheduleUtils.normalizeDate(contrato.fecha_fin), opciones)}`;
+        },
+
+        condiciones(contrato) {
+            return [
+                contrato.salario_base != null ? `Salario $${Number(contrato.salario_base).toFixed(2)}` : null,
+                contrato.porcentaje_comision != null ? `Comisión ${Number(contrato.porcentaje_comision)}%` : null,
+                contrato.horas_semanales ? `${contrato.horas_semanales} h/semana` : null,
+                contrato.dias_vacaciones != null ? `${contrato.dias_vacaciones} días de vacaciones` : null
+            ].filter(Boolean).join(' · ');
+        },
+
+        progressColor(contrato) {
+            if (contrato.estado_contrato === 'vencido') return 'bg-rose-500';
+            if (contrato.estado_contrato === 'por_vencer') return 'bg-amber-500';
+            return 'bg-emerald-500';
+        },
+
+        // Los campos vacíos no se envían: el servidor los deja en null
+        payload(data) {
+            return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== '' && value !== null));
+        },
+
+        async save() {
+            this.saving = true;
+            try {
+                await api.post(`/doctores/${this.doctor.id}/contratos`, this.payload({
+                    ...this.form,
+                    periodo_renovacion_meses: this.form.renovacion_automatica ? this.form.periodo_renovacion_meses : 12,
+                    observaciones: sanitizeInput(this.form.observaciones.trim())
+                }));
+                showAlert('Contrato creado', 'success');
+                this.tab = 'contratos';
+                this.afterChange();
+            } catch (error) {
+                showApiError(error, 'Error creando contrato');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        startRenew(contrato) {
+            const inicio = scheduleUtils.addDays(scheduleUtils.normalizeDate(contrato.fecha_fin), 1);
+            this.renewForm = {
+                fecha_fin: this.sumarMeses(inicio, contrato.periodo_renovacion_meses || 12),
+                salario_base: contrato.salario_base ?? ''
+            };
+            this.renewing = contrato.id;
+        },
+
+        async renew(contrato) {
+            this.saving = true;
+            try {
+                await api.post(`/doctores/${this.doctor.id}/contratos/${contrato.id}/renovar`, this.payload(this.renewForm));
+                showAlert('Contrato renovado', 'success');
+                this.renewing = null;
+                this.afterChange();
+            } catch (error) {
+                showApiError(error, 'Error renovando contrato');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async terminate(contrato) {
+            const desde = scheduleUtils.addDays(scheduleUtils.normalizeDate(contrato.fecha_inicio), 1);
+            // Un contrato sin fecha de fin solo se acota por su inicio
+            const hasta = contrato.fecha_fin ? scheduleUtils.normalizeDate(contrato.fecha_fin) : null;
+            const hoy = scheduleUtils.today();
+            const result = await Swal.fire({
+                title: 'Terminar contrato',
+                html: `
+                    <div class="text-left space-y-3">
+                        <p class="text-sm text-gray-600">${securityManager.sanitizeInput(`${contrato.tipo_contrato_texto} ${this.rangeLabel(contrato)}`)}</p>
+                        <label class="block text-sm text-gray-700">Fecha de terminación
+                            <input id="terminar-fecha" type="date" min="${desde}" ${hasta ? `max="${hasta}"` : ''} value="${hoy < desde ? desde : (hasta && hoy > hasta ? hasta : hoy)}" class="swal2-input !m-0 !mt-1 w-full">
+                        </label>
+                        <label class="block text-sm text-gray-700">Motivo
+                            <input id="terminar-motivo" type="text" maxlength="500" class="swal2-input !m-0 !mt-1 w-full">
+                        </label>
+                    </div>`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Terminar contrato',
+                cancelButtonText: 'Volver',
+                preConfirm: () => {
+                    const fecha = document.getElementById('terminar-fecha').value;
+                    const motivo = document.getElementById('terminar-motivo').value.trim();
+                    if (!fecha || fecha < desde || (hasta && fecha > hasta)) {
+                        Swal.showValidationMessage('La fecha debe estar dentro del período del contrato');
+                        return false;
+                    }
+                    if (!motivo) {
+                        Swal.showValidationMessage('Indique el motivo de la terminación');
+                        return false;
+                    }
+                    return { fecha_terminacion: fecha, motivo: sanitizeInput(motivo) };
+                }
+            });
+            if (!result.isConfirmed) return;
+
+            try {
+                await api.patch(`/doctores/${this.doctor.id}/contratos/${contrato.id}/terminar`, result.value);
+                showAlert('Contrato terminado', 'success');
+                this.afterChange();
+            } catch (error) {
+                showApiError(error, 'Error terminando contrato');
+            }
+        },
+
+        // El widget del panel de administración lista los contratos por vencer
+        afterChange() {
+            this.load();
+            const dashboardEl = document.querySelector('[x-data="adminDashboard"]');
+            if (dashboardEl) Alpine.$data(dashboardEl).loadContratosPorVencer();
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function ausenciasModal() {
+    return {
+        doctor: {},
+        list: [],
+        saldo: null,
+        saving: false,
+        tipos: scheduleUtils.ausenciaTipos,
+        form: {
+            fecha_desde: scheduleUtils.today(),
+            fecha_hasta: scheduleUtils.today(),
+            tipo: 'vacaciones',
+            motivo: ''
+        },
+
+        init() {
+            this.doctor = this.doctores().ausenciasDoctor;
+            this.load();
+        },
+
+        doctores() {
+            return Alpine.$data(document.querySelector('[x-data="doctores"]'));
+        },
+
+        async load() {
+            try {
+                const [list, saldo] = await Promise.all([
+                    api.get('/ausencias', { doctor_id: this.doctor.id, fecha_desde: scheduleUtils.today() }),
+                    api.get(`/doctores/${this.doctor.id}/vacaciones`)
+                ]);
+                this.list = list;
+                this.saldo = saldo;
+            } catch (error) {
+                showApiError(error, 'Error cargando ausencias');
+            }
+        },
+
+        // Días corridos, igual que DoctorAusencia::diasEnAnio
+        get dias() {
+            const { fecha_desde, fecha_hasta } = this.form;
+            if (!fecha_desde || !fecha_hasta || fecha_hasta < fecha_desde) return 0;
+            return Math.round((scheduleUtils.parseDate(fecha_hasta) - scheduleUtils.parseDate(fecha_desde)) / 86400000) + 1;
+        },
+
+        // Aviso, no bloqueo: el saldo es del año en curso y del contrato vigente
+        get excedeVacaciones() {
+            return this.form.tipo === 'vacaciones' &&
+                this.saldo?.disponibles != null &&
+                this.form.fecha_desde.startsWith(String(this.saldo.anio)) &&
+                this.dias > this.saldo.disponibles;
+        },
+
+        rangeLabel(ausencia) {
+            const desde = scheduleUtils.normalizeDate(ausencia.fecha_desde);
+            const hasta = scheduleUtils.normalizeDate(ausencia.fecha_hasta);
+            return desde === hasta
+                ? scheduleUtils.formatLabel(desde)
+                : `${scheduleUtils.formatLabel(desde)} - ${scheduleUtils.formatLabel(hasta)}`;
+        },
+
+        async save() {
+            this.saving = true;
+            try {
+                const { turnos_afectados } = await api.post('/ausencias', {
+                    ...this.form,
+                    doctor_id: this.doctor.id,
+                    motivo: sanitizeInput(this.form.motivo.trim())
+                });
+                showAlert('Ausencia registrada', 'success');
+                this.form.motivo = '';
+                this.load();
+                this.doctores().reloadAgenda();
+
+                await this.doctores().avisarTurnosAfectados(turnos_afectados, {
+                    titulo: `${this.tipos[this.form.tipo]}: turnos a reprogramar`,
+                    fechaDesde: this.form.fecha_desde,
+                    fechaHasta: this.form.fecha_hasta,
+                    doctorId: this.doctor.id
+                });
+            } catch (error) {
+                showApiError(error, 'Error registrando ausencia');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async remove(ausencia) {
+            const result = await Swal.fire({
+                title: '¿Eliminar ausencia?',
+                text: `${this.tipos[ausencia.tipo] || ausencia.tipo} ${this.rangeLabel(ausencia)}: la agenda vuelve a quedar disponible`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, eliminar',
+                cancelButtonText: 'Cancelar'
+            });
+            if (!result.isConfirmed) return;
+
+            try {
+                await api.delete(`/ausencias/${ausencia.id}`);
+                showAlert('Ausencia eliminada', 'success');
+                this.load();
+                this.doctores().reloadAgenda();
+            } catch (error) {
+                showApiError(error, 'Error eliminando ausencia');
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function feriadosModal() {
+    return {
+        anio: new Date().getFullYear(),
+        list: [],
+        saving: false,
+        form: {
+            fecha: '',
+            nombre: ''
+        },
+
+        init() {
+            this.load();
+        },
+
+        doctores() {
+            return Alpine.$data(document.querySelector('[x-data="doctores"]'));
+        },
+
+        async load() {
+            try {
+                this.list = await api.get('/feriados', { anio: this.anio });
+            } catch (error) {
+                showApiError(error, 'Error cargando feriados');
+            }
+        },
+
+        changeYear(delta) {
+            this.anio += delta;
+            this.load();
+        },
+
+        async save() {
+            this.saving = true;
+            try {
+                const { feriado, turnos_afectados } = await api.post('/feriados', {
+                    fecha: this.form.fecha,
+                    nombre: sanitizeInput(this.form.nombre.trim())
+                });
+                showAlert('Feriado agregado', 'success');
+                this.form = { fecha: '', nombre: '' };
+                this.anio = scheduleUtils.parseDate(scheduleUtils.normalizeDate(feriado.fecha)).getFullYear();
+                this.load();
+                this.doctores().reloadAgenda();
+
+                const fecha = scheduleUtils.normalizeDate(feriado.fecha);
+                await this.doctores().avisarTurnosAfectados(turnos_afectados, {
+                    titulo: `${feriado.nombre}: turnos a reprogramar`,
+                    fechaDesde: fecha,
+                    fechaHasta: fecha
+                });
+            } catch (error) {
+                showApiError(error, 'Error agregando feriado');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async remove(feriado) {
+            const result = await Swal.fire({
+                title: '¿Eliminar feriado?',
+                text: `${feriado.nombre}: la agenda de ese día vuelve a quedar disponible`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, eliminar',
+                cancelButtonText: 'Cancelar'
+            });
+            if (!result.isConfirmed) return;
+
+            try {
+                await api.delete(`/feriados/${feriado.id}`);
+                showAlert('Feriado eliminado', 'success');
+                this.load();
+                this.doctores().reloadAgenda();
+            } catch (error) {
+                showApiError(error, 'Error eliminando feriado');
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+// Plantilla semanal de DoctorScheduleSlot; se guarda completa
+function horarioEditorModal() {
+    return {
+        doctor: {},
+        blocks: [],
+        loading: true,
+        saving: false,
+        nextKey: 1,
+        previewDay: 1,
+        // Lunes a sábado, igual que DoctorController::actualizarHorarios
+        days: [1, 2, 3, 4, 5, 6],
+        durations: [15, 20, 30, 40, 45, 60, 90, 120],
+
+        async init() {
+            this.doctor = Alpine.$data(document.querySelector('[x-data="doctores"]')).scheduleDoctor;
+
+            try {
+                const doctor = await api.get(`/doctores/${this.doctor.id}`);
+                this.blocks = (doctor.horarios || [])
+                    .filter(horario => horario.is_active !== false)
+                    .map(horario => this.makeBlock(
+                        horario.day_of_week,
+                        scheduleUtils.normalizeTime(horario.start_time),
+                        scheduleUtils.normalizeTime(horario.end_time),
+                        horario.slot_duration
+                    ));
+            } catch (error) {
+                showApiError(error, 'Error cargando horarios');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        makeBlock(day, start, end, duration) {
+            return {
+                key: this.nextKey++,
+                day_of_week: Number(day),
+                start_time: start,
+                end_time: end,
+                slot_duration: Number(duration) || 30
+            };
+        },
+
+        dayName(day) {
+            return scheduleUtils.dayNames[day];
+        },
+
+        closingTime(day) {
+            return day === 6 ? '13:00' : '18:00';
+        },
+
+        dayBlocks(day) {
+            return this.blocks
+                .filter(block => block.day_of_week === day)
+                .sort((a, b) => a.start_time.localeCompare(b.start_time));
+        },
+
+        // Nuevo bloque a continuación del último del día
+        addBlock(day) {
+            const last = this.dayBlocks(day).at(-1);
+            const start = last ? last.end_time : '08:00';
+            const closing = scheduleUtils.toMinutes(this.closingTime(day));
+
+            if (scheduleUtils.toMinutes(start) >= closing) {
+                showAlert(`No queda horario libre el ${this.dayName(day).toLowerCase()}`, 'warning');
+                return;
+            }
+
+            const end = scheduleUtils.toTime(Math.min(scheduleUtils.toMinutes(start) + 240, closing));
+            this.blocks.push(this.makeBlock(day, start, end, last?.slot_duration));
+            this.previewDay = day;
+        },
+
+        removeBlock(block) {
+            this.blocks = this.blocks.filter(item => item !== block);
+        },
+
+        range(block) {
+            return { start: scheduleUtils.toMinutes(block.start_time), end: scheduleUtils.toMinutes(block.end_time) };
+        },
+
+        // Mismas reglas que valida el servidor
+        blockError(block) {
+            if (!block.start_time || !block.end_time) return 'Complete el horario';
+
+            const { start, end } = this.range(block);
+            const closing = this.closingTime(block.day_of_week);
+
+            if (end <= start) return 'El fin debe ser posterior al inicio';
+            if (block.start_time < '08:00' || block.end_time > closing) return `Fuera del horario de la clínica (08:00-${closing})`;
+            if (end - start < block.slot_duration) return 'Más corto que un turno';
+
+            const overlap = this.blocks.find(other =>
+                other !== block &&
+                other.day_of_week === block.day_of_week &&
+                other.start_time && other.end_time &&
+                scheduleUtils.overlaps(this.range(other), { start, end })
+            );
+            return overlap ? `Se superpone con ${overlap.start_time}-${overlap.end_time}` : '';
+        },
+
+        get hasErrors() {
+            return this.blocks.some(block => this.blockError(block));
+        },
+
+        // Slots que verá la agenda, igual que DoctorScheduleSlot::getTimeSlots
+        slotsFor(block) {
+            if (this.blockError(block)) return [];
+            return scheduleUtils.buildSlots({ start: block.start_time, end: block.end_time, duration: block.slot_duration });
+        },
+
+        leftover(block) {
+            const { start, end } = this.range(block);
+            return (end - start) % block.slot_duration;
+        },
+
+        get weeklySlots() {
+            return this.blocks.reduce((total, block) => total + this.slotsFor(block).length, 0);
+        },
+
+        async save() {
+            if (this.hasErrors) {
+                showAlert('Corrija los bloques marcados antes de guardar', 'warning');
+                return;
+            }
+
+            this.saving = true;
+            try {
+                await api.put(`/doctores/${this.doctor.id}/horarios`, {
+                    horarios: this.blocks.map(({ day_of_week, start_time, end_time, slot_duration }) => ({
+                        day_of_week, start_time, end_time, slot_duration
+                    }))
+                });
+
+                // La agenda cachea los horarios por doctor
+                const calendarEl = document.querySelector('[x-data="calendar"]');
+                if (calendarEl) delete Alpine.$data(calendarEl).schedules[this.doctor.id];
+
+                showAlert('Horarios actualizados exitosamente', 'success');
+                this.closeModal();
+            } catch (error) {
+                showApiError(error, 'Error guardando horarios');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function turnos() {
+    return {
+        list: [],
+        highlightedIds: [],
+        completingTurno: null,
+        pagination: null,
+        loading: false,
+        searchTimer: null,
+        page: 1,
+        perPage: 50,
+        doctores: [],
+        especialidades: [],
+        savedViews: [],
+        selectedIds: [],
+        bulkRequest: null,
+        filters: {
+            fecha_desde: scheduleUtils.today(),
+            fecha_hasta: scheduleUtils.today(),
+            doctor_id: '',
+            especialidad_id: '',
+            estado: '',
+            search_paciente: ''
+        },
+
+        // Rangos relativos a hoy; una vista guardada con preset se recalcula al aplicarla
+        presets: {
+            hoy: {
+                label: 'Hoy',
+                filters: () => ({ fecha_desde: scheduleUtils.today(), fecha_hasta: scheduleUtils.today(), estado: '' })
+            },
+            semana: {
+                label: 'Esta semana',
+                filters: () => {
+                    const start = scheduleUtils.startOfWeek(scheduleUtils.today());
+                    return { fecha_desde: start, fecha_hasta: scheduleUtils.addDays(start, 6), estado: '' };
+                }
+            },
+            pendientes: {
+                label: 'Pendientes de confirmar',
+                filters: () => ({ fecha_desde: scheduleUtils.today(), fecha_hasta: '', estado: 'programado' })
+            }
+        },
+
+        init() {
+            this.savedViews = this.readViews();
+            this.loadTurnos();
+            if (this.canManage()) this.loadFilterOptions();
+        },
+
+        // Turno modificado desde otro puesto: recargar si entra en el filtro y resaltarlo
+        async onTurnoChanged({ turno }) {
+            const fecha = scheduleUtils.normalizeDate(turno.fecha);
+            if (this.filters.fecha_desde && fecha < this.filters.fecha_desde) return;
+            if (this.filters.fecha_hasta && fecha > this.filters.fecha_hasta) return;
+
+            const id = String(turno.id);
+            await this.loadTurnos();
+            this.highlightedIds = [...this.highlightedIds, id];
+            setTimeout(() => {
+                this.highlightedIds = this.highlightedIds.filter(highlighted => highlighted !== id);
+            }, 5000);
+        },
+
+        async loadTurnos() {
+            this.loading = true;
+            try {
+                const { items, pagination } = await api.getPage('/turnos', {
+                    ...this.filters,
+                    page: this.page,
+                    per_page: this.perPage
+                });
+
+                if (!items.length && pagination && this.page > pagination.last_page) {
+                    this.page = pagination.last_page;
+                    return this.loadTurnos();
+                }
+
+                this.list = items;
+                this.pagination = pagination;
+                this.selectedIds = this.selectedIds.filter(id => items.some(turno => turno.id === id && this.isPending(turno)));
+            } catch (error) {
+                showApiError(error, 'Error cargando turnos');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async loadFilterOptions() {
+            try {
+                const [doctores, especialidades] = await Promise.all([
+                    api.getAll('/doctores'),
+                    api.get('/especialidades')
+                ]);
+                this.doctores = doctores;
+                this.especialidades = especialidades.especialidades || [];
+            } catch (error) {
+                showApiError(error, 'Error cargando filtros');
+            }
+        },
+
+        // ========== FILTROS ==========
+
+        applyFilters() {
+            this.page = 1;
+            this.loadTurnos();
+        },
+
+        searchChanged() {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters(), 300);
+        },
+
+        clearFilters() {
+            this.filters = { doctor_id: '', especialidad_id: '', search_paciente: '', ...this.presets.hoy.filters() };
+            this.applyFilters();
+        },
+
+        applyPreset(key) {
+            this.filters = { ...this.filters, ...this.presets[key].filters() };
+            this.applyFilters();
+        },
+
+        get activePreset() {
+            return Object.keys(this.presets).find(key =>
+                Object.entries(this.presets[key].filters()).every(([field, value]) => this.filters[field] === value)
+            ) || null;
+        },
+
+        goToPage(page) {
+            if (page < 1 || (this.pagination && page > this.pagination.last_page)) return;
+            this.page = page;
+            this.loadTurnos();
+        },
+
+        // ========== VISTAS GUARDADAS (por usuario) ==========
+
+        viewsKey() {
+            return `turnosViews:${Alpine.store('auth').user?.id || 'anon'}`;
+        },
+
+        readViews() {
+            return JSON.parse(localStorage.getItem(this.viewsKey()) || '[]');
+        },
+
+        writeViews(views) {
+            this.savedViews = views;
+            localStorage.setItem(this.viewsKey(), JSON.stringify(views));
+        },
+
+        async saveView() {
+            const result = await Swal.fire({
+                title: 'Guardar vista',
+                input: 'text',
+                inputPlaceholder: 'Nombre de la vista',
+                inputAttributes: { maxlength: 50 },
+                inputValidator: value => !value?.trim() && 'Ingrese un nombre',
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Guardar',
+                cancelButtonText: 'Cancelar'
+            });
+            if (!result.isConfirmed) return;
+
+            const name = sanitizeInput(result.value.trim());
+            const view = { name, preset: this.activePreset, filters: { ...this.filters } };
+            const views = this.savedViews.filter(saved => saved.name !== name);
+            this.writeViews([...views, view].sort((a, b) => a.name.localeCompare(b.name)));
+            showAlert(`Vista "${name}" guardada`, 'success');
+        },
+
+        applyView(name) {
+            const view = this.savedViews.find(saved => saved.name === name);
+            if (!view) return;
+
+            this.filters = { ...this.filters, ...view.filters, ...(view.preset ? this.presets[view.preset].filters() : {}) };
+            this.applyFilters();
+        },
+
+        deleteView(name) {
+            this.writeViews(this.savedViews.filter(saved => saved.name !== name));
+        },
+
+        formatDate(dateString) {
+            return new Date(dateString).toLocaleDateString('es-ES');
+        },
+
+        allergies(paciente) {
+            return clinicalUtils.allergies(paciente);
+        },
+
+        getStatusColor(estado) {
+            return scheduleUtils.estadoColor(estado);
+        },
+
+        statusLabel(estado) {
+            return scheduleUtils.estadoLabel(estado);
+        },
+
+        // ========== CICLO DE VIDA ==========
+
+        isPending(turno) {
+            return scheduleUtils.isActiveTurno(turno);
+        },
+
+        // La inasistencia se registra desde el día del turno
+        canMarkNoShow(turno) {
+            return this.isPending(turno) && scheduleUtils.normalizeDate(turno.fecha) <= scheduleUtils.today();
+        },
+
+        canManage() {
+            return ['admin', 'secretaria'].includes(Alpine.store('auth').user?.rol);
+        },
+
+        // Solo la cancelación se encola sin conexión (ver OfflineManager.queueable)
+        async changeState(endpoint, body, { success, offline, context }) {
+            try {
+                const turno = await api.patch(endpoint, body);
+                if (turno?.offline) {
+                    showAlert(offline, 'warning');
+                } else {
+                    showAlert(success, 'success');
+                }
+                this.loadTurnos();
+                return turno;
+            } catch (error) {
+                showApiError(error, context);
+                return null;
+            }
+        },
+
+        async confirmarTurno(turno) {
+            await this.changeState(`/turnos/${turno.id}/confirm`, undefined, {
+                success: 'Turno confirmado',
+                context: 'Error confirmando turno'
+            });
+        },
+
+        async cancelTurno(turno) {
+            const result = await Swal.fire({
+                title: '¿Cancelar turno?',
+                text: 'Indique el motivo de la cancelación',
+                icon: 'warning',
+                input: 'textarea',
+                inputPlaceholder: 'Motivo de la cancelación',
+                inputAttributes: { maxlength: 500 },
+                inputValidator: value => !value?.trim() && 'El motivo es obligatorio',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, cancelar',
+                cancelButtonText: 'No cancelar'
+            });
+
+            if (!result.isConfirmed) return;
+
+            const cancelado = await this.changeState(`/turnos/${turno.id}/cancel`, { motivo_cancelacion: sanitizeInput(result.value.trim()) }, {
+                success: 'Turno cancelado exitosamente',
+                offline: 'Sin conexión: la cancelación se enviará al reconectar',
+                context: 'Error cancelando turno'
+            });
+            if (cancelado && !cancelado.offline && this.canManage()) {
+                await this.ofrecerListaEspera(turno);
+            }
+        },
+
+        // Pacientes en espera que aceptan el horario liberado; el primero queda elegido
+        async ofrecerListaEspera(turno) {
+            // Un horario que ya empezó no se puede volver a dar
+            if (scheduleUtils.hasStarted(turno.fecha, turno.hora_inicio)) return;
+
+            let coincidencias;
+            try {
+                coincidencias = await api.get(`/turnos/${turno.id}/lista-espera`);
+            } catch (error) {
+                showApiError(error, 'Error consultando la lista de espera');
+                return;
+            }
+            if (!coincidencias.length) return;
+
+            const horario = `${this.formatDate(turno.fecha)} ${scheduleUtils.normalizeTime(turno.hora_inicio)}`;
+            const result = await Swal.fire({
+                icon: 'info',
+                title: 'Horario liberado',
+                text: `Hay pacientes en lista de espera para el ${horario}:`,
+                input: 'radio',
+                inputOptions: Object.fromEntries(coincidencias.map(entrada => [
+                    entrada.id,
+                    `${entrada.paciente.apellido}, ${entrada.paciente.nombre} (${scheduleUtils.preferenceLabel(entrada.dias_preferidos, entrada.hora_desde, entrada.hora_hasta)})`
+                ])),
+                inputValue: String(coincidencias[0].id),
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Asignar turno',
+                cancelButtonText: 'Dejar libre'
+            });
+
+            if (!result.isConfirmed || !result.value) return;
+
+            try {
+                const nuevo = await api.post(`/lista-espera/${result.value}/asignar`, { turno_id: turno.id });
+                showAlert(`Turno asignado a ${nuevo.paciente?.nombre} ${nuevo.paciente?.apellido}. Avisar al paciente.`, 'success');
+                this.loadTurnos();
+            } catch (error) {
+                showApiError(error, 'Error asignando el turno');
+            }
+        },
+
+        async noAsistioTurno(turno) {
+            const result = await Swal.fire({
+                title: '¿Registrar inasistencia?',
+                text: `${turno.paciente?.nombre} ${turno.paciente?.apellido} no se presentó al turno`,
+                icon: 'question',
+                input: 'text',
+                inputPlaceholder: 'Observaciones (opcional)',
+                showCancelButton: true,
+                confirmButtonColor: '#d97706',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Registrar',
+                cancelButtonText: 'Volver'
+            });
+
+            if (result.isConfirmed) {
+                await this.changeState(`/turnos/${turno.id}/no-show`, { observaciones: sanitizeInput(result.value?.trim() || '') }, {
+                    success: 'Inasistencia registrada',
+                    context: 'Error registrando inasistencia'
+                });
+            }
+        },
+
+        // El turno original queda como reprogramado y el servidor crea uno nuevo
+        async reprogramarTurno(turno) {
+            const result = await Swal.fire({
+                title: 'Reprogramar turno',
+                html: `
+                    <div class="text-left space-y-3">
+                        <label class="block text-sm text-gray-700">Nueva fecha
+                            <input id="reprogramar-fecha" type="date" min="${scheduleUtils.today()}" value="${scheduleUtils.normalizeDate(turno.fecha)}" class="swal2-input !m-0 !mt-1 w-full">
+                        </label>
+                        <label class="block text-sm text-gray-700">Nuevo horario
+                            <input id="reprogramar-hora" type="time" step="900" value="${scheduleUtils.normalizeTime(turno.hora_inicio)}" class="swal2-input !m-0 !mt-1 w-full">
+                        </label>
+                        <label class="block text-sm text-gray-700">Motivo
+                            <input id="reprogramar-motivo" type="text" maxlength="500" class="swal2-input !m-0 !mt-1 w-full">
+                        </label>
+                    </div>`,
+                showCancelButton: true,
+                confirmButtonColor: '#059669',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Reprogramar',
+                cancelButtonText: 'Volver',
+                preConfirm: () => {
+                    const fecha = document.getElementById('reprogramar-fecha').value;
+                    const hora = document.getElementById('reprogramar-hora').value;
+                    if (!fecha || !hora) {
+                        Swal.showValidationMessage('Indique la nueva fecha y horario');
+                        return false;
+                    }
+                    if (fecha === scheduleUtils.normalizeDate(turno.fecha) && hora === scheduleUtils.normalizeTime(turno.hora_inicio)) {
+                        Swal.showValidationMessage('Elija un horario distinto al actual');
+                        return false;
+                    }
+                    return {
+                        fecha,
+                        hora_inicio: hora,
+                        motivo: sanitizeInput(document.getElementById('reprogramar-motivo').value.trim())
+                    };
+                }
+            });
+
+            if (!result.isConfirmed) return;
+
+            try {
+                const nuevo = await api.post(`/turnos/${turno.id}/reschedule`, result.value);
+                showAlert(`Turno reprogramado para el ${this.formatDate(nuevo.fecha)} a las ${scheduleUtils.normalizeTime(nuevo.hora_inicio)}`, 'success');
+                this.loadTurnos();
+            } catch (error) {
+                showApiError(error, 'Error reprogramando turno');
+            }
+        },
+
+        async verHistorial(turno) {
+            try {
+                const historial = await api.get(`/turnos/${turno.id}/historial`);
+                const items = historial.map(item => `
+                    <li class="py-2">
+                        <div class="flex justify-between text-sm">
+                            <span class="font-medium">${securityManager.sanitizeInput(item.estado_anterior ? `${this.statusLabel(item.estado_anterior)} → ${this.statusLabel(item.estado_nuevo)}` : this.statusLabel(item.estado_nuevo))}</span>
+                            <span class="text-gray-500">${securityManager.sanitizeInput(new Date(item.created_at).toLocaleString('es-ES'))}</span>
+                        </div>
+                        <div class="text-xs text-gray-500">${securityManager.sanitizeInput(item.usuario?.name || 'Sistema')}</div>
+                        ${item.motivo ? `<div class="text-sm text-gray-700">${securityManager.sanitizeInput(item.motivo)}</div>` : ''}
+                    </li>`).join('');
+
+                Swal.fire({
+                    title: 'Historial del turno',
+                    html: items
+                        ? `<ul class="text-left divide-y divide-gray-200">${items}</ul>`
+                        : '<p class="text-sm text-gray-500">Sin cambios registrados</p>',
+                    confirmButtonColor: '#059669',
+                    confirmButtonText: 'Cerrar'
+                });
+            } catch (error) {
+                showApiError(error, 'Error cargando historial');
+            }
+        },
+
+        // ========== SERIES ==========
+
+        // Turnos de la serie; los pendientes desde hoy se cancelan juntos
+        async verSerie(turno) {
+            let serie;
+            try {
+                serie = await api.get(`/turnos/series/${turno.serie_id}`);
+            } catch (error) {
+                showApiError(error, 'Error cargando la serie');
+                return;
+            }
+
+            const today = scheduleUtils.today();
+            const pendientes = serie.turnos.filter(item => this.isPending(item) && scheduleUtils.normalizeDate(item.fecha) >= today);
+            const items = serie.turnos.map(item => `
+                <li class="py-1 flex justify-between text-sm">
+                    <span>${scheduleUtils.formatLabel(scheduleUtils.normalizeDate(item.fecha))} ${scheduleUtils.normalizeTime(item.hora_inicio)}</span>
+                    <span class="px-2 rounded-full text-xs leading-5 font-semibold ${this.getStatusColor(item.estado)}">${this.statusLabel(item.estado)}</span>
+                </li>`).join('');
+
+            const result = await Swal.fire({
+                title: `Serie de ${serie.turnos.length} turnos`,
+                html: `<p class="text-sm text-gray-500 mb-2">${securityManager.sanitizeInput(`${serie.paciente.apellido}, ${serie.paciente.nombre}`)}</p>
+                       <ul class="text-left divide-y divide-gray-200 max-h-64 overflow-y-auto">${items}</ul>`,
+                showDenyButton: this.canManage() && pendientes.length > 0,
+                denyButtonText: `Cancelar ${pendientes.length} pendientes`,
+                confirmButtonColor: '#059669',
+                confirmButtonText: 'Cerrar'
+            });
+            if (!result.isDenied) return;
+
+            const motivo = await Swal.fire({
+                title: '¿Cancelar la serie?',
+                text: `Se cancelarán ${pendientes.length} turnos pendientes. Indique el motivo`,
+                icon: 'warning',
+                input: 'textarea',
+                inputAttributes: { maxlength: 500 },
+                inputValidator: value => !value?.trim() && 'El motivo es obligatorio',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, cancelar serie',
+                cancelButtonText: 'Volver'
+            });
+            if (!motivo.isConfirmed) return;
+
+            try {
+                await api.patch(`/turnos/series/${serie.id}/cancel`, { motivo: sanitizeInput(motivo.value.trim()) });
+                showAlert('Serie cancelada', 'success');
+                this.loadTurnos();
+            } catch (error) {
+                showApiError(error, 'Error cancelando la serie');
+            }
+        },
+
+        // ========== OPERACIONES MASIVAS ==========
+
+        get pendientes() {
+            return this.list.filter(turno => this.isPending(turno));
+        },
+
+        get allSelected() {
+            return this.pendientes.length > 0 && this.pendientes.every(turno => this.selectedIds.includes(turno.id));
+        },
+
+        toggleSelected(turno) {
+            this.selectedIds = this.selectedIds.includes(turno.id)
+                ? this.selectedIds.filter(id => id !== turno.id)
+                : [...this.selectedIds, turno.id];
+        },
+
+        toggleAll() {
+            this.selectedIds = this.allSelected ? [] : this.pendientes.map(turno => turno.id);
+        },
+
+        // "Todo el día" usa el filtro actual: un doctor y una única fecha
+        get dayDoctor() {
+            if (!this.filters.doctor_id || !this.filters.fecha_desde || this.filters.fecha_desde !== this.filters.fecha_hasta) return null;
+            return this.doctores.find(doctor => String(doctor.id) === this.filters.doctor_id) || null;
+        },
+
+        openBulk(action, wholeDay = false) {
+            const doctor = this.dayDoctor;
+            this.bulkRequest = wholeDay
+                ? {
+                    action,
+                    selection: { doctor_id: doctor.id, fecha: this.filters.fecha_desde },
+                    description: `Todos los turnos pendientes del Dr. ${doctor.nombre} ${doctor.apellido} del ${this.formatDate(scheduleUtils.parseDate(this.filters.fecha_desde))}`
+                }
+                : {
+                    action,
+                    selection: { turno_ids: [...this.selectedIds] },
+                    description: `${this.selectedIds.length} turno(s) seleccionado(s)`
+                };
+
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white" x-data="operacionMasivaModal">
+                    <div class="mt-3">
+                        <h3 class="text-lg font-medium text-gray-900" x-text="title"></h3>
+                        <p class="text-sm text-gray-500 mb-4" x-text="description"></p>
+
+                        <form x-show="!report" @submit.prevent="submit">
+                            <div x-show="action === 'move'" class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Doctor de destino</label>
+                                    <select x-model="form.doctor_id" class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <option value="">Mismo doctor</option>
+                                        <template x-for="doctor in doctores" :key="doctor.id">
+                                            <option :value="String(doctor.id)" x-text="'Dr. ' + doctor.nombre + ' ' + doctor.apellido"></option>
+                                        </template>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Fecha de destino</label>
+                                    <input type="date" x-model="form.fecha" :min="today"
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                                <p class="col-span-2 text-xs text-gray-500">Cada turno conserva su horario; los que no tengan lugar en el destino quedan sin cambios.</p>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Motivo</label>
+                                <textarea x-model="form.motivo" rows="2" maxlength="500" required
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                            </div>
+                            <p x-show="error" class="text-sm text-rose-600 mb-4" x-text="error"></p>
+                            <div class="flex justify-end space-x-3">
+                                <button type="button" @click="closeModal"
+                                        class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">Cancelar</button>
+                                <button type="submit" :disabled="saving"
+                                        :class="action === 'cancel' ? 'bg-rose-600 hover:bg-rose-700' : 'bg-emerald-600 hover:bg-emerald-700'"
+                                        class="px-4 py-2 text-sm font-medium text-white rounded-md disabled:opacity-50" x-text="submitLabel"></button>
+                            </div>
+                        </form>
+
+                        <div x-show="report">
+                            <p class="text-sm mb-3">
+                                <span class="text-emerald-700 font-medium" x-text="(report?.exitosos || 0) + ' procesados'"></span>
+                                <span x-show="report?.fallidos" class="text-rose-700 font-medium ml-3" x-text="report?.fallidos + ' con error'"></span>
+                            </p>
+                            <div class="max-h-64 overflow-y-auto border rounded-md mb-4">
+                                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                                    <tbody class="divide-y divide-gray-200">
+                                        <template x-for="item in report?.resultados || []" :key="item.turno_id">
+                                            <tr>
+                                                <td class="px-3 py-2 whitespace-nowrap" x-text="item.fecha + ' ' + item.hora_inicio"></td>
+                                                <td class="px-3 py-2" x-text="item.paciente ? item.paciente.apellido + ', ' + item.paciente.nombre : ''"></td>
+                                                <td class="px-3 py-2" :class="item.exito ? 'text-emerald-700' : 'text-rose-700'" x-text="resultText(item)"></td>
+                                                <td class="px-3 py-2 text-right">
+                                                    <button x-show="action === 'cancel' && item.exito && !scheduleUtils.hasStarted(item.fecha, item.hora_inicio)" @click="ofrecerListaEspera(item)"
+                                                            class="text-sky-600 hover:text-sky-900 whitespace-nowrap">Lista de espera</button>
+                                                </td>
+                                            </tr>
+                                        </template>
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div x-show="report?.pacientes_a_contactar?.length">
+                                <div class="flex justify-between items-center mb-2">
+                                    <h4 class="text-sm font-medium text-gray-900">Pacientes a contactar</h4>
+                                    <button @click="copyContacts" class="text-sm text-sky-600 hover:text-sky-900">Copiar lista</button>
+                                </div>
+                                <ul class="text-sm divide-y divide-gray-200 border rounded-md max-h-48 overflow-y-auto mb-4">
+                                    <template x-for="paciente in report?.pacientes_a_contactar || []" :key="paciente.id">
+                                        <li class="px-3 py-2 flex justify-between">
+                                            <span x-text="paciente.apellido + ', ' + paciente.nombre + ' (DNI ' + paciente.dni + ')'"></span>
+                                            <span class="text-gray-500" x-text="[paciente.telefono, paciente.email].filter(Boolean).join(' · ')"></span>
+                                        </li>
+                                    </template>
+                                </ul>
+                            </div>
+                            <div class="flex justify-end">
+                                <button type="button" @click="closeModal"
+                                        class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">Cerrar</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        },
+
+        // Completar abre el editor de evolución; turno y evolución se guardan juntos
+        realizarTurno(turno) {
+            this.completingTurno = turno;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white" x-data="evolucionModal">
+                    <div class="mt-3">
+                        <div class="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 class="text-lg font-medium text-gray-900">Evolución de la consulta</h3>
+                                <p class="text-sm text-gray-500" x-text="subtitle"></p>
+                            </div>
+                            <span class="text-xs text-gray-400" x-text="draftStatus"></span>
+                        </div>
+                        <div x-show="alergias.length" class="mb-4 px-3 py-2 rounded-md bg-rose-600 text-white text-sm font-medium">
+                            ⚠ Alergias: <span x-text="alergias.join(', ')"></span>
+                        </div>
+                        <form @submit.prevent="save">
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Tipo de consulta</label>
+                                    <select x-model="form.tipo_consulta" required
+                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <template x-for="(label, value) in tiposConsulta" :key="value">
+                                            <option :value="value" x-text="label" :selected="value === form.tipo_consulta"></option>
+                                        </template>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Estado del paciente</label>
+                                    <select x-model="form.estado_paciente" required
+                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <template x-for="(label, value) in estadosPaciente" :key="value">
+                                            <option :value="value" x-text="label" :selected="value === form.estado_paciente"></option>
+                                        </template>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Motivo de consulta</label>
+                                <textarea x-model="form.motivo_consulta" rows="2" required
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                                <p x-show="errors.motivo_consulta" class="text-xs text-rose-600 mt-1" x-text="errors.motivo_consulta"></p>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Examen físico</label>
+                                <textarea x-model="form.examen_fisico" rows="3"
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700 mb-1">Signos vitales</label>
+                                <div class="grid grid-cols-5 gap-2">
+                                    <input type="text" x-model="form.signos_vitales.presion_arterial" placeholder="TA (120/80)"
+                                           class="border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <input type="number" x-model="form.signos_vitales.frecuencia_cardiaca" placeholder="FC (lpm)"
+                                           class="border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <input type="number" step="0.1" x-model="form.signos_vitales.temperatura" placeholder="T (°C)"
+                                           class="border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <input type="number" x-model="form.signos_vitales.saturacion_oxigeno" placeholder="SpO2 (%)"
+                                           class="border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                    <input type="number" step="0.1" x-model="form.signos_vitales.peso" placeholder="Peso (kg)"
+                                           class="border border-gray-300 rounded-md px-2 py-2 text-sm">
+                                </div>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Diagnóstico principal</label>
+                                    <input type="text" x-model="form.diagnostico_principal" required
+                                           class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.diagnostico_principal" class="text-xs text-rose-600 mt-1" x-text="errors.diagnostico_principal"></p>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Diagnósticos secundarios (uno por línea)</label>
+                                    <textarea x-model="form.diagnosticos_secundarios" rows="2"
+                                              class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Plan de tratamiento</label>
+                                <textarea x-model="form.plan_tratamiento" rows="3"
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Medicación (una por línea)</label>
+                                    <textarea x-model="form.medicamentos_recetados" rows="2"
+                                              class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Estudios solicitados (uno por línea)</label>
+                                    <textarea x-model="form.estudios_solicitados" rows="2"
+                                              class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Próxima cita</label>
+                                <input type="date" x-model="form.proxima_cita" :min="tomorrow"
+                                       class="mt-1 block w-48 border border-gray-300 rounded-md px-3 py-2">
+                                <p x-show="errors.proxima_cita" class="text-xs text-rose-600 mt-1" x-text="errors.proxima_cita"></p>
+                            </div>
+                            <div class="flex justify-between items-center">
+                                <button type="button" @click="discardDraft" x-show="hasDraft"
+                                        class="text-sm text-gray-500 hover:text-gray-700">Descartar borrador</button>
+                                <div class="flex space-x-3 ml-auto">
+                                    <button type="button" @click="closeModal" 
+                                            class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                        Cerrar
+                                    </button>
+                                    <button type="submit" :disabled="saving"
+                                            class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">
+                                        Completar turno
+                                    </button>
+                                </div>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        }
+    };
+}
+
+// Cancelación o cambio masivo de turnos con informe por turno
+function operacionMasivaModal() {
+    return {
+        action: 'cancel',
+        selection: {},
+        description: '',
+        doctores: [],
+        saving: false,
+        error: '',
+        report: null,
+        form: {
+            motivo: '',
+            doctor_id: '',
+            fecha: ''
+        },
+
+        init() {
+            const turnos = Alpine.$data(document.querySelector('[x-data="turnos"]'));
+            Object.assign(this, {
+                action: turnos.bulkRequest.action,
+                selection: turnos.bulkRequest.selection,
+                description: turnos.bulkRequest.description,
+                doctores: turnos.doctores
+            });
+        },
+
+        get title() {
+            return this.action === 'cancel' ? 'Cancelar turnos' : 'Mover turnos';
+        },
+
+        get submitLabel() {
+            if (this.saving) return 'Procesando...';
+            return this.action === 'cancel' ? 'Cancelar turnos' : 'Mover turnos';
+        },
+
+        get today() {
+            return scheduleUtils.today();
+        },
+
+        async submit() {
+            if (this.action === 'move' && !this.form.doctor_id && !this.form.fecha) {
+                this.error = 'Indique el doctor o la fecha de destino';
+                return;
+            }
+
+            this.saving = true;
+            this.error = '';
+            try {
+                const body = { ...this.selection, motivo: sanitizeInput(this.form.motivo.trim()) };
+                if (this.action === 'move') {
+                    body.destino = { doctor_id: this.form.doctor_id || null, fecha: this.form.fecha || null };
+                }
+
+                this.report = await api.post(`/turnos/bulk/${this.action}`, body);
+
+                const turnos = Alpine.$data(document.querySelector('[x-data="turnos"]'));
+                turnos.selectedIds = [];
+                turnos.loadTurnos();
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    this.error = error.fieldMessages.join('. ') || error.message;
+                } else {
+                    showApiError(error, 'Error en la operación masiva');
+                }
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async ofrecerListaEspera(item) {
+            await Alpine.$data(document.querySelector('[x-data="turnos"]')).ofrecerListaEspera({
+                id: item.turno_id,
+                fecha: item.fecha,
+                hora_inicio: item.hora_inicio
+            });
+        },
+
+        resultText(item) {
+            if (!item.exito || !item.turno_nuevo) return item.mensaje;
+            const doctor = item.turno_nuevo.doctor ? ` con Dr. ${item.turno_nuevo.doctor.apellido}` : '';
+            return `${item.mensaje}: ${item.turno_nuevo.fecha} ${item.turno_nuevo.hora_inicio}${doctor}`;
+        },
+
+        async copyContacts() {
+            const lines = this.report.pacientes_a_contactar.map(paciente =>
+                [`${paciente.apellido}, ${paciente.nombre}`, `DNI ${paciente.dni}`, paciente.telefono, paciente.email].filter(Boolean).join('\t')
+            );
+            try {
+                await navigator.clipboard.writeText(lines.join('\n'));
+                showAlert('Lista copiada al portapapeles', 'success');
+            } catch (error) {
+                showAlert('No se pudo copiar la lista', 'error');
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function evolucionModal() {
+    return {
+        turno: null,
+        saving: false,
+        errors: {},
+        hasDraft: false,
+        draftSavedAt: null,
+        draftTimer: null,
+        tiposConsulta: {
+            primera_vez: 'Primera vez',
+            control: 'Control',
+            urgencia: 'Urgencia',
+            procedimiento: 'Procedimiento',
+            interconsulta: 'Interconsulta'
+        },
+        estadosPaciente: {
+            estable: 'Estable',
+            mejorado: 'Mejorado',
+            empeorado: 'Empeorado',
+            critico: 'Crítico',
+            alta: 'Alta médica',
+            derivado: 'Derivado'
+        },
+        form: {
+            motivo_consulta: '',
+            examen_fisico: '',
+            signos_vitales: {
+                presion_arterial: '',
+                frecuencia_cardiaca: '',
+                temperatura: '',
+                saturacion_oxigeno: '',
+                peso: ''
+            },
+            diagnostico_principal: '',
+            diagnosticos_secundarios: '',
+            plan_tratamiento: '',
+            medicamentos_recetados: '',
+            estudios_solicitados: '',
+            proxima_cita: '',
+            tipo_consulta: 'control',
+            estado_paciente: 'estable'
+        },
+
+        init() {
+            this.turno = Alpine.$data(document.querySelector('[x-data="turnos"]')).completingTurno;
+            this.form.motivo_consulta = this.turno.motivo || '';
+
+            const draft = JSON.parse(localStorage.getItem(this.draftKey) || 'null');
+            if (draft) {
+                Object.assign(this.form, draft.form);
+                this.hasDraft = true;
+                this.draftSavedAt = draft.savedAt;
+            }
+
+            this.$watch('form', () => this.scheduleDraft());
+        },
+
+        get subtitle() {
+            const paciente = this.turno.paciente ? `${this.turno.paciente.nombre} ${this.turno.paciente.apellido}` : '';
+            return `${paciente} - ${scheduleUtils.normalizeDate(this.turno.fecha)} ${this.turno.hora_inicio}`;
+        },
+
+        get alergias() {
+            return clinicalUtils.allergies(this.turno.paciente);
+        },
+
+        get tomorrow() {
+            return scheduleUtils.addDays(scheduleUtils.today(), 1);
+        },
+
+        // ========== BORRADOR ==========
+
+        // Por usuario y turno, para no mezclar notas entre profesionales del mismo equipo
+        get draftKey() {
+            const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+            return `evolucionDraft:${user.id || 'anon'}:${this.turno.id}`;
+        },
+
+        get draftStatus() {
+            if (!this.draftSavedAt) return '';
+            return `Borrador guardado ${new Date(this.draftSavedAt).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}`;
+        },
+
+        scheduleDraft() {
+            clearTimeout(this.draftTimer);
+            this.draftTimer = setTimeout(() => this.saveDraft(), 800);
+        },
+
+        saveDraft() {
+            this.draftTimer = null;
+            this.draftSavedAt = Date.now();
+            this.hasDraft = true;
+            localStorage.setItem(this.draftKey, JSON.stringify({ form: this.form, savedAt: this.draftSavedAt }));
+        },
+
+        clearDraft() {
+            clearTimeout(this.draftTimer);
+            this.draftTimer = null;
+            localStorage.removeItem(this.draftKey);
+        },
+
+        discardDraft() {
+            this.clearDraft();
+            this.closeModal();
+        },
+
+        // ========== GUARDADO ==========
+
+        payload() {
+            const signos = Object.fromEntries(
+                Object.entries(this.form.signos_vitales).filter(([, value]) => value !== '' && value !== null)
+            );
+
+            return {
+                motivo_consulta: sanitizeInput(this.form.motivo_consulta),
+                examen_fisico: sanitizeInput(this.form.examen_fisico),
+                signos_vitales: Object.keys(signos).length ? signos : null,
+                diagnostico_principal: sanitizeInput(this.form.diagnostico_principal),
+                diagnosticos_secundarios: clinicalUtils.fromLines(this.form.diagnosticos_secundarios),
+                plan_tratamiento: sanitizeInput(this.form.plan_tratamiento),
+                medicamentos_recetados: clinicalUtils.fromLines(this.form.medicamentos_recetados),
+                estudios_solicitados: clinicalUtils.fromLines(this.form.estudios_solicitados),
+                proxima_cita: this.form.proxima_cita || null,
+                tipo_consulta: this.form.tipo_consulta,
+                estado_paciente: this.form.estado_paciente
+            };
+        },
+
+        async save() {
+            this.saving = true;
+            this.errors = {};
+
+            try {
+                await api.patch(`/turnos/${this.turno.id}/complete`, {
+                    proxima_cita: this.form.proxima_cita || null,
+                    evolucion: this.payload()
+                });
+
+                this.clearDraft();
+                showAlert('Turno completado y evolución registrada', 'success');
+                this.closeModal();
+                Alpine.$data(document.querySelector('[x-data="turnos"]')).loadTurnos();
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    this.errors = Object.fromEntries(
+                        Object.entries(error.errors).map(([field, messages]) => [field.replace('evolucion.', ''), Array.isArray(messages) ? messages[0] : messages])
+                    );
+                }
+                showApiError(error, 'Error completando turno');
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        closeModal() {
+            // El borrador pendiente se guarda igual al cerrar
+            if (this.draftTimer) {
+                clearTimeout(this.draftTimer);
+                this.saveDraft();
+            }
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+// Lista de espera: pacientes que quieren un turno antes, por doctor o especialidad
+function listaEspera() {
+    return {
+        list: [],
+        loading: false,
+        doctores: [],
+        especialidades: [],
+        filters: {
+            doctor_id: '',
+            especialidad_id: ''
+        },
+
+        init() {
+            this.$watch('$store.modals.currentView', view => {
+                if (view === 'listaEspera') this.load();
+            });
+        },
+
+        async load() {
+            this.loading = true;
+            try {
+                const [list, doctores, especialidades] = await Promise.all([
+                    api.get('/lista-espera', this.filters),
+                    this.doctores.length ? this.doctores : api.getAll('/doctores'),
+                    this.especialidades.length ? { especialidades: this.especialidades } : api.get('/especialidades')
+                ]);
+                this.list = list;
+                this.doctores = doctores;
+                this.especialidades = especialidades.especialidades || [];
+            } catch (error) {
+                showApiError(error, 'Error cargando lista de espera');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        destino(entrada) {
+            if (entrada.doctor) return `Dr. ${entrada.doctor.nombre} ${entrada.doctor.apellido}`;
+            return entrada.especialidad ? `Cualquier doctor de ${entrada.especialidad.nombre}` : '';
+        },
+
+        preferencias(entrada) {
+            return scheduleUtils.preferenceLabel(entrada.dias_preferidos, entrada.hora_desde, entrada.hora_hasta);
+        },
+
+        esperaDesde(entrada) {
+            return new Date(entrada.created_at).toLocaleDateString('es-ES');
+        },
+
+        async quitar(entrada) {
+            const result = await Swal.fire({
+                title: '¿Quitar de la lista de espera?',
+                text: `${entrada.paciente.apellido}, ${entrada.paciente.nombre}`,
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#ef4444',
+                cancelButtonColor: '#6b7280',
+                confirmButtonText: 'Sí, quitar',
+                cancelButtonText: 'Volver'
+            });
+            if (!result.isConfirmed) return;
+
+            try {
+                await api.delete(`/lista-espera/${entrada.id}`);
+                showAlert('Paciente quitado de la lista de espera', 'success');
+                this.load();
+            } catch (error) {
+                showApiError(error, 'Error quitando de la lista de espera');
+            }
+        },
+
+        openModal() {
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white" x-data="listaEsperaModal">
+                    <div class="mt-3">
+                        <h3 class="text-lg font-medium text-gray-900 mb-4">Agregar a lista de espera</h3>
+                        <form @submit.prevent="save">
+                            <div class="mb-4 relative">
+                                <label class="block text-sm font-medium text-gray-700">Paciente</label>
+                                <div x-show="paciente" class="mt-1 flex justify-between items-center px-3 py-2 border border-emerald-300 bg-emerald-50 rounded-md text-sm">
+                                    <span x-text="paciente ? paciente.apellido + ', ' + paciente.nombre + ' (DNI ' + paciente.dni + ')' : ''"></span>
+                                    <button type="button" @click="clearPaciente" class="text-gray-500 hover:text-rose-600">×</button>
+                                </div>
+                                <input x-show="!paciente" type="text" x-model="search" @input="searchChanged" placeholder="Nombre o DNI"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                <ul x-show="!paciente && pacientes.length" class="absolute z-10 w-full bg-white border rounded-md shadow mt-1 max-h-48 overflow-y-auto text-sm">
+                                    <template x-for="item in pacientes" :key="item.id">
+                                        <li @click="selectPaciente(item)" class="px-3 py-2 hover:bg-gray-100 cursor-pointer"
+                                            x-text="item.apellido + ', ' + item.nombre + ' (DNI ' + item.dni + ')'"></li>
+                                    </template>
+                                </ul>
+                                <p x-show="errors.paciente_id" class="text-xs text-rose-600 mt-1" x-text="errors.paciente_id"></p>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Doctor</label>
+                                    <select x-model="form.doctor_id" class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                        <option value="">Cualquiera</option>
+                                        <template x-for="doctor in doctores" :key="doctor.id">
+                                            <option :value="String(doctor.id)" x-text="'Dr. ' + doctor.nombre + ' ' + doctor.apellido"></option>
+                                        </template>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Especialidad</label>
+                                    <select x-model="form.especialidad_id" :disabled="!!form.doctor_id"
+                                            class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 disabled:bg-gray-100">
+                                        <option value="">Seleccione</option>
+                                        <template x-for="especialidad in especialidades" :key="especialidad.id">
+                                            <option :value="String(especialidad.id)" x-text="especialidad.nombre"></option>
+                                        </template>
+                                    </select>
+                                    <p x-show="errors.especialidad_id" class="text-xs text-rose-600 mt-1" x-text="errors.especialidad_id"></p>
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700 mb-1">Días preferidos (ninguno = cualquiera)</label>
+                                <div class="flex flex-wrap gap-3 text-sm">
+                                    <template x-for="day in weekDays" :key="day.value">
+                                        <label class="inline-flex items-center space-x-1">
+                                            <input type="checkbox" :value="day.value" x-model.number="form.dias_preferidos">
+                                            <span x-text="day.label"></span>
+                                        </label>
+                                    </template>
+                                </div>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Desde</label>
+                                    <input type="time" x-model="form.hora_desde" class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                </div>
+                                <div>
+                                    <label class="block text-sm font-medium text-gray-700">Hasta</label>
+                                    <input type="time" x-model="form.hora_hasta" class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2">
+                                    <p x-show="errors.hora_hasta" class="text-xs text-rose-600 mt-1" x-text="errors.hora_hasta"></p>
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <label class="block text-sm font-medium text-gray-700">Observaciones</label>
+                                <textarea x-model="form.observaciones" rows="2" maxlength="500"
+                                          class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"></textarea>
+                            </div>
+                            <div class="flex justify-end space-x-3">
+                                <button type="button" @click="closeModal"
+                                        class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">Cancelar</button>
+                                <button type="submit" :disabled="saving"
+                                        class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">Agregar</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        }
+    };
+}
+
+function listaEsperaModal() {
+    return {
+        doctores: [],
+        especialidades: [],
+        search: '',
+        searchTimer: null,
+        pacientes: [],
+        paciente: null,
+        saving: false,
+        errors: {},
+        // Lunes a sábado, con el número de DoctorScheduleSlot.day_of_week
+        weekDays: [1, 2, 3, 4, 5, 6].map(value => ({ value, label: scheduleUtils.dayNames[value].slice(0, 3) })),
+        form: {
+            doctor_id: '',
+            especialidad_id: '',
+            dias_preferidos: [],
+            hora_desde: '',
+            hora_hasta: '',
+            observaciones: ''
+        },
+
+        init() {
+            const parent = Alpine.$data(document.querySelector('[x-data="listaEspera"]'));
+            this.doctores = parent.doctores;
+            this.especialidades = parent.especialidades;
+            this.form.doctor_id = parent.filters.doctor_id;
+            this.form.especialidad_id = parent.filters.especialidad_id;
+        },
+
+        searchChanged() {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.searchPacientes(), 300);
+        },
+
+        async searchPacientes() {
+            const term = this.search.trim();
+            if (term.length < 2) {
+                this.pacientes = [];
+                return;
+            }
+
+            try {
+                const pacientes = await api.post('/pacientes/buscar', { search: term, limit: 10 });
+                this.pacientes = patientSearch.rank(pacientes, term);
+            } catch (error) {
+                showApiError(error, 'Error buscando pacientes');
+            }
+        },
+
+        selectPaciente(paciente) {
+            this.paciente = paciente;
+            this.pacientes = [];
+            this.errors.paciente_id = '';
+        },
+
+        clearPaciente() {
+            this.paciente = null;
+            this.search = '';
+        },
+
+        async save() {
+            if (!this.paciente) {
+                this.errors = { paciente_id: 'Debe seleccionar el paciente' };
+                return;
+            }
+
+            this.saving = true;
+            this.errors = {};
+            try {
+                await api.post('/lista-espera', {
+                    paciente_id: this.paciente.id,
+                    doctor_id: this.form.doctor_id || null,
+                    especialidad_id: this.form.doctor_id ? null : this.form.especialidad_id || null,
+                    dias_preferidos: this.form.dias_preferidos.length ? this.form.dias_preferidos : null,
+                    hora_desde: this.form.hora_desde || null,
+                    hora_hasta: this.form.hora_hasta || null,
+                    observaciones: sanitizeInput(this.form.observaciones.trim())
+                });
+
+                showAlert('Paciente agregado a la lista de espera', 'success');
+                this.closeModal();
+                Alpine.$data(document.querySelector('[x-data="listaEspera"]')).load();
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    this.errors = Object.fromEntries(
+                        Object.entries(error.errors).map(([field, messages]) => [field, Array.isArray(messages) ? messages[0] : messages])
+                    );
+                } else {
+                    showApiError(error, 'Error agregando a la lista de espera');
+                }
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        closeModal() {
+            clearTimeout(this.searchTimer);
+            document.getElementById('modals-container').innerHTML = '';
+        }
+    };
+}
+
+function especialidades() {
+    return {
+        list: [],
+        loading: false,
+        editingItem: null,
+
+        init() {
+            this.$watch('$store.modals.currentView', view => {
+                if (view === 'especialidades') this.load();
+            });
+        },
+
+        async load() {
+            this.loading = true;
+            try {
+                this.list = await api.get('/especialidades/gestion');
+            } catch (error) {
+                showApiError(error, 'Error cargando especialidades');
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // Los selects de doctores y agenda muestran solo las activas, en este orden
+        refreshSelects() {
+            ['doctores', 'calendar'].forEach(name => {
+                const el = document.querySelector(`[x-data="${name}"]`);
+                if (el) Alpine.$data(el).loadEspecialidades();
+            });
+        },
+
+        async move(index, delta) {
+            const target = index + delta;
+            if (target < 0 || target >= this.list.length) return;
+
+            const previous = [...this.list];
+            const list = [...this.list];
+            [list[index], list[target]] = [list[target], list[index]];
+            this.list = list;
+
+            try {
+                await api.put('/especialidades/orden', { ids: list.map(especialidad => especialidad.id) });
+                this.refreshSelects();
+            } catch (error) {
+                this.list = previous;
+                showApiError(error, 'Error guardando el orden');
+            }
+        },
+
+        async toggleActivo(especialidad) {
+            if (especialidad.activo && especialidad.doctores_activos_count > 0) {
+                Swal.fire({
+                    title: 'No se puede desactivar',
+                    text: `${especialidad.nombre} tiene ${especialidad.doctores_activos_count} doctores activos. Asígneles otra especialidad o desactívelos primero.`,
+                    icon: 'info',
+                    confirmButtonColor: '#059669'
+                });
+                return;
+            }
+
+            if (especialidad.activo) {
+                const result = await Swal.fire({
+                    title: `¿Desactivar ${especialidad.nombre}?`,
+                    text: 'Deja de aparecer al dar de alta doctores y al filtrar la agenda',
+                    icon: 'warning',
+                    showCancelButton: true,
+                    confirmButtonColor: '#ef4444',
+                    cancelButtonColor: '#6b7280',
+                    confirmButtonText: 'Sí, desactivar',
+                    cancelButtonText: 'Cancelar'
+                });
+                if (!result.isConfirmed) return;
+            }
+
+            try {
+                if (especialidad.activo) {
+                    await api.delete(`/especialidades/${especialidad.id}`);
+                    showAlert('Especialidad desactivada', 'success');
+                } else {
+                    await api.patch(`/especialidades/${especialidad.id}/activar`);
+                    showAlert('Especialidad activada', 'success');
+                }
+                this.load();
+                this.refreshSelects();
+            } catch (error) {
+                showApiError(error, 'Error cambiando el estado de la especialidad');
+            }
+        },
+
+        openModal(especialidad = null) {
+            this.editingItem = especialidad;
+            const modal = document.createElement('div');
+            modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50';
+            modal.innerHTML = `
+                <div class="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white" x-data="especialidadModal">
+                    <h3 class="text-lg font-medium text-gray-900 mb-4" x-text="isEditing ? 'Editar especialidad' : 'Nueva especialidad'"></h3>
+                    <form @submit.prevent="save">
+                        <div class="grid grid-cols-3 gap-3 mb-3">
+                            <div class="col-span-2">
+                                <label class="block text-sm font-medium text-gray-700">Nombre</label>
+                                <input type="text" x-model="form.nombre" maxlength="100" required
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                                <p x-show="errors.nombre" class="text-xs text-rose-600 mt-1" x-text="errors.nombre"></p>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Código</label>
+                                <input type="text" x-model="form.codigo" maxlength="10" placeholder="Automático"
+                                       @input="form.codigo = form.codigo.toUpperCase()"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                                <p x-show="errors.codigo" class="text-xs text-rose-600 mt-1" x-text="errors.codigo"></p>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label class="block text-sm font-medium text-gray-700">Descripción</label>
+                            <textarea x-model="form.descripcion" rows="2" maxlength="1000"
+                                      class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm"></textarea>
+                        </div>
+                        <div class="grid grid-cols-3 gap-3 mb-3">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Duración (min)</label>
+                                <input type="number" min="15" max="120" step="5" x-model.number="form.duracion_cita_default"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                                <p x-show="errors.duracion_cita_default" class="text-xs text-rose-600 mt-1" x-text="errors.duracion_cita_default"></p>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Precio base</label>
+                                <input type="number" min="0" step="0.01" x-model="form.precio_base"
+                                       class="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm">
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Color</label>
+                                <input type="color" x-model="form.color_identificacion"
+                                       class="mt-1 block w-full h-[2.4rem] border border-gray-300 rounded-md px-1">
+                            </div>
+                        </div>
+                        <label class="flex items-center text-sm text-gray-700 mb-4">
+                            <input type="checkbox" x-model="form.requiere_autorizacion" class="mr-2">
+                            Requiere autorización previa
+                        </label>
+                        <div class="flex justify-end space-x-3">
+                            <button type="button" @click="closeModal"
+                                    class="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+                                Cancelar
+                            </button>
+                            <button type="submit" :disabled="saving"
+                                    class="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:opacity-50">
+                                Guardar
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            document.getElementById('modals-container').appendChild(modal);
+            Alpine.initTree(modal);
+        }
+    };
+}
+
+function especialidadModal() {
+    return {
+        isEditing: false,
+        saving: false,
+        errors: {},
+        form: {
+            nombre: '',
+            codigo: '',
+            descripcion: '',
+            duracion_cita_default: 30,
+            precio_base: '',
+            color_identificacion: '#007bff',
+            requiere_autorizacion: false
+        },
+
+        init() {
+            const editingItem = this.parent().editingItem;
+            if (editingItem) {
+                this.isEditing = true;
+                Object.keys(this.form).forEach(field => {
+                    if (editingItem[field] != null) this.form[field] = editingItem[field];
+                });
+            }
+        },
+
+        parent() {
+            return Alpine.$data(document.querySelector('[x-data="especialidades"]'));
+        },
+
+        async save() {
+            this.saving = true;
+            this.errors = {};
+            const data = {
+                ...this.form,
+                nombre: sanitizeInput(this.form.nombre.trim()),
+                codigo: this.form.codigo.trim() || null,
+                descripcion: sanitizeInput(this.form.descripcion.trim()) || null,
+                precio_base: this.form.precio_base === '' ? null : this.form.precio_base
+            };
+
+            try {
+                if (this.isEditing) {
+                    await api.put(`/especialidades/${this.parent().editingItem.id}`, data);
+                    showAlert('Especialidad actualizada', 'success');
+                } else {
+                    await api.post('/especialidades', data);
+                    showAlert('Especialidad creada', 'success');
+                }
+
+                this.closeModal();
+                this.parent().load();
+                this.parent().refreshSelects();
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    this.errors = Object.fromEntries(
+                        Object.entries(error.errors).map(([field, messages]) => [field, Array.isArray(messages) ? messages[0] : messages])
+                    );
+                } else {
+                    showApiError(error, 'Error guardando especialidad');
+                }
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        closeModal() {
+            document.getElementById('modals-container').innerHTML = '';
         }
     };
 }
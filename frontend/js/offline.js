@@ -0,0 +1,321 @@
+// ========== ALMACÉN LOCAL (IndexedDB) ==========
+
+class OfflineStore {
+    constructor(name = 'agenda-offline', version = 1) {
+        this.name = name;
+        this.version = version;
+        this.connection = null;
+    }
+
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB no disponible'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('responses', { keyPath: 'endpoint' });
+                    request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.connection;
+    }
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    all(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// ========== MODO SIN CONEXIÓN ==========
+
+class OfflineManager {
+    constructor(client = api, db = new OfflineStore()) {
+        this.client = client;
+        this.db = db;
+        this.state = { online: navigator.onLine !== false, pending: 0, syncing: false, lastReport: null };
+
+        // Lecturas que se guardan para consultar sin conexión
+        this.cacheable = [/^\/doctores/, /^\/especialidades/, /^\/turnos(\?|$)/, /^\/pacientes(\?|$)/];
+
+        // Escrituras que se encolan y se envían al reconectar
+        this.queueable = [
+            {
+                method: 'POST',
+                pattern: /^\/turnos$/,
+                label: body => `Nuevo turno ${body.fecha} ${body.hora_inicio}`
+            },
+            {
+                method: 'PATCH',
+                pattern: /^\/turnos\/\d+\/cancel$/,
+                label: (body, endpoint) => `Cancelación del turno #${endpoint.split('/')[2]}`
+            }
+        ];
+
+        this.setupInterceptors();
+        this.monitorConnection();
+        this.pruneCache();
+        this.refreshPending().then(() => this.sync());
+    }
+
+    setupInterceptors() {
+        this.client.interceptors.response.push((payload, response, config) => {
+            this.setOnline(true);
+
+            const key = this.cacheKey(config);
+            if (key) {
+                this.db.put('responses', { endpoint: key, payload, cachedAt: Date.now() })
+                    .catch(error => console.warn('No se pudo guardar la respuesta offline:', error));
+            }
+        });
+
+        this.client.interceptors.error.push(error => {
+            this.setOnline(!(error instanceof NetworkError));
+        });
+
+        this.client.interceptors.fallback.push((error, config) => {
+            // Los reenvíos de la cola no se vuelven a encolar
+            if (config.replay) return undefined;
+
+            if (config.endpoint === '/pacientes/buscar') {
+                return this.searchCachedPacientes(JSON.parse(config.body).search);
+            }
+            return config.method === 'GET' ? this.readCached(config.endpoint) : this.enqueue(config);
+        });
+    }
+
+    // La búsqueda de pacientes es un POST pero se guarda como una lectura más
+    cacheKey(config) {
+        if (config.endpoint === '/pacientes/buscar') {
+            return `/pacientes/buscar?search=${encodeURIComponent(JSON.parse(config.body).search)}`;
+        }
+        if (config.method === 'GET' && this.cacheable.some(pattern => pattern.test(config.endpoint))) {
+            return config.endpoint;
+        }
+        return null;
+    }
+
+    monitorConnection() {
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+    }
+
+    setOnline(online) {
+        const reconnected = online && !this.state.online;
+        this.state.online = online;
+
+        if (reconnected) {
+            this.sync();
+        }
+    }
+
+    // ========== LECTURAS ==========
+
+    async readCached(endpoint) {
+        const [path, query = ''] = endpoint.split('?');
+        const params = new URLSearchParams(query);
+
+        try {
+            const cached = await this.db.get('responses', endpoint);
+
+            if (!cached && path === '/pacientes' && params.get('search')) {
+                return this.searchCachedPacientes(params.get('search'));
+            }
+            if (!cached) return undefined;
+
+            return path === '/turnos' ? await this.withPendingTurnos(cached.payload, params) : cached.payload;
+        } catch (error) {
+            console.warn('No se pudo leer la respuesta offline:', error);
+            return undefined;
+        }
+    }
+
+    // Los turnos encolados ocupan su horario en la agenda hasta que se envíen
+    async withPendingTurnos(payload, params) {
+        if (Number(params.get('page') || 1) > 1) return payload;
+
+        const pending = (await this.db.all('queue'))
+            .filter(item => item.method === 'POST' && item.endpoint === '/turnos')
+            .map(item => ({ ...item.body, id: `offline-${item.id}`, estado: 'programado', offline: true }))
+            .filter(turno => this.matchesTurnoFilters(turno, params));
+
+        return { ...payload, data: [...(payload.data || []), ...pending] };
+    }
+
+    matchesTurnoFilters(turno, params) {
+        const doctorId = params.get('doctor_id');
+        const fecha = params.get('fecha');
+        const desde = params.get('fecha_desde');
+        const hasta = params.get('fecha_hasta');
+
+        return (!doctorId || String(turno.doctor_id) === doctorId) &&
+            (!fecha || turno.fecha === fecha) &&
+            (!desde || turno.fecha >= desde) &&
+            (!hasta || turno.fecha <= hasta);
+    }
+
+    // Búsqueda sobre todos los pacientes ya descargados
+    async searchCachedPacientes(term) {
+        try {
+            const entries = (await this.db.all('responses')).filter(entry => entry.endpoint.startsWith('/pacientes'));
+            if (!entries.length) return undefined;
+
+            const pacientes = new Map();
+            entries.forEach(entry => {
+                (Array.isArray(entry.payload?.data) ? entry.payload.data : []).forEach(paciente => pacientes.set(paciente.id, paciente));
+            });
+
+            return { success: true, data: patientSearch.rank([...pacientes.values()], term) };
+        } catch (error) {
+            console.warn('No se pudo buscar pacientes offline:', error);
+            return undefined;
+        }
+    }
+
+    pruneCache(maxAgeDays = 7) {
+        const limit = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+        this.db.all('responses')
+            .then(entries => Promise.all(
+                entries.filter(entry => entry.cachedAt < limit).map(entry => this.db.delete('responses', entry.endpoint))
+            ))
+            .catch(error => console.warn('No se pudo limpiar la cache offline:', error));
+    }
+
+    // Los datos de pacientes no quedan en el equipo al cerrar sesión
+    clearCache() {
+        return this.db.clear('responses').catch(error => console.warn('No se pudo limpiar la cache offline:', error));
+    }
+
+    // ========== COLA DE ESCRITURAS ==========
+
+    async enqueue(config) {
+        const rule = this.queueable.find(rule => rule.method === config.method && rule.pattern.test(config.endpoint));
+        if (!rule) return undefined;
+
+        const body = config.body ? JSON.parse(config.body) : {};
+
+        try {
+            const id = await this.db.put('queue', {
+                endpoint: config.endpoint,
+                method: config.method,
+                body,
+                label: config.offlineLabel || rule.label(body, config.endpoint),
+                createdAt: new Date().toISOString()
+            });
+            await this.refreshPending();
+
+            return {
+                success: true,
+                message: 'Sin conexión: la operación se enviará al reconectar',
+                data: { ...body, id: `offline-${id}`, offline: true }
+            };
+        } catch (error) {
+            console.warn('No se pudo encolar la operación:', error);
+            return undefined;
+        }
+    }
+
+    async refreshPending() {
+        try {
+            this.state.pending = (await this.db.all('queue')).length;
+        } catch (error) {
+            this.state.pending = 0;
+        }
+    }
+
+    // Reenvía la cola en orden; lo que el servidor rechaza se informa como conflicto
+    async sync() {
+        if (this.state.syncing || !this.state.online || !this.state.pending) return;
+
+        this.state.syncing = true;
+        const report = { sent: [], conflicts: [] };
+
+        try {
+            for (const item of await this.db.all('queue')) {
+                try {
+                    await this.client.request(item.endpoint, {
+                        method: item.method,
+                        body: JSON.stringify(item.body),
+                        replay: true
+                    });
+                    report.sent.push(item);
+                } catch (error) {
+                    // Sin conexión o sin sesión: el resto queda para el próximo intento
+                    if (error instanceof NetworkError || (error instanceof AuthError && error.status === 401)) break;
+
+                    report.conflicts.push({
+                        ...item,
+                        message: error instanceof ValidationError && error.fieldMessages.length
+                            ? error.fieldMessages.join(' ')
+                            : error.message
+                    });
+                }
+                await this.db.delete('queue', item.id);
+            }
+        } finally {
+            this.state.syncing = false;
+            await this.refreshPending();
+        }
+
+        if (report.sent.length || report.conflicts.length) {
+            this.state.lastReport = report;
+            this.showReport(report);
+            document.dispatchEvent(new CustomEvent('offline-synced', { detail: report }));
+        }
+    }
+
+    showReport(report) {
+        const conflicts = report.conflicts.map(item =>
+            `<li><strong>${securityManager.sanitizeInput(item.label)}</strong>: ${securityManager.sanitizeInput(item.message)}</li>`
+        ).join('');
+
+        Swal.fire({
+            icon: report.conflicts.length ? 'warning' : 'success',
+            title: 'Sincronización completada',
+            html: `<p>${report.sent.length} operaciones enviadas.</p>` +
+                (conflicts ? `<p class="mt-2">Rechazadas por el servidor:</p><ul class="text-left text-sm list-disc pl-5">${conflicts}</ul>` : '')
+        });
+    }
+}
+
+const offlineManager = new OfflineManager();
+
+document.addEventListener('alpine:init', () => {
+    Alpine.store('offline', {
+        ...offlineManager.state,
+        sync: () => offlineManager.sync(),
+        showLastReport: () => offlineManager.showReport(offlineManager.state.lastReport)
+    });
+    offlineManager.state = Alpine.store('offline');
+});
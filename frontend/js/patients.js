@@ -0,0 +1,119 @@
+// Búsqueda de pacientes tolerante a acentos y errores de tipeo
+const patientSearch = {
+    recentKey: 'recentPacientes',
+    recentLimit: 5,
+
+    // "Gómez" y "gomez" comparan igual
+    normalize(text) {
+        return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    terms(search) {
+        return this.normalize(search).split(/\s+/).filter(Boolean);
+    },
+
+    // Distancia de edición con transposiciones ("gonzlaez" -> "gonzalez" = 1)
+    distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    },
+
+    // 1 = prefijo exacto, 0 = sin coincidencia
+    termScore(term, words, dni) {
+        if (/^\d+$/.test(term)) {
+            return dni.startsWith(term) ? 1 : dni.includes(term) ? 0.8 : 0;
+        }
+
+        const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+        return Math.max(0, ...words.map(word => {
+            if (word.startsWith(term)) return 1;
+            if (word.includes(term)) return 0.8;
+            return allowed && this.distance(term, word.slice(0, term.length)) <= allowed ? 0.6 : 0;
+        }));
+    },
+
+    score(paciente, search) {
+        const words = this.terms(`${paciente.nombre} ${paciente.apellido}`);
+        const dni = String(paciente.dni ?? '');
+        const scores = this.terms(search).map(term => this.termScore(term, words, dni));
+
+        // Todas las palabras buscadas tienen que coincidir con algo
+        return scores.length && !scores.includes(0) ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+    },
+
+    rank(pacientes, search) {
+        return pacientes
+            .map(paciente => ({ paciente, score: this.score(paciente, search) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || `${a.paciente.apellido}`.localeCompare(`${b.paciente.apellido}`))
+            .map(result => result.paciente);
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text ?? '');
+        return div.innerHTML;
+    },
+
+    // HTML escapado con <mark> en las coincidencias exactas (sin distinguir acentos)
+    highlight(text, search) {
+        const original = [...String(text ?? '')];
+        const normalized = original.map(char => this.normalize(char)[0] || char);
+        const haystack = normalized.join('');
+        const marked = new Array(original.length).fill(false);
+
+        this.terms(search).forEach(term => {
+            for (let index = haystack.indexOf(term); index !== -1; index = haystack.indexOf(term, index + 1)) {
+                marked.fill(true, index, index + term.length);
+            }
+        });
+
+        return original.map((char, index) => {
+            const html = this.escape(char);
+            if (!marked[index]) return html;
+
+            const opens = !marked[index - 1] ? '<mark class="bg-yellow-200">' : '';
+            const closes = !marked[index + 1] ? '</mark>' : '';
+            return opens + html + closes;
+        }).join('');
+    },
+
+    // ========== RECIENTES (por usuario) ==========
+
+    storageKey() {
+        const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+        return `${this.recentKey}:${user.id || 'anon'}`;
+    },
+
+    // En el equipo quedan solo ids; los datos del paciente se piden al servidor al mostrarlos
+    recent() {
+        const recent = JSON.parse(localStorage.getItem(this.storageKey()) || '[]');
+        return recent.map(item => (typeof item === 'object' ? item?.id : item)).filter(Boolean);
+    },
+
+    async loadRecent() {
+        const ids = this.recent();
+        if (!ids.length) return [];
+
+        const pacientes = await api.post('/pacientes/buscar', { ids, limit: this.recentLimit });
+        return ids.map(id => pacientes.find(paciente => paciente.id === id)).filter(Boolean);
+    },
+
+    remember(paciente) {
+        const recent = [paciente.id, ...this.recent().filter(id => id !== paciente.id)];
+        localStorage.setItem(this.storageKey(), JSON.stringify(recent.slice(0, this.recentLimit)));
+    }
+};
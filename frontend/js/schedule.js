@@ -0,0 +1,284 @@
+// Utilidades de horarios (DoctorScheduleSlot) y slots de agenda
+const scheduleUtils = {
+    // Estados de turno que ocupan un slot
+    activeStates: ['programado', 'confirmado'],
+
+    // Mismos estados que Turno::getEstados
+    estadoLabels: {
+        programado: 'Programado',
+        confirmado: 'Confirmado',
+        realizado: 'Realizado',
+        cancelado: 'Cancelado',
+        no_asistio: 'No asistió',
+        reprogramado: 'Reprogramado'
+    },
+
+    estadoColors: {
+        programado: 'bg-sky-100 text-sky-800',
+        confirmado: 'bg-indigo-100 text-indigo-800',
+        realizado: 'bg-emerald-100 text-emerald-800',
+        cancelado: 'bg-rose-100 text-rose-800',
+        no_asistio: 'bg-amber-100 text-amber-800',
+        reprogramado: 'bg-violet-100 text-violet-800'
+    },
+
+    // Mismos tipos que DoctorAusencia::getTipos
+    ausenciaTipos: {
+        vacaciones: 'Vacaciones',
+        licencia: 'Licencia',
+        capacitacion: 'Capacitación',
+        otro: 'Otro'
+    },
+
+    dayNames: ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'],
+
+    // Acepta "08:00", "08:00:00" o un datetime serializado
+    normalizeTime(value) {
+        if (!value) return '';
+        const match = String(value).match(/(\d{1,2}):(\d{2})/);
+        return match ? `${match[1].padStart(2, '0')}:${match[2]}` : '';
+    },
+
+    toMinutes(time) {
+        const [hours, minutes] = this.normalizeTime(time).split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    toTime(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+    },
+
+    // 0 = Domingo, igual que DoctorScheduleSlot.day_of_week
+    dayOfWeek(fecha) {
+        return this.parseDate(fecha).getDay();
+    },
+
+    // Preferencias de la lista de espera: "Lun, Mié · 08:00-12:00"
+    preferenceLabel(dias, desde, hasta) {
+        const days = dias?.length
+            ? [...dias].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => this.dayNames[day].slice(0, 3)).join(', ')
+            : 'Cualquier día';
+        const range = desde && hasta
+            ? `${this.normalizeTime(desde)}-${this.normalizeTime(hasta)}`
+            : desde ? `desde ${this.normalizeTime(desde)}`
+            : hasta ? `hasta ${this.normalizeTime(hasta)}`
+            : 'cualquier horario';
+        return `${days} · ${range}`;
+    },
+
+    // ========== FECHAS (Y-m-d en hora local) ==========
+
+    parseDate(fecha) {
+        return new Date(`${fecha}T00:00:00`);
+    },
+
+    formatDate(date) {
+        return [
+            date.getFullYear(),
+            (date.getMonth() + 1).toString().padStart(2, '0'),
+            date.getDate().toString().padStart(2, '0')
+        ].join('-');
+    },
+
+    today() {
+        return this.formatDate(new Date());
+    },
+
+    // El horario ya empezó (fecha y hora locales)
+    hasStarted(fecha, hora) {
+        const now = `${this.today()} ${this.toTime(new Date().getHours() * 60 + new Date().getMinutes())}`;
+        return `${this.normalizeDate(fecha)} ${this.normalizeTime(hora)}` < now;
+    },
+
+    addDays(fecha, days) {
+        const date = this.parseDate(fecha);
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date);
+    },
+
+    addMonths(fecha, months) {
+        const date = this.parseDate(fecha);
+        date.setDate(1);
+        date.setMonth(date.getMonth() + months);
+        return this.formatDate(date);
+    },
+
+    // Semanas de lunes a domingo
+    startOfWeek(fecha) {
+        const day = this.dayOfWeek(fecha);
+        return this.addDays(fecha, day === 0 ? -6 : 1 - day);
+    },
+
+    weekDates(fecha) {
+        const start = this.startOfWeek(fecha);
+        return Array.from({ length: 7 }, (_, index) => this.addDays(start, index));
+    },
+
+    // Semanas completas que cubren el mes de la fecha
+    monthDates(fecha) {
+        const date = this.parseDate(fecha);
+        const first = this.formatDate(new Date(date.getFullYear(), date.getMonth(), 1));
+        const last = this.formatDate(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+        const dates = [];
+
+        for (let current = this.startOfWeek(first); current <= last || this.dayOfWeek(current) !== 1; current = this.addDays(current, 1)) {
+            dates.push(current);
+        }
+
+        return dates;
+    },
+
+    formatLabel(fecha, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+        return this.parseDate(fecha).toLocaleDateString('es-ES', options);
+    },
+
+    blocksForDate(horarios = [], fecha) {
+        const day = this.dayOfWeek(fecha);
+
+        return horarios
+            .filter(horario => Number(horario.day_of_week) === day && horario.is_active !== false)
+            .map(horario => ({
+                id: horario.id,
+                start: this.normalizeTime(horario.start_time),
+                end: this.normalizeTime(horario.end_time),
+                duration: Number(horario.slot_duration) || 30
+            }))
+            .sort((a, b) => this.toMinutes(a.start) - this.toMinutes(b.start));
+    },
+
+    normalizeDate(value) {
+        const match = String(value || '').match(/\d{4}-\d{2}-\d{2}/);
+        return match ? match[0] : '';
+    },
+
+    // Feriado o ausencia del doctor en la fecha: texto a mostrar, o null si atiende
+    blockingFor(bloqueos, fecha, doctorId) {
+        const feriado = bloqueos.feriados.find(item => this.normalizeDate(item.fecha) === fecha);
+        if (feriado) return `Feriado: ${feriado.nombre}`;
+
+        const ausencia = bloqueos.ausencias.find(item =>
+            String(item.doctor_id) === String(doctorId) &&
+            this.normalizeDate(item.fecha_desde) <= fecha &&
+            fecha <= this.normalizeDate(item.fecha_hasta)
+        );
+        return ausencia ? this.ausenciaTipos[ausencia.tipo] || 'Ausencia' : null;
+    },
+
+    // Bloques del día con sus slots, a partir de los turnos del día; con bloqueo no quedan slots libres
+    buildDay(horarios, fecha, turnos = [], blocked = null) {
+        const dayTurnos = turnos.filter(turno => this.normalizeDate(turno.fecha) === fecha);
+
+        return this.blocksForDate(horarios, fecha).map(block => {
+            const slots = this.buildSlots(block, dayTurnos, blocked);
+            return {
+                ...block,
+                blocked,
+                label: this.blockLabel(block),
+                slots,
+                cells: this.groupSlots(slots)
+            };
+        });
+    },
+
+    blockLabel(block) {
+        return this.toMinutes(block.start) < 13 * 60 ? 'Mañana' : 'Tarde';
+    },
+
+    estadoLabel(estado) {
+        return this.estadoLabels[estado] || estado || '';
+    },
+
+    estadoColor(estado) {
+        return this.estadoColors[estado] || 'bg-gray-100 text-gray-800';
+    },
+
+    isActiveTurno(turno) {
+        return this.activeStates.includes(turno.estado);
+    },
+
+    // Rango en minutos de un turno: hora_fin, o duracion_minutos, o un slot
+    turnoRange(turno, fallbackDuration = 30) {
+        const start = this.toMinutes(turno.hora_inicio);
+        const end = turno.hora_fin
+            ? this.toMinutes(turno.hora_fin)
+            : start + (Number(turno.duracion_minutos) || fallbackDuration);
+
+        return { start, end: end > start ? end : start + fallbackDuration };
+    },
+
+    overlaps(a, b) {
+        return a.start < b.end && b.start < a.end;
+    },
+
+    // Primer turno activo que se superpone con el rango [start, end)
+    findConflict(turnos, range, excludeId = null) {
+        return turnos.find(turno =>
+            this.isActiveTurno(turno) &&
+            String(turno.id) !== String(excludeId) &&
+            this.overlaps(this.turnoRange(turno), range)
+        ) || null;
+    },
+
+    // Slots completos de un bloque, igual que DoctorScheduleSlot::getTimeSlots
+    buildSlots(block, turnos = [], blocked = null) {
+        const slots = [];
+        const end = this.toMinutes(block.end);
+
+        for (let start = this.toMinutes(block.start); start + block.duration <= end; start += block.duration) {
+            const range = { start, end: start + block.duration };
+            const turno = turnos.find(turno =>
+                this.isActiveTurno(turno) && this.overlaps(this.turnoRange(turno, block.duration), range)
+            );
+
+            slots.push({
+                time: this.toTime(start),
+                end: this.toTime(range.end),
+                duration: block.duration,
+                blockEnd: block.end,
+                available: !turno && !blocked,
+                blocked: turno ? null : blocked,
+                turno: turno || null
+            });
+        }
+
+        return slots;
+    },
+
+    // Horarios de inicio donde entra un turno de la duración dada
+    freeStarts(horarios, fecha, turnos, duration, blocked = null) {
+        if (blocked) return [];
+
+        const dayTurnos = turnos.filter(turno => this.normalizeDate(turno.fecha) === fecha);
+
+        return this.blocksForDate(horarios, fecha).flatMap(block => {
+            const end = this.toMinutes(block.end);
+            const starts = [];
+
+            for (let start = this.toMinutes(block.start); start + duration <= end; start += block.duration) {
+                if (!this.findConflict(dayTurnos, { start, end: start + duration })) {
+                    starts.push(this.toTime(start));
+                }
+            }
+
+            return starts;
+        });
+    },
+
+    // Une los slots consecutivos de un mismo turno, o los libres bloqueados, en una sola celda
+    groupSlots(slots) {
+        return slots.reduce((cells, slot) => {
+            const previous = cells[cells.length - 1];
+
+            if ((slot.turno && previous?.turno === slot.turno) || (slot.blocked && previous?.blocked)) {
+                previous.end = slot.end;
+                previous.span++;
+            } else {
+                cells.push({ ...slot, span: 1 });
+            }
+
+            return cells;
+        }, []);
+    }
+};
@@ -1,16 +1,15 @@
 class SecurityManager {
-    constructor() {
-        this.apiBase = window.API_BASE || 'http://localhost:8000/api';
-        this.token = localStorage.getItem('authToken');
+    constructor(client = api) {
+        this.client = client;
         this.csrfToken = null;
         this.initializeSecurity();
     }
 
     async initializeSecurity() {
-        await this.getCsrfToken();
         this.setupRequestInterceptors();
         this.setupSecurityHeaders();
         this.monitorSecurityEvents();
+        await this.getCsrfToken();
     }
 
     async getCsrfToken() {
@@ -30,83 +29,10 @@ class SecurityManager {
         }
     }
 
-    getSecureHeaders() {
-        const headers = {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest',
-        };
-
-        if (this.token) {
-            headers['Authorization'] = `Bearer ${this.token}`;
-        }
-
-        if (this.csrfToken) {
-            headers['X-XSRF-TOKEN'] = this.csrfToken;
-        }
-
-        return headers;
-    }
-
-    async secureApiRequest(endpoint, options = {}) {
-        const config = {
-            headers: this.getSecureHeaders(),
-            credentials: 'include',
-            ...options
-        };
-
-        if (options.headers) {
-            config.headers = { ...config.headers, ...options.headers };
-        }
-
-        try {
-            const response = await fetch(`${this.apiBase}${endpoint}`, config);
-            
-            if (response.status === 419) {
-                await this.getCsrfToken();
-                throw new Error('CSRF token mismatch. Please refresh and try again.');
-            }
-
-            if (response.status === 401) {
-                this.handleUnauthorized();
-                throw new Error('Session expired. Please login again.');
-            }
-
-            if (response.status === 429) {
-                const retryAfter = response.headers.get('Retry-After');
-                throw new Error(`Rate limit exceeded. Try again in ${retryAfter} seconds.`);
-            }
-
-            return await this.parseResponse(response);
-        } catch (error) {
-            this.logSecurityEvent('api_error', {
-                endpoint,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
-            throw error;
-        }
-    }
-
-    async parseResponse(response) {
-        const contentType = response.headers.get('content-type');
-        
-        if (contentType && contentType.includes('application/json')) {
-            return await response.json();
-        }
-        
-        return await response.text();
-    }
-
-    handleUnauthorized() {
-        this.clearSession();
-        window.location.href = '/login';
-    }
-
     clearSession() {
-        localStorage.removeItem('authToken');
+        tokenStore.clear();
         localStorage.removeItem('currentUser');
-        this.token = null;
+        this.clearStoredData(['evolucionDraft:', 'recentPacientes:']);
         
         document.cookie.split(";").forEach(cookie => {
             const eqPos = cookie.indexOf("=");
@@ -115,20 +41,35 @@ class SecurityManager {
         });
     }
 
+    // Borradores clínicos y pacientes recientes: no quedan en el equipo al cerrar sesión
+    clearStoredData(prefixes) {
+        const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i));
+        keys.filter(key => prefixes.some(prefix => key.startsWith(prefix)))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
     setupRequestInterceptors() {
-        const originalFetch = window.fetch;
-        
-        window.fetch = async (url, options = {}) => {
-            if (typeof url === 'string' && url.startsWith(this.apiBase)) {
-                options.headers = {
-                    ...this.getSecureHeaders(),
-                    ...options.headers
-                };
-                options.credentials = 'include';
+        this.client.interceptors.request.push(config => {
+            if (this.csrfToken) {
+                config.headers['X-XSRF-TOKEN'] = this.csrfToken;
             }
-            
-            return originalFetch(url, options);
-        };
+            config.credentials = 'include';
+            return config;
+        });
+
+        this.client.interceptors.error.push(async (error, config) => {
+            if (error.status === 419) {
+                await this.getCsrfToken();
+            }
+
+            this.logSecurityEvent('api_error', {
+                type: error.name,
+                status: error.status,
+                method: config.method,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        });
     }
 
     setupSecurityHeaders() {
@@ -282,9 +223,7 @@ class SecurityManager {
 
 const securityManager = new SecurityManager();
 
-window.apiRequest = async (endpoint, options = {}) => {
-    return securityManager.secureApiRequest(endpoint, options);
-};
+window.apiRequest = (endpoint, options = {}) => api.request(endpoint, options);
 
 window.sanitizeInput = (input) => securityManager.sanitizeInput(input);
 window.validateEmail = (email) => securityManager.validateEmail(email);
@@ -3,10 +3,16 @@
 use Illuminate\Support\Facades\Route;
 use Illuminate\Http\Request;
 use App\Http\Controllers\Api\AuthController;
+use App\Http\Controllers\Api\AusenciaController;
 use App\Http\Controllers\Api\TurnoController;
 use App\Http\Controllers\Api\DoctorController;
+use App\Http\Controllers\Api\EspecialidadController;
 use App\Http\Controllers\Api\PacienteController;
 use App\Http\Controllers\Api\AgendaController;
+use App\Http\Controllers\Api\FeriadoController;
+use App\Http\Controllers\Api\ListaEsperaController;
+use App\Http\Controllers\Api\TurnoEventoController;
+use App\Http\Controllers\Api\TurnoSerieController;
 
 /*
 |--------------------------------------------------------------------------
@@ -40,35 +46,77 @@
         });
 
         // Gestión de Turnos - funcionalidad principal
+        // Antes del resource: /turnos/stream no es el turno "stream"
+        Route::get('/turnos/stream', [TurnoEventoController::class, 'stream']);
         Route::apiResource('turnos', TurnoController::class);
         Route::prefix('turnos')->group(function () {
             Route::get('/available-slots', [TurnoController::class, 'availableSlots']);
-            Route::patch('/{id}/confirm', [TurnoController::class, 'confirm']);
-            Route::patch('/{id}/cancel', [TurnoController::class, 'cancel']);
-            Route::patch('/{id}/complete', [TurnoController::class, 'complete']);
+            Route::post('/bulk/cancel', [TurnoController::class, 'cancelarMasivo']);
+            Route::post('/bulk/move', [TurnoController::class, 'moverMasivo']);
+            Route::post('/series/preview', [TurnoSerieController::class, 'preview']);
+            Route::post('/series', [TurnoSerieController::class, 'store']);
+            Route::get('/series/{serie}', [TurnoSerieController::class, 'show']);
+            Route::patch('/series/{serie}/cancel', [TurnoSerieController::class, 'cancelar']);
+            Route::patch('/{turno}/confirm', [TurnoController::class, 'confirmar']);
+            Route::patch('/{turno}/cancel', [TurnoController::class, 'cancelar']);
+            Route::patch('/{turno}/complete', [TurnoController::class, 'realizar']);
+            Route::patch('/{turno}/no-show', [TurnoController::class, 'noAsistio']);
+            Route::post('/{turno}/reschedule', [TurnoController::class, 'reprogramar']);
+            Route::get('/{turno}/historial', [TurnoController::class, 'historialEstados']);
+            Route::get('/{turno}/lista-espera', [ListaEsperaController::class, 'coincidencias']);
             Route::get('/hoy', [TurnoController::class, 'turnosHoy']);
             Route::get('/semana', [TurnoController::class, 'turnosSemana']);
         });
 
+        // Lista de espera
+        Route::prefix('lista-espera')->group(function () {
+            Route::get('/', [ListaEsperaController::class, 'index']);
+            Route::post('/', [ListaEsperaController::class, 'store']);
+            Route::delete('/{listaEspera}', [ListaEsperaController::class, 'destroy']);
+            Route::post('/{listaEspera}/asignar', [ListaEsperaController::class, 'asignar']);
+        });
+
         // Gestión de Doctores
-        Route::apiResource('doctores', DoctorController::class);
+        // {doctor} para que el binding coincida con Doctor $doctor (por defecto sería {doctore})
+        Route::apiResource('doctores', DoctorController::class)->parameters(['doctores' => 'doctor']);
         Route::prefix('doctores')->group(function () {
             Route::get('/activos', [DoctorController::class, 'activos']);
-            Route::get('/especialidad/{especialidadId}', [DoctorController::class, 'porEspecialidad']);
-            Route::patch('/{id}/activar', [DoctorController::class, 'activar']);
-            Route::patch('/{id}/desactivar', [DoctorController::class, 'desactivar']);
-            Route::get('/{id}/estadisticas', [DoctorController::class, 'estadisticas']);
+            Route::get('/contratos/por-vencer', [DoctorController::class, 'contratosPorVencer']);
+            Route::get('/especialidad/{especialidad}', [DoctorController::class, 'porEspecialidad']);
+            Route::patch('/{doctor}/activar', [DoctorController::class, 'activar']);
+            Route::patch('/{doctor}/desactivar', [DoctorController::class, 'desactivar']);
+            Route::get('/{doctor}/estadisticas', [DoctorController::class, 'estadisticas']);
             Route::get('/{id}/agenda/{fecha}', [DoctorController::class, 'agendaDelDia']);
+            Route::put('/{doctor}/horarios', [DoctorController::class, 'actualizarHorarios']);
+            Route::get('/{doctor}/vacaciones', [AusenciaController::class, 'saldoVacaciones']);
+            Route::get('/{doctor}/contratos', [DoctorController::class, 'contratos']);
+            Route::post('/{doctor}/contratos', [DoctorController::class, 'storeContrato']);
+            Route::post('/{doctor}/contratos/{contrato}/renovar', [DoctorController::class, 'renovarContrato']);
+            Route::patch('/{doctor}/contratos/{contrato}/terminar', [DoctorController::class, 'terminarContrato']);
+        });
+
+        // Ausencias de doctores y feriados (bloquean la agenda)
+        Route::prefix('ausencias')->group(function () {
+            Route::get('/', [AusenciaController::class, 'index']);
+            Route::post('/', [AusenciaController::class, 'store']);
+            Route::delete('/{ausencia}', [AusenciaController::class, 'destroy']);
+        });
+        Route::prefix('feriados')->group(function () {
+            Route::get('/', [FeriadoController::class, 'index']);
+            Route::post('/', [FeriadoController::class, 'store']);
+            Route::delete('/{feriado}', [FeriadoController::class, 'destroy']);
         });
 
         // Gestión de Pacientes (datos básicos para turnos)
         Route::apiResource('pacientes', PacienteController::class);
         Route::prefix('pacientes')->group(function () {
             Route::get('/activos', [PacienteController::class, 'activos']);
-            Route::get('/{id}/turnos', [PacienteController::class, 'historialTurnos']);
-            Route::get('/{id}/historia-clinica', [PacienteController::class, 'historiaClinica']);
-            Route::post('/{id}/historia-clinica', [PacienteController::class, 'crearHistoriaClinica']);
+            Route::get('/{paciente}/turnos', [PacienteController::class, 'historialTurnos']);
+            Route::get('/{paciente}/historia-clinica', [PacienteController::class, 'historiaClinica']);
+            Route::post('/{paciente}/historia-clinica', [PacienteController::class, 'storeHistoriaClinica']);
+            Route::put('/{paciente}/historia-clinica', [PacienteController::class, 'updateHistoriaClinica']);
             Route::post('/buscar', [PacienteController::class, 'buscar']);
+            Route::post('/validate-availability', [PacienteController::class, 'validateAvailability']);
         });
 
         // Agenda y calendario interno
@@ -135,8 +183,16 @@
         Route::get('/especialidades', function() {
             return response()->json([
                 'success' => true,
-                'especialidades' => \App\Models\Especialidad::orderBy('nombre')->get()
+                'especialidades' => \App\Models\Especialidad::activas()->ordenadas()->get()
             ]);
         });
+        Route::prefix('especialidades')->group(function () {
+            Route::get('/gestion', [EspecialidadController::class, 'gestion']);
+            Route::post('/', [EspecialidadController::class, 'store']);
+            Route::put('/orden', [EspecialidadController::class, 'reordenar']);
+            Route::put('/{especialidad}', [EspecialidadController::class, 'update']);
+            Route::delete('/{especialidad}', [EspecialidadController::class, 'destroy']);
+            Route::patch('/{especialidad}/activar', [EspecialidadController::class, 'activar']);
+        });
     });
 });
@@ -2,6 +2,7 @@
 
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Schedule;
 
 /*
 |--------------------------------------------------------------------------
@@ -77,3 +78,6 @@
     $this->info('✅ Verificación del sistema completada');
     
 })->purpose('Verificar la integridad y estado del sistema');
+
+// Eventos del canal en vivo de turnos: solo se conservan un día
+Schedule::command('model:prune', ['--model' => [\App\Models\TurnoEvento::class]])->daily();
@@ -9,9 +9,11 @@
 use App\Models\Turno;
 use App\Models\DoctorContract;
 use App\Models\Especialidad;
+use App\Models\DoctorScheduleSlot;
 use App\Services\AppointmentValidationService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Carbon\Carbon;
+use Laravel\Sanctum\Sanctum;
 
 class AppointmentValidationTest extends TestCase
 {
@@ -179,4 +181,105 @@ public function it_calculates_end_time_correctly()
         
         $this->assertEquals('10:30:00', $endTime);
     }
+
+    /** @test */
+    public function it_sees_appointments_created_after_a_previous_overlap_check()
+    {
+        $fecha = today()->format('Y-m-d');
+
+        $this->assertTrue($this->validationService->validateNoOverlap($this->doctor->id, $fecha, '10:00:00', '10:30:00'));
+
+        Turno::factory()->create([
+            'doctor_id' => $this->doctor->id,
+            'paciente_id' => $this->paciente->id,
+            'fecha' => today(),
+            'hora_inicio' => '10:00:00',
+            'hora_fin' => '10:30:00',
+            'estado' => 'programado',
+        ]);
+
+        $this->assertFalse(
+            $this->validationService->validateNoOverlap($this->doctor->id, $fecha, '10:00:00', '10:30:00'),
+            'La segunda consulta no debería usar un resultado cacheado'
+        );
+    }
+
+    /** @test */
+    public function it_drops_cached_validations_when_cache_is_cleared()
+    {
+        $fecha = today()->format('Y-m-d');
+        $this->assertTrue($this->validationService->validateWithinContract($this->doctor->id, $fecha));
+
+        DoctorContract::where('doctor_id', $this->doctor->id)->update(['is_active' => false]);
+        $this->assertTrue($this->validationService->validateWithinContract($this->doctor->id, $fecha), 'Sigue cacheado');
+
+        $this->validationService->clearValidationCache($this->doctor->id, $fecha);
+
+        $this->assertFalse($this->validationService->validateWithinContract($this->doctor->id, $fecha));
+    }
+
+    private function lunesConAgenda(): string
+    {
+        DoctorScheduleSlot::factory()->create([
+            'doctor_id' => $this->doctor->id,
+            'day_of_week' => 1,
+            'start_time' => '08:00:00',
+            'end_time' => '12:00:00',
+            'slot_duration' => 30,
+            'is_active' => true,
+        ]);
+
+        $fecha = Carbon::now()->next('Monday')->format('Y-m-d');
+
+        Turno::factory()->create([
+            'doctor_id' => $this->doctor->id,
+            'paciente_id' => $this->paciente->id,
+            'fecha' => $fecha,
+            'hora_inicio' => '10:00:00',
+            'hora_fin' => '10:30:00',
+            'estado' => 'programado',
+        ]);
+
+        return $fecha;
+    }
+
+    /** @test */
+    public function it_allows_back_to_back_appointments_like_the_agenda_grid()
+    {
+        $fecha = $this->lunesConAgenda();
+
+        $this->assertTrue($this->validationService->validateNoOverlap($this->doctor->id, $fecha, '09:30:00', '10:00:00'));
+        $this->assertTrue($this->validationService->validateNoOverlap($this->doctor->id, $fecha, '10:30:00', '11:00:00'));
+        $this->assertFalse($this->validationService->validateNoOverlap($this->doctor->id, $fecha, '10:15:00', '10:45:00'));
+
+        $inicios = array_column($this->validationService->getAvailableSlots($this->doctor->id, $fecha), 'start');
+        $this->assertContains('09:30', $inicios);
+        $this->assertContains('10:30', $inicios);
+        $this->assertNotContains('10:00', $inicios);
+    }
+
+    /** @test */
+    public function it_drops_cached_slots_when_an_absence_or_holiday_is_registered()
+    {
+        $fecha = $this->lunesConAgenda();
+        $admin = User::factory()->create(['rol' => 'admin']);
+        Sanctum::actingAs($admin);
+
+        $this->assertNotEmpty($this->validationService->getAvailableSlots($this->doctor->id, $fecha));
+
+        $ausencia = $this->postJson('/api/v1/ausencias', [
+            'doctor_id' => $this->doctor->id,
+            'fecha_desde' => $fecha,
+            'fecha_hasta' => $fecha,
+            'tipo' => 'licencia',
+        ])->assertStatus(201)->json('data.ausencia.id');
+
+        $this->assertEmpty($this->validationService->getAvailableSlots($this->doctor->id, $fecha));
+
+        $this->deleteJson("/api/v1/ausencias/{$ausencia}")->assertStatus(200);
+        $this->assertNotEmpty($this->validationService->getAvailableSlots($this->doctor->id, $fecha));
+
+        $this->postJson('/api/v1/feriados', ['fecha' => $fecha, 'nombre' => 'Feriado puente'])->assertStatus(201);
+        $this->assertEmpty($this->validationService->getAvailableSlots($this->doctor->id, $fecha));
+    }
 }
@@ -0,0 +1,438 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Doctor;
+use App\Models\DoctorContract;
+use App\Models\DoctorScheduleSlot;
+use App\Models\Paciente;
+use App\Models\Turno;
+use App\Models\Especialidad;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class DoctorApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $especialidad;
+    protected $doctor;
+    protected $adminUser;
+    protected $paciente;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->especialidad = Especialidad::create([
+            'nombre' => 'Ortodoncia',
+            'descripcion' => 'Corrección de la posición dental',
+            'activo' => true,
+        ]);
+
+        $this->doctor = Doctor::create([
+            'nombre' => 'Juan',
+            'apellido' => 'Pérez',
+            'especialidad_id' => $this->especialidad->id,
+            'matricula' => '12345',
+            'telefono' => '123456789',
+            'email' => 'doctor@test.com',
+            'activo' => true,
+        ]);
+
+        $this->adminUser = User::create([
+            'name' => 'Admin Test',
+            'email' => 'admin@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'admin',
+            'activo' => true,
+        ]);
+    }
+
+    public function test_lists_active_doctors_of_especialidad()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        Doctor::create([
+            'nombre' => 'Laura',
+            'apellido' => 'Gómez',
+            'especialidad_id' => $this->especialidad->id,
+            'matricula' => '23456',
+            'email' => 'inactiva@test.com',
+            'activo' => false,
+        ]);
+
+        $otra = Especialidad::create(['nombre' => 'Endodoncia', 'activo' => true]);
+        Doctor::create([
+            'nombre' => 'Pedro',
+            'apellido' => 'Díaz',
+            'especialidad_id' => $otra->id,
+            'matricula' => '34567',
+            'email' => 'endodoncia@test.com',
+            'activo' => true,
+        ]);
+
+        $response = $this->getJson("/api/v1/doctores/especialidad/{$this->especialidad->id}");
+
+        $response->assertStatus(200)
+                ->assertJsonCount(1, 'data')
+                ->assertJsonPath('data.0.id', $this->doctor->id)
+                ->assertJsonPath('data.0.especialidad.nombre', 'Ortodoncia');
+    }
+
+    public function test_returns_not_found_for_unknown_especialidad()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->getJson('/api/v1/doctores/especialidad/999')->assertStatus(404);
+    }
+
+    public function test_admin_replaces_weekly_schedule_with_short_slots()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->putJson("/api/v1/doctores/{$this->doctor->id}/horarios", [
+            'horarios' => [
+                ['day_of_week' => 1, 'start_time' => '08:00', 'end_time' => '12:00', 'slot_duration' => 20],
+                ['day_of_week' => 1, 'start_time' => '14:00', 'end_time' => '18:00', 'slot_duration' => 45],
+            ],
+        ])->assertStatus(200)
+          ->assertJsonCount(2, 'data')
+          ->assertJsonPath('data.0.slot_duration', 20);
+    }
+
+    public function test_rejects_overlapping_schedule_blocks()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->putJson("/api/v1/doctores/{$this->doctor->id}/horarios", [
+            'horarios' => [
+                ['day_of_week' => 2, 'start_time' => '08:00', 'end_time' => '12:00', 'slot_duration' => 30],
+                ['day_of_week' => 2, 'start_time' => '11:00', 'end_time' => '13:00', 'slot_duration' => 30],
+            ],
+        ])->assertStatus(422);
+    }
+
+    public function test_terminates_contract_without_end_date()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $contrato = $this->crearContratoSinFin();
+        $hoy = now()->toDateString();
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/contratos/{$contrato->id}/terminar", [
+            'fecha_terminacion' => $hoy,
+            'motivo' => 'Renuncia',
+        ])->assertStatus(200)
+          ->assertJsonPath('data.is_active', false);
+
+        $contrato->refresh();
+        $this->assertFalse($contrato->is_active);
+        $this->assertEquals($hoy, $contrato->fecha_fin->toDateString());
+    }
+
+    public function test_rejects_termination_after_contract_end()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $contrato = DoctorContract::create([
+            'doctor_id' => $this->doctor->id,
+            'fecha_inicio' => now()->subMonth()->toDateString(),
+            'fecha_fin' => now()->addMonth()->toDateString(),
+            'is_active' => true,
+        ]);
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/contratos/{$contrato->id}/terminar", [
+            'fecha_terminacion' => now()->addMonths(2)->toDateString(),
+            'motivo' => 'Renuncia',
+        ])->assertStatus(422);
+    }
+
+    public function test_rejects_renewal_of_contract_without_end_date()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $contrato = $this->crearContratoSinFin();
+
+        $this->postJson("/api/v1/doctores/{$this->doctor->id}/contratos/{$contrato->id}/renovar", [
+            'fecha_fin' => now()->addYear()->toDateString(),
+        ])->assertStatus(422);
+
+        $this->assertTrue($contrato->fresh()->is_active);
+        $this->assertEquals(1, DoctorContract::where('doctor_id', $this->doctor->id)->count());
+    }
+
+    public function test_lists_contract_without_end_date_as_vigente()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->crearContratoSinFin();
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}/contratos")
+            ->assertStatus(200)
+            ->assertJsonPath('data.contratos.0.fecha_fin', null)
+            ->assertJsonPath('data.contratos.0.estado_contrato', 'vigente');
+    }
+
+    public function test_index_lists_active_doctors_unless_estado_is_given()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $inactivo = $this->crearDoctor(['activo' => false]);
+
+        $this->getJson('/api/v1/doctores')
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $this->doctor->id)
+            ->assertJsonPath('pagination.total', 1);
+
+        $this->getJson('/api/v1/doctores?estado=inactivos')
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $inactivo->id);
+
+        $this->getJson('/api/v1/doctores?estado=todos')
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data');
+    }
+
+    public function test_shows_doctor_by_id()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.id', $this->doctor->id)
+            ->assertJsonPath('data.matricula', '12345');
+    }
+
+    public function test_show_hides_contracts_and_user_from_non_admins()
+    {
+        $this->crearContratoSinFin();
+        Sanctum::actingAs($this->crearUsuario('doctor'));
+
+        $response = $this->getJson("/api/v1/doctores/{$this->doctor->id}")
+            ->assertStatus(200)
+            ->assertJsonPath('data.especialidad.nombre', 'Ortodoncia')
+            ->assertJsonStructure(['data' => ['horarios']]);
+
+        $this->assertArrayNotHasKey('contratos', $response->json('data'));
+        $this->assertArrayNotHasKey('user', $response->json('data'));
+    }
+
+    public function test_show_includes_contracts_for_admin()
+    {
+        $this->crearContratoSinFin();
+        Sanctum::actingAs($this->adminUser);
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data.contratos');
+    }
+
+    public function test_deactivates_doctor_without_deleting_it()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/desactivar")
+            ->assertStatus(200)
+            ->assertJsonPath('data.activo', false);
+
+        $this->assertDatabaseHas('doctores', ['id' => $this->doctor->id, 'activo' => false]);
+    }
+
+    public function test_delete_route_deactivates_instead_of_deleting()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->deleteJson("/api/v1/doctores/{$this->doctor->id}")->assertStatus(200);
+
+        $this->assertDatabaseHas('doctores', ['id' => $this->doctor->id, 'activo' => false]);
+    }
+
+    public function test_rejects_deactivation_with_pending_turnos()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->crearTurno(now()->addWeek(), Turno::ESTADO_CONFIRMADO);
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/desactivar")->assertStatus(422);
+
+        $this->assertTrue($this->doctor->fresh()->activo);
+    }
+
+    public function test_reactivates_doctor()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->doctor->update(['activo' => false]);
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/activar")
+            ->assertStatus(200)
+            ->assertJsonPath('data.activo', true);
+    }
+
+    public function test_rejects_reactivation_when_especialidad_is_inactive()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->doctor->update(['activo' => false]);
+        $this->especialidad->update(['activo' => false]);
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/activar")->assertStatus(422);
+
+        $this->assertFalse($this->doctor->fresh()->activo);
+    }
+
+    public function test_non_admin_cannot_toggle_doctor()
+    {
+        Sanctum::actingAs($this->crearUsuario('recepcionista'));
+
+        $this->patchJson("/api/v1/doctores/{$this->doctor->id}/desactivar")->assertStatus(403);
+        $this->deleteJson("/api/v1/doctores/{$this->doctor->id}")->assertStatus(403);
+
+        $this->assertTrue($this->doctor->fresh()->activo);
+    }
+
+    public function test_statistics_for_period()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        // Solo atiende los lunes, de 08:00 a 10:00: 4 turnos por semana
+        DoctorScheduleSlot::create([
+            'doctor_id' => $this->doctor->id,
+            'day_of_week' => 1,
+            'start_time' => '08:00',
+            'end_time' => '10:00',
+            'slot_duration' => 30,
+            'is_active' => true,
+        ]);
+
+        $lunes = Carbon::now()->previous('Monday')->subWeek();
+        $otroPaciente = $this->crearPaciente('87654321');
+
+        $this->crearTurno($lunes, Turno::ESTADO_REALIZADO, '08:00');
+        $this->crearTurno($lunes, Turno::ESTADO_REALIZADO, '08:30', $otroPaciente);
+        $this->crearTurno($lunes, Turno::ESTADO_NO_ASISTIO, '09:00');
+        $this->crearTurno($lunes, Turno::ESTADO_CANCELADO, '09:30');
+        // Fuera del período
+        $this->crearTurno($lunes->copy()->addWeek(), Turno::ESTADO_REALIZADO, '08:00');
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}/estadisticas?" . http_build_query([
+            'fecha_desde' => $lunes->toDateString(),
+            'fecha_hasta' => $lunes->copy()->addDays(6)->toDateString(),
+        ]))->assertStatus(200)
+          ->assertJsonPath('data.total', 4)
+          ->assertJsonPath('data.por_estado.realizado', 2)
+          ->assertJsonPath('data.por_estado.no_asistio', 1)
+          ->assertJsonPath('data.por_estado.cancelado', 1)
+          ->assertJsonPath('data.por_estado.programado', 0)
+          ->assertJsonPath('data.tasa_ausentismo', 33.3)
+          ->assertJsonPath('data.capacidad', 4)
+          ->assertJsonPath('data.ocupados', 3)
+          ->assertJsonPath('data.ocupacion', 75.0)
+          ->assertJsonPath('data.pacientes_atendidos', 2);
+    }
+
+    public function test_statistics_are_limited_to_staff_and_the_doctor_itself()
+    {
+        $otro = $this->crearDoctor();
+        $url = "/api/v1/doctores/{$this->doctor->id}/estadisticas";
+
+        Sanctum::actingAs($this->crearUsuario('doctor', $otro));
+        $this->getJson($url)->assertStatus(403);
+
+        Sanctum::actingAs($this->crearUsuario('operator'));
+        $this->getJson($url)->assertStatus(403);
+
+        Sanctum::actingAs($this->crearUsuario('doctor', $this->doctor));
+        $this->getJson($url)->assertStatus(200);
+
+        Sanctum::actingAs($this->adminUser);
+        $this->getJson($url)->assertStatus(200);
+    }
+
+    public function test_statistics_reject_invalid_period()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}/estadisticas?fecha_desde=2026-03-10&fecha_hasta=2026-03-01")
+            ->assertStatus(422);
+
+        $this->getJson("/api/v1/doctores/{$this->doctor->id}/estadisticas?fecha_desde=2024-01-01&fecha_hasta=2026-01-01")
+            ->assertStatus(422);
+    }
+
+    private function crearUsuario(string $rol, ?Doctor $doctor = null): User
+    {
+        $usuario = User::create([
+            'name' => ucfirst($rol) . ' Test',
+            'email' => "{$rol}" . User::count() . '@test.com',
+            'password' => bcrypt('password'),
+            'rol' => $rol,
+            'activo' => true,
+        ]);
+
+        if ($doctor) {
+            $usuario->forceFill(['doctor_id' => $doctor->id])->save();
+        }
+
+        return $usuario;
+    }
+
+    private function crearDoctor(array $datos = []): Doctor
+    {
+        return Doctor::create([
+            'nombre' => 'Laura',
+            'apellido' => 'Gómez',
+            'especialidad_id' => $this->especialidad->id,
+            'matricula' => '23456',
+            'email' => 'laura@test.com',
+            'activo' => true,
+            ...$datos,
+        ]);
+    }
+
+    private function crearPaciente(string $dni = '12345678'): Paciente
+    {
+        return Paciente::create([
+            'nombre' => 'Ana',
+            'apellido' => 'García',
+            'dni' => $dni,
+            'fecha_nacimiento' => '1990-01-01',
+            'telefono' => '987654321',
+            'email' => "paciente{$dni}@test.com",
+            'activo' => true,
+        ]);
+    }
+
+    private function crearTurno(Carbon $fecha, string $estado, string $hora = '10:00', ?Paciente $paciente = null): Turno
+    {
+        $paciente = $paciente ?? ($this->paciente ??= $this->crearPaciente());
+        $inicio = Carbon::parse($hora);
+
+        return Turno::create([
+            'paciente_id' => $paciente->id,
+            'doctor_id' => $this->doctor->id,
+            'fecha' => $fecha->format('Y-m-d'),
+            'hora_inicio' => $inicio->format('H:i'),
+            'hora_fin' => $inicio->copy()->addMinutes(30)->format('H:i'),
+            'duracion_minutos' => 30,
+            'motivo' => 'Control',
+            'estado' => $estado,
+        ]);
+    }
+
+    private function crearContratoSinFin(): DoctorContract
+    {
+        return DoctorContract::create([
+            'doctor_id' => $this->doctor->id,
+            'fecha_inicio' => now()->subYear()->toDateString(),
+            'fecha_fin' => null,
+            'is_active' => true,
+        ]);
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Especialidad;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class EspecialidadApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $especialidad;
+    protected $adminUser;
+    protected $secretariaUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->especialidad = Especialidad::create([
+            'nombre' => 'Ortodoncia',
+            'descripcion' => 'Corrección de la posición dental',
+            'activo' => true,
+        ]);
+
+        $this->adminUser = User::create([
+            'name' => 'Admin Test',
+            'email' => 'admin@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'admin',
+            'activo' => true,
+        ]);
+
+        $this->secretariaUser = User::create([
+            'name' => 'Recepcionista Test',
+            'email' => 'recepcionista@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'recepcionista',
+            'activo' => true,
+        ]);
+    }
+
+    public function test_admin_creates_especialidad()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->postJson('/api/v1/especialidades', [
+            'nombre' => 'Endodoncia',
+            'codigo' => 'ENDO',
+            'duracion_cita_default' => 45,
+        ])->assertStatus(201)
+          ->assertJsonPath('data.nombre', 'Endodoncia')
+          ->assertJsonPath('data.duracion_cita_default', 45);
+
+        $this->assertDatabaseHas('especialidades', ['nombre' => 'Endodoncia', 'codigo' => 'ENDO']);
+    }
+
+    public function test_legacy_field_names_are_mapped_to_current_columns()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $id = $this->postJson('/api/v1/especialidades', [
+            'nombre' => 'Endodoncia',
+            'duracion_consulta_default' => 45,
+            'requiere_historia_clinica' => true,
+        ])->assertStatus(201)
+          ->assertJsonPath('data.duracion_cita_default', 45)
+          ->json('data.id');
+
+        $this->assertDatabaseHas('especialidades', ['id' => $id, 'duracion_cita_default' => 45, 'requiere_autorizacion' => true]);
+
+        $this->putJson("/api/v1/especialidades/{$id}", [
+            'nombre' => 'Endodoncia',
+            'duracion_consulta_default' => 60,
+            'requiere_historia_clinica' => false,
+        ])->assertStatus(200)
+          ->assertJsonPath('data.duracion_cita_default', 60);
+
+        $this->assertDatabaseHas('especialidades', ['id' => $id, 'duracion_cita_default' => 60, 'requiere_autorizacion' => false]);
+    }
+
+    public function test_admin_lists_especialidades_for_gestion()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        Especialidad::create(['nombre' => 'Periodoncia', 'activo' => false]);
+
+        $this->getJson('/api/v1/especialidades/gestion')
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data');
+    }
+
+    public function test_admin_updates_especialidad()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->putJson("/api/v1/especialidades/{$this->especialidad->id}", [
+            'nombre' => 'Ortodoncia Infantil',
+        ])->assertStatus(200)
+          ->assertJsonPath('data.nombre', 'Ortodoncia Infantil');
+    }
+
+    public function test_admin_deactivates_and_reactivates_especialidad()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->deleteJson("/api/v1/especialidades/{$this->especialidad->id}")->assertStatus(200);
+        $this->assertFalse($this->especialidad->fresh()->activo);
+
+        $this->patchJson("/api/v1/especialidades/{$this->especialidad->id}/activar")
+            ->assertStatus(200)
+            ->assertJsonPath('data.activo', true);
+    }
+
+    public function test_admin_reorders_especialidades()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $otra = Especialidad::create(['nombre' => 'Periodoncia', 'activo' => true]);
+
+        $this->putJson('/api/v1/especialidades/orden', [
+            'ids' => [$otra->id, $this->especialidad->id],
+        ])->assertStatus(200)
+          ->assertJsonPath('data.0.id', $otra->id);
+
+        $this->assertEquals(2, $this->especialidad->fresh()->orden_visualizacion);
+    }
+
+    public function test_non_admin_cannot_manage_especialidades()
+    {
+        Sanctum::actingAs($this->secretariaUser);
+
+        $this->getJson('/api/v1/especialidades/gestion')->assertStatus(403);
+        $this->postJson('/api/v1/especialidades', ['nombre' => 'Endodoncia'])->assertStatus(403);
+        $this->putJson("/api/v1/especialidades/{$this->especialidad->id}", ['nombre' => 'Otra'])->assertStatus(403);
+        $this->deleteJson("/api/v1/especialidades/{$this->especialidad->id}")->assertStatus(403);
+        $this->patchJson("/api/v1/especialidades/{$this->especialidad->id}/activar")->assertStatus(403);
+        $this->putJson('/api/v1/especialidades/orden', ['ids' => [$this->especialidad->id]])->assertStatus(403);
+
+        $this->assertDatabaseMissing('especialidades', ['nombre' => 'Endodoncia']);
+        $this->assertTrue($this->especialidad->fresh()->activo);
+    }
+
+    public function test_requires_authentication()
+    {
+        $this->postJson('/api/v1/especialidades', ['nombre' => 'Endodoncia'])->assertStatus(401);
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Doctor;
+use App\Models\DoctorContract;
+use App\Models\DoctorScheduleSlot;
+use App\Models\Especialidad;
+use App\Models\ListaEspera;
+use App\Models\Paciente;
+use App\Models\Turno;
+use App\Services\AppointmentValidationService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class ListaEsperaTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $doctor;
+    protected $paciente;
+    protected $enEspera;
+    protected $adminUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $especialidad = Especialidad::create(['nombre' => 'Ortodoncia', 'activo' => true]);
+
+        $this->doctor = Doctor::create([
+            'nombre' => 'Juan',
+            'apellido' => 'Pérez',
+            'especialidad_id' => $especialidad->id,
+            'matricula' => '12345',
+            'email' => 'doctor@test.com',
+            'activo' => true,
+        ]);
+
+        $this->paciente = Paciente::create([
+            'nombre' => 'Ana',
+            'apellido' => 'García',
+            'dni' => '12345678',
+            'fecha_nacimiento' => '1990-01-01',
+            'activo' => true,
+        ]);
+
+        $this->enEspera = Paciente::create([
+            'nombre' => 'Gonzalo',
+            'apellido' => 'Ruiz',
+            'dni' => '31000111',
+            'fecha_nacimiento' => '1985-05-10',
+            'activo' => true,
+        ]);
+
+        $this->adminUser = User::create([
+            'name' => 'Admin Test',
+            'email' => 'admin@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'admin',
+            'activo' => true,
+        ]);
+
+        DoctorContract::create([
+            'doctor_id' => $this->doctor->id,
+            'fecha_inicio' => now()->subMonth()->format('Y-m-d'),
+            'is_active' => true,
+        ]);
+
+        foreach (range(1, 5) as $dia) {
+            DoctorScheduleSlot::create([
+                'doctor_id' => $this->doctor->id,
+                'day_of_week' => $dia,
+                'start_time' => '08:00',
+                'end_time' => '18:00',
+                'slot_duration' => 30,
+                'is_active' => true,
+            ]);
+        }
+    }
+
+    private function crearTurno(array $datos = []): Turno
+    {
+        return Turno::create([
+            'paciente_id' => $this->paciente->id,
+            'doctor_id' => $this->doctor->id,
+            'fecha' => Carbon::now()->next('Monday')->format('Y-m-d'),
+            'hora_inicio' => '10:00',
+            'hora_fin' => '10:30',
+            'duracion_minutos' => 30,
+            'estado' => Turno::ESTADO_PROGRAMADO,
+            ...$datos,
+        ]);
+    }
+
+    private function entradaEnEspera(): ListaEspera
+    {
+        return ListaEspera::create([
+            'paciente_id' => $this->enEspera->id,
+            'doctor_id' => $this->doctor->id,
+            'especialidad_id' => $this->doctor->especialidad_id,
+            'estado' => ListaEspera::ESTADO_ACTIVA,
+        ]);
+    }
+
+    public function test_adds_paciente_once_per_doctor()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $datos = ['paciente_id' => $this->enEspera->id, 'doctor_id' => $this->doctor->id, 'hora_desde' => '08:00', 'hora_hasta' => '12:00'];
+
+        $this->postJson('/api/v1/lista-espera', $datos)
+            ->assertStatus(201)
+            ->assertJsonPath('data.especialidad_id', $this->doctor->especialidad_id);
+
+        $this->postJson('/api/v1/lista-espera', $datos)->assertStatus(422);
+    }
+
+    public function test_assigns_the_slot_freed_by_a_cancelled_turno()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno();
+        $entrada = $this->entradaEnEspera();
+
+        // Disponibilidad consultada (y cacheada) mientras el horario estaba ocupado
+        $fecha = $turno->fecha->toDateString();
+        app(AppointmentValidationService::class)->getAvailableSlots($this->doctor->id, $fecha);
+
+        $this->patchJson("/api/v1/turnos/{$turno->id}/cancel", ['motivo_cancelacion' => 'Viaje'])->assertStatus(200);
+
+        $this->postJson("/api/v1/lista-espera/{$entrada->id}/asignar", ['turno_id' => $turno->id])
+            ->assertStatus(201)
+            ->assertJsonPath('data.paciente_id', $this->enEspera->id)
+            ->assertJsonPath('data.estado', Turno::ESTADO_PROGRAMADO);
+
+        $this->assertEquals(ListaEspera::ESTADO_ASIGNADA, $entrada->fresh()->estado);
+        $this->assertNotNull($entrada->fresh()->turno_id);
+    }
+
+    public function test_does_not_assign_the_slot_of_a_pending_turno()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno();
+        $entrada = $this->entradaEnEspera();
+
+        $this->postJson("/api/v1/lista-espera/{$entrada->id}/asignar", ['turno_id' => $turno->id])
+            ->assertStatus(422);
+
+        $this->assertEquals(ListaEspera::ESTADO_ACTIVA, $entrada->fresh()->estado);
+    }
+
+    public function test_does_not_offer_or_assign_a_slot_that_already_started()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno([
+            'fecha' => Carbon::yesterday()->format('Y-m-d'),
+            'estado' => Turno::ESTADO_CANCELADO,
+        ]);
+        $entrada = $this->entradaEnEspera();
+
+        $this->getJson("/api/v1/turnos/{$turno->id}/lista-espera")->assertStatus(422);
+
+        $this->postJson("/api/v1/lista-espera/{$entrada->id}/asignar", ['turno_id' => $turno->id])
+            ->assertStatus(422)
+            ->assertJsonPath('message', 'El horario del turno ya pasó');
+
+        $this->assertEquals(ListaEspera::ESTADO_ACTIVA, $entrada->fresh()->estado);
+        $this->assertEquals(0, ListaEspera::coincidentesCon($turno->load('doctor'))->count());
+    }
+}
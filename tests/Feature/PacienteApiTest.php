@@ -0,0 +1,105 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Paciente;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class PacienteApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $paciente;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->paciente = Paciente::create([
+            'nombre' => 'Ana',
+            'apellido' => 'García',
+            'dni' => '12345678',
+            'fecha_nacimiento' => '1990-01-01',
+            'activo' => true,
+        ]);
+    }
+
+    private function usuario(string $rol): User
+    {
+        return User::create([
+            'name' => "Usuario {$rol}",
+            'email' => "{$rol}@test.com",
+            'password' => bcrypt('password'),
+            'rol' => $rol,
+            'activo' => true,
+        ]);
+    }
+
+    public function test_admin_can_see_turnos_history()
+    {
+        Sanctum::actingAs($this->usuario('admin'));
+
+        $this->getJson("/api/v1/pacientes/{$this->paciente->id}/turnos")
+            ->assertStatus(200)
+            ->assertJsonPath('success', true);
+    }
+
+    public function test_turnos_history_uses_same_roles_as_historia_clinica()
+    {
+        Sanctum::actingAs($this->usuario('operator'));
+
+        $this->getJson("/api/v1/pacientes/{$this->paciente->id}/turnos")->assertStatus(403);
+        $this->getJson("/api/v1/pacientes/{$this->paciente->id}/historia-clinica")->assertStatus(403);
+    }
+
+    public function test_buscar_returns_pacientes_by_ids()
+    {
+        Sanctum::actingAs($this->usuario('admin'));
+
+        Paciente::create([
+            'nombre' => 'Gonzalo',
+            'apellido' => 'Ruiz',
+            'dni' => '31000111',
+            'fecha_nacimiento' => '1985-05-10',
+            'activo' => true,
+        ]);
+
+        $this->postJson('/api/v1/pacientes/buscar', ['ids' => [$this->paciente->id]])
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.dni', '12345678');
+    }
+
+    public function test_buscar_tolerates_typos_at_the_start_of_a_word()
+    {
+        Sanctum::actingAs($this->usuario('admin'));
+
+        Paciente::create([
+            'nombre' => 'Gonzalo',
+            'apellido' => 'Ruiz',
+            'dni' => '31000111',
+            'fecha_nacimiento' => '1985-05-10',
+            'activo' => true,
+        ]);
+
+        $this->postJson('/api/v1/pacientes/buscar', ['search' => 'Gnozalo'])
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.dni', '31000111');
+
+        $this->postJson('/api/v1/pacientes/buscar', ['search' => 'nzal'])
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.dni', '31000111');
+    }
+
+    public function test_buscar_requires_search_or_ids()
+    {
+        Sanctum::actingAs($this->usuario('admin'));
+
+        $this->postJson('/api/v1/pacientes/buscar', [])->assertStatus(422);
+    }
+}
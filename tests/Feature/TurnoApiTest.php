@@ -7,6 +7,13 @@
 use App\Models\Paciente;
 use App\Models\Doctor;
 use App\Models\Especialidad;
+use App\Models\Turno;
+use App\Models\DoctorContract;
+use App\Models\DoctorScheduleSlot;
+use App\Http\Requests\UpdateTurnoRequest;
+use Illuminate\Routing\Route;
+use Illuminate\Support\Facades\Validator;
+use Carbon\Carbon;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Laravel\Sanctum\Sanctum;
 
@@ -161,4 +168,229 @@ public function test_can_list_turnos_with_pagination()
                     'total'
                 ]);
     }
+
+    // ========== TRANSICIONES DE ESTADO ==========
+
+    private function crearTurno(array $datos = []): Turno
+    {
+        return Turno::create([
+            'paciente_id' => $this->paciente->id,
+            'doctor_id' => $this->doctor->id,
+            'fecha' => now()->addDays(2)->format('Y-m-d'),
+            'hora_inicio' => '10:00',
+            'hora_fin' => '10:30',
+            'duracion_minutos' => 30,
+            'motivo' => 'Control',
+            'estado' => Turno::ESTADO_PROGRAMADO,
+            ...$datos,
+        ]);
+    }
+
+    private function usuarioDelDoctor(Doctor $doctor): User
+    {
+        $usuario = User::create([
+            'name' => 'Doctor Test',
+            'email' => "usuario{$doctor->id}@test.com",
+            'password' => bcrypt('password'),
+            'rol' => 'doctor',
+            'activo' => true,
+        ]);
+        $usuario->forceFill(['doctor_id' => $doctor->id])->save();
+
+        return $usuario;
+    }
+
+    // Contrato sin fecha de fin y atención de lunes a viernes de 8 a 18
+    private function habilitarAgenda(): void
+    {
+        DoctorContract::create([
+            'doctor_id' => $this->doctor->id,
+            'fecha_inicio' => now()->subMonth()->format('Y-m-d'),
+            'fecha_fin' => null,
+            'is_active' => true,
+        ]);
+
+        foreach (range(1, 5) as $dia) {
+            DoctorScheduleSlot::create([
+                'doctor_id' => $this->doctor->id,
+                'day_of_week' => $dia,
+                'start_time' => '08:00',
+                'end_time' => '18:00',
+                'slot_duration' => 30,
+                'is_active' => true,
+            ]);
+        }
+    }
+
+    public function test_estado_column_accepts_every_model_state()
+    {
+        $turno = $this->crearTurno();
+
+        foreach (array_keys(Turno::getEstados()) as $estado) {
+            $turno->update(['estado' => $estado]);
+            $this->assertDatabaseHas('turnos', ['id' => $turno->id, 'estado' => $estado]);
+        }
+    }
+
+    public function test_can_confirm_turno()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno();
+
+        $this->patchJson("/api/v1/turnos/{$turno->id}/confirm")
+            ->assertStatus(200)
+            ->assertJsonPath('data.estado', Turno::ESTADO_CONFIRMADO);
+
+        $this->assertDatabaseHas('turno_estado_historial', [
+            'turno_id' => $turno->id,
+            'estado_anterior' => Turno::ESTADO_PROGRAMADO,
+            'estado_nuevo' => Turno::ESTADO_CONFIRMADO,
+        ]);
+    }
+
+    public function test_can_cancel_turno_with_motivo()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno();
+
+        $this->patchJson("/api/v1/turnos/{$turno->id}/cancel", ['motivo_cancelacion' => 'Viaje'])
+            ->assertStatus(200)
+            ->assertJsonPath('data.estado', Turno::ESTADO_CANCELADO);
+
+        $this->assertDatabaseHas('turno_estado_historial', [
+            'turno_id' => $turno->id,
+            'estado_nuevo' => Turno::ESTADO_CANCELADO,
+            'motivo' => 'Viaje',
+            'usuario_id' => $this->adminUser->id,
+        ]);
+
+        $this->patchJson("/api/v1/turnos/{$turno->id}/cancel", ['motivo_cancelacion' => 'Otra vez'])
+            ->assertStatus(422);
+    }
+
+    public function test_can_register_no_show_from_the_day_of_the_turno()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $futuro = $this->crearTurno();
+        $deHoy = $this->crearTurno(['fecha' => today()->format('Y-m-d'), 'hora_inicio' => '08:00', 'hora_fin' => '08:30']);
+
+        $this->patchJson("/api/v1/turnos/{$futuro->id}/no-show")->assertStatus(422);
+
+        $this->patchJson("/api/v1/turnos/{$deHoy->id}/no-show", ['observaciones' => 'No avisó'])
+            ->assertStatus(200)
+            ->assertJsonPath('data.estado', Turno::ESTADO_NO_ASISTIO);
+    }
+
+    public function test_assigned_doctor_marks_turno_as_realizado()
+    {
+        $turno = $this->crearTurno();
+
+        Sanctum::actingAs($this->adminUser);
+        $this->patchJson("/api/v1/turnos/{$turno->id}/complete")->assertStatus(403);
+
+        Sanctum::actingAs($this->usuarioDelDoctor($this->doctor));
+        $this->patchJson("/api/v1/turnos/{$turno->id}/complete", ['observaciones_consulta' => 'Sin novedades'])
+            ->assertStatus(200)
+            ->assertJsonPath('data.estado', Turno::ESTADO_REALIZADO);
+    }
+
+    public function test_reschedule_keeps_original_as_reprogramado_and_creates_new_turno()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $this->habilitarAgenda();
+        $turno = $this->crearTurno();
+        $fecha = Carbon::now()->next('Monday')->format('Y-m-d');
+
+        $response = $this->postJson("/api/v1/turnos/{$turno->id}/reschedule", [
+            'fecha' => $fecha,
+            'hora_inicio' => '11:15',
+            'motivo' => 'Pedido del paciente',
+        ]);
+
+        $response->assertStatus(201)
+                ->assertJsonPath('data.estado', Turno::ESTADO_PROGRAMADO)
+                ->assertJsonPath('data.duracion_minutos', 30);
+
+        $this->assertEquals(Turno::ESTADO_REPROGRAMADO, $turno->fresh()->estado);
+        $this->assertDatabaseHas('turno_estado_historial', [
+            'turno_id' => $turno->id,
+            'estado_nuevo' => Turno::ESTADO_REPROGRAMADO,
+            'motivo' => 'Pedido del paciente',
+        ]);
+
+        $this->postJson("/api/v1/turnos/{$turno->id}/reschedule", ['fecha' => $fecha, 'hora_inicio' => '12:00'])
+            ->assertStatus(422);
+    }
+
+    public function test_historial_lists_state_changes_in_order()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $turno = $this->crearTurno();
+        $this->patchJson("/api/v1/turnos/{$turno->id}/confirm");
+
+        $this->getJson("/api/v1/turnos/{$turno->id}/historial")
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.estado_nuevo', Turno::ESTADO_PROGRAMADO)
+            ->assertJsonPath('data.1.estado_nuevo', Turno::ESTADO_CONFIRMADO);
+    }
+
+    public function test_doctor_only_sees_historial_of_own_turnos()
+    {
+        $otroDoctor = Doctor::create([
+            'nombre' => 'Laura',
+            'apellido' => 'Gómez',
+            'especialidad_id' => $this->especialidad->id,
+            'matricula' => '23456',
+            'email' => 'otro@test.com',
+            'activo' => true,
+        ]);
+        $turno = $this->crearTurno();
+
+        Sanctum::actingAs($this->usuarioDelDoctor($otroDoctor));
+        $this->getJson("/api/v1/turnos/{$turno->id}/historial")->assertStatus(403);
+
+        Sanctum::actingAs($this->usuarioDelDoctor($this->doctor));
+        $this->getJson("/api/v1/turnos/{$turno->id}/historial")->assertStatus(200);
+    }
+
+    public function test_bulk_move_does_not_double_book_the_destination()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $this->habilitarAgenda();
+        $primero = $this->crearTurno(['fecha' => now()->addDays(2)->format('Y-m-d')]);
+        $segundo = $this->crearTurno(['fecha' => now()->addDays(3)->format('Y-m-d')]);
+
+        $response = $this->postJson('/api/v1/turnos/bulk/move', [
+            'turno_ids' => [$primero->id, $segundo->id],
+            'destino' => ['fecha' => Carbon::now()->next('Monday')->format('Y-m-d')],
+            'motivo' => 'Cambio de agenda',
+        ]);
+
+        $response->assertStatus(200)
+                ->assertJsonPath('data.exitosos', 1)
+                ->assertJsonPath('data.fallidos', 1);
+    }
+
+    private function validarActualizacion(Turno $turno, array $datos)
+    {
+        $request = UpdateTurnoRequest::create("/api/v1/turnos/{$turno->id}", 'PUT', $datos);
+        $route = (new Route('PUT', 'api/v1/turnos/{turno}', []))->bind($request);
+        $route->setParameter('turno', $turno);
+        $request->setRouteResolver(fn () => $route);
+
+        return Validator::make($request->all(), $request->rules());
+    }
+
+    public function test_update_accepts_any_start_of_the_doctor_schedule()
+    {
+        $turno = $this->crearTurno();
+
+        // Turnos de 20 minutos: 10:20 es un horario válido de la agenda
+        $this->assertFalse($this->validarActualizacion($turno, ['hora_inicio' => '10:20', 'hora_fin' => '10:40'])->fails());
+        $this->assertFalse($this->validarActualizacion($turno, ['hora_inicio' => '10:45', 'hora_fin' => '11:00'])->fails());
+
+        $validator = $this->validarActualizacion($turno, ['hora_inicio' => '10:20', 'hora_fin' => '10:30']);
+        $this->assertTrue($validator->errors()->has('hora_fin'), 'Menos de 15 minutos no es un turno válido');
+    }
 }
@@ -0,0 +1,147 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Paciente;
+use App\Models\Doctor;
+use App\Models\Especialidad;
+use App\Models\Turno;
+use App\Models\TurnoEvento;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class TurnoEventoTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $doctor;
+    protected $otroDoctor;
+    protected $paciente;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $especialidad = Especialidad::create(['nombre' => 'Cardiología', 'activo' => true]);
+
+        $this->doctor = Doctor::create([
+            'nombre' => 'Juan',
+            'apellido' => 'Pérez',
+            'especialidad_id' => $especialidad->id,
+            'matricula' => '12345',
+            'email' => 'doctor@test.com',
+            'activo' => true,
+        ]);
+
+        $this->otroDoctor = Doctor::create([
+            'nombre' => 'Laura',
+            'apellido' => 'Gómez',
+            'especialidad_id' => $especialidad->id,
+            'matricula' => '23456',
+            'email' => 'otro@test.com',
+            'activo' => true,
+        ]);
+
+        $this->paciente = Paciente::create([
+            'nombre' => 'Ana',
+            'apellido' => 'García',
+            'dni' => '12345678',
+            'fecha_nacimiento' => '1990-01-01',
+            'activo' => true,
+        ]);
+    }
+
+    private function crearTurno(Doctor $doctor, string $hora = '10:00'): Turno
+    {
+        return Turno::create([
+            'paciente_id' => $this->paciente->id,
+            'doctor_id' => $doctor->id,
+            'fecha' => now()->addDays(2)->format('Y-m-d'),
+            'hora_inicio' => $hora,
+            'hora_fin' => '10:30',
+            'estado' => Turno::ESTADO_PROGRAMADO,
+        ]);
+    }
+
+    public function test_records_event_when_turno_is_created()
+    {
+        $turno = $this->crearTurno($this->doctor);
+
+        $evento = TurnoEvento::latest('id')->first();
+
+        $this->assertEquals(TurnoEvento::TIPO_CREADO, $evento->tipo);
+        $this->assertEquals($turno->id, $evento->datos['id']);
+        $this->assertEquals('10:00', $evento->datos['hora_inicio']);
+    }
+
+    public function test_records_cancellation_and_previous_slot_on_move()
+    {
+        $turno = $this->crearTurno($this->doctor);
+
+        $turno->update(['hora_inicio' => '11:00', 'hora_fin' => '11:30']);
+        $movido = TurnoEvento::latest('id')->first();
+
+        $this->assertEquals(TurnoEvento::TIPO_ACTUALIZADO, $movido->tipo);
+        $this->assertEquals('10:00', $movido->datos['original']['hora_inicio']);
+
+        $turno->update(['estado' => Turno::ESTADO_CANCELADO]);
+
+        $this->assertEquals(TurnoEvento::TIPO_CANCELADO, TurnoEvento::latest('id')->first()->tipo);
+    }
+
+    public function test_doctor_only_sees_events_of_own_turnos()
+    {
+        $this->crearTurno($this->doctor);
+        $this->crearTurno($this->otroDoctor);
+
+        $usuarioDoctor = User::create([
+            'name' => 'Doctor Test',
+            'email' => 'usuario.doctor@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'doctor',
+            'activo' => true,
+        ]);
+        $usuarioDoctor->forceFill(['doctor_id' => $this->doctor->id])->save();
+
+        $eventos = TurnoEvento::visiblesPara($usuarioDoctor)->posterioresA(0)->get();
+
+        $this->assertCount(1, $eventos);
+        $this->assertEquals($this->doctor->id, $eventos->first()->doctor_id);
+    }
+
+    public function test_stream_requires_authentication()
+    {
+        $this->getJson('/api/v1/turnos/stream')->assertStatus(401);
+    }
+
+    public function test_stream_returns_pending_events_and_ends()
+    {
+        $admin = User::create([
+            'name' => 'Admin Test',
+            'email' => 'admin@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'admin',
+            'activo' => true,
+        ]);
+        Sanctum::actingAs($admin);
+
+        $anterior = $this->crearTurno($this->doctor);
+        $desde = TurnoEvento::max('id');
+        $turno = $this->crearTurno($this->doctor, '11:00');
+        $ultimo = TurnoEvento::max('id');
+
+        $response = $this->get('/api/v1/turnos/stream', ['Last-Event-ID' => $desde])->assertStatus(200);
+        $cuerpo = $response->getContent();
+
+        $this->assertStringStartsWith('retry: 5000', $cuerpo);
+        $this->assertStringContainsString("id: {$ultimo}\nevent: turno.created\n", $cuerpo);
+        $this->assertStringContainsString('"id":' . $turno->id, $cuerpo);
+        $this->assertStringNotContainsString('"id":' . $anterior->id . ',', $cuerpo);
+
+        // Sin eventos nuevos: solo el último id, para seguir desde ahí
+        $vacio = $this->get('/api/v1/turnos/stream')->assertStatus(200)->getContent();
+        $this->assertEquals("retry: 5000\n\nid: {$ultimo}\n\n", $vacio);
+    }
+}
@@ -0,0 +1,204 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+use App\Models\User;
+use App\Models\Doctor;
+use App\Models\DoctorContract;
+use App\Models\DoctorScheduleSlot;
+use App\Models\Especialidad;
+use App\Models\Paciente;
+use App\Models\Turno;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+
+class TurnoSerieTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected $doctor;
+    protected $paciente;
+    protected $adminUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $especialidad = Especialidad::create(['nombre' => 'Kinesiología', 'activo' => true]);
+
+        $this->doctor = Doctor::create([
+            'nombre' => 'Juan',
+            'apellido' => 'Pérez',
+            'especialidad_id' => $especialidad->id,
+            'matricula' => '12345',
+            'email' => 'doctor@test.com',
+            'activo' => true,
+        ]);
+
+        $this->paciente = Paciente::create([
+            'nombre' => 'Ana',
+            'apellido' => 'García',
+            'dni' => '12345678',
+            'fecha_nacimiento' => '1990-01-01',
+            'activo' => true,
+        ]);
+
+        $this->adminUser = User::create([
+            'name' => 'Admin Test',
+            'email' => 'admin@test.com',
+            'password' => bcrypt('password'),
+            'rol' => 'admin',
+            'activo' => true,
+        ]);
+
+        DoctorContract::create([
+            'doctor_id' => $this->doctor->id,
+            'fecha_inicio' => now()->subMonth()->format('Y-m-d'),
+            'is_active' => true,
+        ]);
+
+        foreach (range(1, 5) as $dia) {
+            DoctorScheduleSlot::create([
+                'doctor_id' => $this->doctor->id,
+                'day_of_week' => $dia,
+                'start_time' => '08:00',
+                'end_time' => '18:00',
+                'slot_duration' => 30,
+                'is_active' => true,
+            ]);
+        }
+    }
+
+    // Primer lunes del mes que viene: cuatro semanas seguidas caen en el mismo mes
+    private function primerLunesDelMesSiguiente(): Carbon
+    {
+        $inicioMes = now()->addMonthNoOverflow()->startOfMonth();
+
+        return $inicioMes->isMonday() ? $inicioMes : $inicioMes->next('Monday');
+    }
+
+    private function serie(array $datos = []): array
+    {
+        return [
+            'doctor_id' => $this->doctor->id,
+            'paciente_id' => $this->paciente->id,
+            'fecha_inicio' => $this->primerLunesDelMesSiguiente()->format('Y-m-d'),
+            'hora_inicio' => '10:00',
+            'hora_fin' => '10:30',
+            'frecuencia' => 'semanas',
+            'intervalo' => 1,
+            'cantidad' => 4,
+            ...$datos,
+        ];
+    }
+
+    public function test_creates_one_turno_per_date()
+    {
+        Sanctum::actingAs($this->adminUser);
+
+        $this->postJson('/api/v1/turnos/series', $this->serie())
+            ->assertStatus(201)
+            ->assertJsonCount(4, 'data.serie.turnos')
+            ->assertJsonCount(0, 'data.omitidas');
+
+        $this->assertEquals([30], Turno::whereNotNull('serie_id')->pluck('duracion_minutos')->unique()->values()->all());
+    }
+
+    public function test_series_counts_its_own_turnos_for_the_monthly_limit()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $mes = $this->primerLunesDelMesSiguiente();
+
+        // Ocho turnos ya dados ese mes: la serie solo puede sumar dos
+        foreach (range(1, 8) as $dia) {
+            Turno::create([
+                'paciente_id' => $this->paciente->id,
+                'doctor_id' => $this->doctor->id,
+                'fecha' => $mes->copy()->startOfMonth()->addDays($dia - 1)->format('Y-m-d'),
+                'hora_inicio' => '08:00',
+                'hora_fin' => '08:30',
+                'estado' => Turno::ESTADO_PROGRAMADO,
+            ]);
+        }
+
+        $this->postJson('/api/v1/turnos/series', $this->serie())
+            ->assertStatus(201)
+            ->assertJsonCount(2, 'data.serie.turnos')
+            ->assertJsonCount(2, 'data.omitidas');
+
+        $this->assertEquals(10, Turno::where('paciente_id', $this->paciente->id)->count());
+    }
+
+    public function test_cancelling_series_cancels_pending_turnos_with_motivo()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $serieId = $this->postJson('/api/v1/turnos/series', $this->serie())->json('data.serie.id');
+
+        $this->patchJson("/api/v1/turnos/series/{$serieId}/cancel", ['motivo' => 'Alta médica'])
+            ->assertStatus(200);
+
+        $turnos = Turno::where('serie_id', $serieId)->get();
+        $this->assertCount(4, $turnos->where('estado', Turno::ESTADO_CANCELADO));
+        $this->assertDatabaseHas('turno_estado_historial', [
+            'turno_id' => $turnos->first()->id,
+            'estado_nuevo' => Turno::ESTADO_CANCELADO,
+            'motivo' => 'Alta médica',
+        ]);
+    }
+
+    public function test_series_detail_is_limited_to_staff_and_its_doctor()
+    {
+        Sanctum::actingAs($this->adminUser);
+        $serieId = $this->postJson('/api/v1/turnos/series', $this->serie())->json('data.serie.id');
+
+        $otroDoctor = Doctor::create([
+            'nombre' => 'Laura',
+            'apellido' => 'Gómez',
+            'especialidad_id' => $this->doctor->especialidad_id,
+            'matricula' => '23456',
+            'email' => 'laura@test.com',
+            'activo' => true,
+        ]);
+
+        Sanctum::actingAs($this->usuario('doctor', $otroDoctor));
+        $this->getJson("/api/v1/turnos/series/{$serieId}")->assertStatus(403);
+
+        Sanctum::actingAs($this->usuario('operator'));
+        $this->getJson("/api/v1/turnos/series/{$serieId}")->assertStatus(403);
+
+        Sanctum::actingAs($this->usuario('doctor', $this->doctor));
+        $this->getJson("/api/v1/turnos/series/{$serieId}")
+            ->assertStatus(200)
+            ->assertJsonCount(4, 'data.turnos');
+    }
+
+    public function test_only_staff_can_preview_series()
+    {
+        Sanctum::actingAs($this->usuario('doctor', $this->doctor));
+        $this->postJson('/api/v1/turnos/series/preview', $this->serie())->assertStatus(403);
+
+        Sanctum::actingAs($this->adminUser);
+        $this->postJson('/api/v1/turnos/series/preview', $this->serie())
+            ->assertStatus(200)
+            ->assertJsonPath('data.disponibles', 4);
+    }
+
+    private function usuario(string $rol, ?Doctor $doctor = null): User
+    {
+        $usuario = User::create([
+            'name' => ucfirst($rol) . ' Test',
+            'email' => $rol . User::count() . '@test.com',
+            'password' => bcrypt('password'),
+            'rol' => $rol,
+            'activo' => true,
+        ]);
+
+        if ($doctor) {
+            $usuario->forceFill(['doctor_id' => $doctor->id])->save();
+        }
+
+        return $usuario;
+    }
+}